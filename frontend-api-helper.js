@@ -42,8 +42,185 @@ export const api = {
         body: formData,
         headers: {} // Don't set Content-Type for FormData
     }),
-      // Get clips
-    getClips: () => apiRequest('/api/clips'),
+
+    // Resumable upload: create session, PUT chunks, check status, commit
+    createUploadSession: (file, chunkSize, details = {}) => apiRequest('/upload/sessions', {
+        method: 'POST',
+        body: JSON.stringify({ filename: file.name, size: file.size, chunkSize, ...details })
+    }),
+    uploadChunk: (uploadId, index, blob) => apiRequest(`/upload/sessions/${uploadId}/chunks/${index}`, {
+        method: 'PUT',
+        body: blob,
+        headers: { 'Content-Type': 'application/octet-stream' }
+    }),
+    getUploadStatus: (uploadId) => apiRequest(`/upload/sessions/${uploadId}`),
+    completeUpload: (uploadId) => apiRequest(`/upload/sessions/${uploadId}/complete`, { method: 'POST' }),
+
+    // Get clips - params: { q, uploader, from, to, minDuration, maxDuration, format, sort, limit, cursor }
+    getClips: (params = {}) => {
+        const query = new URLSearchParams(
+            Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '')
+        ).toString();
+        return apiRequest(`/api/clips${query ? `?${query}` : ''}`);
+    },
+
+    // A member's public clips (same params as getClips, minus uploader)
+    getUserClips: (userId, params = {}) => {
+        const query = new URLSearchParams(
+            Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '')
+        ).toString();
+        return apiRequest(`/api/users/${userId}/clips${query ? `?${query}` : ''}`);
+    },
+
+    // Manage your own clips (title, description, tags, visibility: 'public' | 'unlisted' | 'guild' | 'private')
+    updateClip: (videoId, changes) => apiRequest(`/api/clips/${videoId}`, {
+        method: 'PATCH',
+        body: JSON.stringify(changes)
+    }),
+    deleteClip: (videoId) => apiRequest(`/api/clips/${videoId}`, { method: 'DELETE' }),
+
+    // Clip comments - timestamp is optional (seconds or "1:23")
+    getComments: (videoId) => apiRequest(`/api/clips/${videoId}/comments`),
+    addComment: (videoId, body, timestamp) => apiRequest(`/api/clips/${videoId}/comments`, {
+        method: 'POST',
+        body: JSON.stringify({ body, timestamp })
+    }),
+    deleteComment: (videoId, commentId) => apiRequest(`/api/clips/${videoId}/comments/${commentId}`, { method: 'DELETE' }),
+
+    // Reactions - one per member per clip ('like' or one of the configured emoji)
+    getReactions: (videoId) => apiRequest(`/api/clips/${videoId}/reactions`),
+    setReaction: (videoId, reaction) => apiRequest(`/api/clips/${videoId}/reactions`, {
+        method: 'PUT',
+        body: JSON.stringify({ reaction })
+    }),
+    removeReaction: (videoId) => apiRequest(`/api/clips/${videoId}/reactions`, { method: 'DELETE' }),
+
+    // Share links for your own clips - options: { label, expiresIn (seconds) | expiresAt, maxViews, password }
+    getShareLinks: (videoId) => apiRequest(`/api/clips/${videoId}/shares`),
+    createShareLink: (videoId, options = {}) => apiRequest(`/api/clips/${videoId}/shares`, {
+        method: 'POST',
+        body: JSON.stringify(options)
+    }),
+    revokeShareLink: (videoId, token) => apiRequest(`/api/clips/${videoId}/shares/${token}`, { method: 'DELETE' }),
+
+    // Chart data for your own clips - params: { from, to, interval: 'hour' | 'day' }
+    getClipTimeSeries: (videoId, params = {}) => {
+        const query = new URLSearchParams(
+            Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '')
+        ).toString();
+        return apiRequest(`/api/analytics/video/${videoId}/timeseries${query ? `?${query}` : ''}`);
+    },
+
+    // Playlists - visibility is 'private', 'guild' or 'public'; pass clipIds to updatePlaylist to reorder
+    getPlaylists: (owner) => apiRequest(`/api/playlists${owner ? `?owner=${encodeURIComponent(owner)}` : ''}`),
+    getPlaylist: (playlistId) => apiRequest(`/api/playlists/${playlistId}`),
+    createPlaylist: (playlist) => apiRequest('/api/playlists', {
+        method: 'POST',
+        body: JSON.stringify(playlist)
+    }),
+    updatePlaylist: (playlistId, changes) => apiRequest(`/api/playlists/${playlistId}`, {
+        method: 'PATCH',
+        body: JSON.stringify(changes)
+    }),
+    deletePlaylist: (playlistId) => apiRequest(`/api/playlists/${playlistId}`, { method: 'DELETE' }),
+    addClipToPlaylist: (playlistId, videoId, position) => apiRequest(`/api/playlists/${playlistId}/clips`, {
+        method: 'POST',
+        body: JSON.stringify({ videoId, position })
+    }),
+    removeClipFromPlaylist: (playlistId, videoId) => apiRequest(`/api/playlists/${playlistId}/clips/${videoId}`, { method: 'DELETE' }),
+
+    // Admin only - clips take the getClips params plus status: 'active' | 'taken-down'
+    admin: {
+        getClips: (params = {}) => {
+            const query = new URLSearchParams(
+                Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '')
+            ).toString();
+            return apiRequest(`/api/admin/clips${query ? `?${query}` : ''}`);
+        },
+        takedownClip: (videoId, reason) => apiRequest(`/api/admin/clips/${videoId}/takedown`, {
+            method: 'POST',
+            body: JSON.stringify({ reason })
+        }),
+        restoreClip: (videoId, reason) => apiRequest(`/api/admin/clips/${videoId}/restore`, {
+            method: 'POST',
+            body: JSON.stringify({ reason })
+        }),
+        getUsers: (q) => apiRequest(`/api/admin/users${q ? `?q=${encodeURIComponent(q)}` : ''}`),
+        // Per-user overrides of the role tier - limits: { maxStorage, maxFileSize (bytes), maxClips, maxUploadsPerDay },
+        // each a number, 'unlimited', or null to go back to the tier limit
+        setUserQuota: (userId, limits, reason) => apiRequest(`/api/admin/users/${userId}/quota`, {
+            method: 'PUT',
+            body: JSON.stringify({ ...limits, reason })
+        }),
+        banUser: (userId, reason) => apiRequest(`/api/admin/users/${userId}/ban`, {
+            method: 'POST',
+            body: JSON.stringify({ reason })
+        }),
+        unbanUser: (userId, reason) => apiRequest(`/api/admin/users/${userId}/ban`, {
+            method: 'DELETE',
+            body: JSON.stringify({ reason })
+        }),
+        getStorage: () => apiRequest('/api/admin/storage'),
+        // params: { action, actorId, targetId, limit, before }
+        getAuditLog: (params = {}) => {
+            const query = new URLSearchParams(
+                Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '')
+            ).toString();
+            return apiRequest(`/api/admin/audit${query ? `?${query}` : ''}`);
+        },
+        // Usage ledger entries - params: { userId, videoId, reason, limit, before }
+        getUsageLedger: (params = {}) => {
+            const query = new URLSearchParams(
+                Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '')
+            ).toString();
+            return apiRequest(`/api/admin/usage/ledger${query ? `?${query}` : ''}`);
+        },
+        // Latest ledger-vs-storage drift report, or run one now
+        getUsageReconciliation: () => apiRequest('/api/admin/usage/reconciliation'),
+        reconcileUsage: () => apiRequest('/api/admin/usage/reconciliation', { method: 'POST' }),
+        // Discord announcement queue - params: { status: 'pending' | 'delivering' | 'delivered' | 'dead', destination, event, videoId, limit }
+        getWebhookDestinations: () => apiRequest('/api/admin/webhooks/destinations'),
+        getWebhookDeliveries: (params = {}) => {
+            const query = new URLSearchParams(
+                Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '')
+            ).toString();
+            return apiRequest(`/api/admin/webhooks/deliveries${query ? `?${query}` : ''}`);
+        },
+        retryWebhookDelivery: (deliveryId) => apiRequest(`/api/admin/webhooks/deliveries/${encodeURIComponent(deliveryId)}/retry`, { method: 'POST' }),
+        discardWebhookDelivery: (deliveryId) => apiRequest(`/api/admin/webhooks/deliveries/${encodeURIComponent(deliveryId)}`, { method: 'DELETE' }),
+        redeliverWebhook: (deliveryId) => apiRequest(`/api/admin/webhooks/deliveries/${encodeURIComponent(deliveryId)}/redeliver`, { method: 'POST' }),
+        // Signed integration webhooks - subscription: { url (https), events, description }; changes may also set active.
+        // The signing secret is only in the create/rotate responses.
+        getWebhookSubscriptions: () => apiRequest('/api/admin/webhooks/subscriptions'),
+        createWebhookSubscription: (subscription) => apiRequest('/api/admin/webhooks/subscriptions', {
+            method: 'POST',
+            body: JSON.stringify(subscription)
+        }),
+        updateWebhookSubscription: (subscriptionId, changes) => apiRequest(`/api/admin/webhooks/subscriptions/${subscriptionId}`, {
+            method: 'PATCH',
+            body: JSON.stringify(changes)
+        }),
+        deleteWebhookSubscription: (subscriptionId) => apiRequest(`/api/admin/webhooks/subscriptions/${subscriptionId}`, { method: 'DELETE' }),
+        rotateWebhookSecret: (subscriptionId) => apiRequest(`/api/admin/webhooks/subscriptions/${subscriptionId}/secret`, { method: 'POST' }),
+        getWebhookSubscriptionDeliveries: (subscriptionId, params = {}) => {
+            const query = new URLSearchParams(
+                Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '')
+            ).toString();
+            return apiRequest(`/api/admin/webhooks/subscriptions/${subscriptionId}/deliveries${query ? `?${query}` : ''}`);
+        },
+        // Discord embed templates per event ('clip.uploaded', 'clip.transcoded', 'clip.viewed.milestone') - strings can
+        // use {{placeholders}}; reset restores the default. Preview renders a clip's message without sending it.
+        getDiscordTemplates: () => apiRequest('/api/admin/discord/templates'),
+        setDiscordTemplate: (event, template) => apiRequest(`/api/admin/discord/templates/${event}`, {
+            method: 'PUT',
+            body: JSON.stringify({ template })
+        }),
+        resetDiscordTemplate: (event) => apiRequest(`/api/admin/discord/templates/${event}`, { method: 'DELETE' }),
+        previewDiscordTemplate: (event, videoId, template) => apiRequest(`/api/admin/discord/templates/${event}/preview`, {
+            method: 'POST',
+            body: JSON.stringify({ videoId, template })
+        }),
+    },
 };
 
 export default api;
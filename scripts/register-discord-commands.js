@@ -0,0 +1,36 @@
+// Register the /clips slash command with Discord for the VillainArc guild.
+// Uses DISCORD_BOT_TOKEN (the bot used for guild membership checks) and DISCORD_CLIENT_ID (the application ID).
+// Run after changing CLIPS_COMMAND: npm run discord:register
+const config = require('../src/config');
+const { CLIPS_COMMAND } = require('../src/services/discordInteractionService');
+
+const registerCommands = async () => {
+    const { botToken, clientId, guildId } = config.discord;
+    if (!botToken || !clientId) {
+        throw new Error('DISCORD_BOT_TOKEN and DISCORD_CLIENT_ID must be set');
+    }
+
+    // Guild commands update immediately (global ones can take an hour); PUT replaces the guild's whole command list
+    const response = await fetch(`https://discord.com/api/v10/applications/${clientId}/guilds/${guildId}/commands`, {
+        method: 'PUT',
+        headers: {
+            'Authorization': `Bot ${botToken}`,
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify([CLIPS_COMMAND])
+    });
+
+    if (!response.ok) {
+        throw new Error(`Discord rejected the commands: ${response.status} ${await response.text()}`);
+    }
+
+    const commands = await response.json();
+    console.log(`✅ Registered ${commands.map(command => `/${command.name}`).join(', ')} in guild ${guildId}`);
+};
+
+registerCommands()
+    .then(() => process.exit(0))
+    .catch(error => {
+        console.error('❌ Failed to register Discord commands:', error.message);
+        process.exit(1);
+    });
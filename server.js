@@ -1,5 +1,6 @@
 const app = require('./src/app');
 const config = require('./src/config');
+const { flushDatabase } = require('./src/config/database');
 
 const PORT = config.server.port;
 
@@ -22,16 +23,18 @@ server.timeout = 15 * 60 * 1000; // 15 minute timeout
 // Graceful shutdown
 process.on('SIGTERM', () => {
     console.log('👋 SIGTERM received, shutting down gracefully');
-    server.close(() => {
+    server.close(async () => {
         console.log('✅ Server closed');
+        await flushDatabase().catch(error => console.error('❌ Failed to flush metadata store:', error.message));
         process.exit(0);
     });
 });
 
 process.on('SIGINT', () => {
     console.log('👋 SIGINT received, shutting down gracefully');
-    server.close(() => {
+    server.close(async () => {
         console.log('✅ Server closed');
+        await flushDatabase().catch(error => console.error('❌ Failed to flush metadata store:', error.message));
         process.exit(0);
     });
 });
@@ -8,11 +8,18 @@ const cors = require('cors');
 // Import configuration and services
 const config = require('./config');
 const { initializeAzureStorage } = require('./config/azure');
+const { initializeDatabase } = require('./config/database');
 const { setupDiscordAuth } = require('./services/authService');
 const { initializeAzureConfiguration } = require('./services/azureStorageService');
+const { initializeMediaProcessing } = require('./services/mediaProcessingService');
+const { purgeLegacyViewerIPs } = require('./services/analyticsService');
+const { backfillUsageLedger } = require('./services/usageLedgerService');
+const { purgeLegacyWebhookFlags } = require('./services/discordService');
+const { resumePendingDeliveries } = require('./services/webhookQueueService');
 
 // Import middleware
 const { apiLimit } = require('./middleware/rateLimiter');
+const { verifyAdminRoles } = require('./middleware/auth');
 const errorHandler = require('./middleware/errorHandler');
 
 // Import routes
@@ -23,13 +30,35 @@ const app = express();
 // Initialize Azure Storage
 const azureStorage = initializeAzureStorage();
 
-// Initialize Azure configuration asynchronously (don't block startup)
-if (azureStorage) {
-    initializeAzureConfiguration().catch(error => {
-        console.error('⚠️  Failed to initialize Azure configuration:', error.message);
-        console.log('🔧 Server will continue running, but Azure features may be limited');
+// Load persisted metadata, then initialize Azure configuration asynchronously (don't block startup).
+// The Azure rebuild merges blob metadata into the loaded records, so it must run after the load.
+initializeDatabase()
+    .catch(error => {
+        console.error('⚠️  Failed to load metadata store:', error.message);
+        console.log('🔧 Server will continue running, but previously stored metadata may be missing');
+    })
+    .then(() => {
+        purgeLegacyViewerIPs();
+        purgeLegacyWebhookFlags();
+        // Send announcements that were queued or retrying when the server stopped
+        resumePendingDeliveries();
+        // Charge clips from before the usage ledger existed
+        backfillUsageLedger();
+
+        if (azureStorage) {
+            initializeMediaProcessing().catch(error => {
+                console.error('⚠️  Failed to resume media processing jobs:', error.message);
+            });
+
+            return initializeAzureConfiguration()
+                // The rebuild can bring back clips the local store had lost
+                .then(() => backfillUsageLedger())
+                .catch(error => {
+                    console.error('⚠️  Failed to initialize Azure configuration:', error.message);
+                    console.log('🔧 Server will continue running, but Azure features may be limited');
+                });
+        }
     });
-}
 
 // Security middleware
 app.use(helmet({
@@ -56,7 +85,7 @@ const corsOptions = {
         }
     },
     credentials: true, // This is crucial for session cookies
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'HEAD'],
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS', 'HEAD'],
     allowedHeaders: ['Content-Type', 'Authorization', 'Range', 'Accept-Encoding', 'X-Requested-With'],
     exposedHeaders: ['Content-Range', 'Accept-Ranges', 'Content-Length', 'Content-Type']
 };
@@ -69,6 +98,8 @@ if (config.server.nodeEnv !== 'production') {
 }
 
 // Body parsing middleware
+// Discord signs the raw body of interaction requests, so they're checked before parsing (see discordController)
+app.use('/discord/interactions', express.raw({ type: 'application/json', limit: '100kb' }));
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
@@ -90,6 +121,9 @@ app.use(session({
 // Setup Discord authentication
 const authConfigured = setupDiscordAuth(app);
 
+// Re-check role-based admins' roles before any route relies on them
+app.use(verifyAdminRoles);
+
 // Trust proxy for accurate IP addresses
 if (config.server.nodeEnv === 'production') {
     app.set('trust proxy', 1);
@@ -1,10 +1,59 @@
-// In-memory stores (replace with actual database in production)
-const videoStore = new Map();
-const userStore = new Map();
-const userUploads = new Map();
+const config = require('./index');
+const { PersistentStore, createAdapter } = require('../repositories');
+
+// Persistent stores - reads are served from memory, writes go through to the configured adapter
+const adapter = createAdapter(config.database, config.azure);
+
+const videoStore = new PersistentStore('videos', adapter);
+const userStore = new PersistentStore('users', adapter);
+const uploadSessionStore = new PersistentStore('uploadSessions', adapter);
+const blobUploadGrantStore = new PersistentStore('blobUploadGrants', adapter);
+const mediaJobStore = new PersistentStore('mediaJobs', adapter);
+const playlistStore = new PersistentStore('playlists', adapter);
+const commentStore = new PersistentStore('comments', adapter);
+const reactionStore = new PersistentStore('reactions', adapter);
+const analyticsStore = new PersistentStore('analytics', adapter);
+const analyticsSaltStore = new PersistentStore('analyticsSalts', adapter);
+const shareTokenStore = new PersistentStore('shareTokens', adapter);
+const auditLogStore = new PersistentStore('auditLog', adapter);
+const usageLedgerStore = new PersistentStore('usageLedger', adapter);
+const usageTotalsStore = new PersistentStore('usageTotals', adapter);
+const webhookDeliveryStore = new PersistentStore('webhookDeliveries', adapter);
+const webhookSubscriptionStore = new PersistentStore('webhookSubscriptions', adapter);
+const discordTemplateStore = new PersistentStore('discordTemplates', adapter);
+
+const stores = [videoStore, userStore, uploadSessionStore, blobUploadGrantStore, mediaJobStore, playlistStore, commentStore, reactionStore, analyticsStore, analyticsSaltStore, shareTokenStore, auditLogStore, usageLedgerStore, usageTotalsStore, webhookDeliveryStore, webhookSubscriptionStore, discordTemplateStore];
+
+// Load all stores from the adapter (call once at startup, before anything rebuilds from Azure)
+const initializeDatabase = async () => {
+    console.log(`🗄️  Loading metadata store (${config.database.driver})...`);
+    await Promise.all(stores.map(store => store.hydrate()));
+    console.log('✅ Metadata store ready');
+};
+
+// Wait for pending writes (call on shutdown)
+const flushDatabase = async () => {
+    await Promise.all(stores.map(store => store.flush()));
+};
 
 module.exports = {
     videoStore,
     userStore,
-    userUploads
+    uploadSessionStore,
+    blobUploadGrantStore,
+    mediaJobStore,
+    playlistStore,
+    commentStore,
+    reactionStore,
+    analyticsStore,
+    analyticsSaltStore,
+    shareTokenStore,
+    auditLogStore,
+    usageLedgerStore,
+    usageTotalsStore,
+    webhookDeliveryStore,
+    webhookSubscriptionStore,
+    discordTemplateStore,
+    initializeDatabase,
+    flushDatabase
 };
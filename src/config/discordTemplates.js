@@ -0,0 +1,53 @@
+// Default Discord embed templates per event - admins can replace them through /api/admin/discord/templates.
+// Strings may use {{placeholders}} (see discordTemplateService.PLACEHOLDERS); parts that render empty
+// (a clip without tags, an image Discord couldn't fetch) are left out of the embed.
+const clipFields = [
+    { name: '👤 Uploaded by', value: '{{uploader}}', inline: true },
+    { name: '⏱️ Duration', value: '{{duration}}', inline: true },
+    { name: '🖥️ Resolution', value: '{{resolution}}', inline: true },
+    { name: '📁 File Size', value: '{{size}}', inline: true },
+    { name: '📅 Uploaded', value: '{{uploadedAt}}', inline: true },
+    { name: '🏷️ Tags', value: '{{tags}}', inline: false }
+];
+
+module.exports = {
+    'clip.uploaded': {
+        title: '🎬 VillainArc Clip Uploaded',
+        description: '**{{title}}**\n{{description}}\n\n[🔗 View Clip]({{shareLink}})',
+        url: '{{shareLink}}',
+        color: '#7f00ff', // VillainArc purple
+        author: { name: '{{uploader}}', icon_url: '{{uploaderAvatar}}' },
+        thumbnail: { url: '{{thumbnail}}' },
+        fields: clipFields,
+        footer: { text: 'VillainArc Clip Sharing' },
+        timestamp: 'uploadDate'
+    },
+    'clip.transcoded': {
+        title: '🎞️ Clip Ready to Play',
+        description: '**{{title}}** can now be watched in the browser.\n\n[🔗 View Clip]({{shareLink}})',
+        url: '{{shareLink}}',
+        color: '#7f00ff',
+        author: { name: '{{uploader}}', icon_url: '{{uploaderAvatar}}' },
+        thumbnail: { url: '{{thumbnail}}' },
+        fields: [
+            { name: '⏱️ Duration', value: '{{duration}}', inline: true },
+            { name: '🖥️ Resolution', value: '{{resolution}}', inline: true }
+        ],
+        footer: { text: 'VillainArc Clip Sharing' },
+        timestamp: 'now'
+    },
+    'clip.viewed.milestone': {
+        title: '🔥 {{milestone}} Views!',
+        description: '**{{title}}** by {{uploader}} just hit {{milestone}} views.\n\n[🔗 View Clip]({{shareLink}})',
+        url: '{{shareLink}}',
+        color: '#f5a623',
+        author: { name: '{{uploader}}', icon_url: '{{uploaderAvatar}}' },
+        image: { url: '{{preview}}' },
+        fields: [
+            { name: '📅 Uploaded', value: '{{uploadedAt}}', inline: true },
+            { name: '🏷️ Tags', value: '{{tags}}', inline: true }
+        ],
+        footer: { text: 'VillainArc Clip Sharing' },
+        timestamp: 'now'
+    }
+};
@@ -11,19 +11,84 @@ const config = {    server: {
         clientId: process.env.DISCORD_CLIENT_ID,
         clientSecret: process.env.DISCORD_CLIENT_SECRET,
         redirectUri: process.env.DISCORD_REDIRECT_URI,
+        // Bot token for guild membership checks and registering slash commands
+        botToken: process.env.DISCORD_BOT_TOKEN,
+        // Verifies requests to the /discord/interactions endpoint (Developer Portal > General Information)
+        publicKey: process.env.DISCORD_PUBLIC_KEY,
         webhookUrl: process.env.DISCORD_WEBHOOK_URL,
+        // Extra webhook destinations with their own filters (JSON array, see .env.example)
+        webhooks: process.env.DISCORD_WEBHOOKS,
         guildId: '1105396951509389372',
-        requiredRoles: ['1175503622197497896', '1288162863839580344', '1355299699770261827']
+        requiredRoles: ['1175503622197497896', '1288162863839580344', '1355299699770261827'],
+        // Discord user IDs allowed to manage every clip (comma-separated)
+        adminUserIds: (process.env.ADMIN_USER_IDS || '').split(',').map(id => id.trim()).filter(Boolean),
+        // Members holding any of these guild roles are admins too (comma-separated role IDs, checked at login and re-checked with the bot)
+        adminRoleIds: (process.env.ADMIN_ROLE_IDS || '').split(',').map(id => id.trim()).filter(Boolean)
     },
     azure: {
         accountName: process.env.AZURE_STORAGE_ACCOUNT_NAME,
         accountKey: process.env.AZURE_STORAGE_ACCOUNT_KEY,
         containerName: process.env.AZURE_STORAGE_CONTAINER_NAME || 'videos'
     },
+    database: {
+        // 'azure-table' in production, 'json' (files under dataDir) for local development
+        driver: process.env.DATABASE_DRIVER || (process.env.AZURE_STORAGE_ACCOUNT_NAME && process.env.AZURE_STORAGE_ACCOUNT_KEY ? 'azure-table' : 'json'),
+        dataDir: process.env.DATA_DIR || './data',
+        tablePrefix: process.env.AZURE_TABLE_PREFIX || 'va'
+    },
+    streaming: {
+        // 'redirect' hands clients a short-lived SAS URL, 'proxy' serves bytes (with Range support) through this server
+        mode: process.env.STREAM_MODE === 'proxy' ? 'proxy' : 'redirect'
+    },
+    media: {
+        // Background ffmpeg processing (transcoding etc.) - disable on hosts without ffmpeg
+        enabled: process.env.MEDIA_PROCESSING !== 'false',
+        ffmpegPath: process.env.FFMPEG_PATH || 'ffmpeg',
+        ffprobePath: process.env.FFPROBE_PATH || 'ffprobe',
+        concurrency: parseInt(process.env.MEDIA_JOB_CONCURRENCY) || 1,
+        jobTimeout: 30 * 60 * 1000, // 30 minutes per ffmpeg run
+        x264Preset: process.env.X264_PRESET || 'veryfast',
+        x264Crf: parseInt(process.env.X264_CRF) || 23
+    },
+    clips: {
+        // Visibility for clips that don't set one: public, unlisted, guild or private
+        defaultVisibility: process.env.DEFAULT_CLIP_VISIBILITY || 'public'
+    },
+    reactions: {
+        // Emoji members can react with, in addition to 'like' (comma-separated)
+        emojis: (process.env.REACTION_EMOJIS || '🔥,😂,😮,💀,👏').split(',').map(emoji => emoji.trim()).filter(Boolean)
+    },
     upload: {
         maxFileSize: 1024 * 1024 * 1024, // 1GB
-        maxFieldSize: 25 * 1024 * 1024, // 25MB
-        userQuota: 5 * 1024 * 1024 * 1024 // 5GB per user
+        maxFieldSize: 25 * 1024 * 1024 // 25MB
+    },
+    quota: {
+        // Upload limits by Discord role, highest tier first - members get the first tier they hold a role for.
+        // null means unlimited. Admins can override any limit per user (see quotaPolicyService).
+        tiers: [
+            {
+                name: 'officer',
+                roleIds: (process.env.QUOTA_OFFICER_ROLE_IDS || '').split(',').map(id => id.trim()).filter(Boolean),
+                limits: { maxStorage: 20 * 1024 * 1024 * 1024, maxFileSize: 1024 * 1024 * 1024, maxClips: null, maxUploadsPerDay: 50 }
+            },
+            {
+                name: 'raider',
+                roleIds: (process.env.QUOTA_RAIDER_ROLE_IDS || '').split(',').map(id => id.trim()).filter(Boolean),
+                limits: { maxStorage: 5 * 1024 * 1024 * 1024, maxFileSize: 1024 * 1024 * 1024, maxClips: 500, maxUploadsPerDay: 20 }
+            },
+            {
+                name: 'trial',
+                roleIds: (process.env.QUOTA_TRIAL_ROLE_IDS || '').split(',').map(id => id.trim()).filter(Boolean),
+                limits: { maxStorage: 1024 * 1024 * 1024, maxFileSize: 500 * 1024 * 1024, maxClips: 50, maxUploadsPerDay: 5 }
+            }
+        ],
+        // Members without any tier role
+        defaultTier: {
+            name: 'member',
+            limits: { maxStorage: 5 * 1024 * 1024 * 1024, maxFileSize: 1024 * 1024 * 1024, maxClips: 500, maxUploadsPerDay: 20 }
+        },
+        // How often the usage ledger is compared against the blob listing (see usageLedgerService)
+        reconcileInterval: (parseInt(process.env.USAGE_RECONCILE_HOURS) || 24) * 60 * 60 * 1000
     },
     rateLimit: {
         upload: {
@@ -33,6 +98,14 @@ const config = {    server: {
         api: {
             windowMs: 1 * 60 * 1000, // 1 minute
             max: 100
+        },
+        comment: {
+            windowMs: 1 * 60 * 1000, // 1 minute
+            max: 5
+        },
+        shareUnlock: {
+            windowMs: 15 * 60 * 1000, // 15 minutes
+            max: 10
         }
     }
 };
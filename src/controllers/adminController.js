@@ -0,0 +1,336 @@
+const adminService = require('../services/adminService');
+const { recordAudit, listAuditLog } = require('../services/auditLogService');
+const { listUsageLedger, runReconciliation, getLastReconciliation } = require('../services/usageLedgerService');
+const { listDeliveries, retryDelivery, discardDelivery, redeliverDelivery } = require('../services/webhookQueueService');
+const webhookSubscriptionService = require('../services/webhookSubscriptionService');
+const { describeWebhookDestinations } = require('../services/discordService');
+const discordTemplateService = require('../services/discordTemplateService');
+const { getBaseUrl } = require('../utils/helpers');
+
+// Map service errors (status/code) to JSON responses, anything else is a 500
+const sendAdminError = (res, error, fallbackMessage) => {
+    if (error.status) {
+        return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+
+    console.error(`❌ ${fallbackMessage}:`, error);
+    res.status(500).json({
+        error: fallbackMessage,
+        code: 'ADMIN_ERROR',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+};
+
+// GET /api/admin/clips - same query parameters as /api/clips, plus status=active|taken-down
+const listClips = (req, res) => {
+    try {
+        res.json(adminService.listClips(getBaseUrl(req), req.user, req.query));
+    } catch (error) {
+        sendAdminError(res, error, 'Failed to fetch clips');
+    }
+};
+
+// POST /api/admin/clips/:videoId/takedown - body: { reason? }
+const takedownClip = async (req, res) => {
+    try {
+        const videoData = await adminService.takedownClip(req.user, req.params.videoId, req.body || {});
+        res.json({ success: true, id: videoData.id, takedown: videoData.takedown });
+    } catch (error) {
+        sendAdminError(res, error, 'Failed to take down clip');
+    }
+};
+
+// POST /api/admin/clips/:videoId/restore - body: { reason? }
+const restoreClip = async (req, res) => {
+    try {
+        const videoData = await adminService.restoreClip(req.user, req.params.videoId, req.body || {});
+        res.json({ success: true, id: videoData.id, takedown: null });
+    } catch (error) {
+        sendAdminError(res, error, 'Failed to restore clip');
+    }
+};
+
+// GET /api/admin/users - ?q=<username>, ?banned=true
+const listUsers = (req, res) => {
+    try {
+        const users = adminService.listUsers(req.query);
+        res.json({ users, total: users.length });
+    } catch (error) {
+        sendAdminError(res, error, 'Failed to fetch users');
+    }
+};
+
+// PUT /api/admin/users/:userId/quota - body: { maxStorage?, maxFileSize?, maxClips?, maxUploadsPerDay?, reason? }
+// (each a number, 'unlimited', or null to use the member's tier limit)
+const setUserQuota = (req, res) => {
+    try {
+        res.json({ success: true, user: adminService.setUserQuota(req.user, req.params.userId, req.body || {}) });
+    } catch (error) {
+        sendAdminError(res, error, 'Failed to update quota');
+    }
+};
+
+// POST /api/admin/users/:userId/ban - body: { reason? }
+const banUser = (req, res) => {
+    try {
+        res.json({ success: true, user: adminService.banUser(req.user, req.params.userId, req.body || {}) });
+    } catch (error) {
+        sendAdminError(res, error, 'Failed to ban user');
+    }
+};
+
+// DELETE /api/admin/users/:userId/ban - body: { reason? }
+const unbanUser = (req, res) => {
+    try {
+        res.json({ success: true, user: adminService.unbanUser(req.user, req.params.userId, req.body || {}) });
+    } catch (error) {
+        sendAdminError(res, error, 'Failed to unban user');
+    }
+};
+
+// GET /api/admin/storage
+const getStorageTotals = (req, res) => {
+    try {
+        res.json(adminService.getStorageTotals());
+    } catch (error) {
+        sendAdminError(res, error, 'Failed to calculate storage totals');
+    }
+};
+
+// GET /api/admin/audit - ?action, ?actorId, ?targetId, ?limit, ?before=<cursor>
+const getAuditLog = (req, res) => {
+    try {
+        res.json(listAuditLog(req.query));
+    } catch (error) {
+        sendAdminError(res, error, 'Failed to fetch audit log');
+    }
+};
+
+// GET /api/admin/usage/ledger - ?userId, ?videoId, ?reason, ?limit, ?before=<cursor>
+const getUsageLedger = (req, res) => {
+    try {
+        res.json(listUsageLedger(req.query));
+    } catch (error) {
+        sendAdminError(res, error, 'Failed to fetch usage ledger');
+    }
+};
+
+// GET /api/admin/usage/reconciliation - the latest ledger-vs-storage report (null before the first run)
+const getReconciliation = (req, res) => {
+    res.json({ report: getLastReconciliation() });
+};
+
+// POST /api/admin/usage/reconciliation - compare the ledger against storage now
+const reconcileUsage = async (req, res) => {
+    try {
+        const report = await runReconciliation();
+        recordAudit(req.user, 'usage.reconcile', { details: { drift: report.drift, driftedUsers: report.users.length } });
+        res.json({ report });
+    } catch (error) {
+        sendAdminError(res, error, 'Failed to reconcile usage');
+    }
+};
+
+// GET /api/admin/webhooks/destinations - configured Discord destinations and their filters (URLs masked)
+const getWebhookDestinations = (req, res) => {
+    res.json({ destinations: describeWebhookDestinations() });
+};
+
+// GET /api/admin/webhooks/deliveries - ?status (dead = the dead-letter list), ?destination (Discord destination
+// name or subscription id), ?event, ?videoId, ?limit
+const getWebhookDeliveries = (req, res) => {
+    try {
+        res.json(listDeliveries(req.query));
+    } catch (error) {
+        sendAdminError(res, error, 'Failed to fetch webhook deliveries');
+    }
+};
+
+// POST /api/admin/webhooks/deliveries/:deliveryId/retry - send a failed delivery again
+const retryWebhookDelivery = (req, res) => {
+    try {
+        const delivery = retryDelivery(req.params.deliveryId);
+        recordAudit(req.user, 'webhook.retry', {
+            targetType: 'delivery',
+            targetId: delivery.id,
+            details: { destination: delivery.destination, event: delivery.event, videoId: delivery.videoId }
+        });
+        res.json({ success: true, delivery });
+    } catch (error) {
+        sendAdminError(res, error, 'Failed to retry webhook delivery');
+    }
+};
+
+// DELETE /api/admin/webhooks/deliveries/:deliveryId - drop a failed delivery from the dead-letter list
+const discardWebhookDelivery = (req, res) => {
+    try {
+        const delivery = discardDelivery(req.params.deliveryId);
+        recordAudit(req.user, 'webhook.discard', {
+            targetType: 'delivery',
+            targetId: delivery.id,
+            details: { destination: delivery.destination, event: delivery.event, videoId: delivery.videoId, lastError: delivery.lastError }
+        });
+        res.json({ success: true });
+    } catch (error) {
+        sendAdminError(res, error, 'Failed to discard webhook delivery');
+    }
+};
+
+// POST /api/admin/webhooks/deliveries/:deliveryId/redeliver - send a finished delivery's payload again
+const redeliverWebhookDelivery = (req, res) => {
+    try {
+        const delivery = redeliverDelivery(req.params.deliveryId);
+        recordAudit(req.user, 'webhook.redeliver', {
+            targetType: 'delivery',
+            targetId: delivery.redeliveryOf,
+            details: { destination: delivery.destination, event: delivery.event, videoId: delivery.videoId }
+        });
+        res.status(201).json({ success: true, delivery });
+    } catch (error) {
+        sendAdminError(res, error, 'Failed to redeliver webhook');
+    }
+};
+
+// GET /api/admin/webhooks/subscriptions - integration endpoints (secrets hidden)
+const listWebhookSubscriptions = (req, res) => {
+    res.json({ subscriptions: webhookSubscriptionService.listSubscriptions(), events: webhookSubscriptionService.WEBHOOK_EVENTS });
+};
+
+// POST /api/admin/webhooks/subscriptions - { url, events, description }; the response is the only time the secret is shown
+const createWebhookSubscription = async (req, res) => {
+    try {
+        const subscription = await webhookSubscriptionService.createSubscription(req.user, req.body);
+        recordAudit(req.user, 'webhook.create', {
+            targetType: 'subscription',
+            targetId: subscription.id,
+            details: { url: subscription.url, events: subscription.events }
+        });
+        res.status(201).json({ subscription });
+    } catch (error) {
+        sendAdminError(res, error, 'Failed to create webhook subscription');
+    }
+};
+
+// PATCH /api/admin/webhooks/subscriptions/:subscriptionId - { url?, events?, description?, active? }
+const updateWebhookSubscription = async (req, res) => {
+    try {
+        const subscription = await webhookSubscriptionService.updateSubscription(req.params.subscriptionId, req.body);
+        recordAudit(req.user, 'webhook.update', {
+            targetType: 'subscription',
+            targetId: subscription.id,
+            details: { url: subscription.url, events: subscription.events, active: subscription.active }
+        });
+        res.json({ subscription });
+    } catch (error) {
+        sendAdminError(res, error, 'Failed to update webhook subscription');
+    }
+};
+
+// POST /api/admin/webhooks/subscriptions/:subscriptionId/secret - rotate the signing secret
+const rotateWebhookSecret = (req, res) => {
+    try {
+        const subscription = webhookSubscriptionService.rotateSubscriptionSecret(req.params.subscriptionId);
+        recordAudit(req.user, 'webhook.secret', { targetType: 'subscription', targetId: subscription.id });
+        res.json({ subscription });
+    } catch (error) {
+        sendAdminError(res, error, 'Failed to rotate webhook secret');
+    }
+};
+
+// DELETE /api/admin/webhooks/subscriptions/:subscriptionId
+const deleteWebhookSubscription = (req, res) => {
+    try {
+        const subscription = webhookSubscriptionService.deleteSubscription(req.params.subscriptionId);
+        recordAudit(req.user, 'webhook.delete', {
+            targetType: 'subscription',
+            targetId: subscription.id,
+            details: { url: subscription.url }
+        });
+        res.json({ success: true });
+    } catch (error) {
+        sendAdminError(res, error, 'Failed to delete webhook subscription');
+    }
+};
+
+// GET /api/admin/webhooks/subscriptions/:subscriptionId/deliveries - the subscription's delivery log (same query as /webhooks/deliveries)
+const getWebhookSubscriptionDeliveries = (req, res) => {
+    try {
+        const subscription = webhookSubscriptionService.getSubscription(req.params.subscriptionId);
+        res.json(listDeliveries({ ...req.query, destination: subscription.id }));
+    } catch (error) {
+        sendAdminError(res, error, 'Failed to fetch webhook deliveries');
+    }
+};
+
+// GET /api/admin/discord/templates - each Discord event's embed template and the placeholders they can use
+const listDiscordTemplates = (req, res) => {
+    res.json({ templates: discordTemplateService.listTemplates(), placeholders: discordTemplateService.PLACEHOLDERS });
+};
+
+// PUT /api/admin/discord/templates/:event - { template }
+const setDiscordTemplate = (req, res) => {
+    try {
+        const result = discordTemplateService.setTemplate(req.params.event, req.body.template, req.user);
+        recordAudit(req.user, 'discord.template', { targetType: 'template', targetId: req.params.event, details: { template: result.template } });
+        res.json(result);
+    } catch (error) {
+        sendAdminError(res, error, 'Failed to save Discord template');
+    }
+};
+
+// DELETE /api/admin/discord/templates/:event - back to the default template
+const resetDiscordTemplate = (req, res) => {
+    try {
+        const result = discordTemplateService.resetTemplate(req.params.event);
+        recordAudit(req.user, 'discord.template', { targetType: 'template', targetId: req.params.event, details: { reset: true } });
+        res.json(result);
+    } catch (error) {
+        sendAdminError(res, error, 'Failed to reset Discord template');
+    }
+};
+
+// POST /api/admin/discord/templates/:event/preview - { videoId, template? } renders the message for a clip
+// (with the given template, or the current one) without sending it
+const previewDiscordTemplate = (req, res) => {
+    try {
+        const { videoId, template } = req.body;
+        const videoData = adminService.getClip(videoId);
+        const current = discordTemplateService.getTemplate(req.params.event);
+        if (template !== undefined) discordTemplateService.validateTemplate(template);
+
+        const context = discordTemplateService.buildTemplateContext(videoData, { milestone: req.body.milestone || 100 });
+        res.json({ message: discordTemplateService.renderTemplate(template || current, context) });
+    } catch (error) {
+        sendAdminError(res, error, 'Failed to preview Discord template');
+    }
+};
+
+module.exports = {
+    listClips,
+    takedownClip,
+    restoreClip,
+    listUsers,
+    setUserQuota,
+    banUser,
+    unbanUser,
+    getStorageTotals,
+    getAuditLog,
+    getUsageLedger,
+    getReconciliation,
+    reconcileUsage,
+    getWebhookDestinations,
+    getWebhookDeliveries,
+    retryWebhookDelivery,
+    discardWebhookDelivery,
+    redeliverWebhookDelivery,
+    listWebhookSubscriptions,
+    createWebhookSubscription,
+    updateWebhookSubscription,
+    rotateWebhookSecret,
+    deleteWebhookSubscription,
+    getWebhookSubscriptionDeliveries,
+    listDiscordTemplates,
+    setDiscordTemplate,
+    resetDiscordTemplate,
+    previewDiscordTemplate
+};
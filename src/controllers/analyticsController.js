@@ -1,12 +1,25 @@
 const { videoStore } = require('../config/database');
-const { calculatePopularityScore } = require('../utils/helpers');
+const { calculatePopularityScore, getClipTitle } = require('../utils/helpers');
+const analyticsService = require('../services/analyticsService');
+const { canViewClip, isClipListed } = require('../services/clipAccessService');
+
+// Source/referrer for a tracking call: what the client says (e.g. the /v/ page sends source 'page'
+// and document.referrer), falling back to the request's own Referer when that's an outside site
+const getTrackingContext = (req, defaultSource) => {
+    const body = req.body || {};
+    const ownSource = analyticsService.classifySource(req);
+    return {
+        source: analyticsService.SOURCES.includes(body.source) ? body.source : ownSource || defaultSource,
+        referrer: typeof body.referrer === 'string' ? body.referrer : (ownSource ? null : req.get('referer'))
+    };
+};
 
 // Track video view
 const trackView = (req, res) => {
     const { videoId } = req.params;
     const videoData = videoStore.get(videoId);
     
-    if (!videoData) {
+    if (!videoData || !canViewClip(videoData, req.user)) {
         return res.status(404).json({ error: 'Video not found' });
     }
     
@@ -15,16 +28,13 @@ const trackView = (req, res) => {
         videoData.views = (videoData.views || 0) + 1;
         videoData.lastViewed = new Date().toISOString();
         
-        // Track unique viewers (basic implementation using IP)
-        const viewerIP = req.ip;
-        if (!videoData.viewerIPs) {
-            videoData.viewerIPs = new Set();
-        }
-        videoData.viewerIPs.add(viewerIP);
-        videoData.uniqueViewers = videoData.viewerIPs.size;
+        // Track unique viewers via salted hashes - no IPs are stored
+        const viewer = analyticsService.getViewerHash(req);
+        analyticsService.addUniqueViewer(videoData, viewer);
 
         // Update video store
         videoStore.set(videoId, videoData);
+        analyticsService.recordEvent(videoId, 'view', { ...getTrackingContext(req, 'direct'), viewer });
 
         res.json({ 
             success: true, 
@@ -42,7 +52,7 @@ const trackShare = (req, res) => {
     const { videoId } = req.params;
     const videoData = videoStore.get(videoId);
 
-    if (!videoData) {
+    if (!videoData || !canViewClip(videoData, req.user)) {
         return res.status(404).json({ error: 'Video not found' });
     }
 
@@ -53,6 +63,7 @@ const trackShare = (req, res) => {
 
         // Update video store
         videoStore.set(videoId, videoData);
+        analyticsService.recordEvent(videoId, 'share', getTrackingContext(req, 'app'));
 
         res.json({ 
             success: true, 
@@ -83,20 +94,27 @@ const getVideoAnalytics = (req, res) => {
         // Calculate additional stats
         const uploadDate = new Date(videoData.uploadDate);
         const daysSinceUpload = Math.floor((Date.now() - uploadDate.getTime()) / (1000 * 60 * 60 * 24));
-        const avgViewsPerDay = daysSinceUpload > 0 ? (videoData.views || 0) / daysSinceUpload : 0;
+
+        // Average over the last week's daily buckets (or the clip's age, if younger) rather than lifetime totals
+        const last7Days = analyticsService.getRecentTotals(videoId, 7);
+        const avgViewsPerDay = last7Days.views / Math.min(7, daysSinceUpload + 1);
 
         const analytics = {
             videoId: videoId,
+            title: getClipTitle(videoData),
             originalName: videoData.originalName,
             views: videoData.views || 0,
             downloads: videoData.downloadCount || 0,
             shares: videoData.shareCount || 0,
+            reactions: videoData.reactions || {},
             uploadDate: videoData.uploadDate,
             size: videoData.size,
             fileType: videoData.fileFormat || require('path').extname(videoData.originalName),
             daysSinceUpload,
             avgViewsPerDay: Math.round(avgViewsPerDay * 100) / 100,
+            last7Days,
             contentType: videoData.contentType,
+            media: videoData.media || null,
             uniqueViewers: videoData.uniqueViewers || 0,
             lastViewed: videoData.lastViewed || null,
             popularityScore: calculatePopularityScore(videoData)
@@ -109,15 +127,43 @@ const getVideoAnalytics = (req, res) => {
     }
 };
 
-// Get global analytics overview
+// Get chart-ready view/download/share series for a video (?from&to&interval=hour|day)
+const getVideoTimeSeries = (req, res) => {
+    const { videoId } = req.params;
+    const videoData = videoStore.get(videoId);
+
+    if (!videoData) {
+        return res.status(404).json({ error: 'Video not found' });
+    }
+
+    if (videoData.uploadedBy !== req.user.id) {
+        return res.status(403).json({ error: 'Not authorized to view analytics for this video' });
+    }
+
+    try {
+        const range = analyticsService.parseSeriesQuery(req.query);
+        res.json(analyticsService.getTimeSeries(videoId, range));
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message, code: error.code });
+        }
+        console.error('Error fetching video time series:', error);
+        res.status(500).json({ error: 'Failed to fetch video time series' });
+    }
+};
+
+// Get global analytics overview (?days=N sets the trending window, default 7)
 const getAnalyticsOverview = (req, res) => {
+    const trendingDays = Math.min(Math.max(parseInt(req.query.days, 10) || 7, 1), 30);
     const stats = {
         totalVideos: videoStore.size,
         totalViews: 0,
         totalDownloads: 0,
         totalSize: 0,
         popularVideos: [],
-        recentUploads: []
+        recentUploads: [],
+        trendingDays,
+        trending: []
     };
     
     const videos = Array.from(videoStore.values());
@@ -128,28 +174,44 @@ const getAnalyticsOverview = (req, res) => {
         stats.totalSize += video.size || 0;
     });
     
+    // The lists below only name clips the caller could find in the clip list themselves
+    const listed = videos.filter(video => video && typeof video === 'object' && isClipListed(video, req.user));
+
     // Top 5 most viewed videos
-    stats.popularVideos = videos
+    stats.popularVideos = listed
         .sort((a, b) => (b.views || 0) - (a.views || 0))
         .slice(0, 5)
         .map(v => ({
             id: v.id,
-            name: v.originalName,
+            name: getClipTitle(v),
             views: v.views || 0,
             uploader: v.uploaderUsername
         }));
     
     // Recent uploads
-    stats.recentUploads = videos
+    stats.recentUploads = listed
         .sort((a, b) => new Date(b.uploadDate).getTime() - new Date(a.uploadDate).getTime())
         .slice(0, 10)
         .map(v => ({
             id: v.id,
-            name: v.originalName,
+            name: getClipTitle(v),
             uploadDate: v.uploadDate,
             uploader: v.uploaderUsername,
             size: v.size
         }));
+
+    // Most active clips over the trending window
+    stats.trending = analyticsService.getTrendingClips({ days: trendingDays, limit: 10, viewer: req.user })
+        .map(({ videoId, videoData, views, downloads, shares, reactions, score }) => ({
+            id: videoId,
+            name: getClipTitle(videoData),
+            uploader: videoData.uploaderUsername,
+            views,
+            downloads,
+            shares,
+            reactions,
+            score
+        }));
     
     res.json(stats);
 };
@@ -158,5 +220,6 @@ module.exports = {
     trackView,
     trackShare,
     getVideoAnalytics,
+    getVideoTimeSeries,
     getAnalyticsOverview
 };
@@ -1,6 +1,8 @@
 const passport = require('passport');
 const config = require('../config');
 const { userStore } = require('../config/database');
+const { getQuotaPolicy } = require('../services/quotaPolicyService');
+const { getUserUsage } = require('../services/usageLedgerService');
 
 // Get frontend URL based on environment
 const getFrontendUrl = () => {
@@ -84,6 +86,9 @@ const getUserInfo = (req, res) => {
         req.user = freshUserData;
     }
 
+    // Tier and limits from the member's roles plus any admin overrides
+    const quotaPolicy = getQuotaPolicy(req.user.id);
+
     res.json({
         authenticated: true,
         user: {
@@ -95,8 +100,9 @@ const getUserInfo = (req, res) => {
             loginTime: req.user.loginTime,
             guildMember: req.user.guildMember,
             hasRole: req.user.hasRole,
-            totalUploadSize: req.user.totalUploadSize || 0,
-            quota: req.user.quota || 5 * 1024 * 1024 * 1024, // 5GB
+            totalUploadSize: getUserUsage(req.user.id).total,
+            quota: quotaPolicy.limits.maxStorage, // null when unlimited
+            quotaPolicy,
             uploads: req.user.uploads || []
         }
     });
@@ -178,14 +184,36 @@ const getUserUploads = (req, res) => {
     }
 
     try {
-        const { userUploads } = require('../config/database');
-        const userQuota = userUploads.get(req.user.id) || { uploads: [] };
-        
+        // Built from the persistent video records rather than the upload history on the user record
+        const { videoStore } = require('../config/database');
+        const { getClipTitle } = require('../utils/helpers');
+        const uploads = [];
+        let totalSize = 0;
+
+        for (const videoData of videoStore.values()) {
+            if (!videoData || typeof videoData !== 'object' || videoData.uploadedBy !== req.user.id) continue;
+
+            totalSize += Number(videoData.size) || 0;
+            uploads.push({
+                id: videoData.id,
+                title: getClipTitle(videoData),
+                originalName: videoData.originalName,
+                size: videoData.size,
+                uploadDate: videoData.uploadDate,
+                shareLink: `/v/${videoData.id}`
+            });
+        }
+
+        uploads.sort((a, b) => new Date(b.uploadDate).getTime() - new Date(a.uploadDate).getTime());
+        const quota = getQuotaPolicy(req.user.id).limits.maxStorage;
+        // Quota counts everything stored for the user (renditions and images too), from the usage ledger
+        const used = getUserUsage(req.user.id).total;
+
         res.json({
-            uploads: userQuota.uploads || [],
-            totalUploads: userQuota.uploads?.length || 0,
-            totalSize: userQuota.used || 0,
-            remainingQuota: userQuota.remaining || req.user.quota
+            uploads,
+            totalUploads: uploads.length,
+            totalSize,
+            remainingQuota: quota === null ? null : Math.max(0, quota - used)
         });
     } catch (error) {
         console.error('Error fetching user uploads:', error);
@@ -1,60 +1,49 @@
-const { videoStore, userStore } = require('../config/database');
+const { userStore } = require('../config/database');
 const { getDiscordAvatarUrl } = require('../services/authService');
-const { getBaseUrl } = require('../utils/helpers');
+const { getBaseUrl, getClipImageUrls, getClipTitle } = require('../utils/helpers');
+const clipService = require('../services/clipService');
+const { parseClipQuery, queryClips, toClipSummary } = require('../services/clipQueryService');
+const { getClipVisibility } = require('../services/clipAccessService');
 
-// Get all clips
+// Map service errors (which carry status/code) onto JSON responses
+const sendClipError = (res, error, fallbackMessage) => {
+    if (error.status) {
+        return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+
+    console.error(`❌ ${fallbackMessage}:`, error);
+    res.status(500).json({
+        error: fallbackMessage,
+        code: 'CLIP_ERROR',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+};
+
+// Get clips - supports q, uploader, from, to, minDuration, maxDuration, format, sort, limit and cursor
 const getAllClips = (req, res) => {
     try {
-        const allClips = [];
-        
-        for (const [videoId, videoData] of videoStore.entries()) {
-            const baseUrl = getBaseUrl(req);
-            
-            // Get uploader info from stored user data or video metadata
-            const storedUser = userStore.get(videoData.uploadedBy);
-            const uploader = {
-                id: videoData.uploadedBy,
-                username: storedUser?.username || videoData.uploaderUsername || 'Unknown User',
-                avatar: getDiscordAvatarUrl(storedUser || {
-                    id: videoData.uploadedBy,
-                    username: videoData.uploaderUsername,
-                    avatar: videoData.uploaderAvatar,
-                    discriminator: '0'
-                })
-            };
-            
-            allClips.push({
-                id: videoId,
-                originalName: videoData.originalName,
-                size: videoData.size,
-                uploadDate: videoData.uploadDate,
-                shareLink: `${baseUrl}/v/${videoId}`,
-                username: uploader.username,
-                userAvatar: uploader.avatar
-            });
-        }
-        
-        // Sort by upload date (newest first)
-        allClips.sort((a, b) => new Date(b.uploadDate).getTime() - new Date(a.uploadDate).getTime());
-        
+        const { items, total, nextCursor } = queryClips(parseClipQuery(req.query), req.user);
+        const baseUrl = getBaseUrl(req);
+
         res.json({
-            clips: allClips,
-            total: allClips.length
+            clips: items.map(({ videoId, videoData }) => toClipSummary(baseUrl, videoId, videoData)),
+            total,
+            nextCursor,
+            hasMore: nextCursor !== null
         });
     } catch (error) {
-        console.error('Error fetching clips:', error);
-        res.status(500).json({ error: 'Failed to fetch clips' });
+        sendClipError(res, error, 'Failed to fetch clips');
     }
 };
 
-// Get clips with detailed info
+// Get clips with detailed info (same query parameters as getAllClips)
 const getClipsDetailed = (req, res) => {
     try {
+        const { items, total, nextCursor } = queryClips(parseClipQuery(req.query), req.user);
+        const baseUrl = getBaseUrl(req);
         const allClips = [];
         
-        for (const [videoId, videoData] of videoStore.entries()) {
-            const baseUrl = getBaseUrl(req);
-            
+        for (const { videoId, videoData } of items) {
             // Get uploader info from stored user data or video metadata
             const storedUser = userStore.get(videoData.uploadedBy);
             const uploaderUser = storedUser || {
@@ -72,12 +61,23 @@ const getClipsDetailed = (req, res) => {
             
             allClips.push({
                 id: videoId,
+                title: getClipTitle(videoData),
+                description: videoData.description || null,
+                tags: videoData.tags || [],
+                visibility: getClipVisibility(videoData),
                 originalName: videoData.originalName,
                 filename: videoData.originalName,
                 size: videoData.size,
                 uploadDate: videoData.uploadDate,
                 shareLink: `${baseUrl}/v/${videoId}`,
                 downloadUrl: `${baseUrl}/download/${videoId}`,
+                ...getClipImageUrls(baseUrl, videoData),
+                duration: videoData.media ? videoData.media.duration : null,
+                media: videoData.media || null,
+                views: videoData.views || 0,
+                downloads: videoData.downloadCount || 0,
+                reactions: videoData.reactions || {},
+                likes: (videoData.reactions && videoData.reactions.like) || 0,
                 uploadedBy: {
                     id: uploader.id,
                     username: uploader.username,
@@ -86,17 +86,54 @@ const getClipsDetailed = (req, res) => {
             });
         }
         
-        // Sort by upload date (newest first)
-        allClips.sort((a, b) => new Date(b.uploadDate) - new Date(a.uploadDate));
-        
-        res.json({ clips: allClips });
+        res.json({
+            clips: allClips,
+            total,
+            nextCursor,
+            hasMore: nextCursor !== null
+        });
+    } catch (error) {
+        sendClipError(res, error, 'Failed to fetch clips');
+    }
+};
+
+// Edit a clip's title, description, tags and visibility (owner or admin)
+const updateClip = async (req, res) => {
+    try {
+        const videoData = await clipService.updateClip(req.params.videoId, req.user, req.body || {});
+        const baseUrl = getBaseUrl(req);
+
+        res.json({
+            success: true,
+            clip: {
+                id: videoData.id,
+                title: videoData.title || null,
+                description: videoData.description || null,
+                tags: videoData.tags || [],
+                visibility: getClipVisibility(videoData),
+                originalName: videoData.originalName,
+                updatedAt: videoData.updatedAt,
+                shareLink: `${baseUrl}/v/${videoData.id}`
+            }
+        });
+    } catch (error) {
+        sendClipError(res, error, 'Failed to update clip');
+    }
+};
+
+// Delete a clip and everything stored for it (owner or admin)
+const deleteClip = async (req, res) => {
+    try {
+        const result = await clipService.deleteClip(req.params.videoId, req.user);
+        res.json({ success: true, ...result });
     } catch (error) {
-        console.error('Error fetching all clips:', error);
-        res.status(500).json({ error: 'Failed to fetch clips' });
+        sendClipError(res, error, 'Failed to delete clip');
     }
 };
 
 module.exports = {
     getAllClips,
-    getClipsDetailed
+    getClipsDetailed,
+    updateClip,
+    deleteClip
 };
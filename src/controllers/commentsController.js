@@ -0,0 +1,50 @@
+const commentService = require('../services/commentService');
+
+const sendCommentError = (res, error, fallbackMessage) => {
+    if (error.status) {
+        return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+
+    console.error(`❌ ${fallbackMessage}:`, error);
+    res.status(500).json({
+        error: fallbackMessage,
+        code: 'COMMENT_ERROR',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+};
+
+// GET /api/clips/:videoId/comments
+const listComments = (req, res) => {
+    try {
+        const comments = commentService.listComments(req.params.videoId, req.user);
+        res.json({ comments, total: comments.length });
+    } catch (error) {
+        sendCommentError(res, error, 'Failed to fetch comments');
+    }
+};
+
+// POST /api/clips/:videoId/comments - body: { body, timestamp? } (seconds or "1:23")
+const addComment = (req, res) => {
+    try {
+        const comment = commentService.addComment(req.params.videoId, req.user, req.body || {});
+        res.status(201).json({ success: true, comment });
+    } catch (error) {
+        sendCommentError(res, error, 'Failed to post comment');
+    }
+};
+
+// DELETE /api/clips/:videoId/comments/:commentId
+const deleteComment = (req, res) => {
+    try {
+        commentService.deleteComment(req.params.videoId, req.params.commentId, req.user);
+        res.json({ success: true, commentId: req.params.commentId });
+    } catch (error) {
+        sendCommentError(res, error, 'Failed to delete comment');
+    }
+};
+
+module.exports = {
+    listComments,
+    addComment,
+    deleteComment
+};
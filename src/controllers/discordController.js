@@ -0,0 +1,34 @@
+const { verifyInteractionSignature, handleInteraction, reply } = require('../services/discordInteractionService');
+
+// POST /discord/interactions - slash commands and autocomplete sent by Discord
+const handleDiscordInteraction = (req, res) => {
+    // Discord checks that this endpoint rejects bad signatures before it will use it
+    const signature = req.get('X-Signature-Ed25519');
+    const timestamp = req.get('X-Signature-Timestamp');
+    if (!verifyInteractionSignature(req.body, signature, timestamp)) {
+        return res.status(401).json({ error: 'Invalid request signature', code: 'INVALID_SIGNATURE' });
+    }
+
+    let interaction;
+    try {
+        interaction = JSON.parse(req.body.toString('utf8'));
+    } catch (error) {
+        return res.status(400).json({ error: 'Invalid JSON body', code: 'INVALID_BODY' });
+    }
+
+    try {
+        const response = handleInteraction(interaction);
+        if (!response) {
+            return res.status(400).json({ error: 'Unsupported interaction type', code: 'UNSUPPORTED_INTERACTION' });
+        }
+        res.json(response);
+    } catch (error) {
+        console.error('❌ Failed to handle Discord interaction:', error);
+        // Still answer, so the member sees an error instead of "The application did not respond"
+        res.json(reply('Something went wrong looking up clips - try again in a moment.'));
+    }
+};
+
+module.exports = {
+    handleDiscordInteraction
+};
@@ -0,0 +1,395 @@
+const playlistService = require('../services/playlistService');
+const { toClipSummary } = require('../services/clipQueryService');
+const { getPlaybackContentType } = require('../services/videoService');
+const { getBaseUrl, escapeHtml, formatDuration } = require('../utils/helpers');
+const { renderPage, renderNotFoundPage } = require('../views/layout');
+
+// Map service errors (status/code) to JSON responses, anything else is a 500
+const sendPlaylistError = (res, error, fallbackMessage) => {
+    if (error.status) {
+        return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+
+    console.error(`❌ ${fallbackMessage}:`, error);
+    res.status(500).json({
+        error: fallbackMessage,
+        code: 'PLAYLIST_ERROR',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+};
+
+// API shape of a playlist; clip summaries are only included for single-playlist responses
+const toPlaylistResponse = (req, playlist, { includeClips = false } = {}) => {
+    const baseUrl = getBaseUrl(req);
+    const clips = playlistService.getPlaylistClips(playlist, req.user)
+        .map(({ videoId, videoData }) => toClipSummary(baseUrl, videoId, videoData));
+
+    return {
+        id: playlist.id,
+        name: playlist.name,
+        description: playlist.description,
+        visibility: playlist.visibility,
+        owner: {
+            id: playlist.ownerId,
+            username: playlist.ownerUsername
+        },
+        clipCount: clips.length,
+        thumbnailUrl: clips.find(clip => clip.thumbnailUrl)?.thumbnailUrl || null,
+        shareLink: `${baseUrl}/p/${playlist.id}`,
+        canEdit: playlistService.canManage(playlist, req.user),
+        createdAt: playlist.createdAt,
+        updatedAt: playlist.updatedAt,
+        ...(includeClips ? { clips } : {})
+    };
+};
+
+// GET /api/playlists - playlists visible to the caller (?owner=<userId> or ?owner=me to filter)
+const listPlaylists = (req, res) => {
+    try {
+        const ownerId = req.query.owner === 'me' ? req.user?.id : req.query.owner;
+        if (req.query.owner === 'me' && !ownerId) {
+            return res.status(401).json({ error: 'Authentication required', code: 'AUTH_REQUIRED' });
+        }
+
+        const playlists = playlistService.listPlaylists(req.user, { ownerId });
+        res.json({
+            playlists: playlists.map(playlist => toPlaylistResponse(req, playlist)),
+            total: playlists.length
+        });
+    } catch (error) {
+        sendPlaylistError(res, error, 'Failed to fetch playlists');
+    }
+};
+
+// GET /api/playlists/:playlistId
+const getPlaylist = (req, res) => {
+    try {
+        const playlist = playlistService.getViewablePlaylist(req.params.playlistId, req.user);
+        res.json({ playlist: toPlaylistResponse(req, playlist, { includeClips: true }) });
+    } catch (error) {
+        sendPlaylistError(res, error, 'Failed to fetch playlist');
+    }
+};
+
+// POST /api/playlists - body: { name, description?, visibility?, clipIds? }
+const createPlaylist = (req, res) => {
+    try {
+        const playlist = playlistService.createPlaylist(req.user, req.body || {});
+        res.status(201).json({ success: true, playlist: toPlaylistResponse(req, playlist, { includeClips: true }) });
+    } catch (error) {
+        sendPlaylistError(res, error, 'Failed to create playlist');
+    }
+};
+
+// PATCH /api/playlists/:playlistId - body: any of { name, description, visibility, clipIds }
+const updatePlaylist = (req, res) => {
+    try {
+        const playlist = playlistService.updatePlaylist(req.params.playlistId, req.user, req.body || {});
+        res.json({ success: true, playlist: toPlaylistResponse(req, playlist, { includeClips: true }) });
+    } catch (error) {
+        sendPlaylistError(res, error, 'Failed to update playlist');
+    }
+};
+
+// DELETE /api/playlists/:playlistId
+const deletePlaylist = (req, res) => {
+    try {
+        playlistService.deletePlaylist(req.params.playlistId, req.user);
+        res.json({ success: true, playlistId: req.params.playlistId });
+    } catch (error) {
+        sendPlaylistError(res, error, 'Failed to delete playlist');
+    }
+};
+
+// POST /api/playlists/:playlistId/clips - body: { videoId, position? }
+const addClip = (req, res) => {
+    try {
+        const { videoId, position } = req.body || {};
+        const playlist = playlistService.addClip(req.params.playlistId, req.user, videoId, position);
+        res.json({ success: true, playlist: toPlaylistResponse(req, playlist, { includeClips: true }) });
+    } catch (error) {
+        sendPlaylistError(res, error, 'Failed to add clip to playlist');
+    }
+};
+
+// DELETE /api/playlists/:playlistId/clips/:videoId
+const removeClip = (req, res) => {
+    try {
+        const playlist = playlistService.removeClip(req.params.playlistId, req.user, req.params.videoId);
+        res.json({ success: true, playlist: toPlaylistResponse(req, playlist, { includeClips: true }) });
+    } catch (error) {
+        sendPlaylistError(res, error, 'Failed to remove clip from playlist');
+    }
+};
+
+const playlistStyles = `
+    .playlist-layout {
+        display: grid;
+        grid-template-columns: minmax(0, 1fr) 340px;
+        gap: 1.5rem;
+        align-items: start;
+    }
+
+    .player-card video {
+        width: 100%;
+        border-radius: 8px;
+        background: #000000;
+        aspect-ratio: 16 / 9;
+    }
+
+    .now-playing {
+        margin-top: 1rem;
+        font-size: 1.25rem;
+        font-weight: 600;
+        word-break: break-word;
+    }
+
+    .now-playing-meta {
+        color: rgba(255, 255, 255, 0.7);
+        font-size: 0.9rem;
+        margin-top: 0.25rem;
+    }
+
+    .playlist-header h1 {
+        font-size: 1.25rem;
+        font-weight: 700;
+        word-break: break-word;
+    }
+
+    .playlist-header p {
+        color: rgba(255, 255, 255, 0.7);
+        font-size: 0.85rem;
+        margin-top: 0.25rem;
+        white-space: pre-line;
+    }
+
+    .playlist-items {
+        list-style: none;
+        margin-top: 1rem;
+        max-height: 70vh;
+        overflow-y: auto;
+    }
+
+    .playlist-item {
+        display: flex;
+        gap: 0.75rem;
+        align-items: center;
+        padding: 0.5rem;
+        border-radius: 8px;
+        cursor: pointer;
+        transition: background 0.2s ease;
+    }
+
+    .playlist-item:hover {
+        background: rgba(255, 255, 255, 0.08);
+    }
+
+    .playlist-item.active {
+        background: rgba(88, 101, 242, 0.25);
+    }
+
+    .playlist-item-thumb {
+        position: relative;
+        flex: 0 0 112px;
+        aspect-ratio: 16 / 9;
+        background: #000000;
+        border-radius: 6px;
+        overflow: hidden;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+    }
+
+    .playlist-item-thumb img {
+        width: 100%;
+        height: 100%;
+        object-fit: cover;
+    }
+
+    .playlist-item-name {
+        font-size: 0.9rem;
+        font-weight: 500;
+        overflow: hidden;
+        text-overflow: ellipsis;
+        display: -webkit-box;
+        -webkit-line-clamp: 2;
+        -webkit-box-orient: vertical;
+    }
+
+    .playlist-item-meta {
+        font-size: 0.75rem;
+        color: rgba(255, 255, 255, 0.6);
+        margin-top: 0.15rem;
+    }
+
+    @media (max-width: 900px) {
+        .playlist-layout {
+            grid-template-columns: 1fr;
+        }
+    }
+`;
+
+// GET /p/:playlistId - playlist player that autoplays through the clips in order
+const viewPlaylist = (req, res) => {
+    let playlist;
+    try {
+        playlist = playlistService.getViewablePlaylist(req.params.playlistId, req.user);
+    } catch (error) {
+        if (!error.status) throw error;
+        return res.status(404).send(renderNotFoundPage(
+            'Playlist Not Found',
+            req.user
+                ? 'This playlist doesn\'t exist or is private.'
+                : 'This playlist doesn\'t exist, or you need to log in to see it.'
+        ));
+    }
+
+    const baseUrl = getBaseUrl(req);
+    const items = playlistService.getPlaylistClips(playlist, req.user).map(({ videoId, videoData }) => {
+        const summary = toClipSummary(baseUrl, videoId, videoData);
+        return {
+            id: videoId,
+            title: summary.title,
+            username: summary.username,
+            duration: summary.duration,
+            thumbnailUrl: summary.thumbnailUrl,
+            shareLink: summary.shareLink,
+            streamUrl: `${baseUrl}/stream/${videoId}`,
+            contentType: getPlaybackContentType(videoData)
+        };
+    });
+
+    const name = escapeHtml(playlist.name);
+    const description = playlist.description ? escapeHtml(playlist.description) : '';
+    const playlistUrl = `${baseUrl}/p/${playlist.id}`;
+    const startIndex = Math.min(Math.max(parseInt(req.query.start, 10) || 0, 0), Math.max(items.length - 1, 0));
+    const first = items[startIndex];
+    const coverUrl = items.find(item => item.thumbnailUrl)?.thumbnailUrl;
+
+    // JSON for the inline player script; escape "<" so clip titles can't close the <script> tag
+    const itemsJson = JSON.stringify(items).replace(/</g, '\\u003c');
+
+    res.send(renderPage({
+        title: name,
+        head: `
+        <meta property="og:title" content="${name}">
+        <meta property="og:type" content="website">
+        <meta property="og:url" content="${playlistUrl}">
+        <meta property="og:description" content="${description || `Playlist by ${escapeHtml(playlist.ownerUsername)}`} · ${items.length} clips">
+        ${coverUrl ? `<meta property="og:image" content="${coverUrl}">` : ''}`,
+        styles: playlistStyles,
+        body: items.length === 0 ? `
+            <div class="info-card playlist-header">
+                <h1>${name}</h1>
+                <p>by <a href="${baseUrl}/u/${encodeURIComponent(playlist.ownerId)}">${escapeHtml(playlist.ownerUsername)}</a></p>
+                <div class="empty-state">This playlist doesn't have any clips yet.</div>
+            </div>
+        ` : `
+            <div class="playlist-layout">
+                <div class="info-card player-card">
+                    <video id="playlistPlayer" controls autoplay playsinline preload="metadata"
+                        ${first.thumbnailUrl ? `poster="${first.thumbnailUrl}"` : ''}>
+                        <source src="${first.streamUrl}" type="${first.contentType}">
+                    </video>
+                    <div class="now-playing" id="nowPlaying">${escapeHtml(first.title)}</div>
+                    <div class="now-playing-meta">
+                        <span id="nowPlayingMeta">${escapeHtml(first.username)}</span> ·
+                        <a id="nowPlayingLink" href="${first.shareLink}" style="color: #5865f2;">Open clip</a>
+                    </div>
+                </div>
+                <div class="info-card playlist-header">
+                    <h1>${name}</h1>
+                    <p>by <a href="${baseUrl}/u/${encodeURIComponent(playlist.ownerId)}">${escapeHtml(playlist.ownerUsername)}</a> · ${items.length} clips</p>
+                    ${description ? `<p>${description}</p>` : ''}
+                    <ol class="playlist-items">
+                        ${items.map((item, index) => `
+                        <li class="playlist-item${index === startIndex ? ' active' : ''}" data-index="${index}">
+                            <div class="playlist-item-thumb">
+                                ${item.thumbnailUrl ? `<img src="${item.thumbnailUrl}" alt="" loading="lazy">` : '🎬'}
+                                ${item.duration ? `<span class="clip-duration">${formatDuration(item.duration)}</span>` : ''}
+                            </div>
+                            <div>
+                                <div class="playlist-item-name">${escapeHtml(item.title)}</div>
+                                <div class="playlist-item-meta">${escapeHtml(item.username)}</div>
+                            </div>
+                        </li>`).join('')}
+                    </ol>
+                </div>
+            </div>
+            <script>
+                (function () {
+                    const items = ${itemsJson};
+                    const player = document.getElementById('playlistPlayer');
+                    const entries = document.querySelectorAll('.playlist-item');
+                    const reported = new Set();
+                    let current = ${startIndex};
+
+                    // Report each clip's first play in this session for analytics
+                    player.addEventListener('play', () => {
+                        const item = items[current];
+                        if (reported.has(item.id)) return;
+                        reported.add(item.id);
+                        fetch('/api/analytics/view/' + item.id, {
+                            method: 'POST',
+                            headers: { 'Content-Type': 'application/json' },
+                            body: JSON.stringify({ source: 'playlist', referrer: document.referrer })
+                        }).catch(() => {});
+                    });
+
+                    const play = () => {
+                        // Browsers block unmuted autoplay without a user gesture - retry muted
+                        player.play().catch(() => {
+                            player.muted = true;
+                            player.play().catch(() => {});
+                        });
+                    };
+
+                    const load = (index) => {
+                        const item = items[index];
+                        current = index;
+
+                        player.poster = item.thumbnailUrl || '';
+                        player.innerHTML = '';
+                        const source = document.createElement('source');
+                        source.src = item.streamUrl;
+                        source.type = item.contentType;
+                        player.appendChild(source);
+                        player.load();
+                        play();
+
+                        document.getElementById('nowPlaying').textContent = item.title;
+                        document.getElementById('nowPlayingMeta').textContent = item.username;
+                        document.getElementById('nowPlayingLink').href = item.shareLink;
+                        entries.forEach((entry, i) => entry.classList.toggle('active', i === index));
+                        entries[index].scrollIntoView({ block: 'nearest' });
+                        history.replaceState(null, '', '?start=' + index);
+                    };
+
+                    entries.forEach(entry => {
+                        entry.addEventListener('click', () => load(Number(entry.dataset.index)));
+                    });
+
+                    // Advance to the next clip, stop after the last one
+                    player.addEventListener('ended', () => {
+                        if (current + 1 < items.length) {
+                            load(current + 1);
+                        }
+                    });
+
+                    play();
+                })();
+            </script>
+        `
+    }));
+};
+
+module.exports = {
+    listPlaylists,
+    getPlaylist,
+    createPlaylist,
+    updatePlaylist,
+    deletePlaylist,
+    addClip,
+    removeClip,
+    viewPlaylist
+};
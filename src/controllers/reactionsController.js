@@ -0,0 +1,48 @@
+const reactionService = require('../services/reactionService');
+
+const sendReactionError = (res, error, fallbackMessage) => {
+    if (error.status) {
+        return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+
+    console.error(`❌ ${fallbackMessage}:`, error);
+    res.status(500).json({
+        error: fallbackMessage,
+        code: 'REACTION_ERROR',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+};
+
+// GET /api/clips/:videoId/reactions
+const getReactions = (req, res) => {
+    try {
+        res.json(reactionService.getReactions(req.params.videoId, req.user));
+    } catch (error) {
+        sendReactionError(res, error, 'Failed to fetch reactions');
+    }
+};
+
+// PUT /api/clips/:videoId/reactions - body: { reaction: 'like' | <emoji> }
+const setReaction = (req, res) => {
+    try {
+        const reaction = req.body ? req.body.reaction : undefined;
+        res.json({ success: true, ...reactionService.setReaction(req.params.videoId, req.user, reaction) });
+    } catch (error) {
+        sendReactionError(res, error, 'Failed to save reaction');
+    }
+};
+
+// DELETE /api/clips/:videoId/reactions
+const removeReaction = (req, res) => {
+    try {
+        res.json({ success: true, ...reactionService.removeReaction(req.params.videoId, req.user) });
+    } catch (error) {
+        sendReactionError(res, error, 'Failed to remove reaction');
+    }
+};
+
+module.exports = {
+    getReactions,
+    setReaction,
+    removeReaction
+};
@@ -0,0 +1,245 @@
+const shareTokenService = require('../services/shareTokenService');
+const { getViewerHash } = require('../services/analyticsService');
+const { getPlaybackContentType } = require('../services/videoService');
+const { getBaseUrl, getClipTitle, escapeHtml, formatDuration } = require('../utils/helpers');
+const { renderPage, renderNotFoundPage } = require('../views/layout');
+
+// Map service errors (status/code) to JSON responses, anything else is a 500
+const sendShareError = (res, error, fallbackMessage) => {
+    if (error.status) {
+        return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+
+    console.error(`❌ ${fallbackMessage}:`, error);
+    res.status(500).json({
+        error: fallbackMessage,
+        code: 'SHARE_ERROR',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+};
+
+// GET /api/clips/:videoId/shares - the clip's share links with their view counts (owner or admin)
+const listShares = (req, res) => {
+    try {
+        const baseUrl = getBaseUrl(req);
+        const shares = shareTokenService.listShareTokens(req.params.videoId, req.user)
+            .map(shareToken => shareTokenService.toShareTokenResponse(baseUrl, shareToken));
+        res.json({ shares, total: shares.length });
+    } catch (error) {
+        sendShareError(res, error, 'Failed to fetch share links');
+    }
+};
+
+// POST /api/clips/:videoId/shares - body: { label?, expiresIn? (seconds) | expiresAt?, maxViews?, password? }
+const createShare = (req, res) => {
+    try {
+        const shareToken = shareTokenService.createShareToken(req.params.videoId, req.user, req.body || {});
+        res.status(201).json({ success: true, share: shareTokenService.toShareTokenResponse(getBaseUrl(req), shareToken) });
+    } catch (error) {
+        sendShareError(res, error, 'Failed to create share link');
+    }
+};
+
+// DELETE /api/clips/:videoId/shares/:token - revoke one share link
+const revokeShare = (req, res) => {
+    try {
+        const shareToken = shareTokenService.revokeShareToken(req.params.videoId, req.params.token, req.user);
+        res.json({ success: true, share: shareTokenService.toShareTokenResponse(getBaseUrl(req), shareToken) });
+    } catch (error) {
+        sendShareError(res, error, 'Failed to revoke share link');
+    }
+};
+
+const shareStyles = `
+    .share-card {
+        max-width: 480px;
+        margin: 2rem auto;
+        text-align: center;
+    }
+
+    .share-card h1,
+    .share-player h1 {
+        font-size: 1.4rem;
+        font-weight: 700;
+        word-break: break-word;
+        margin-bottom: 0.5rem;
+    }
+
+    .share-meta {
+        color: rgba(255, 255, 255, 0.7);
+        font-size: 0.9rem;
+        margin-bottom: 0.25rem;
+    }
+
+    .share-description {
+        color: rgba(255, 255, 255, 0.85);
+        margin-top: 1rem;
+        white-space: pre-line;
+        word-break: break-word;
+    }
+
+    .share-form {
+        display: flex;
+        flex-direction: column;
+        align-items: center;
+        gap: 1rem;
+        margin-top: 1.5rem;
+    }
+
+    .share-form input {
+        width: 100%;
+        padding: 0.75rem 1rem;
+        border-radius: 8px;
+        border: 1px solid rgba(255, 255, 255, 0.2);
+        background: rgba(0, 0, 0, 0.4);
+        color: #ffffff;
+        font-size: 0.95rem;
+    }
+
+    .share-form .btn {
+        cursor: pointer;
+    }
+
+    .share-error {
+        color: #ff6b6b;
+        font-size: 0.9rem;
+    }
+
+    .share-player video {
+        width: 100%;
+        max-height: 75vh;
+        border-radius: 8px;
+        background: #000000;
+        margin-bottom: 1rem;
+    }
+`;
+
+// Expiry and remaining views, as shown to visitors
+const describeLimits = (shareToken) => {
+    const limits = [];
+    if (shareToken.expiresAt) {
+        limits.push(`Link expires ${new Date(shareToken.expiresAt).toUTCString()}`);
+    }
+    if (shareToken.maxViews !== null) {
+        const remaining = Math.max(shareToken.maxViews - shareToken.views, 0);
+        limits.push(`${remaining} view${remaining === 1 ? '' : 's'} left`);
+    }
+    return limits.join(' · ');
+};
+
+const renderShareUnavailable = (res, error) => {
+    const titles = { SHARE_EXPIRED: 'Link Expired', SHARE_EXHAUSTED: 'View Limit Reached' };
+    res.status(error.status).send(renderNotFoundPage(titles[error.code] || 'Link Not Found', escapeHtml(error.message)));
+};
+
+// Landing card for visitors who haven't opened the link yet. Opening it (POST) spends a view, so
+// link previews (Discord etc.) that only GET the page don't use up views.
+const renderLanding = (req, res, shareToken, videoData, { status = 200, passwordError = false } = {}) => {
+    const baseUrl = getBaseUrl(req);
+    const locked = Boolean(shareToken.passwordHash);
+    // Password-protected links don't reveal anything about the clip until they're unlocked
+    const title = locked ? 'Password-protected clip' : escapeHtml(getClipTitle(videoData));
+    const limits = describeLimits(shareToken);
+    const duration = !locked && videoData.media ? formatDuration(videoData.media.duration) : null;
+
+    res.status(status).send(renderPage({
+        title,
+        head: `
+        <meta name="robots" content="noindex">
+        <meta property="og:title" content="${title}">
+        <meta property="og:type" content="website">
+        <meta property="og:url" content="${baseUrl}/s/${shareToken.token}">
+        <meta property="og:description" content="A clip shared from VillainArc">`,
+        styles: shareStyles,
+        body: `
+            <div class="info-card share-card">
+                <h1>${title}</h1>
+                ${locked ? '' : `<div class="share-meta">Shared by ${escapeHtml(videoData.uploaderUsername || 'Unknown User')}${duration ? ` · ${duration}` : ''}</div>`}
+                ${limits ? `<div class="share-meta">${limits}</div>` : ''}
+                <form class="share-form" method="POST" action="${baseUrl}/s/${shareToken.token}">
+                    ${locked ? '<input type="password" name="password" placeholder="Password" required autofocus autocomplete="off">' : ''}
+                    ${passwordError ? '<div class="share-error">Wrong password, try again.</div>' : ''}
+                    <button type="submit" class="btn">▶ Watch clip</button>
+                </form>
+            </div>
+        `
+    }));
+};
+
+const renderPlayer = (req, res, shareToken, videoData) => {
+    const baseUrl = getBaseUrl(req);
+    const title = escapeHtml(getClipTitle(videoData));
+    const limits = describeLimits(shareToken);
+
+    res.send(renderPage({
+        title,
+        head: '<meta name="robots" content="noindex">',
+        styles: shareStyles,
+        body: `
+            <div class="info-card share-player">
+                <video controls autoplay playsinline preload="metadata">
+                    <source src="${baseUrl}/s/${shareToken.token}/stream" type="${getPlaybackContentType(videoData)}">
+                </video>
+                <h1>${title}</h1>
+                <div class="share-meta">Shared by ${escapeHtml(videoData.uploaderUsername || 'Unknown User')} · ${new Date(videoData.uploadDate).toLocaleDateString()}</div>
+                ${limits ? `<div class="share-meta">${limits}</div>` : ''}
+                ${videoData.description ? `<div class="share-description">${escapeHtml(videoData.description)}</div>` : ''}
+            </div>
+        `
+    }));
+};
+
+// GET /s/:token - the player for visitors holding a grant, the landing card for everyone else
+const viewShare = (req, res) => {
+    const grant = shareTokenService.getShareGrant(req.session, req.params.token);
+
+    let resolved;
+    try {
+        resolved = shareTokenService.resolveShareToken(req.params.token, { allowExhausted: Boolean(grant) });
+    } catch (error) {
+        if (!error.status) throw error;
+        return renderShareUnavailable(res, error);
+    }
+
+    if (grant) {
+        return renderPlayer(req, res, resolved.shareToken, resolved.videoData);
+    }
+    renderLanding(req, res, resolved.shareToken, resolved.videoData);
+};
+
+// POST /s/:token - open the link (checking its password): spends a view and grants this session access
+const openShare = (req, res) => {
+    const { token } = req.params;
+    const baseUrl = getBaseUrl(req);
+
+    // Re-submitting the form shouldn't spend another view
+    if (shareTokenService.getShareGrant(req.session, token)) {
+        return res.redirect(303, `${baseUrl}/s/${token}`);
+    }
+
+    let resolved;
+    try {
+        resolved = shareTokenService.resolveShareToken(token);
+    } catch (error) {
+        if (!error.status) throw error;
+        return renderShareUnavailable(res, error);
+    }
+
+    const { shareToken, videoData } = resolved;
+    if (!shareTokenService.checkSharePassword(shareToken, (req.body || {}).password)) {
+        return renderLanding(req, res, shareToken, videoData, { status: 401, passwordError: true });
+    }
+
+    // The Referer here is our own landing card, so there's no outside referrer to record
+    shareTokenService.recordShareView(shareToken, videoData, { viewer: getViewerHash(req) });
+    shareTokenService.grantShareAccess(req.session, shareToken);
+    res.redirect(303, `${baseUrl}/s/${token}`);
+};
+
+module.exports = {
+    listShares,
+    createShare,
+    revokeShare,
+    viewShare,
+    openShare
+};
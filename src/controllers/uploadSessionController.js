@@ -0,0 +1,119 @@
+const {
+    createUploadSession,
+    stageChunk,
+    getUploadStatus,
+    commitUploadSession,
+    abortUploadSession
+} = require('../services/chunkedUploadService');
+const { finalizeUpload } = require('../services/uploadPipelineService');
+const { broadcastProgress } = require('../routes/upload-progress');
+
+// Map service errors (which carry status/code) onto JSON responses
+const sendUploadError = (res, error, fallbackMessage) => {
+    if (error.status) {
+        return res.status(error.status).json({
+            error: error.message,
+            code: error.code,
+            missingChunks: error.missingChunks
+        });
+    }
+
+    console.error(`❌ ${fallbackMessage}:`, error);
+    res.status(500).json({
+        error: fallbackMessage,
+        code: 'UPLOAD_ERROR',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+};
+
+// Create a resumable upload session
+const createSession = async (req, res) => {
+    try {
+        const session = await createUploadSession(req.user, req.body || {}, req.ip);
+
+        broadcastProgress(session.uploadId, {
+            type: 'start',
+            uploadId: session.uploadId,
+            filename: session.originalName,
+            size: session.size
+        });
+
+        res.status(201).json({
+            success: true,
+            uploadId: session.uploadId,
+            chunkSize: session.chunkSize,
+            totalChunks: session.totalChunks,
+            expiresAt: session.expiresAt,
+            progressUrl: `/api/upload/progress/${session.uploadId}`
+        });
+    } catch (error) {
+        sendUploadError(res, error, 'Failed to create upload session');
+    }
+};
+
+// Upload one numbered chunk (raw request body)
+const uploadChunk = async (req, res) => {
+    const { uploadId, index } = req.params;
+
+    try {
+        const progress = await stageChunk(uploadId, req.user, index, req.body, req.get('Content-MD5'));
+
+        broadcastProgress(uploadId, { type: 'progress', ...progress });
+
+        res.json({ success: true, chunkIndex: parseInt(index, 10), ...progress });
+    } catch (error) {
+        sendUploadError(res, error, 'Failed to upload chunk');
+    }
+};
+
+// Report which chunks the server already has so the client can resume
+const getSessionStatus = async (req, res) => {
+    try {
+        const status = await getUploadStatus(req.params.uploadId, req.user);
+        res.json({ success: true, ...status });
+    } catch (error) {
+        sendUploadError(res, error, 'Failed to get upload status');
+    }
+};
+
+// Commit the staged chunks and run the normal post-upload steps
+const commitSession = async (req, res) => {
+    const { uploadId } = req.params;
+
+    try {
+        broadcastProgress(uploadId, { type: 'processing', uploadId, message: 'Assembling video...' });
+
+        const { videoData, warning } = await commitUploadSession(uploadId, req.user);
+        const result = await finalizeUpload({ uploadId, user: req.user, videoData, warning });
+
+        res.json({ success: true, ...result });
+    } catch (error) {
+        if (!error.status) {
+            broadcastProgress(uploadId, {
+                type: 'error',
+                uploadId,
+                error: 'Upload failed. Please try again.',
+                details: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+        sendUploadError(res, error, 'Failed to complete upload');
+    }
+};
+
+// Abandon an upload session
+const abortSession = (req, res) => {
+    try {
+        abortUploadSession(req.params.uploadId, req.user);
+        res.json({ success: true, message: 'Upload session cancelled' });
+    } catch (error) {
+        sendUploadError(res, error, 'Failed to cancel upload');
+    }
+};
+
+module.exports = {
+    createSession,
+    uploadChunk,
+    getSessionStatus,
+    commitSession,
+    abortSession
+};
@@ -0,0 +1,172 @@
+const { getUserProfile } = require('../services/userProfileService');
+const { parseClipQuery, queryClips, toClipSummary } = require('../services/clipQueryService');
+const { getBaseUrl, escapeHtml, formatFileSize } = require('../utils/helpers');
+const { renderPage, renderNotFoundPage, renderClipGrid } = require('../views/layout');
+
+// One page of a member's clips; query params as /api/clips, with the uploader fixed
+const getProfileClips = (req, userId) => {
+    const filters = parseClipQuery({ ...req.query, uploader: userId });
+    const { items, total, nextCursor } = queryClips(filters, req.user);
+    const baseUrl = getBaseUrl(req);
+
+    return {
+        clips: items.map(({ videoId, videoData }) => toClipSummary(baseUrl, videoId, videoData)),
+        total,
+        nextCursor
+    };
+};
+
+// GET /api/users/:userId/clips
+const getUserClips = (req, res) => {
+    try {
+        const profile = getUserProfile(req.params.userId, req.user);
+        if (!profile) {
+            return res.status(404).json({ error: 'User not found', code: 'USER_NOT_FOUND' });
+        }
+
+        const { clips, total, nextCursor } = getProfileClips(req, profile.id);
+
+        res.json({
+            user: profile,
+            clips,
+            total,
+            nextCursor,
+            hasMore: nextCursor !== null
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message, code: error.code });
+        }
+        console.error('Error fetching user clips:', error);
+        res.status(500).json({ error: 'Failed to fetch user clips' });
+    }
+};
+
+const profileStyles = `
+    .profile-card {
+        display: flex;
+        align-items: center;
+        gap: 1.5rem;
+        flex-wrap: wrap;
+    }
+
+    .profile-avatar {
+        width: 96px;
+        height: 96px;
+        border-radius: 50%;
+        border: 3px solid rgba(88, 101, 242, 0.6);
+        object-fit: cover;
+    }
+
+    .profile-name {
+        font-size: 1.75rem;
+        font-weight: 700;
+        margin-bottom: 0.25rem;
+        word-break: break-word;
+    }
+
+    .profile-joined {
+        color: rgba(255, 255, 255, 0.7);
+        font-size: 0.9rem;
+    }
+
+    .profile-stats {
+        display: flex;
+        gap: 2rem;
+        margin-left: auto;
+    }
+
+    .profile-stat {
+        display: flex;
+        flex-direction: column;
+        align-items: center;
+    }
+
+    .profile-stat-value {
+        font-size: 1.5rem;
+        font-weight: 700;
+    }
+
+    .profile-stat-label {
+        font-size: 0.8rem;
+        color: rgba(255, 255, 255, 0.7);
+        text-transform: uppercase;
+        letter-spacing: 0.5px;
+    }
+
+    @media (max-width: 768px) {
+        .profile-stats {
+            margin-left: 0;
+            width: 100%;
+            justify-content: space-around;
+        }
+    }
+`;
+
+// GET /u/:userId - public uploader profile page
+const viewProfile = (req, res) => {
+    const profile = getUserProfile(req.params.userId, req.user);
+    if (!profile) {
+        return res.status(404).send(renderNotFoundPage('User Not Found', 'This member hasn\'t uploaded any clips yet.'));
+    }
+
+    let page;
+    try {
+        page = getProfileClips(req, profile.id);
+    } catch (error) {
+        if (!error.status) throw error;
+        return res.status(error.status).send(renderNotFoundPage('Invalid Request', escapeHtml(error.message)));
+    }
+
+    const username = escapeHtml(profile.username);
+    const profileUrl = `${getBaseUrl(req)}/u/${encodeURIComponent(profile.id)}`;
+    const sort = req.query.sort ? `&sort=${encodeURIComponent(req.query.sort)}` : '';
+
+    res.send(renderPage({
+        title: `${username}'s Clips`,
+        head: `
+        <meta property="og:title" content="${username}'s Clips">
+        <meta property="og:type" content="profile">
+        <meta property="og:url" content="${profileUrl}">
+        <meta property="og:description" content="${profile.clipCount} clips · ${profile.totalViews} views on VillainArc">
+        <meta property="og:image" content="${profile.avatar}">`,
+        styles: profileStyles,
+        body: `
+            <div class="info-card profile-card">
+                <img class="profile-avatar" src="${profile.avatar}" alt="${username}">
+                <div>
+                    <h1 class="profile-name">${username}</h1>
+                    <p class="profile-joined">${profile.joinDate ? `Member since ${new Date(profile.joinDate).toLocaleDateString()}` : 'VillainArc member'}</p>
+                </div>
+                <div class="profile-stats">
+                    <div class="profile-stat">
+                        <span class="profile-stat-value">${profile.clipCount}</span>
+                        <span class="profile-stat-label">Clips</span>
+                    </div>
+                    <div class="profile-stat">
+                        <span class="profile-stat-value">${profile.totalViews}</span>
+                        <span class="profile-stat-label">Total Views</span>
+                    </div>
+                    <div class="profile-stat">
+                        <span class="profile-stat-value">${formatFileSize(profile.totalSize)}</span>
+                        <span class="profile-stat-label">Uploaded</span>
+                    </div>
+                </div>
+            </div>
+
+            <div class="info-card">
+                <div class="card-title">Clips (${page.total})</div>
+                ${renderClipGrid(page.clips, `${username} hasn't uploaded any clips yet.`)}
+                ${page.nextCursor ? `
+                <div class="pagination">
+                    <a class="btn" href="${profileUrl}?cursor=${encodeURIComponent(page.nextCursor)}${sort}">More clips →</a>
+                </div>` : ''}
+            </div>
+        `
+    }));
+};
+
+module.exports = {
+    getUserClips,
+    viewProfile
+};
@@ -1,9 +1,25 @@
-const { uploadVideoToAzure, generateStreamUrl, getVideoProperties } = require('../services/videoService');
-const { sendDiscordWebhook } = require('../services/discordService');
-const { recordUpload } = require('../middleware/auth');
-const { getBaseUrl } = require('../utils/helpers');
+const {
+    uploadVideoToAzure,
+    generateStreamUrl,
+    getVideoProperties,
+    downloadVideoBlob,
+    downloadVideoAsset,
+    getPlaybackContentType
+} = require('../services/videoService');
+const { finalizeUpload } = require('../services/uploadPipelineService');
+const { parseClipDetails } = require('../utils/clipDetails');
+const { listComments } = require('../services/commentService');
+const { getReactions } = require('../services/reactionService');
+const { classifySource, getViewerHash, addUniqueViewer, claimEmbedView, recordEvent } = require('../services/analyticsService');
+const { getClipVisibility, canViewClip } = require('../services/clipAccessService');
+const { resolveShareToken, recordShareView, getShareGrant } = require('../services/shareTokenService');
+const { commentStyles, renderCommentSection } = require('../views/comments');
+const { reactionStyles, renderReactionBar } = require('../views/reactions');
+const { renderPage, renderNotFoundPage } = require('../views/layout');
+const { getBaseUrl, getClipImageUrls, getClipTitle, escapeHtml, formatDuration, parseRangeHeader, etagMatches } = require('../utils/helpers');
+const config = require('../config');
 const { videoStore } = require('../config/database');
-const { broadcastProgress, completeUpload } = require('../routes/upload-progress');
+const { broadcastProgress } = require('../routes/upload-progress');
 const crypto = require('crypto');
 
 // Upload video with real-time progress
@@ -13,6 +29,14 @@ const uploadVideo = async (req, res) => {
             return res.status(400).json({ error: 'No video file provided' });
         }
 
+        // Optional title/description/tags sent as multipart fields alongside the file
+        let details;
+        try {
+            details = parseClipDetails(req.body);
+        } catch (validationError) {
+            return res.status(validationError.status).json({ error: validationError.message, code: validationError.code });
+        }
+
         // Generate upload ID for progress tracking
         const uploadId = crypto.randomBytes(16).toString('hex');
         
@@ -25,7 +49,7 @@ const uploadVideo = async (req, res) => {
         });
 
         // Start the upload process asynchronously
-        uploadVideoAsync(req.file, req.user, req.ip, uploadId);
+        uploadVideoAsync(req.file, req.user, req.ip, uploadId, details);
         
     } catch (error) {
         console.error('Upload error:', error);
@@ -37,7 +61,7 @@ const uploadVideo = async (req, res) => {
 };
 
 // Async upload function with progress tracking
-const uploadVideoAsync = async (file, user, ip, uploadId) => {
+const uploadVideoAsync = async (file, user, ip, uploadId, details) => {
     try {
         // Progress callback function
         const progressCallback = (progressData) => {
@@ -52,51 +76,11 @@ const uploadVideoAsync = async (file, user, ip, uploadId) => {
             size: file.size
         });
 
-        const result = await uploadVideoToAzure(file, user, ip, progressCallback);
-        const { videoId, videoData, warning } = result;
-        
-        const baseUrl = process.env.NODE_ENV === 'production' 
-            ? 'https://va-expressupload.onrender.com'
-            : 'http://localhost:8000';
-            
-        const shareLink = `${baseUrl}/v/${videoId}`;
-        const downloadLink = `${baseUrl}/download/${videoId}`;
-        const previewUrl = videoData.blobUrl;
+        const { videoData, warning } = await uploadVideoToAzure(file, user, ip, progressCallback, details);
 
-        // Send Discord webhook (if configured)
-        try {
-            await sendDiscordWebhook(shareLink, videoData);
-        } catch (webhookError) {
-            console.error('Discord webhook failed:', webhookError.message);
-        }
+        // Webhook, quota bookkeeping and SSE completion
+        await finalizeUpload({ uploadId, user, videoData, warning });
 
-        // Record upload for user quota tracking
-        const uploadRecord = {
-            ...videoData,
-            shareLink,
-            downloadLink,
-            previewUrl
-        };
-        recordUpload(user.id, uploadRecord);
-        
-        // Complete the upload and notify clients
-        completeUpload(uploadId, {
-            id: videoId,
-            shareLink,
-            downloadUrl: downloadLink,
-            previewUrl,
-            filename: videoData.originalName,
-            size: videoData.size,
-            contentType: videoData.contentType,
-            fileFormat: videoData.fileFormat,
-            warning,
-            user: {
-                username: user.username,
-                quotaUsed: user.quotaUsed + file.size,
-                quotaRemaining: user.quotaRemaining - file.size
-            }
-        });
-        
     } catch (error) {
         console.error('Async upload error:', error);
         
@@ -120,61 +104,239 @@ const uploadVideoAsync = async (file, user, ip, uploadId) => {
     }
 };
                 
-// Stream video (redirect to SAS URL like the working server)
+// CORS headers shared by every /stream response (OPTIONS, HEAD and GET)
+const setStreamCorsHeaders = (res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, HEAD, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Range, If-Range, If-None-Match, If-Modified-Since, Accept-Encoding, Accept-Ranges, Content-Type');
+    res.setHeader('Access-Control-Expose-Headers', 'Content-Range, Accept-Ranges, Content-Length, Content-Type, ETag, Last-Modified');
+};
+
+// Shared caches (CDNs, proxies) may only keep clips anyone can open
+const getCacheScope = (videoData) => {
+    const isOpen = videoData && !videoData.takedown && ['public', 'unlisted'].includes(getClipVisibility(videoData));
+    return isOpen ? 'public' : 'private';
+};
+
+// Headers describing the video resource itself (shared by HEAD and proxied GET)
+const setVideoEntityHeaders = (res, properties, videoData) => {
+    res.setHeader('Content-Type', properties.contentType);
+    res.setHeader('Accept-Ranges', 'bytes');
+    res.setHeader('Cache-Control', `${getCacheScope(videoData)}, max-age=3600`);
+    if (properties.etag) {
+        res.setHeader('ETag', properties.etag);
+    }
+    if (properties.lastModified) {
+        res.setHeader('Last-Modified', new Date(properties.lastModified).toUTCString());
+    }
+};
+
+// Whether the client's cached copy is still current (If-None-Match wins over If-Modified-Since)
+const isNotModified = (req, properties) => {
+    const ifNoneMatch = req.get('If-None-Match');
+    if (ifNoneMatch) {
+        return etagMatches(ifNoneMatch, properties.etag);
+    }
+
+    const ifModifiedSince = req.get('If-Modified-Since');
+    if (ifModifiedSince && properties.lastModified) {
+        const since = new Date(ifModifiedSince).getTime();
+        // HTTP dates have second precision
+        return !isNaN(since) && Math.floor(new Date(properties.lastModified).getTime() / 1000) * 1000 <= since;
+    }
+
+    return false;
+};
+
+// If-Range: only honour Range when the validator still matches the current version
+const isRangeValid = (req, properties) => {
+    const ifRange = req.get('If-Range');
+    if (!ifRange) return true;
+
+    if (ifRange.startsWith('"') || ifRange.startsWith('W/')) {
+        // Strong comparison required - weak ETags never match
+        return !ifRange.startsWith('W/') && ifRange === properties.etag;
+    }
+
+    const date = new Date(ifRange).getTime();
+    return !isNaN(date) && !!properties.lastModified &&
+        Math.floor(new Date(properties.lastModified).getTime() / 1000) * 1000 <= date;
+};
+
+// Serve the blob through this server with Range/conditional request support.
+// `playable` selects the web rendition when one exists (playback), otherwise the original (downloads).
+// `onServe` runs once the request is known to get bytes (not a 304 or 416).
+const proxyVideoStream = async (req, res, videoId, { disposition, playable = false, onServe } = {}) => {
+    const properties = await getVideoProperties(videoId, { playable });
+    const size = properties.contentLength;
+
+    setStreamCorsHeaders(res);
+    setVideoEntityHeaders(res, properties, videoStore.get(videoId));
+    if (disposition) {
+        res.setHeader('Content-Disposition', disposition);
+    }
+
+    if (isNotModified(req, properties)) {
+        return res.status(304).end();
+    }
+
+    const range = isRangeValid(req, properties) ? parseRangeHeader(req.get('Range'), size) : null;
+
+    if (range && range.unsatisfiable) {
+        res.setHeader('Content-Range', `bytes */${size}`);
+        return res.status(416).end();
+    }
+
+    if (onServe) {
+        onServe();
+    }
+
+    let blobStream;
+    if (range) {
+        res.status(206);
+        res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+        res.setHeader('Content-Length', range.end - range.start + 1);
+        blobStream = await downloadVideoBlob(videoId, range.start, range.end, { playable });
+    } else {
+        res.status(200);
+        res.setHeader('Content-Length', size);
+        blobStream = await downloadVideoBlob(videoId, null, null, { playable });
+    }
+
+    // Stop pulling from Azure when the player seeks away or closes the tab
+    res.on('close', () => blobStream.destroy());
+    blobStream.on('error', (error) => {
+        console.error(`❌ Blob stream error for ${videoId}:`, error.message);
+        res.destroy(error);
+    });
+    blobStream.pipe(res);
+};
+
+// The clip record, if it exists and this request may see it - clips hidden by their visibility
+// get the same 404 as missing ones so their existence isn't revealed
+const getViewableVideo = (req) => {
+    const videoData = videoStore.get(req.params.videoId);
+    return videoData && typeof videoData === 'object' && canViewClip(videoData, req.user) ? videoData : null;
+};
+
+// Redirect to a SAS URL (expiring no later than `expiresOn`), or proxy the bytes when STREAM_MODE=proxy.
+// Prefers the transcoded web rendition when one exists.
+const sendVideoStream = async (req, res, videoId, { expiresOn } = {}) => {
+    if (config.streaming.mode === 'proxy') {
+        return await proxyVideoStream(req, res, videoId, { playable: true });
+    }
+
+    // Generate a SAS URL for direct streaming (like the working server)
+    const streamUrl = await generateStreamUrl(videoId, { playable: true, expiresOn });
+    
+    console.log(`🎬 Redirecting to SAS URL for ${videoId}`);
+    
+    // Redirect to the SAS URL for direct Azure streaming
+    res.redirect(streamUrl);
+};
+
+const handleStreamError = (res, error) => {
+    console.error('❌ Video streaming error:', error);
+
+    if (res.headersSent) {
+        return res.destroy();
+    }
+    
+    if (error.message.includes('Video not found') || error.message.includes('not found in storage')) {
+        return res.status(404).json({ error: 'Video not found' });
+    }
+    
+    res.status(500).json({ 
+        error: 'Video streaming failed',
+        details: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+};
+
+// Stream video (clips hidden from this viewer 404)
 const streamVideo = async (req, res) => {
     const { videoId } = req.params;
-    const videoData = videoStore.get(videoId);
+    const videoData = getViewableVideo(req);
     
     if (!videoData) {
         return res.status(404).json({ error: 'Video not found' });
     }
     
     try {
-        const { generateStreamUrl } = require('../services/videoService');
-        
-        // Generate a SAS URL for direct streaming (like the working server)
-        const streamUrl = await generateStreamUrl(videoId);
-        
-        console.log(`🎬 Redirecting to SAS URL for ${videoId}`);
-        
-        // Redirect to the SAS URL for direct Azure streaming
-        res.redirect(streamUrl);
-        
+        // Our own pages report plays through /api/analytics/view - count the first request of
+        // playback started anywhere else (Discord embeds, pasted links) as an embed view, once per
+        // viewer in a while so unfurl fetches and players re-requesting the start don't inflate it
+        const range = req.headers.range;
+        const viewer = !classifySource(req) && (!range || /^bytes=0-/.test(range)) ? getViewerHash(req) : null;
+        if (viewer && claimEmbedView(videoId, viewer)) {
+            videoData.views = (videoData.views || 0) + 1;
+            videoData.lastViewed = new Date().toISOString();
+            addUniqueViewer(videoData, viewer);
+            videoStore.set(videoId, videoData);
+            recordEvent(videoId, 'view', { source: 'embed', referrer: req.get('referer'), viewer });
+        }
+
+        await sendVideoStream(req, res, videoId);
     } catch (error) {
-        console.error('❌ Video streaming error:', error);
-        
-        if (error.message.includes('Video not found')) {
-            return res.status(404).json({ error: 'Video not found' });
+        handleStreamError(res, error);
+    }
+};
+
+// Stream a clip through a share link (/s/:token/stream), whatever the clip's visibility.
+// Visitors who opened the /s/ page already spent a view. Password-protected and view-limited links
+// can only be streamed that way; on other links, anyone else's view is counted when playback starts.
+const streamSharedVideo = async (req, res) => {
+    const grant = getShareGrant(req.session, req.params.token);
+    const range = req.headers.range;
+    const startsPlayback = !range || /^bytes=0-/.test(range);
+
+    let shareToken;
+    let videoData;
+    try {
+        ({ shareToken, videoData } = resolveShareToken(req.params.token, { allowExhausted: Boolean(grant) }));
+    } catch (error) {
+        if (!error.status) throw error;
+        return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+
+    if (!grant && shareToken.passwordHash) {
+        return res.status(401).json({ error: 'Open the share link and enter its password first', code: 'SHARE_PASSWORD_REQUIRED' });
+    }
+    if (!grant && shareToken.maxViews !== null) {
+        return res.status(401).json({ error: 'Open the share link first', code: 'SHARE_OPEN_REQUIRED' });
+    }
+
+    try {
+        if (!grant && startsPlayback) {
+            recordShareView(shareToken, videoData, { viewer: getViewerHash(req), referrer: req.get('referer') });
         }
-        
-        res.status(500).json({ 
-            error: 'Video streaming failed',
-            details: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
-        });
+
+        await sendVideoStream(req, res, shareToken.videoId, { expiresOn: grant || shareToken.expiresAt });
+    } catch (error) {
+        handleStreamError(res, error);
     }
 };
 
 // Get video properties for HEAD requests
 const getVideoHead = async (req, res) => {
     const { videoId } = req.params;
-    const videoData = videoStore.get(videoId);
+    const videoData = getViewableVideo(req);
+
+    setStreamCorsHeaders(res);
 
     if (!videoData) {
         return res.status(404).end();
     }
 
     try {
-        const properties = await getVideoProperties(videoId);
+        const properties = await getVideoProperties(videoId, { playable: true });
         
         // Set all required headers for video streaming
-        res.setHeader('Content-Type', properties.contentType);
-        res.setHeader('Accept-Ranges', 'bytes');
+        setVideoEntityHeaders(res, properties, videoData);
         res.setHeader('Content-Length', properties.contentLength);
-        res.setHeader('Access-Control-Allow-Origin', '*');
-        res.setHeader('Access-Control-Allow-Methods', 'GET, HEAD, OPTIONS');
-        res.setHeader('Access-Control-Allow-Headers', 'Range, Accept-Encoding, Accept-Ranges, Content-Type');
-        res.setHeader('Access-Control-Expose-Headers', 'Content-Range, Accept-Ranges, Content-Length, Content-Type');
-        res.setHeader('Cache-Control', 'public, max-age=3600');
+
+        if (isNotModified(req, properties)) {
+            return res.status(304).end();
+        }
         
         res.status(200).end();
     } catch (error) {
@@ -185,70 +347,241 @@ const getVideoHead = async (req, res) => {
 
 // Handle CORS preflight requests
 const handleCorsOptions = (req, res) => {
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, HEAD, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Range, Accept-Encoding, Accept-Ranges, Content-Type');
+    setStreamCorsHeaders(res);
     res.setHeader('Access-Control-Max-Age', '86400'); // 24 hours
     res.status(200).end();
 };
 
+// Serve a generated image (poster thumbnail or animated preview) through this server,
+// so embeds get a stable URL that never expires
+const sendVideoAsset = async (req, res, asset) => {
+    const { videoId } = req.params;
+    const videoData = getViewableVideo(req);
+
+    if (!videoData || !videoData[asset]) {
+        return res.status(404).json({ error: 'Image not found' });
+    }
+
+    try {
+        const image = await downloadVideoAsset(videoId, asset);
+
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Cache-Control', `${getCacheScope(videoData)}, max-age=86400`);
+        if (image.etag) {
+            res.setHeader('ETag', image.etag);
+        }
+
+        if (etagMatches(req.get('If-None-Match'), image.etag)) {
+            image.stream.destroy();
+            return res.status(304).end();
+        }
+
+        res.setHeader('Content-Type', image.contentType);
+        if (image.contentLength) {
+            res.setHeader('Content-Length', image.contentLength);
+        }
+        image.stream.on('error', (error) => res.destroy(error));
+        image.stream.pipe(res);
+    } catch (error) {
+        console.error(`❌ Failed to serve ${asset} for ${videoId}:`, error.message);
+        res.status(error.statusCode === 404 ? 404 : 500).json({ error: 'Failed to load image' });
+    }
+};
+
+const getThumbnail = (req, res) => sendVideoAsset(req, res, 'thumbnail');
+const getPreview = (req, res) => sendVideoAsset(req, res, 'preview');
+
+// /v/ page styles on top of the shared layout (views/layout.js)
+const videoPageStyles = `
+    .main-content {
+        max-width: 1000px;
+    }
+
+    .video-container {
+        background: rgba(0, 0, 0, 0.3);
+        backdrop-filter: blur(12px);
+        border: 1px solid rgba(255, 255, 255, 0.1);
+        border-radius: 12px;
+        padding: 1.5rem;
+        margin-bottom: 1.5rem;
+    }
+
+    .video-title {
+        font-size: 1.5rem;
+        font-weight: 600;
+        color: #ffffff;
+        margin-bottom: 1rem;
+        word-break: break-word;
+    }
+
+    .clip-details {
+        margin-top: 1rem;
+    }
+
+    .clip-description {
+        color: rgba(255, 255, 255, 0.8);
+        line-height: 1.6;
+        white-space: pre-wrap;
+        word-break: break-word;
+    }
+
+    .clip-tags {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 0.5rem;
+        margin-top: 0.75rem;
+    }
+
+    .clip-tag {
+        background: rgba(127, 0, 255, 0.2);
+        border: 1px solid rgba(127, 0, 255, 0.4);
+        border-radius: 999px;
+        padding: 0.2rem 0.75rem;
+        font-size: 0.8rem;
+        color: #d6b3ff;
+    }
+
+    video {
+        width: 100%;
+        max-width: 100%;
+        height: auto;
+        border-radius: 8px;
+        background: #000000;
+    }
+
+    /* Video Info Cards */
+    .info-grid {
+        display: grid;
+        grid-template-columns: repeat(auto-fit, minmax(280px, 1fr));
+        gap: 1rem;
+        margin-bottom: 1.5rem;
+    }
+
+    .info-grid .info-card {
+        margin-bottom: 0;
+    }
+
+    .uploader-info {
+        display: flex;
+        align-items: center;
+        gap: 0.75rem;
+    }
+
+    .uploader-avatar {
+        width: 48px;
+        height: 48px;
+        border-radius: 50%;
+        border: 2px solid rgba(255, 255, 255, 0.2);
+        overflow: hidden;
+    }
+
+    .uploader-avatar img {
+        width: 100%;
+        height: 100%;
+        object-fit: cover;
+    }
+
+    .uploader-details h3 {
+        font-size: 1.1rem;
+        font-weight: 600;
+        color: #ffffff;
+        margin-bottom: 0.25rem;
+    }
+
+    .uploader-details p {
+        font-size: 0.85rem;
+        color: rgba(255, 255, 255, 0.7);
+    }
+
+    .file-stats {
+        display: flex;
+        flex-direction: column;
+        gap: 0.5rem;
+    }
+
+    .stat-item {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+    }
+
+    .stat-label {
+        font-size: 0.9rem;
+        color: rgba(255, 255, 255, 0.7);
+    }
+
+    .stat-value {
+        font-size: 0.9rem;
+        font-weight: 600;
+        color: #ffffff;
+    }
+
+    /* Actions */
+    .actions {
+        display: flex;
+        gap: 1rem;
+        flex-wrap: wrap;
+    }
+
+    .btn {
+        transition: all 0.3s ease;
+        cursor: pointer;
+    }
+
+    .btn:hover {
+        background: linear-gradient(135deg, #4752c4, #3b41a3);
+        transform: translateY(-2px);
+        box-shadow: 0 6px 25px rgba(88, 101, 242, 0.5);
+    }
+
+    .btn-secondary {
+        background: rgba(255, 255, 255, 0.1);
+        box-shadow: none;
+        border: 1px solid rgba(255, 255, 255, 0.2);
+    }
+
+    .btn-secondary:hover {
+        background: rgba(255, 255, 255, 0.2);
+        box-shadow: 0 4px 15px rgba(255, 255, 255, 0.1);
+    }
+
+    /* Mobile Responsive */
+    @media (max-width: 768px) {
+        .video-container {
+            padding: 1rem;
+        }
+
+        .video-title {
+            font-size: 1.2rem;
+        }
+
+        .info-grid {
+            grid-template-columns: 1fr;
+            gap: 1rem;
+        }
+
+        .actions {
+            flex-direction: column;
+        }
+
+        .btn {
+            justify-content: center;
+            width: 100%;
+        }
+    }
+    ${commentStyles}
+    ${reactionStyles}
+`;
+
 // View video (embed/share page)
 const viewVideo = (req, res) => {
     const { videoId } = req.params;
     
-    // Check if video exists
-    const videoData = videoStore.get(videoId);
+    // Check if video exists (and is visible to this viewer)
+    const videoData = getViewableVideo(req);
     if (!videoData) {
-        return res.status(404).send(`
-            <!DOCTYPE html>
-            <html>
-            <head>
-                <title>Video Not Found - VillainArc</title>
-                <meta charset="UTF-8">
-                <meta name="viewport" content="width=device-width, initial-scale=1.0">
-                <style>
-                    * { margin: 0; padding: 0; box-sizing: border-box; }
-                    body { 
-                        font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; 
-                        background: linear-gradient(135deg, #1a1a1a 0%, #2d2d2d 50%, #1a1a1a 100%);
-                        color: #fff; 
-                        min-height: 100vh;
-                        display: flex;
-                        align-items: center;
-                        justify-content: center;
-                    }
-                    .error-container {
-                        text-align: center;
-                        padding: 2rem;
-                        background: rgba(255, 255, 255, 0.05);
-                        border-radius: 12px;
-                        border: 1px solid rgba(255, 255, 255, 0.1);
-                        backdrop-filter: blur(10px);
-                    }
-                    .error { color: #ff6b6b; font-size: 2rem; margin-bottom: 1rem; }
-                    .back-link { 
-                        color: #5865f2; 
-                        text-decoration: none; 
-                        font-weight: 600;
-                        padding: 0.8rem 2rem;
-                        background: linear-gradient(135deg, #5865f2 0%, #4f46e5 100%);
-                        border-radius: 8px;
-                        display: inline-block;
-                        margin-top: 1rem;
-                        transition: all 0.3s ease;
-                    }
-                    .back-link:hover { transform: translateY(-2px); }
-                </style>
-            </head>
-            <body>
-                <div class="error-container">
-                    <h1 class="error">Video Not Found</h1>
-                    <p>The video you're looking for doesn't exist or has been removed.</p>
-                    <a href="${process.env.FRONTEND_URL || '/'}" class="back-link">Go back to upload</a>
-                </div>
-            </body>
-            </html>
-        `);
+        const loginHint = req.user ? '' : '<br>If it was shared with the guild, <a href="/auth/discord" style="color: #5865f2;">log in with Discord</a> to watch it.';
+        return res.status(404).send(renderNotFoundPage('Video Not Found', `The video you're looking for doesn't exist or has been removed.${loginHint}`));
     }
 
     const baseUrl = getBaseUrl(req);
@@ -302,426 +635,171 @@ const viewVideo = (req, res) => {
     }
 
     const avatarUrl = getDiscordAvatarUrl(uploaderUser);
+    const { thumbnailUrl } = getClipImageUrls(baseUrl, videoData);
 
-    res.send(`
-        <!DOCTYPE html>
-        <html>
-        <head>
-            <title>${videoData.originalName} - VillainArc</title>
-            <meta charset="UTF-8">
-            <meta name="viewport" content="width=device-width, initial-scale=1.0">
-            <meta property="og:title" content="${videoData.originalName}">
-            <meta property="og:type" content="video.other">
-            <meta property="og:video" content="${videoUrl}">
-            <meta property="og:video:secure_url" content="${videoUrl}">
-            <meta property="og:video:type" content="${videoData.contentType}">
-            <meta property="twitter:card" content="player">
-            <meta property="twitter:player" content="${req.protocol}://${req.get('host')}/v/${videoId}">
-            <link href="https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&display=swap" rel="stylesheet">
-            <style>
-                * {
-                    margin: 0;
-                    padding: 0;
-                    box-sizing: border-box;
-                }
-                
-                body {
-                    font-family: 'Inter', sans-serif;
-                    background: linear-gradient(135deg, #1a1a1a 0%, #2d2d2d 50%, #1a1a1a 100%);
-                    color: #ffffff;
-                    min-height: 100vh;
-                    -webkit-font-smoothing: antialiased;
-                    -moz-osx-font-smoothing: grayscale;
-                }
-                
-                /* Scrollbar */
-                ::-webkit-scrollbar {
-                    width: 6px;
-                    background: #1a1a1a;
-                }
-                
-                ::-webkit-scrollbar-thumb {
-                    background: #333333;
-                    border-radius: 3px;
-                }
-                
-                ::-webkit-scrollbar-thumb:hover {
-                    background: #444444;
-                }
-                
-                /* Header */
-                .header {
-                    background: rgba(0, 0, 0, 0.6);
-                    backdrop-filter: blur(12px);
-                    border-bottom: 1px solid rgba(255, 255, 255, 0.15);
-                    padding: 1rem 0;
-                    position: sticky;
-                    top: 0;
-                    z-index: 100;
-                }
-                
-                .header-content {
-                    max-width: 1200px;
-                    margin: 0 auto;
-                    padding: 0 2rem;
-                    display: flex;
-                    justify-content: space-between;
-                    align-items: center;
-                }
-                
-                .logo {
-                    display: flex;
-                    align-items: center;
-                    gap: 0.5rem;
-                }
-                
-                .logo-image {
-                    width: 40px;
-                    height: 40px;
-                    background: linear-gradient(135deg, #5865f2 0%, #4f46e5 100%);
-                    border-radius: 8px;
-                    display: flex;
-                    align-items: center;
-                    justify-content: center;
-                    font-weight: 700;
-                    font-size: 1rem;
-                    color: white;
-                }
-                
-                .logo-text {
-                    font-size: 1.2rem;
-                    font-weight: 600;
-                    color: #ffffff;
-                }
-                
-                .back-btn {
-                    background: rgba(255, 255, 255, 0.1);
-                    border: 1px solid rgba(255, 255, 255, 0.2);
-                    color: white;
-                    padding: 0.5rem 1rem;
-                    border-radius: 6px;
-                    cursor: pointer;
-                    transition: all 0.3s ease;
-                    display: flex;
-                    align-items: center;
-                    gap: 0.5rem;
-                    font-weight: 500;
-                    text-decoration: none;
-                    font-size: 0.9rem;
-                }
-                
-                .back-btn:hover {
-                    background: rgba(255, 255, 255, 0.2);
-                    transform: translateY(-1px);
-                }
-                
-                /* Main Content */
-                .main-content {
-                    max-width: 1000px;
-                    margin: 0 auto;
-                    padding: 2rem;
-                }
-                
-                .video-container {
-                    background: rgba(0, 0, 0, 0.3);
-                    backdrop-filter: blur(12px);
-                    border: 1px solid rgba(255, 255, 255, 0.1);
-                    border-radius: 12px;
-                    padding: 1.5rem;
-                    margin-bottom: 1.5rem;
-                }
-                
-                .video-title {
-                    font-size: 1.5rem;
-                    font-weight: 600;
-                    color: #ffffff;
-                    margin-bottom: 1rem;
-                    word-break: break-word;
-                }
-                
-                video {
-                    width: 100%;
-                    max-width: 100%;
-                    height: auto;
-                    border-radius: 8px;
-                    background: #000000;
-                }
-                
-                /* Video Info Cards */
-                .info-grid {
-                    display: grid;
-                    grid-template-columns: repeat(auto-fit, minmax(280px, 1fr));
-                    gap: 1rem;
-                    margin-bottom: 1.5rem;
-                }
-                
-                .info-card {
-                    background: rgba(0, 0, 0, 0.3);
-                    backdrop-filter: blur(12px);
-                    border: 1px solid rgba(255, 255, 255, 0.1);
-                    border-radius: 12px;
-                    padding: 1.5rem;
-                }
-                
-                .card-title {
-                    font-size: 0.9rem;
-                    font-weight: 500;
-                    color: rgba(255, 255, 255, 0.7);
-                    margin-bottom: 0.75rem;
-                    text-transform: uppercase;
-                    letter-spacing: 0.5px;
-                }
-                
-                .uploader-info {
-                    display: flex;
-                    align-items: center;
-                    gap: 0.75rem;
-                }
-                
-                .uploader-avatar {
-                    width: 48px;
-                    height: 48px;
-                    border-radius: 50%;
-                    border: 2px solid rgba(255, 255, 255, 0.2);
-                    overflow: hidden;
-                }
-                
-                .uploader-avatar img {
-                    width: 100%;
-                    height: 100%;
-                    object-fit: cover;
-                }
-                
-                .uploader-details h3 {
-                    font-size: 1.1rem;
-                    font-weight: 600;
-                    color: #ffffff;
-                    margin-bottom: 0.25rem;
-                }
-                
-                .uploader-details p {
-                    font-size: 0.85rem;
-                    color: rgba(255, 255, 255, 0.7);
-                }
-                
-                .file-stats {
-                    display: flex;
-                    flex-direction: column;
-                    gap: 0.5rem;
-                }
-                
-                .stat-item {
-                    display: flex;
-                    justify-content: space-between;
-                    align-items: center;
-                }
-                
-                .stat-label {
-                    font-size: 0.9rem;
-                    color: rgba(255, 255, 255, 0.7);
-                }
-                
-                .stat-value {
-                    font-size: 0.9rem;
-                    font-weight: 600;
-                    color: #ffffff;
-                }
-                
-                /* Actions */
-                .actions {
-                    display: flex;
-                    gap: 1rem;
-                    flex-wrap: wrap;
-                }
-                
-                .btn {
-                    background: linear-gradient(135deg, #5865f2, #4752c4);
-                    color: white;
-                    padding: 0.75rem 2rem;
-                    border: none;
-                    border-radius: 50px;
-                    text-decoration: none;
-                    font-weight: 600;
-                    font-size: 0.9rem;
-                    transition: all 0.3s ease;
-                    display: inline-flex;
-                    align-items: center;
-                    gap: 0.5rem;
-                    box-shadow: 0 4px 20px rgba(88, 101, 242, 0.4);
-                    cursor: pointer;
-                }
-                
-                .btn:hover {
-                    background: linear-gradient(135deg, #4752c4, #3b41a3);
-                    transform: translateY(-2px);
-                    box-shadow: 0 6px 25px rgba(88, 101, 242, 0.5);
-                }
-                
-                .btn-secondary {
-                    background: rgba(255, 255, 255, 0.1);
-                    box-shadow: none;
-                    border: 1px solid rgba(255, 255, 255, 0.2);
-                }
-                
-                .btn-secondary:hover {
-                    background: rgba(255, 255, 255, 0.2);
-                    box-shadow: 0 4px 15px rgba(255, 255, 255, 0.1);
-                }
-                
-                /* Mobile Responsive */
-                @media (max-width: 768px) {
-                    .main-content {
-                        padding: 1rem;
-                    }
-                    
-                    .header-content {
-                        padding: 0 1rem;
-                    }
-                    
-                    .video-container {
-                        padding: 1rem;
-                    }
-                    
-                    .video-title {
-                        font-size: 1.2rem;
-                    }
-                    
-                    .info-grid {
-                        grid-template-columns: 1fr;
-                        gap: 1rem;
-                    }
-                    
-                    .actions {
-                        flex-direction: column;
-                    }
-                    
-                    .btn {
-                        justify-content: center;
-                        width: 100%;
-                    }
-                }
-            </style>
-        </head>
-        <body>
-            <div class="header">
-                <div class="header-content">
-                    <div class="logo">
-                        <div class="logo-image">VA</div>
-                        <div class="logo-text">VillainArc</div>
+    // Probed media details (missing until the probe job has run)
+    const media = videoData.media || {};
+    const mediaStats = [
+        ['Duration', formatDuration(media.duration)],
+        ['Resolution', media.width && media.height ? `${media.width}×${media.height}` : null],
+        ['Frame Rate', media.frameRate ? `${media.frameRate} fps` : null],
+        ['Codecs', [media.videoCodec, media.audioCodec].filter(Boolean).join(' / ').toUpperCase() || null],
+        ['Bitrate', media.bitrate ? `${(media.bitrate / 1000000).toFixed(1)} Mbps` : null],
+        ['Container', media.container ? media.container.toUpperCase() : null]
+    ].filter(([, value]) => value);
+
+    // Uploader-supplied details are free text, so escape before rendering
+    const title = escapeHtml(getClipTitle(videoData));
+    const description = videoData.description ? escapeHtml(videoData.description) : null;
+    const tags = (videoData.tags || []).map(escapeHtml);
+    const uploader = escapeHtml(videoData.uploaderUsername);
+
+    // Comments are for logged-in guild members only
+    const comments = req.user ? listComments(videoId, req.user) : null;
+    const reactions = getReactions(videoId, req.user);
+
+    res.send(renderPage({
+        title,
+        head: `
+        <meta property="og:title" content="${title}">
+        ${description ? `<meta property="og:description" content="${description}">` : ''}
+        <meta property="og:type" content="video.other">
+        <meta property="og:video" content="${videoUrl}">
+        <meta property="og:video:secure_url" content="${videoUrl}">
+        <meta property="og:video:type" content="${getPlaybackContentType(videoData)}">
+        ${thumbnailUrl ? `<meta property="og:image" content="${thumbnailUrl}">
+        <meta property="og:image:type" content="image/jpeg">
+        <meta property="twitter:image" content="${thumbnailUrl}">` : ''}
+        <meta property="twitter:card" content="player">
+        <meta property="twitter:player" content="${req.protocol}://${req.get('host')}/v/${videoId}">`,
+        styles: videoPageStyles,
+        body: `
+            <div class="video-container">                    <h1 class="video-title">${title}</h1>                    <div class="video-wrapper" style="position: relative;">
+                    <video 
+                        id="mainVideo"
+                        controls 
+                        preload="metadata"
+                        ${thumbnailUrl ? `poster="${thumbnailUrl}"` : ''}
+                        crossorigin="anonymous"
+                        style="width: 100%; max-width: 100%; height: auto; border-radius: 8px; background: #000000;">
+                        <source src="${videoUrl}" type="${getPlaybackContentType(videoData)}">
+                        <p style="color: #ff6b6b; text-align: center; padding: 2rem;">
+                            Your browser does not support the video tag. 
+                            <a href="${downloadUrl}" style="color: #5865f2;">Download the video instead</a>
+                        </p>
+                    </video>                        <div id="loadingStatus" style="display: none; position: absolute; top: 10px; right: 10px; background: rgba(0,0,0,0.8); color: white; padding: 0.5rem; border-radius: 4px; font-size: 0.8rem;">
+                        Loading...
                     </div>
-                    <a href="${process.env.FRONTEND_URL || '/'}" class="back-btn">
-                        ← Back to Upload
-                    </a>
                 </div>
+                ${description || tags.length > 0 ? `
+                <div class="clip-details">
+                    ${description ? `<p class="clip-description">${description}</p>` : ''}
+                    ${tags.length > 0 ? `<div class="clip-tags">${tags.map(tag => `<span class="clip-tag">#${tag}</span>`).join('')}</div>` : ''}
+                </div>` : ''}
+                ${renderReactionBar({ videoId, reactions, canReact: Boolean(req.user) })}
             </div>
-            
-            <div class="main-content">
-                <div class="video-container">                    <h1 class="video-title">${videoData.originalName}</h1>                    <div class="video-wrapper" style="position: relative;">
-                        <video 
-                            id="mainVideo"
-                            controls 
-                            preload="metadata"
-                            crossorigin="anonymous"
-                            style="width: 100%; max-width: 100%; height: auto; border-radius: 8px; background: #000000;">
-                            <source src="${videoUrl}" type="${videoData.fileFormat === '.mkv' || videoData.isMKV ? 'video/mp4' : videoData.contentType}">
-                            <p style="color: #ff6b6b; text-align: center; padding: 2rem;">
-                                Your browser does not support the video tag. 
-                                <a href="${downloadUrl}" style="color: #5865f2;">Download the video instead</a>
-                            </p>
-                        </video>                        <div id="loadingStatus" style="display: none; position: absolute; top: 10px; right: 10px; background: rgba(0,0,0,0.8); color: white; padding: 0.5rem; border-radius: 4px; font-size: 0.8rem;">
-                            Loading...
+
+            <div class="info-grid">
+                <div class="info-card">
+                    <div class="card-title">Uploaded by</div>
+                    <div class="uploader-info">
+                        <div class="uploader-avatar">
+                            <img id="avatarImg" src="${avatarUrl}"
+                                 alt="${uploader}"
+                                 style="width: 100%; height: 100%; object-fit: cover;">
+                        </div>
+                        <div class="uploader-details">
+                            <h3>${uploader}</h3>
+                            <p>Discord User</p>
                         </div>
                     </div>
                 </div>
-                
-                <div class="info-grid">
-                    <div class="info-card">
-                        <div class="card-title">Uploaded by</div>
-                        <div class="uploader-info">
-                            <div class="uploader-avatar">
-                                <img id="avatarImg" src="${avatarUrl}"
-                                     alt="${videoData.uploaderUsername}"
-                                     style="width: 100%; height: 100%; object-fit: cover;">
-                            </div>
-                            <div class="uploader-details">
-                                <h3>${videoData.uploaderUsername}</h3>
-                                <p>Discord User</p>
-                            </div>
+
+                <div class="info-card">
+                    <div class="card-title">File Details</div>
+                    <div class="file-stats">
+                        <div class="stat-item">
+                            <span class="stat-label">File Size:</span>
+                            <span class="stat-value">${formatFileSize(videoData.size)}</span>
                         </div>
-                    </div>
-                    
-                    <div class="info-card">
-                        <div class="card-title">File Details</div>
-                        <div class="file-stats">
-                            <div class="stat-item">
-                                <span class="stat-label">File Size:</span>
-                                <span class="stat-value">${formatFileSize(videoData.size)}</span>
-                            </div>
-                            <div class="stat-item">
-                                <span class="stat-label">Upload Date:</span>
-                                <span class="stat-value">${new Date(videoData.uploadDate).toLocaleDateString()}</span>
-                            </div>
-                            <div class="stat-item">
-                                <span class="stat-label">Downloads:</span>
-                                <span class="stat-value">${videoData.downloadCount}</span>
-                            </div>
+                        <div class="stat-item">
+                            <span class="stat-label">Upload Date:</span>
+                            <span class="stat-value">${new Date(videoData.uploadDate).toLocaleDateString()}</span>
                         </div>
+                        <div class="stat-item">
+                            <span class="stat-label">Downloads:</span>
+                            <span class="stat-value">${videoData.downloadCount}</span>
+                        </div>
+                        ${mediaStats.map(([label, value]) => `
+                        <div class="stat-item">
+                            <span class="stat-label">${label}:</span>
+                            <span class="stat-value">${value}</span>
+                        </div>`).join('')}
                     </div>
                 </div>
-                
-                <div class="actions">
-                    <a href="${downloadUrl}" class="btn">
-                        📥 Download Video
-                    </a>
-                    <a href="${process.env.FRONTEND_URL || '/'}" class="btn btn-secondary">
-                        📤 Upload Another
-                    </a>
-                </div>
-            </div>            <script>
+            </div>
+
+            <div class="actions">
+                <a href="${downloadUrl}" class="btn">
+                    📥 Download Video
+                </a>
+                <a href="${process.env.FRONTEND_URL || '/'}" class="btn btn-secondary">
+                    📤 Upload Another
+                </a>
+            </div>
+
+            ${renderCommentSection({ videoId, comments, loginUrl: `${baseUrl}/auth/discord` })}
+            <script>
                 const video = document.getElementById('mainVideo');
                 const loadingStatus = document.getElementById('loadingStatus');
                 const avatarImg = document.getElementById('avatarImg');
-                
-                console.log('🎬 Video page loaded');
-                console.log('📹 Video URL:', '${videoUrl}');
-                console.log('📁 Original name:', '${videoData.originalName}');
-                console.log('📊 Content type:', '${videoData.contentType}');
-                
+
+                // Report the first play for analytics, with where the visitor came from
+                if (video) {
+                    video.addEventListener('play', () => {
+                        fetch('/api/analytics/view/${videoId}', {
+                            method: 'POST',
+                            headers: { 'Content-Type': 'application/json' },
+                            body: JSON.stringify({ source: 'page', referrer: document.referrer })
+                        }).catch(() => {});
+                    }, { once: true });
+                }
+
                 // Handle avatar image error
                 if (avatarImg) {
                     avatarImg.addEventListener('error', function() {
                         this.src = 'https://cdn.discordapp.com/embed/avatars/0.png';
                     });
                 }
-                
+
                 if (video && loadingStatus) {
                     let hasTriedWithoutCORS = false;
-                    
+
                     // Show loading status
                     video.addEventListener('loadstart', () => {
                         console.log('🎥 Video loading started');
                         loadingStatus.textContent = 'Loading video...';
                         loadingStatus.style.display = 'block';
                     });
-                    
+
                     video.addEventListener('loadedmetadata', () => {
                         console.log('📊 Video metadata loaded, duration:', video.duration, 'seconds');
                         loadingStatus.textContent = 'Video ready';
                         setTimeout(() => loadingStatus.style.display = 'none', 1000);
                     });
-                    
+
                     video.addEventListener('canplay', () => {
                         console.log('▶️ Video can start playing');
                         loadingStatus.style.display = 'none';
                     });
-                    
+
                     video.addEventListener('error', async (e) => {
                         console.error('❌ Video error:', e);
                         const error = video.error;
-                        
+
                         let errorMessage = 'Error loading video';
                         let shouldRetryWithoutCORS = false;
-                        
+
                         if (error) {
                             console.error('Video error details:', {
                                 code: error.code,
@@ -731,7 +809,7 @@ const viewVideo = (req, res) => {
                                 MEDIA_ERR_DECODE: error.MEDIA_ERR_DECODE,
                                 MEDIA_ERR_SRC_NOT_SUPPORTED: error.MEDIA_ERR_SRC_NOT_SUPPORTED
                             });
-                            
+
                             switch(error.code) {
                                 case error.MEDIA_ERR_ABORTED:
                                     errorMessage = 'Video loading was aborted';
@@ -752,7 +830,7 @@ const viewVideo = (req, res) => {
                                     shouldRetryWithoutCORS = true;
                             }
                         }
-                        
+
                         // Try without CORS if we haven't tried yet and it's a network/CORS-related error
                         if (shouldRetryWithoutCORS && !hasTriedWithoutCORS && video.crossOrigin) {
                             console.log('🔄 Retrying without CORS...');
@@ -761,7 +839,7 @@ const viewVideo = (req, res) => {
                             video.load(); // Reload the video
                             return;
                         }
-                        
+
                         loadingStatus.innerHTML = \`
                             <div style="color: #ff6b6b; text-align: center;">
                                 ❌ \${errorMessage}<br>
@@ -771,7 +849,7 @@ const viewVideo = (req, res) => {
                         \`;
                         loadingStatus.style.display = 'block';
                     });
-                    
+
                     // Test if the stream URL is accessible
                     console.log('🔗 Testing stream URL accessibility...');
                     fetch('${videoUrl}', { 
@@ -787,68 +865,62 @@ const viewVideo = (req, res) => {
                     });
                 }
             </script>
-        </body>
-        </html>
-    `);
+        `
+    }));
 };
 
 // Download video
 const downloadVideo = async (req, res) => {
     try {
         const { videoId } = req.params;
-        const videoData = videoStore.get(videoId);
+        const videoData = getViewableVideo(req);
         
         if (!videoData) {
             return res.status(404).json({ error: 'Video not found' });
         }
 
+        const disposition = `attachment; filename="${videoData.originalName}"`;
+
+        // Count a download once - Range requests that resume or seek within it aren't new downloads
+        const countDownload = () => {
+            const range = req.get('Range');
+            if (range && !/^bytes=0-/.test(range)) return;
+
+            videoData.downloadCount = (videoData.downloadCount || 0) + 1;
+            videoStore.set(videoId, videoData);
+            recordEvent(videoId, 'download', { source: classifySource(req) || 'direct', referrer: req.get('referer') });
+        };
+
+        if (config.streaming.mode === 'proxy') {
+            return await proxyVideoStream(req, res, videoId, { disposition, onServe: countDownload });
+        }
+
+        countDownload();
+
         // Generate download URL and redirect
         const downloadUrl = await generateStreamUrl(videoId);
         
-        // Update download count
-        videoData.downloadCount = (videoData.downloadCount || 0) + 1;
-        videoStore.set(videoId, videoData);
-        
         // Set download headers and redirect
-        res.setHeader('Content-Disposition', `attachment; filename="${videoData.originalName}"`);
+        res.setHeader('Content-Disposition', disposition);
         res.redirect(downloadUrl);
         
     } catch (error) {
         console.error('❌ Download error:', error);
+        if (res.headersSent) {
+            return res.destroy();
+        }
         res.status(500).json({ error: 'Failed to generate download link' });
     }
 };
 
-// Debug endpoint to list videos
-const debugVideos = (req, res) => {
-    try {
-        const videos = Array.from(videoStore.entries()).map(([id, data]) => ({
-            id,
-            originalName: data.originalName,
-            size: data.size,
-            contentType: data.contentType,
-            uploadDate: data.uploadDate,
-            uploaderUsername: data.uploaderUsername
-        }));
-        
-        res.json({
-            success: true,
-            count: videos.length,
-            videos: videos.slice(0, 10), // Show first 10
-            totalCount: videoStore.size
-        });
-    } catch (error) {
-        console.error('Debug videos error:', error);
-        res.status(500).json({ error: 'Failed to list videos' });
-    }
-};
-
 module.exports = {
     uploadVideo,
     streamVideo,
+    streamSharedVideo,
     getVideoHead,
     handleCorsOptions,
     viewVideo,
     downloadVideo,
-    debugVideos
+    getThumbnail,
+    getPreview
 };
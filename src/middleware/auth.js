@@ -1,4 +1,8 @@
-const { userStore, userUploads } = require('../config/database');
+const { userStore } = require('../config/database');
+const config = require('../config');
+const userQuotaService = require('../services/userQuotaService');
+const { recordBlobUsage, releaseClipUsage, getUserUsage } = require('../services/usageLedgerService');
+const { refreshMemberRoles } = require('../services/authService');
 
 // Authentication middleware
 const requireAuth = (req, res, next) => {
@@ -39,62 +43,119 @@ const requireGuildMembership = (req, res, next) => {
     next();
 };
 
-// Upload quota check middleware
-const checkUploadQuota = (req, res, next) => {
-    if (!req.user) {
-        return res.status(401).json({ error: 'Authentication required' });
-    }
-    
-    const userId = req.user.id;
-    const userQuota = userUploads.get(userId) || { used: 0, remaining: req.user.quota };
-    
-    if (!req.file) {
+// Members holding one of the configured admin roles (rather than being admins by user ID)
+const hasAdminRole = (user) => (user.roles || []).some(roleId => config.discord.adminRoleIds.includes(roleId));
+
+// Admins (configured user IDs, or members with an admin role) can manage any clip and use the admin API
+const isAdmin = (user) => Boolean(user && (config.discord.adminUserIds.includes(user.id) || hasAdminRole(user)));
+
+// Admin roles come from the last login - re-read them with the bot before anything checks isAdmin, so
+// losing the role in Discord takes effect straight away everywhere (use app-wide, after passport).
+// When they can't be read, the admin roles are ignored for this request.
+const verifyAdminRoles = async (req, res, next) => {
+    const user = req.user;
+    if (!user || !config.discord.botToken || config.discord.adminUserIds.includes(user.id) || !hasAdminRole(user)) {
         return next();
     }
-    
-    if (userQuota.remaining < req.file.size) {
-        console.log(`❌ Quota exceeded for user ${req.user.username}: ${userQuota.used}/${req.user.quota} bytes used`);
-        return res.status(413).json({
-            error: 'Upload quota exceeded',
-            message: `Your upload quota of ${Math.round(req.user.quota / (1024 * 1024 * 1024))}GB has been exceeded.`,
-            quotaUsed: userQuota.used,
-            quotaRemaining: userQuota.remaining,
-            fileSize: req.file.size
+
+    try {
+        req.user = (await refreshMemberRoles(user.id)) || user;
+    } catch (error) {
+        console.log(`⚠️ Could not verify admin roles for ${user.username}:`, error.message);
+        req.user = { ...user, roles: user.roles.filter(roleId => !config.discord.adminRoleIds.includes(roleId)) };
+        req.adminRoleCheckFailed = true;
+    }
+    next();
+};
+
+// Admin-only routes (use after requireAuth)
+const requireAdmin = (req, res, next) => {
+    if (!isAdmin(req.user)) {
+        if (req.adminRoleCheckFailed) {
+            return res.status(503).json({ error: 'Could not verify your admin role with Discord', code: 'ROLE_CHECK_FAILED' });
+        }
+        console.log(`❌ Non-admin ${req.user ? req.user.username : req.ip} tried to access ${req.originalUrl}`);
+        return res.status(403).json({ error: 'Admin access required', code: 'FORBIDDEN' });
+    }
+    next();
+};
+
+// Blocks members an admin has banned from uploading (use after requireAuth on every upload entry point)
+const requireUploadAccess = (req, res, next) => {
+    const storedUser = userStore.get(req.user.id) || req.user;
+    if (storedUser.uploadBan) {
+        console.log(`❌ Upload blocked for banned user ${req.user.username}`);
+        return res.status(403).json({
+            error: 'You have been banned from uploading',
+            code: 'UPLOAD_BANNED',
+            reason: storedUser.uploadBan.reason || null
         });
     }
-    
-    // Attach quota info to request for use in upload handler
-    req.userQuota = userQuota;
     next();
 };
 
-// Record upload for quota tracking
+// Upload quota check middleware. Before multer the file size comes from Content-Length (the multipart
+// overhead makes it a slight overestimate, and chunked requests send none), so /upload runs it again
+// after multer to check the real file size.
+const checkUploadQuota = async (req, res, next) => {
+    if (!req.user) {
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const fileSize = req.file ? req.file.size : (parseInt(req.headers['content-length'], 10) || 0);
+
+    try {
+        // Attach quota info to request for use in upload handler
+        req.userQuota = await userQuotaService.checkUpload(req.user.id, fileSize);
+        next();
+    } catch (error) {
+        if (!error.status) return next(error);
+
+        console.log(`❌ Upload quota check failed for user ${req.user.username}: ${error.code}`);
+        if (req.file) {
+            req.file.buffer = null; // Release the upload from memory straight away
+        }
+        res.status(error.status).json({
+            error: error.message,
+            code: error.code,
+            fileSize
+        });
+    }
+};
+
+// Record upload for quota tracking - charges the uploaded blob in the usage ledger
 const recordUpload = (userId, uploadData) => {
-    const currentQuota = userUploads.get(userId) || { used: 0, remaining: 5 * 1024 * 1024 * 1024 };
-    const newUsed = currentQuota.used + uploadData.size;
-    const newRemaining = Math.max(0, currentQuota.remaining - uploadData.size);
-    
-    userUploads.set(userId, {
-        used: newUsed,
-        remaining: newRemaining,
-        uploads: [...(currentQuota.uploads || []), uploadData]
-    });
-    
-    // Also update the user data in userStore for consistency
+    const videoId = uploadData.id || uploadData.videoId;
+    recordBlobUsage({ ...uploadData, id: videoId, uploadedBy: userId }, 'original', { blobName: uploadData.blobName, size: uploadData.size });
+
+    // Keep the upload history on the user record
     const userData = userStore.get(userId);
     if (userData) {
-        userData.totalUploadSize = newUsed;
-        userData.uploads = userData.uploads || [];        userData.uploads.push({
-            id: uploadData.id || uploadData.videoId,
+        userData.uploads = userData.uploads || [];
+        userData.uploads.push({
+            id: videoId,
             originalName: uploadData.originalName,
             size: uploadData.size,
             uploadDate: uploadData.uploadDate instanceof Date ? uploadData.uploadDate.toISOString() : (uploadData.uploadDate || new Date().toISOString()),
-            shareLink: uploadData.shareLink || `/v/${uploadData.id || uploadData.videoId}`
+            shareLink: uploadData.shareLink || `/v/${videoId}`
         });
         userStore.set(userId, userData);
     }
-    
-    console.log(`📊 Updated quota for user ${userId}: ${newUsed} bytes used, ${newRemaining} bytes remaining`);
+
+    console.log(`📊 Updated quota for user ${userId}: ${getUserUsage(userId).total} bytes used`);
+};
+
+// Give back quota when an upload is deleted (mirror of recordUpload) - releases its renditions and images too
+const releaseUpload = (userId, videoData) => {
+    const released = releaseClipUsage({ ...videoData, uploadedBy: userId });
+
+    const userData = userStore.get(userId);
+    if (userData) {
+        userData.uploads = (userData.uploads || []).filter(upload => upload.id !== videoData.id);
+        userStore.set(userId, userData);
+    }
+
+    console.log(`📊 Released ${released} bytes of quota for user ${userId}`);
 };
 
 module.exports = {
@@ -102,5 +163,10 @@ module.exports = {
     optionalAuth,
     requireGuildMembership,
     checkUploadQuota,
-    recordUpload
+    recordUpload,
+    releaseUpload,
+    isAdmin,
+    verifyAdminRoles,
+    requireAdmin,
+    requireUploadAccess
 };
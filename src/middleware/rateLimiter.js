@@ -28,7 +28,32 @@ const apiLimit = rateLimit({
     }
 });
 
+// Posting comments - per user, on top of the general API limit
+const commentLimit = rateLimit({
+    windowMs: config.rateLimit.comment.windowMs,
+    max: config.rateLimit.comment.max,
+    message: { error: 'You are commenting too fast, please wait a moment.', code: 'RATE_LIMITED' },
+    standardHeaders: true,
+    legacyHeaders: false,
+    trustProxy: config.server.nodeEnv === 'production',
+    keyGenerator: (req) => {
+        return req.user ? `user_${req.user.id}` : req.ip;
+    }
+});
+
+// Opening share links - per IP, so share link passwords can't be brute-forced
+const shareUnlockLimit = rateLimit({
+    windowMs: config.rateLimit.shareUnlock.windowMs,
+    max: config.rateLimit.shareUnlock.max,
+    message: { error: 'Too many attempts, please try again later.', code: 'RATE_LIMITED' },
+    standardHeaders: true,
+    legacyHeaders: false,
+    trustProxy: config.server.nodeEnv === 'production'
+});
+
 module.exports = {
     uploadLimit,
-    apiLimit
+    apiLimit,
+    commentLimit,
+    shareUnlockLimit
 };
@@ -1,5 +1,7 @@
 const multer = require('multer');
+const path = require('path');
 const config = require('../config');
+const { validateVideoSignature } = require('../utils/videoSignature');
 
 // Optimized storage configuration for faster uploads
 const storage = multer.memoryStorage();
@@ -78,5 +80,26 @@ const handleUploadError = (error, req, res, next) => {
     next();
 };
 
+// The mimetype checked in fileFilter comes from the client - confirm the bytes really are a video
+const validateVideoContent = (req, res, next) => {
+    if (!req.file) {
+        return next();
+    }
+
+    const result = validateVideoSignature(req.file.buffer, path.extname(req.file.originalname));
+    if (!result.valid) {
+        console.error(`❌ Rejected upload ${req.file.originalname}: ${result.message}`);
+        req.file.buffer = null; // Release the upload from memory straight away
+        return res.status(415).json({
+            error: result.message,
+            code: result.code
+        });
+    }
+
+    req.file.detectedContainer = result.container;
+    next();
+};
+
 module.exports = upload;
 module.exports.handleUploadError = handleUploadError;
+module.exports.validateVideoContent = validateVideoContent;
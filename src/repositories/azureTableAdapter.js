@@ -0,0 +1,98 @@
+const { TableClient, AzureNamedKeyCredential, odata } = require('@azure/data-tables');
+
+const PARTITION_KEY = 'record';
+const CHUNK_LENGTH = 30000; // String properties are capped at 64KB (32K UTF-16 chars)
+const MAX_CHUNKS = 15; // Entities are capped at 1MB in total
+
+/**
+ * Azure Table Storage adapter - one table per store, one entity per record.
+ * The serialized record is split across data_N properties to stay within property limits.
+ */
+class AzureTableAdapter {
+    constructor({ accountName, accountKey, tablePrefix }) {
+        this.credential = new AzureNamedKeyCredential(accountName, accountKey);
+        this.url = `https://${accountName}.table.core.windows.net`;
+        this.tablePrefix = tablePrefix;
+        this.clients = new Map();
+    }
+
+    async init(name) {
+        try {
+            await this.getClient(name).createTable();
+        } catch (error) {
+            // createTable is idempotent in recent SDKs, but older ones surface TableAlreadyExists
+            if (error.statusCode !== 409) {
+                throw error;
+            }
+        }
+    }
+
+    async loadAll(name) {
+        const records = [];
+        const entities = this.getClient(name).listEntities({
+            queryOptions: { filter: odata`PartitionKey eq ${PARTITION_KEY}` }
+        });
+
+        for await (const entity of entities) {
+            records.push([entity.key, joinChunks(entity)]);
+        }
+
+        return records;
+    }
+
+    async upsert(name, key, data) {
+        const entity = {
+            partitionKey: PARTITION_KEY,
+            rowKey: encodeRowKey(key),
+            key,
+            ...splitChunks(data)
+        };
+
+        // Replace (not merge) so leftover chunks from a larger previous version are dropped
+        await this.getClient(name).upsertEntity(entity, 'Replace');
+    }
+
+    async remove(name, key) {
+        try {
+            await this.getClient(name).deleteEntity(PARTITION_KEY, encodeRowKey(key));
+        } catch (error) {
+            if (error.statusCode !== 404) {
+                throw error;
+            }
+        }
+    }
+
+    getClient(name) {
+        if (!this.clients.has(name)) {
+            const tableName = `${this.tablePrefix}${name}`.replace(/[^A-Za-z0-9]/g, '');
+            this.clients.set(name, new TableClient(this.url, tableName, this.credential));
+        }
+        return this.clients.get(name);
+    }
+}
+
+// RowKey may not contain / \ # ? - percent-encoding covers all of them
+const encodeRowKey = (key) => encodeURIComponent(String(key));
+
+const splitChunks = (data) => {
+    const chunkCount = Math.max(1, Math.ceil(data.length / CHUNK_LENGTH));
+    if (chunkCount > MAX_CHUNKS) {
+        throw new Error(`Record too large for Azure Table Storage (${data.length} characters)`);
+    }
+
+    const properties = { chunkCount };
+    for (let i = 0; i < chunkCount; i++) {
+        properties[`data_${i}`] = data.slice(i * CHUNK_LENGTH, (i + 1) * CHUNK_LENGTH);
+    }
+    return properties;
+};
+
+const joinChunks = (entity) => {
+    let data = '';
+    for (let i = 0; i < entity.chunkCount; i++) {
+        data += entity[`data_${i}`] || '';
+    }
+    return data;
+};
+
+module.exports = AzureTableAdapter;
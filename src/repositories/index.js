@@ -0,0 +1,32 @@
+const path = require('path');
+const PersistentStore = require('./persistentStore');
+const AzureTableAdapter = require('./azureTableAdapter');
+const JsonFileAdapter = require('./jsonFileAdapter');
+
+// Pick the storage adapter from configuration
+const createAdapter = (databaseConfig, azureConfig) => {
+    if (databaseConfig.driver === 'azure-table') {
+        if (!azureConfig.accountName || !azureConfig.accountKey) {
+            throw new Error('Azure Table Storage selected but Azure credentials are not configured');
+        }
+
+        return new AzureTableAdapter({
+            accountName: azureConfig.accountName,
+            accountKey: azureConfig.accountKey,
+            tablePrefix: databaseConfig.tablePrefix
+        });
+    }
+
+    if (databaseConfig.driver === 'json') {
+        return new JsonFileAdapter(path.resolve(databaseConfig.dataDir));
+    }
+
+    throw new Error(`Unknown database driver: ${databaseConfig.driver}`);
+};
+
+module.exports = {
+    PersistentStore,
+    AzureTableAdapter,
+    JsonFileAdapter,
+    createAdapter
+};
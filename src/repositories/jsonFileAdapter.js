@@ -0,0 +1,95 @@
+const fs = require('fs');
+const path = require('path');
+
+const WRITE_DELAY = 500; // Batch bursts of writes into one file save
+
+/**
+ * Development adapter that keeps each store in a JSON file under the data directory.
+ * Writes are debounced and saved atomically (temp file + rename).
+ */
+class JsonFileAdapter {
+    constructor(dataDir) {
+        this.dataDir = dataDir;
+        this.collections = new Map();
+        this.writeTimers = new Map();
+    }
+
+    async init(name) {
+        await fs.promises.mkdir(this.dataDir, { recursive: true });
+
+        if (this.collections.has(name)) {
+            return;
+        }
+
+        let records = {};
+        try {
+            const contents = await fs.promises.readFile(this.getFilePath(name), 'utf8');
+            records = JSON.parse(contents);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw new Error(`Failed to read ${name} store: ${error.message}`);
+            }
+        }
+
+        this.collections.set(name, records);
+    }
+
+    async loadAll(name) {
+        const records = this.collections.get(name) || {};
+        return Object.entries(records).map(([key, value]) => [key, JSON.stringify(value)]);
+    }
+
+    async upsert(name, key, data) {
+        this.getCollection(name)[key] = JSON.parse(data);
+        this.scheduleWrite(name);
+    }
+
+    async remove(name, key) {
+        delete this.getCollection(name)[key];
+        this.scheduleWrite(name);
+    }
+
+    async flush(name) {
+        if (this.writeTimers.has(name)) {
+            clearTimeout(this.writeTimers.get(name));
+            this.writeTimers.delete(name);
+            await this.writeFile(name);
+        }
+    }
+
+    getCollection(name) {
+        if (!this.collections.has(name)) {
+            this.collections.set(name, {});
+        }
+        return this.collections.get(name);
+    }
+
+    getFilePath(name) {
+        return path.join(this.dataDir, `${name}.json`);
+    }
+
+    scheduleWrite(name) {
+        if (this.writeTimers.has(name)) {
+            return;
+        }
+
+        const timer = setTimeout(() => {
+            this.writeTimers.delete(name);
+            this.writeFile(name).catch(error => {
+                console.error(`❌ Failed to save ${name} store:`, error.message);
+            });
+        }, WRITE_DELAY);
+        timer.unref();
+        this.writeTimers.set(name, timer);
+    }
+
+    async writeFile(name) {
+        const filePath = this.getFilePath(name);
+        const tempPath = `${filePath}.tmp`;
+        await fs.promises.mkdir(this.dataDir, { recursive: true });
+        await fs.promises.writeFile(tempPath, JSON.stringify(this.getCollection(name), null, 2));
+        await fs.promises.rename(tempPath, filePath);
+    }
+}
+
+module.exports = JsonFileAdapter;
@@ -0,0 +1,102 @@
+/**
+ * Map-compatible store that writes through to a storage adapter.
+ * Reads stay synchronous (served from memory) so existing callers keep the
+ * familiar get/set/has/entries surface; writes are queued to the adapter in order.
+ */
+class PersistentStore extends Map {
+    constructor(name, adapter) {
+        super();
+        this.name = name;
+        this.adapter = adapter;
+        this.pendingWrite = Promise.resolve();
+        // Keys deleted while hydrate() is loading, so their stored records aren't brought back
+        this.tombstones = null;
+    }
+
+    // Load every record from the adapter into memory
+    async hydrate() {
+        this.tombstones = new Set();
+        // Writes made while loading wait for it, so the adapter has the collection before they land
+        const loading = this.pendingWrite.then(async () => {
+            await this.adapter.init(this.name);
+            return this.adapter.loadAll(this.name);
+        });
+        this.pendingWrite = loading.catch(() => {});
+
+        let records;
+        try {
+            records = await loading;
+
+            for (const [key, value] of records) {
+                // Anything written or deleted before hydration finished is newer than what's stored
+                if (!super.has(key) && !this.tombstones.has(key)) {
+                    super.set(key, deserialize(value));
+                }
+            }
+        } finally {
+            this.tombstones = null;
+        }
+
+        console.log(`📦 Loaded ${records.length} records into ${this.name} store`);
+        return records.length;
+    }
+
+    set(key, value) {
+        super.set(key, value);
+        if (this.tombstones) this.tombstones.delete(key);
+        this.enqueue(() => this.adapter.upsert(this.name, key, serialize(value)), `save ${key}`);
+        return this;
+    }
+
+    delete(key) {
+        const existed = super.delete(key);
+        if (this.tombstones) {
+            // The record may only exist in storage so far - remove it there either way
+            this.tombstones.add(key);
+            this.enqueue(() => this.adapter.remove(this.name, key), `delete ${key}`);
+        } else if (existed) {
+            this.enqueue(() => this.adapter.remove(this.name, key), `delete ${key}`);
+        }
+        return existed;
+    }
+
+    clear() {
+        const keys = Array.from(this.keys());
+        super.clear();
+        if (this.tombstones) keys.forEach(key => this.tombstones.add(key));
+        keys.forEach(key => this.enqueue(() => this.adapter.remove(this.name, key), `delete ${key}`));
+    }
+
+    // Wait for all queued writes to reach the adapter
+    async flush() {
+        await this.pendingWrite;
+        if (typeof this.adapter.flush === 'function') {
+            await this.adapter.flush(this.name);
+        }
+    }
+
+    enqueue(operation, description) {
+        this.pendingWrite = this.pendingWrite
+            .then(operation)
+            .catch(error => {
+                console.error(`❌ Failed to ${description} in ${this.name} store:`, error.message);
+            });
+    }
+}
+
+// JSON cannot represent Sets, so tag them on the way out and restore them on load
+const serialize = (value) => JSON.stringify(value, (key, val) => {
+    if (val instanceof Set) {
+        return { __set: Array.from(val) };
+    }
+    return val;
+});
+
+const deserialize = (text) => JSON.parse(text, (key, val) => {
+    if (val && typeof val === 'object' && Array.isArray(val.__set)) {
+        return new Set(val.__set);
+    }
+    return val;
+});
+
+module.exports = PersistentStore;
@@ -0,0 +1,43 @@
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/adminController');
+const { requireAuth, requireAdmin } = require('../middleware/auth');
+
+// Moderation API - admins only (ADMIN_USER_IDS / ADMIN_ROLE_IDS); changes are written to the audit log
+router.use(requireAuth, requireAdmin);
+
+router.get('/clips', adminController.listClips);
+router.post('/clips/:videoId/takedown', adminController.takedownClip);
+router.post('/clips/:videoId/restore', adminController.restoreClip);
+
+router.get('/users', adminController.listUsers);
+router.put('/users/:userId/quota', adminController.setUserQuota);
+router.post('/users/:userId/ban', adminController.banUser);
+router.delete('/users/:userId/ban', adminController.unbanUser);
+
+router.get('/storage', adminController.getStorageTotals);
+router.get('/audit', adminController.getAuditLog);
+
+router.get('/usage/ledger', adminController.getUsageLedger);
+router.get('/usage/reconciliation', adminController.getReconciliation);
+router.post('/usage/reconciliation', adminController.reconcileUsage);
+
+router.get('/webhooks/destinations', adminController.getWebhookDestinations);
+router.get('/webhooks/deliveries', adminController.getWebhookDeliveries);
+router.post('/webhooks/deliveries/:deliveryId/retry', adminController.retryWebhookDelivery);
+router.delete('/webhooks/deliveries/:deliveryId', adminController.discardWebhookDelivery);
+router.post('/webhooks/deliveries/:deliveryId/redeliver', adminController.redeliverWebhookDelivery);
+
+router.get('/webhooks/subscriptions', adminController.listWebhookSubscriptions);
+router.post('/webhooks/subscriptions', adminController.createWebhookSubscription);
+router.patch('/webhooks/subscriptions/:subscriptionId', adminController.updateWebhookSubscription);
+router.delete('/webhooks/subscriptions/:subscriptionId', adminController.deleteWebhookSubscription);
+router.post('/webhooks/subscriptions/:subscriptionId/secret', adminController.rotateWebhookSecret);
+router.get('/webhooks/subscriptions/:subscriptionId/deliveries', adminController.getWebhookSubscriptionDeliveries);
+
+router.get('/discord/templates', adminController.listDiscordTemplates);
+router.put('/discord/templates/:event', adminController.setDiscordTemplate);
+router.delete('/discord/templates/:event', adminController.resetDiscordTemplate);
+router.post('/discord/templates/:event/preview', adminController.previewDiscordTemplate);
+
+module.exports = router;
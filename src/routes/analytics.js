@@ -7,6 +7,7 @@ const { requireAuth } = require('../middleware/auth');
 router.post('/view/:videoId', analyticsController.trackView);
 router.post('/share/:videoId', analyticsController.trackShare);
 router.get('/video/:videoId', requireAuth, analyticsController.getVideoAnalytics);
+router.get('/video/:videoId/timeseries', requireAuth, analyticsController.getVideoTimeSeries);
 router.get('/overview', requireAuth, analyticsController.getAnalyticsOverview);
 
 module.exports = router;
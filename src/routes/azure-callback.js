@@ -4,6 +4,10 @@ const jwt = require('jsonwebtoken');
 const { videoStore, userStore } = require('../config/database');
 const { recordUpload } = require('../middleware/auth');
 const { sendDiscordWebhook } = require('../services/discordService');
+const { emitWebhookEvent } = require('../services/webhookSubscriptionService');
+const { scheduleMediaProcessing } = require('../services/mediaProcessingService');
+const { verifyUploadedBlob, updateVideoBlobMetadata } = require('../services/videoService');
+const { parseClipDetails, toClipDetailsMetadata } = require('../utils/clipDetails');
 const userQuotaService = require('../services/userQuotaService');
 
 // Store video metadata from Azure Functions after successful upload
@@ -25,6 +29,12 @@ router.post('/store-video-metadata', async (req, res) => {
         const user = jwt.verify(token, process.env.JWT_SECRET);
         console.log('✅ JWT verified for user:', user.username);
 
+        // The token may have been issued before an admin banned this user
+        if (userStore.get(user.id)?.uploadBan) {
+            console.log('❌ Upload blocked for banned user:', user.username);
+            return res.status(403).json({ error: 'You have been banned from uploading', code: 'UPLOAD_BANNED' });
+        }
+
         const { videoId, blobName, blobUrl, size, originalName, uploadTime } = req.body;        if (!videoId || !blobName || !blobUrl || !size || !originalName) {
             console.log('❌ Missing required fields:', { videoId, blobName, blobUrl, size, originalName });
             return res.status(400).json({ error: 'Missing required video metadata' });
@@ -32,6 +42,23 @@ router.post('/store-video-metadata', async (req, res) => {
 
         console.log('📁 Processing video metadata for:', originalName);
 
+        // Optional title/description/tags chosen by the uploader
+        const details = parseClipDetails(req.body);
+
+        // Never let a callback take over another clip's record or blob
+        const existing = videoStore.get(videoId);
+        if (existing) {
+            if (existing.uploadedBy !== user.id || existing.blobName !== blobName) {
+                return res.status(409).json({ error: 'This video ID is already in use', code: 'VIDEO_EXISTS' });
+            }
+            // A repeated callback for an upload we've already stored
+            return res.json({ success: true, videoId, message: 'Video metadata already stored' });
+        }
+
+        // Azure Functions never inspect the file - sniff the committed blob and check its real size
+        // against the user's quota before recording it
+        const { contentLength } = await verifyUploadedBlob('videos', blobName, originalName, { userId: user.id });
+
         // Check if it's an MKV file (for compatibility handling)
         const fileExtension = originalName.split('.').pop()?.toLowerCase() || 'mp4';
         const isMKV = fileExtension === 'mkv' || getContentType(originalName) === 'video/x-matroska';
@@ -43,7 +70,7 @@ router.post('/store-video-metadata', async (req, res) => {
             blobUrl,
             containerName: 'videos', // Azure Functions use 'videos' container
             originalName,
-            size,
+            size: contentLength, // The stored blob's size, not the one the callback reported
             contentType: getContentType(originalName),
             fileFormat: '.' + fileExtension,
             isMKV: isMKV,
@@ -52,10 +79,17 @@ router.post('/store-video-metadata', async (req, res) => {
             ip: req.ip || 'unknown',
             uploadedBy: user.id,
             uploaderUsername: user.username,
-            uploaderAvatar: user.avatar
+            uploaderAvatar: user.avatar,
+            ...details
         };        videoStore.set(videoId, videoData);
         console.log('💾 Video metadata stored successfully for:', videoId);
 
+        if (Object.keys(details).length > 0) {
+            await updateVideoBlobMetadata(videoId, toClipDetailsMetadata(details)).catch(error => {
+                console.error('⚠️ Failed to record clip details in blob metadata:', error.message);
+            });
+        }
+
         // Generate URLs for consistent response
         const baseUrl = process.env.NODE_ENV === 'production' 
             ? 'https://va-expressupload.onrender.com'
@@ -69,24 +103,18 @@ router.post('/store-video-metadata', async (req, res) => {
             ...videoData,
             shareLink,
             downloadLink,
-            previewUrl: blobUrl
+            previewUrl: `${baseUrl}/stream/${videoId}`
         };
-        recordUpload(user.id, uploadRecord);        // Send Discord webhook only for new videos (prevent duplicates)
-        const isNewVideo = !videoStore.has(videoId + '_webhook_sent');
-        if (isNewVideo) {
-            console.log('📢 Attempting to send Discord webhook for new video...');
-            try {
-                await sendDiscordWebhook(shareLink, videoData);
-                console.log('✅ Discord webhook sent successfully');
-                // Mark webhook as sent to prevent duplicates
-                videoStore.set(videoId + '_webhook_sent', true);
-            } catch (webhookError) {
-                console.error('❌ Discord webhook failed:', webhookError.message);
-                console.error('❌ Webhook error stack:', webhookError.stack);
-            }
-        } else {
-            console.log('ℹ️ Skipping webhook - already sent for this video');
-        }
+        recordUpload(user.id, uploadRecord);
+
+        // Queue transcoding for non-web formats (runs in the background)
+        scheduleMediaProcessing(videoData).catch(error => {
+            console.error('❌ Failed to schedule media processing:', error.message);
+        });
+
+        // Queue the Discord announcement and webhooks - repeat callbacks for the same video aren't sent twice
+        await sendDiscordWebhook(shareLink, videoData);
+        emitWebhookEvent('clip.uploaded', videoData);
 
         res.json({
             success: true,
@@ -102,6 +130,10 @@ router.post('/store-video-metadata', async (req, res) => {
         if (error.name === 'JsonWebTokenError') {
             return res.status(401).json({ error: 'Invalid token' });
         }
+
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message, code: error.code });
+        }
         
         res.status(500).json({ 
             error: 'Failed to store video metadata',
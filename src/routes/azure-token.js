@@ -1,6 +1,8 @@
 const express = require('express');
 const jwt = require('jsonwebtoken');
 const userQuotaService = require('../services/userQuotaService');
+const { assertWithinQuota } = require('../services/quotaPolicyService');
+const { userStore } = require('../config/database');
 const router = express.Router();
 
 /**
@@ -17,9 +19,32 @@ router.post('/get-azure-upload-token', async (req, res) => {
             });
         }
 
-        // Get current user quota stats from persistent storage
+        const storedUser = userStore.get(req.user.id);
+        if (storedUser && storedUser.uploadBan) {
+            return res.status(403).json({
+                success: false,
+                error: 'You have been banned from uploading',
+                code: 'UPLOAD_BANNED'
+            });
+        }
+
+        // Get current user quota stats from the usage ledger
         const userStats = await userQuotaService.getUserStats(req.user.id);
 
+        // Don't issue a token to members who are already at a limit of their quota policy - the file
+        // size isn't known yet, so it's checked against the quota when the upload is stored
+        // (see /api/store-video-metadata)
+        try {
+            assertWithinQuota(userStats, userStats);
+        } catch (quotaError) {
+            if (!quotaError.status) throw quotaError;
+            return res.status(quotaError.status).json({
+                success: false,
+                error: quotaError.message,
+                code: quotaError.code
+            });
+        }
+
         // Generate JWT token for Azure Functions
         const uploadToken = jwt.sign({
             id: req.user.id,
@@ -27,6 +52,7 @@ router.post('/get-azure-upload-token', async (req, res) => {
             discordId: req.user.id,
             quota: userStats.quota,
             totalUploadSize: userStats.totalUploadSize,
+            limits: userStats.limits,
             exp: Math.floor(Date.now() / 1000) + (60 * 60) // 1 hour expiry
         }, process.env.JWT_SECRET); // Use JWT secret that matches Azure Functions
 
@@ -36,6 +62,8 @@ router.post('/get-azure-upload-token', async (req, res) => {
             user: {
                 id: req.user.id,
                 username: req.user.username,
+                tier: userStats.tier,
+                limits: userStats.limits,
                 quota: userStats.quota,
                 totalUploadSize: userStats.totalUploadSize,
                 remainingQuota: userStats.remainingQuota,
@@ -69,13 +97,13 @@ router.get('/user-quota-stats', async (req, res) => {
 
         console.log('📊 Getting quota stats for user:', req.user.username);
         
-        // Get real quota data by scanning Azure storage
+        // Quota usage from the usage ledger (no container listing per request)
         const userStats = await userQuotaService.getUserStats(req.user.id);
         
         console.log('📊 User quota stats:', {
             user: req.user.username,
             totalSize: (userStats.totalUploadSize / 1024 / 1024).toFixed(2) + ' MB',
-            remaining: (userStats.remainingQuota / 1024 / 1024).toFixed(2) + ' MB',
+            remaining: userStats.remainingQuota === null ? 'unlimited' : (userStats.remainingQuota / 1024 / 1024).toFixed(2) + ' MB',
             uploadCount: userStats.uploadCount,
             usagePercentage: userStats.usagePercentage + '%'
         });
@@ -83,15 +111,20 @@ router.get('/user-quota-stats', async (req, res) => {
         res.json({
             success: true,
             stats: {
+                tier: userStats.tier,
+                limits: userStats.limits,
+                clipCount: userStats.clipCount,
+                uploadsToday: userStats.uploadsToday,
                 quota: userStats.quota,
                 totalUploadSize: userStats.totalUploadSize,
+                usageByKind: userStats.usageByKind,
                 remainingQuota: userStats.remainingQuota,
                 uploadCount: userStats.uploadCount,
                 usagePercentage: userStats.usagePercentage,
                 quotaFormatted: {
-                    total: (userStats.quota / 1024 / 1024 / 1024).toFixed(1) + ' GB',
+                    total: userStats.quota === null ? 'Unlimited' : (userStats.quota / 1024 / 1024 / 1024).toFixed(1) + ' GB',
                     used: (userStats.totalUploadSize / 1024 / 1024).toFixed(1) + ' MB',
-                    remaining: (userStats.remainingQuota / 1024 / 1024).toFixed(1) + ' MB'
+                    remaining: userStats.remainingQuota === null ? 'Unlimited' : (userStats.remainingQuota / 1024 / 1024).toFixed(1) + ' MB'
                 }
             }
         });
@@ -1,6 +1,6 @@
 const express = require('express');
-const { requireAuth } = require('../middleware/auth');
-const { videoStore, userStore } = require('../config/database');
+const { requireAuth, recordUpload } = require('../middleware/auth');
+const { videoStore } = require('../config/database');
 const jwt = require('jsonwebtoken');
 
 const router = express.Router();
@@ -24,7 +24,7 @@ router.post('/upload-complete', async (req, res) => {
         }
 
         // Store video metadata in database
-        videoStore.set(uploadData.videoId, {
+        const videoData = {
             id: uploadData.videoId,
             originalName: uploadData.originalName,
             blobName: uploadData.blobName,
@@ -36,22 +36,11 @@ router.post('/upload-complete', async (req, res) => {
             uploaderAvatar: '',
             shareLink: uploadData.shareLink,
             downloadUrl: uploadData.downloadUrl
-        });
+        };
+        videoStore.set(uploadData.videoId, videoData);
 
-        // Update user quota
-        const userData = userStore.get(userId);
-        if (userData) {
-            userData.totalUploadSize = (userData.totalUploadSize || 0) + uploadData.size;
-            userData.uploads = userData.uploads || [];
-            userData.uploads.push({
-                id: uploadData.videoId,
-                originalName: uploadData.originalName,
-                size: uploadData.size,
-                uploadDate: new Date().toISOString(),
-                shareLink: uploadData.shareLink
-            });
-            userStore.set(userId, userData);
-        }
+        // Update user quota (usage ledger)
+        recordUpload(userId, videoData);
 
         console.log(`✅ Azure Function upload completed: ${uploadData.originalName} by user ${userId}`);
         
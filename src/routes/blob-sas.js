@@ -2,29 +2,33 @@ const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const { BlobSASPermissions, generateBlobSASQueryParameters } = require('@azure/storage-blob');
 const { getBlobServiceClient, getSharedKeyCredential } = require('../config/azure');
+const { issueBlobUploadGrant } = require('../services/blobUploadGrantService');
 const config = require('../config');
 const router = express.Router();
 
 // Middleware: requireAuth (replace with your actual auth middleware)
-const { requireAuth } = require('../middleware/auth');
+const { requireAuth, requireUploadAccess } = require('../middleware/auth');
 
 // POST /api/generate-sas-url
-router.post('/generate-sas-url', requireAuth, async (req, res) => {
+router.post('/generate-sas-url', requireAuth, requireUploadAccess, async (req, res) => {
   try {
     const { filename, filesize } = req.body;
     if (!filename || !filesize) {
       return res.status(400).json({ error: 'Missing filename or filesize' });
     }
-    if (filesize > 500 * 1024 * 1024) {
-      return res.status(400).json({ error: 'File size exceeds 500MB limit' });
+    const fileSize = Number(filesize);
+    if (!Number.isFinite(fileSize) || fileSize <= 0) {
+      return res.status(400).json({ error: 'filesize must be a positive number of bytes' });
     }
 
-    // Check user quota before issuing SAS URL
+    // Check the user's quota policy (file size, storage, clip count, daily uploads) before issuing SAS URL -
+    // only against the declared size; the uploaded blob's real size is checked at /api/blob-upload-complete
     const userQuotaService = require('../services/userQuotaService');
-    const userId = req.user.id;
-    const canUpload = await userQuotaService.canUserUpload(userId, filesize);
-    if (!canUpload) {
-      return res.status(403).json({ error: 'Insufficient quota for this upload.' });
+    try {
+      await userQuotaService.checkUpload(req.user.id, fileSize);
+    } catch (quotaError) {
+      if (!quotaError.status) throw quotaError;
+      return res.status(quotaError.status).json({ error: quotaError.message, code: quotaError.code });
     }
 
     const blobServiceClient = getBlobServiceClient();
@@ -43,6 +47,9 @@ router.post('/generate-sas-url', requireAuth, async (req, res) => {
       expiresOn
     }, sharedKeyCredential).toString();
 
+    // Only this user may complete an upload to this blob (see /api/blob-upload-complete)
+    issueBlobUploadGrant(blobName, req.user);
+
     const sasUrl = `${blobClient.url}?${sas}`;
     res.json({ sasUrl, blobName });
   } catch (error) {
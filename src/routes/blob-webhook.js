@@ -1,28 +1,56 @@
 const express = require('express');
-const { requireAuth } = require('../middleware/auth');
+const { requireAuth, requireUploadAccess, recordUpload } = require('../middleware/auth');
 const { videoStore } = require('../config/database');
 const { sendDiscordWebhook } = require('../services/discordService');
+const { emitWebhookEvent } = require('../services/webhookSubscriptionService');
+const { scheduleMediaProcessing } = require('../services/mediaProcessingService');
+const { verifyUploadedBlob, updateVideoBlobMetadata } = require('../services/videoService');
+const { claimBlobUploadGrant, restoreBlobUploadGrant } = require('../services/blobUploadGrantService');
+const { parseClipDetails, toClipDetailsMetadata } = require('../utils/clipDetails');
 const config = require('../config');
 const router = express.Router();
 
+const BLOB_UUID_PATTERN = /^([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})-/i;
+
 // POST /api/blob-upload-complete
-router.post('/blob-upload-complete', requireAuth, async (req, res) => {
+router.post('/blob-upload-complete', requireAuth, requireUploadAccess, async (req, res) => {
   try {
     const { blobName, originalName, size } = req.body;
     if (!blobName || !originalName || !size) {
       return res.status(400).json({ error: 'Missing blobName, originalName, or size' });
     }
+    // Optional title/description/tags (validated before touching storage)
+    const details = parseClipDetails(req.body);
     // Store video metadata (simplified, you may want to add more fields)
-    // Only use a UUID as the videoId and blobName (no original filename in the id)
-    const uuid = blobName.split('-')[0]; // Assumes blobName is `${uuid}-${filename}`
-    const videoId = uuid;
+    // The whole UUID from the blob name (`${uuid}-${filename}`, see generate-sas-url) is the videoId -
+    // unlisted clips are only as private as their ID is unguessable
+    const uuidMatch = String(blobName).match(BLOB_UUID_PATTERN);
+    if (!uuidMatch) {
+      return res.status(400).json({ error: 'blobName was not issued by /api/generate-sas-url', code: 'BLOB_NOT_ISSUED' });
+    }
+    const videoId = uuidMatch[1];
+    // Only blobs we issued a SAS URL for to this user - checked before the blob is read or deleted
+    const grant = claimBlobUploadGrant(blobName, req.user);
+    if (videoStore.has(videoId)) {
+      return res.status(409).json({ error: 'This upload has already been completed', code: 'BLOB_IN_USE' });
+    }
+    // The client uploaded straight to storage - check the blob really is a video before recording it
+    let contentLength;
+    try {
+      // The SAS URL has no size cap - the real size is what's checked against the quota
+      ({ contentLength } = await verifyUploadedBlob(config.azure.containerName, blobName, originalName, { userId: req.user.id }));
+    } catch (error) {
+      // Let the client try again, unless the blob was rejected (and deleted)
+      if (!error.blobDeleted) restoreBlobUploadGrant(grant);
+      throw error;
+    }
     const blobUrl = `https://${config.azure.accountName}.blob.core.windows.net/${config.azure.containerName}/${blobName}`;
     const videoData = {
       id: videoId,
       originalName,
       blobName,
       blobUrl,
-      size,
+      size: contentLength, // The stored blob's size, not the one the client reported
       uploadedBy: req.user.id,
       uploaderUsername: req.user.username,
       uploadDate: new Date().toISOString(),
@@ -31,14 +59,30 @@ router.post('/blob-upload-complete', requireAuth, async (req, res) => {
       contentType: 'video/mp4', // or detect from file extension
       fileFormat: originalName.split('.').pop(),
       isMKV: originalName.split('.').pop() === 'mkv',
+      ...details,
     };
     videoStore.set(videoId, videoData);
-    // Send Discord webhook
+    // Record upload for user quota tracking
+    recordUpload(req.user.id, videoData);
+    if (Object.keys(details).length > 0) {
+      await updateVideoBlobMetadata(videoId, toClipDetailsMetadata(details)).catch(error => {
+        console.error('Failed to record clip details in blob metadata:', error.message);
+      });
+    }
+    // Queue transcoding for non-web formats (runs in the background)
+    scheduleMediaProcessing(videoData).catch(error => {
+      console.error('Failed to schedule media processing:', error.message);
+    });
+    // Queue the Discord announcement
     // Always use backendUrl for shareLink, never frontendUrl
     const shareLink = `${config.server.backendUrl}/v/${videoId}`;
     await sendDiscordWebhook(shareLink, videoData);
+    emitWebhookEvent('clip.uploaded', videoData);
     res.json({ success: true, videoId, shareLink });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message, code: error.code });
+    }
     console.error('Failed to handle blob upload complete:', error);
     res.status(500).json({ error: 'Failed to handle blob upload complete' });
   }
@@ -1,10 +1,27 @@
 const express = require('express');
 const router = express.Router();
 const clipsController = require('../controllers/clipsController');
-const { requireAuth } = require('../middleware/auth');
+const commentsController = require('../controllers/commentsController');
+const reactionsController = require('../controllers/reactionsController');
+const { requireAuth, requireGuildMembership } = require('../middleware/auth');
+const { commentLimit } = require('../middleware/rateLimiter');
 
 // Get all clips
 router.get('/', requireAuth, clipsController.getAllClips);
 router.get('/all', requireAuth, clipsController.getClipsDetailed);
 
+// Manage a clip (owner or admin)
+router.patch('/:videoId', requireAuth, clipsController.updateClip);
+router.delete('/:videoId', requireAuth, clipsController.deleteClip);
+
+// Comments (guild members only)
+router.get('/:videoId/comments', requireAuth, requireGuildMembership, commentsController.listComments);
+router.post('/:videoId/comments', requireAuth, requireGuildMembership, commentLimit, commentsController.addComment);
+router.delete('/:videoId/comments/:commentId', requireAuth, requireGuildMembership, commentsController.deleteComment);
+
+// Reactions - one per member per clip
+router.get('/:videoId/reactions', requireAuth, reactionsController.getReactions);
+router.put('/:videoId/reactions', requireAuth, requireGuildMembership, reactionsController.setReaction);
+router.delete('/:videoId/reactions', requireAuth, requireGuildMembership, reactionsController.removeReaction);
+
 module.exports = router;
@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const discordController = require('../controllers/discordController');
+
+// Discord interactions endpoint - requests are verified by their Ed25519 signature, not a session
+router.post('/interactions', discordController.handleDiscordInteraction);
+
+module.exports = router;
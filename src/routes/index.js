@@ -4,23 +4,35 @@ const router = express.Router();
 // Import all route modules
 const authRoutes = require('./auth');
 const videoRoutes = require('./video');
+const uploadSessionRoutes = require('./upload-sessions');
 const clipsRoutes = require('./clips');
+const userRoutes = require('./users');
+const playlistRoutes = require('./playlists');
+const shareRoutes = require('./shares');
 const analyticsRoutes = require('./analytics');
+const adminRoutes = require('./admin');
 const { router: uploadProgressRoutes } = require('./upload-progress');
 const azureTokenRoutes = require('./azure-token');
 const azureCallbackRoutes = require('./azure-callback');
 const blobSasRoutes = require('./blob-sas');
 const blobWebhookRoutes = require('./blob-webhook');
+const discordRoutes = require('./discord');
 
 // Mount routes
 router.use('/auth', authRoutes);
+router.use('/upload/sessions', uploadSessionRoutes); // Resumable chunked uploads (outside /api so chunks skip the API rate limit)
 router.use('/', videoRoutes); // Video routes at root level for upload
 router.use('/api/clips', clipsRoutes);
+router.use('/', userRoutes); // Uploader profiles (/u/:userId) and their clips API
+router.use('/', playlistRoutes); // Playlists API (/api/playlists) and player pages (/p/:playlistId)
+router.use('/', shareRoutes); // Share links API (/api/clips/:videoId/shares) and share pages (/s/:token)
 router.use('/api/analytics', analyticsRoutes);
+router.use('/api/admin', adminRoutes); // Moderation: clips, users, quotas, bans, storage, usage ledger, webhooks, Discord templates and the audit log
 router.use('/api/upload', uploadProgressRoutes);
 router.use('/api', azureTokenRoutes); // Azure token endpoint
 router.use('/api', azureCallbackRoutes); // Azure callback endpoint
 router.use('/api', blobSasRoutes); // Blob SAS URL endpoint for direct-to-blob uploads
 router.use('/api', blobWebhookRoutes); // Blob upload complete endpoint for metadata and Discord webhook
+router.use('/discord', discordRoutes); // Discord slash-command interactions (signed by Discord, no session auth)
 
 module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const playlistsController = require('../controllers/playlistsController');
+const { requireAuth } = require('../middleware/auth');
+
+// Browsing respects playlist visibility, so these work logged out (public playlists only)
+router.get('/api/playlists', playlistsController.listPlaylists);
+router.get('/api/playlists/:playlistId', playlistsController.getPlaylist);
+router.get('/p/:playlistId', playlistsController.viewPlaylist);
+
+// Manage playlists (owner or admin)
+router.post('/api/playlists', requireAuth, playlistsController.createPlaylist);
+router.patch('/api/playlists/:playlistId', requireAuth, playlistsController.updatePlaylist);
+router.delete('/api/playlists/:playlistId', requireAuth, playlistsController.deletePlaylist);
+router.post('/api/playlists/:playlistId/clips', requireAuth, playlistsController.addClip);
+router.delete('/api/playlists/:playlistId/clips/:videoId', requireAuth, playlistsController.removeClip);
+
+module.exports = router;
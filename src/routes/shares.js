@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const sharesController = require('../controllers/sharesController');
+const videoController = require('../controllers/videoController');
+const { requireAuth } = require('../middleware/auth');
+const { shareUnlockLimit } = require('../middleware/rateLimiter');
+
+// Manage a clip's share links (owner or admin)
+router.get('/api/clips/:videoId/shares', requireAuth, sharesController.listShares);
+router.post('/api/clips/:videoId/shares', requireAuth, sharesController.createShare);
+router.delete('/api/clips/:videoId/shares/:token', requireAuth, sharesController.revokeShare);
+
+// Share pages work logged out - the token (and its password, if any) is the access check
+router.get('/s/:token', sharesController.viewShare);
+router.post('/s/:token', shareUnlockLimit, sharesController.openShare);
+router.get('/s/:token/stream', videoController.streamSharedVideo);
+
+module.exports = router;
@@ -56,11 +56,8 @@ const broadcastProgress = (uploadId, progressData) => {
     }
 };
 
-// Function to complete and cleanup upload session
-const completeUpload = (uploadId, result) => {
-    broadcastProgress(uploadId, { type: 'complete', ...result });
-    
-    // Close all connections for this upload
+// Function to close and cleanup all connections for an upload
+const closeProgressStream = (uploadId) => {
     const sessions = uploadSessions.get(uploadId);
     if (sessions) {
         sessions.forEach(res => {
@@ -75,8 +72,19 @@ const completeUpload = (uploadId, result) => {
     }
 };
 
+// Function to complete and cleanup upload session
+// (keepOpen leaves the stream up so background processing can keep reporting on it)
+const completeUpload = (uploadId, result, { keepOpen = false } = {}) => {
+    broadcastProgress(uploadId, { type: 'complete', ...result });
+
+    if (!keepOpen) {
+        closeProgressStream(uploadId);
+    }
+};
+
 module.exports = {
     router,
     broadcastProgress,
-    completeUpload
+    completeUpload,
+    closeProgressStream
 };
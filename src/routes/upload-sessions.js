@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const uploadSessionController = require('../controllers/uploadSessionController');
+const { requireAuth, requireGuildMembership, requireUploadAccess } = require('../middleware/auth');
+const { uploadLimit } = require('../middleware/rateLimiter');
+const { MAX_CHUNK_SIZE } = require('../services/chunkedUploadService');
+
+// Chunks arrive as raw bytes (application/octet-stream)
+const chunkBody = express.raw({ type: () => true, limit: MAX_CHUNK_SIZE });
+
+// Resumable upload protocol:
+//   POST   /upload/sessions                       { filename, size, chunkSize?, title?, description?, tags? } -> uploadId, chunkSize, totalChunks
+//   PUT    /upload/sessions/:uploadId/chunks/:index  raw chunk bytes (optional Content-MD5)
+//   GET    /upload/sessions/:uploadId             received/missing chunks for resuming
+//   POST   /upload/sessions/:uploadId/complete    commit the blob
+//   DELETE /upload/sessions/:uploadId             cancel
+router.post('/',
+    uploadLimit,
+    requireAuth,
+    requireGuildMembership,
+    requireUploadAccess,
+    uploadSessionController.createSession
+);
+router.put('/:uploadId/chunks/:index', requireAuth, chunkBody, uploadSessionController.uploadChunk);
+router.get('/:uploadId', requireAuth, uploadSessionController.getSessionStatus);
+router.post('/:uploadId/complete', requireAuth, requireUploadAccess, uploadSessionController.commitSession);
+router.delete('/:uploadId', requireAuth, uploadSessionController.abortSession);
+
+module.exports = router;
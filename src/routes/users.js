@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const usersController = require('../controllers/usersController');
+
+// Public uploader profiles
+router.get('/api/users/:userId/clips', usersController.getUserClips);
+router.get('/u/:userId', usersController.viewProfile);
+
+module.exports = router;
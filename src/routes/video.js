@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const videoController = require('../controllers/videoController');
-const { requireAuth, requireGuildMembership, checkUploadQuota } = require('../middleware/auth');
+const { requireAuth, requireGuildMembership, requireUploadAccess, checkUploadQuota } = require('../middleware/auth');
 const { uploadLimit } = require('../middleware/rateLimiter');
 const upload = require('../middleware/upload');
 
@@ -10,19 +10,23 @@ router.post('/upload',
     uploadLimit, 
     requireAuth, 
     requireGuildMembership,
+    requireUploadAccess,
     checkUploadQuota, 
     upload.single('video'),
     upload.handleUploadError, // Add upload error handling
+    upload.validateVideoContent,
+    checkUploadQuota, // Again, now that the real file size is known
     videoController.uploadVideo
 );
 
-// Debug endpoint
-router.get('/debug/videos', videoController.debugVideos);
-
 // View/embed route for clips
 router.get('/v/:videoId', videoController.viewVideo);
 router.get('/download/:videoId', videoController.downloadVideo);
 
+// Generated images for clip cards and embeds
+router.get('/thumb/:videoId', videoController.getThumbnail);
+router.get('/preview/:videoId', videoController.getPreview);
+
 // Video streaming routes
 router.options('/stream/:videoId', videoController.handleCorsOptions);
 router.head('/stream/:videoId', videoController.getVideoHead);
@@ -0,0 +1,368 @@
+const { videoStore, userStore } = require('../config/database');
+const { isAdmin } = require('../middleware/auth');
+const { getDiscordAvatarUrl } = require('./authService');
+const { updateVideoBlobMetadata } = require('./videoService');
+const { getClipVisibility } = require('./clipAccessService');
+const { parseClipQuery, queryClips, toClipSummary } = require('./clipQueryService');
+const { recordAudit } = require('./auditLogService');
+const { LIMIT_KEYS, getQuotaPolicy } = require('./quotaPolicyService');
+const { getUserUsage } = require('./usageLedgerService');
+const { encodeMetadataText } = require('../utils/helpers');
+
+const MAX_REASON_LENGTH = 500;
+const MAX_QUOTA = 1024 * 1024 * 1024 * 1024; // 1TB
+const MAX_COUNT_LIMIT = 100000;
+// Largest value an admin can set for each quota limit
+const LIMIT_MAXIMUMS = {
+    maxStorage: MAX_QUOTA,
+    maxFileSize: MAX_QUOTA,
+    maxClips: MAX_COUNT_LIMIT,
+    maxUploadsPerDay: MAX_COUNT_LIMIT
+};
+const TOP_UPLOADERS = 10;
+
+const createAdminError = (status, code, message) => {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+};
+
+const parseReason = (value) => {
+    const reason = typeof value === 'string' ? value.trim() : '';
+    if (reason.length > MAX_REASON_LENGTH) {
+        throw createAdminError(400, 'VALIDATION_ERROR', `reason must be at most ${MAX_REASON_LENGTH} characters`);
+    }
+    return reason || null;
+};
+
+const getClip = (videoId) => {
+    const videoData = videoStore.get(videoId);
+
+    // videoStore also holds `<videoId>_webhook_sent` flags - those aren't clips
+    if (!videoData || typeof videoData !== 'object') {
+        throw createAdminError(404, 'CLIP_NOT_FOUND', 'Clip not found');
+    }
+    return videoData;
+};
+
+// Every clip record, skipping the webhook flags
+const getAllClips = () => Array.from(videoStore.values()).filter(videoData => videoData && typeof videoData === 'object');
+
+// Clip counts per uploader, from the clip records (stored bytes come from the usage ledger)
+const getUsageByUser = () => {
+    const usage = new Map();
+    for (const videoData of getAllClips()) {
+        const current = usage.get(videoData.uploadedBy) || { clipCount: 0, latestClip: null };
+        current.clipCount++;
+        if (!current.latestClip || new Date(videoData.uploadDate).getTime() > new Date(current.latestClip.uploadDate).getTime()) {
+            current.latestClip = videoData;
+        }
+        usage.set(videoData.uploadedBy, current);
+    }
+    return usage;
+};
+
+// Admin view of a clip: the usual summary plus moderation state
+const toAdminClip = (baseUrl, videoId, videoData) => ({
+    ...toClipSummary(baseUrl, videoId, videoData),
+    takedown: videoData.takedown || null,
+    uploaderBanned: Boolean(userStore.get(videoData.uploadedBy)?.uploadBan)
+});
+
+/**
+ * Every clip, taken down or not. Accepts the clip list query parameters plus
+ * status=active|taken-down.
+ */
+const listClips = (baseUrl, admin, query = {}) => {
+    if (query.status !== undefined && !['active', 'taken-down'].includes(query.status)) {
+        throw createAdminError(400, 'INVALID_QUERY', 'status must be one of: active, taken-down');
+    }
+
+    const filters = parseClipQuery(query);
+    if (query.status) {
+        filters.takenDown = query.status === 'taken-down';
+    }
+
+    const { items, total, nextCursor } = queryClips(filters, admin);
+    return {
+        clips: items.map(({ videoId, videoData }) => toAdminClip(baseUrl, videoId, videoData)),
+        total,
+        nextCursor
+    };
+};
+
+const toAdminUser = (userId, storedUser, usage) => {
+    // Members who haven't logged in since the store was introduced only exist on their clips
+    const user = storedUser || {
+        id: userId,
+        username: usage.latestClip.uploaderUsername,
+        avatar: usage.latestClip.uploaderAvatar,
+        discriminator: '0'
+    };
+    const quotaPolicy = getQuotaPolicy(userId);
+    const quota = quotaPolicy.limits.maxStorage;
+    const { total: used, byKind, reconciliation } = getUserUsage(userId);
+
+    return {
+        id: userId,
+        username: user.username || 'Unknown User',
+        avatar: getDiscordAvatarUrl(user),
+        isAdmin: isAdmin(user),
+        roles: (storedUser && storedUser.roles) || [],
+        joinedAt: (storedUser && storedUser.joinedAt) || null,
+        lastLogin: (storedUser && storedUser.loginTime) || null,
+        clipCount: usage.clipCount,
+        quota,
+        quotaPolicy,
+        used,
+        usageByKind: byKind,
+        // Latest ledger-vs-storage check (see usageLedgerService.runReconciliation)
+        reconciliation,
+        remaining: quota === null ? null : Math.max(0, quota - used),
+        uploadBan: (storedUser && storedUser.uploadBan) || null
+    };
+};
+
+/**
+ * Every known member - stored accounts plus anyone with clips - with their usage, quota and ban state.
+ * Filters: ?q (username substring), ?banned=true. Sorted by storage used.
+ */
+const listUsers = (query = {}) => {
+    const usageByUser = getUsageByUser();
+    const userIds = new Set([...userStore.keys(), ...usageByUser.keys()]);
+    const search = typeof query.q === 'string' ? query.q.trim().toLowerCase() : '';
+    const empty = { clipCount: 0, latestClip: null };
+
+    return Array.from(userIds)
+        .map(userId => toAdminUser(userId, userStore.get(userId), usageByUser.get(userId) || empty))
+        .filter(user => !search || user.username.toLowerCase().includes(search))
+        .filter(user => query.banned !== 'true' || user.uploadBan)
+        .sort((a, b) => b.used - a.used);
+};
+
+// The stored record for a member, creating a minimal one (from their clips) for members who
+// never logged in, so quotas and bans can still be set on them
+const getOrCreateUserRecord = (userId) => {
+    const storedUser = userStore.get(userId);
+    if (storedUser) return storedUser;
+
+    const usage = getUsageByUser().get(userId);
+    if (!usage) {
+        throw createAdminError(404, 'USER_NOT_FOUND', 'User not found');
+    }
+    const user = {
+        id: userId,
+        username: usage.latestClip.uploaderUsername,
+        avatar: usage.latestClip.uploaderAvatar,
+        discriminator: '0',
+        uploads: [],
+        quotaOverrides: {}
+    };
+    userStore.set(userId, user);
+    return user;
+};
+
+const getAdminUser = (userId) => {
+    return toAdminUser(userId, userStore.get(userId), getUsageByUser().get(userId) || { clipCount: 0, latestClip: null });
+};
+
+/**
+ * Hide a clip from everyone but admins (see clipAccessService). Mirrored into blob metadata so a
+ * store rebuild keeps it down.
+ */
+const takedownClip = async (admin, videoId, input = {}) => {
+    const videoData = getClip(videoId);
+    if (videoData.takedown) {
+        throw createAdminError(409, 'ALREADY_TAKEN_DOWN', 'This clip has already been taken down');
+    }
+    const reason = parseReason(input.reason);
+
+    videoData.takedown = {
+        reason,
+        by: admin.id,
+        byUsername: admin.username,
+        at: new Date().toISOString()
+    };
+    videoStore.set(videoId, videoData);
+
+    await updateVideoBlobMetadata(videoId, {
+        takenDownAt: videoData.takedown.at,
+        takedownReason: reason ? encodeMetadataText(reason) : null
+    }).catch(error => {
+        console.error(`⚠️ Failed to record takedown in blob metadata for ${videoId}:`, error.message);
+    });
+
+    recordAudit(admin, 'clip.takedown', {
+        targetType: 'clip',
+        targetId: videoId,
+        details: { reason, title: videoData.title || videoData.originalName, uploadedBy: videoData.uploadedBy }
+    });
+    return videoData;
+};
+
+const restoreClip = async (admin, videoId, input = {}) => {
+    const videoData = getClip(videoId);
+    if (!videoData.takedown) {
+        throw createAdminError(409, 'NOT_TAKEN_DOWN', 'This clip is not taken down');
+    }
+    const previous = videoData.takedown;
+
+    delete videoData.takedown;
+    videoStore.set(videoId, videoData);
+
+    await updateVideoBlobMetadata(videoId, { takenDownAt: null, takedownReason: null }).catch(error => {
+        console.error(`⚠️ Failed to clear takedown from blob metadata for ${videoId}:`, error.message);
+    });
+
+    recordAudit(admin, 'clip.restore', {
+        targetType: 'clip',
+        targetId: videoId,
+        details: { reason: parseReason(input.reason), takedown: previous }
+    });
+    return videoData;
+};
+
+// An override value: a number sets the limit, 'unlimited' lifts it (stored as null)
+const parseLimitOverride = (key, value) => {
+    if (value === 'unlimited') return null;
+
+    const limit = Number(value);
+    if (value === '' || value === true || !Number.isInteger(limit) || limit < 0 || limit > LIMIT_MAXIMUMS[key]) {
+        throw createAdminError(400, 'VALIDATION_ERROR', `${key} must be a whole number between 0 and ${LIMIT_MAXIMUMS[key]}, 'unlimited', or null to use the tier limit`);
+    }
+    return limit;
+};
+
+/**
+ * Override a member's quota limits on top of their role tier. Input: { maxStorage?, maxFileSize?,
+ * maxClips?, maxUploadsPerDay?, reason? } - each limit is a number (bytes or a count), 'unlimited',
+ * or null to go back to the tier's limit. Limits left out of the input are unchanged.
+ */
+const setUserQuota = (admin, userId, input = {}) => {
+    const changes = LIMIT_KEYS.filter(key => input[key] !== undefined);
+    if (changes.length === 0) {
+        throw createAdminError(400, 'VALIDATION_ERROR', `Provide at least one of: ${LIMIT_KEYS.join(', ')}`);
+    }
+    const reason = parseReason(input.reason);
+
+    const overrides = { ...(getOrCreateUserRecord(userId).quotaOverrides || {}) };
+    for (const key of changes) {
+        if (input[key] === null) {
+            delete overrides[key];
+        } else {
+            overrides[key] = parseLimitOverride(key, input[key]);
+        }
+    }
+
+    const user = userStore.get(userId);
+    const previous = getQuotaPolicy(userId);
+    user.quotaOverrides = overrides;
+    userStore.set(userId, user);
+
+    recordAudit(admin, 'user.quota', {
+        targetType: 'user',
+        targetId: userId,
+        details: { tier: previous.tier, from: previous.overrides, to: overrides, reason }
+    });
+    return getAdminUser(userId);
+};
+
+/**
+ * Stop a member from uploading (their existing clips stay up)
+ */
+const banUser = (admin, userId, input = {}) => {
+    const reason = parseReason(input.reason);
+    const user = getOrCreateUserRecord(userId);
+    if (isAdmin(user)) {
+        throw createAdminError(400, 'INVALID_REQUEST', 'Admins can\'t be banned from uploading');
+    }
+    if (user.uploadBan) {
+        throw createAdminError(409, 'ALREADY_BANNED', 'This user is already banned from uploading');
+    }
+
+    user.uploadBan = {
+        reason,
+        by: admin.id,
+        byUsername: admin.username,
+        at: new Date().toISOString()
+    };
+    userStore.set(userId, user);
+
+    recordAudit(admin, 'user.ban', { targetType: 'user', targetId: userId, details: { reason } });
+    return getAdminUser(userId);
+};
+
+const unbanUser = (admin, userId, input = {}) => {
+    const user = userStore.get(userId);
+    if (!user || !user.uploadBan) {
+        throw createAdminError(409, 'NOT_BANNED', 'This user is not banned from uploading');
+    }
+    const previous = user.uploadBan;
+
+    user.uploadBan = null;
+    userStore.set(userId, user);
+
+    recordAudit(admin, 'user.unban', {
+        targetType: 'user',
+        targetId: userId,
+        details: { reason: parseReason(input.reason), ban: previous }
+    });
+    return getAdminUser(userId);
+};
+
+/**
+ * Storage totals across all clips: originals, renditions and generated images, by visibility,
+ * plus the biggest uploaders
+ */
+const getStorageTotals = () => {
+    const totals = {
+        clipCount: 0,
+        takenDownCount: 0,
+        originalBytes: 0,
+        renditionBytes: 0,
+        imageBytes: 0,
+        totalBytes: 0,
+        byVisibility: {}
+    };
+
+    for (const videoData of getAllClips()) {
+        const size = Number(videoData.size) || 0;
+        const renditionBytes = Object.values(videoData.renditions || {}).reduce((sum, rendition) => sum + (Number(rendition.size) || 0), 0);
+        const imageBytes = [videoData.thumbnail, videoData.preview].reduce((sum, asset) => sum + (Number(asset && asset.size) || 0), 0);
+
+        totals.clipCount++;
+        if (videoData.takedown) totals.takenDownCount++;
+        totals.originalBytes += size;
+        totals.renditionBytes += renditionBytes;
+        totals.imageBytes += imageBytes;
+
+        const visibility = getClipVisibility(videoData);
+        const bucket = totals.byVisibility[visibility] || { clipCount: 0, bytes: 0 };
+        bucket.clipCount++;
+        bucket.bytes += size + renditionBytes + imageBytes;
+        totals.byVisibility[visibility] = bucket;
+    }
+    totals.totalBytes = totals.originalBytes + totals.renditionBytes + totals.imageBytes;
+
+    const users = listUsers();
+    return {
+        ...totals,
+        userCount: users.length,
+        bannedUserCount: users.filter(user => user.uploadBan).length,
+        topUploaders: users.slice(0, TOP_UPLOADERS).map(({ id, username, clipCount, used, quota }) => ({ id, username, clipCount, used, quota }))
+    };
+};
+
+module.exports = {
+    listClips,
+    getClip,
+    listUsers,
+    getAdminUser,
+    takedownClip,
+    restoreClip,
+    setUserQuota,
+    banUser,
+    unbanUser,
+    getStorageTotals
+};
@@ -0,0 +1,415 @@
+const crypto = require('crypto');
+const config = require('../config');
+const { videoStore, analyticsStore, analyticsSaltStore, reactionStore } = require('../config/database');
+const { isClipListed } = require('./clipAccessService');
+const { emitWebhookEvent } = require('./webhookSubscriptionService');
+const { sendDiscordEvent } = require('./discordService');
+const { createSketch, decodeSketch, encodeSketch, addHash, mergeSketch, estimateCardinality } = require('../utils/hyperLogLog');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Hourly buckets are for "last few days" charts, daily buckets for everything longer
+const INTERVALS = {
+    hour: { step: HOUR, retention: 14 * DAY, defaultRange: DAY, keyLength: 13 },  // 2026-01-31T14
+    day: { step: DAY, retention: 400 * DAY, defaultRange: 30 * DAY, keyLength: 10 } // 2026-01-31
+};
+
+// Event type -> counter name on the bucket (and on the series response)
+const METRICS = {
+    view: 'views',
+    download: 'downloads',
+    share: 'shares'
+};
+
+// page: the /v/ page, playlist: the /p/ player, share: a /s/ share link, app: the frontend, embed: the
+// stream loaded from anywhere else (Discord embeds, pasted links), direct: no recognisable referrer
+const SOURCES = ['page', 'playlist', 'share', 'app', 'embed', 'direct'];
+const MAX_REFERRERS_PER_BUCKET = 20;
+// View counts that fire clip.viewed.milestone (webhooks and Discord)
+const VIEW_MILESTONES = [10, 50, 100, 250, 500, 1000, 5000, 10000];
+// Repeat embed loads by the same viewer within this window (link unfurls, players re-requesting
+// bytes=0-) count as one view
+const EMBED_VIEW_WINDOW = 30 * 60 * 1000;
+
+// `${videoId}:${viewer hash}` -> when their embed view was last counted
+const recentEmbedViews = new Map();
+
+const createAnalyticsError = (status, code, message) => {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+};
+
+const getBucketStart = (time, interval) => Math.floor(time / INTERVALS[interval].step) * INTERVALS[interval].step;
+
+const getBucketKey = (videoId, interval, bucketStart) => {
+    return `${videoId}:${interval}:${new Date(bucketStart).toISOString().substring(0, INTERVALS[interval].keyLength)}`;
+};
+
+const getHost = (url) => {
+    try {
+        return new URL(url).host.toLowerCase();
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Where a request came from, based on its Referer: 'page', 'playlist', 'share' or 'app' for our own pages,
+ * null for anything else (including no referrer)
+ */
+const classifySource = (req) => {
+    const referer = req.get('referer');
+    if (!referer) return null;
+
+    const host = getHost(referer);
+    const ownHosts = [req.get('host'), getHost(config.server.backendUrl)].filter(Boolean).map(value => value.toLowerCase());
+    if (ownHosts.includes(host)) {
+        const { pathname } = new URL(referer);
+        if (pathname.startsWith('/p/')) return 'playlist';
+        return pathname.startsWith('/s/') ? 'share' : 'page';
+    }
+    if (host && host === getHost(config.server.frontendUrl)) {
+        return 'app';
+    }
+    return null;
+};
+
+// Referrers are kept as bare hostnames - paths can carry personal data
+const normalizeReferrer = (referrer) => (referrer && getHost(referrer)) || 'direct';
+
+// Today's salt for viewer hashes. Replacing it each day (and discarding the old one) means hashes
+// can't be linked across days, so viewers aren't trackable long-term
+const getDailySalt = () => {
+    const today = new Date().toISOString().substring(0, 10);
+    const current = analyticsSaltStore.get('current');
+    if (current && current.day === today) {
+        return current.salt;
+    }
+
+    const salt = crypto.randomBytes(32).toString('hex');
+    analyticsSaltStore.set('current', { day: today, salt });
+    return salt;
+};
+
+/**
+ * Salted hash identifying a viewer for unique counting: the member's id when logged in,
+ * otherwise IP + user agent. Neither is stored - only the hash feeds the sketches.
+ */
+const getViewerHash = (req) => {
+    const identity = req.user
+        ? `user:${req.user.id}`
+        : `anon:${req.ip}|${req.get('user-agent') || ''}`;
+    return crypto.createHash('sha256').update(`${getDailySalt()}:${identity}`).digest();
+};
+
+/**
+ * Count a viewer towards the clip's lifetime unique viewers (an estimate - with daily salts,
+ * someone watching on several days counts once per day). Mutates videoData; the caller saves it.
+ */
+const addUniqueViewer = (videoData, viewerHash) => {
+    const sketch = decodeSketch(videoData.viewerSketch);
+    if (addHash(sketch, viewerHash) || videoData.uniqueViewers === undefined) {
+        videoData.viewerSketch = encodeSketch(sketch);
+        videoData.uniqueViewers = estimateCardinality(sketch);
+    }
+};
+
+/**
+ * Whether a stream request from outside our pages should count as a new embed view. Records the
+ * view, so the same viewer isn't counted again for this clip within EMBED_VIEW_WINDOW.
+ */
+const claimEmbedView = (videoId, viewerHash) => {
+    const key = `${videoId}:${viewerHash.toString('hex')}`;
+    const now = Date.now();
+    const lastCounted = recentEmbedViews.get(key);
+    if (lastCounted && now - lastCounted < EMBED_VIEW_WINDOW) {
+        return false;
+    }
+
+    recentEmbedViews.set(key, now);
+    return true;
+};
+
+const incrementIn = (counts, key) => {
+    counts[key] = (counts[key] || 0) + 1;
+};
+
+const recordInBucket = (videoId, interval, time, metric, source, referrer, viewer) => {
+    const bucketStart = getBucketStart(time, interval);
+    const key = getBucketKey(videoId, interval, bucketStart);
+    const bucket = analyticsStore.get(key) || {
+        videoId,
+        interval,
+        bucket: new Date(bucketStart).toISOString(),
+        views: 0,
+        downloads: 0,
+        shares: 0,
+        sources: {},
+        referrers: {}
+    };
+
+    bucket[metric]++;
+    bucket.sources[metric] = bucket.sources[metric] || {};
+    incrementIn(bucket.sources[metric], source);
+
+    if (metric === 'views') {
+        const known = referrer in bucket.referrers || Object.keys(bucket.referrers).length < MAX_REFERRERS_PER_BUCKET;
+        incrementIn(bucket.referrers, known ? referrer : 'other');
+
+        // Daily buckets carry a unique-viewer sketch (hourly ones would cost 1KB per clip per hour)
+        if (viewer && interval === 'day') {
+            const sketch = decodeSketch(bucket.viewers);
+            if (addHash(sketch, viewer)) {
+                bucket.viewers = encodeSketch(sketch);
+            }
+        }
+    }
+
+    analyticsStore.set(key, bucket);
+};
+
+/**
+ * Record a view, download or share into the clip's hourly and daily buckets.
+ * Pass `viewer` (see getViewerHash) with views to count unique viewers per day. Call after bumping
+ * the clip's view count - views that reach a milestone fire the clip.viewed.milestone webhook.
+ */
+const recordEvent = (videoId, type, { source = 'direct', referrer = null, viewer = null } = {}) => {
+    const metric = METRICS[type];
+    if (!metric) {
+        throw new Error(`Unknown analytics event type: ${type}`);
+    }
+
+    const now = Date.now();
+    const normalizedSource = SOURCES.includes(source) ? source : 'direct';
+    const normalizedReferrer = normalizeReferrer(referrer);
+
+    recordInBucket(videoId, 'hour', now, metric, normalizedSource, normalizedReferrer, viewer);
+    recordInBucket(videoId, 'day', now, metric, normalizedSource, normalizedReferrer, viewer);
+
+    const videoData = type === 'view' && videoStore.get(videoId);
+    if (videoData && VIEW_MILESTONES.includes(videoData.views)) {
+        emitWebhookEvent('clip.viewed.milestone', videoData, { key: videoData.views, data: { milestone: videoData.views } });
+        sendDiscordEvent('clip.viewed.milestone', videoData, { key: videoData.views, milestone: videoData.views });
+    }
+};
+
+const parseTime = (value, name) => {
+    if (value === undefined || value === '') return null;
+    const time = /^\d+$/.test(value) ? parseInt(value, 10) : Date.parse(value);
+    if (!Number.isFinite(time)) {
+        throw createAnalyticsError(400, 'INVALID_QUERY', `${name} must be an ISO date or a millisecond timestamp`);
+    }
+    return time;
+};
+
+/**
+ * Parse ?from&to&interval for the time-series endpoint. Defaults to the last 30 days (daily)
+ * or the last 24 hours (hourly).
+ */
+const parseSeriesQuery = (query = {}) => {
+    const interval = query.interval || 'day';
+    if (!INTERVALS[interval]) {
+        throw createAnalyticsError(400, 'INVALID_QUERY', `interval must be one of: ${Object.keys(INTERVALS).join(', ')}`);
+    }
+
+    const { step, retention, defaultRange } = INTERVALS[interval];
+    const to = getBucketStart(parseTime(query.to, 'to') ?? Date.now(), interval);
+    const from = getBucketStart(parseTime(query.from, 'from') ?? to - defaultRange + step, interval);
+
+    if (from > to) {
+        throw createAnalyticsError(400, 'INVALID_QUERY', 'from must be before to');
+    }
+    if (to - from > retention) {
+        throw createAnalyticsError(400, 'INVALID_QUERY', `${interval} series are limited to ${retention / DAY} days`);
+    }
+
+    return { interval, from, to };
+};
+
+const addCounts = (target, counts) => {
+    for (const [key, count] of Object.entries(counts || {})) {
+        target[key] = (target[key] || 0) + count;
+    }
+};
+
+/**
+ * Zero-filled, chart-ready series for one clip: one label per bucket and a value array per metric,
+ * plus range totals, a per-metric source breakdown and the top view referrers.
+ * Daily series also include uniqueViewers (per day, and for the whole range).
+ */
+const getTimeSeries = (videoId, { interval, from, to }) => {
+    const labels = [];
+    const series = { views: [], downloads: [], shares: [] };
+    const totals = { views: 0, downloads: 0, shares: 0 };
+    const sources = { views: {}, downloads: {}, shares: {} };
+    const referrers = {};
+    const rangeViewers = interval === 'day' ? createSketch() : null;
+    if (rangeViewers) series.uniqueViewers = [];
+
+    for (let time = from; time <= to; time += INTERVALS[interval].step) {
+        const bucket = analyticsStore.get(getBucketKey(videoId, interval, time));
+        labels.push(new Date(time).toISOString());
+
+        for (const metric of Object.values(METRICS)) {
+            const count = bucket ? bucket[metric] : 0;
+            series[metric].push(count);
+            totals[metric] += count;
+            if (bucket) addCounts(sources[metric], bucket.sources[metric]);
+        }
+        if (bucket) addCounts(referrers, bucket.referrers);
+
+        if (rangeViewers) {
+            const sketch = decodeSketch(bucket && bucket.viewers);
+            series.uniqueViewers.push(bucket && bucket.viewers ? estimateCardinality(sketch) : 0);
+            mergeSketch(rangeViewers, sketch);
+        }
+    }
+    if (rangeViewers) totals.uniqueViewers = estimateCardinality(rangeViewers);
+
+    const topReferrers = Object.entries(referrers)
+        .sort(([, a], [, b]) => b - a)
+        .slice(0, 10)
+        .map(([referrer, views]) => ({ referrer, views }));
+
+    return {
+        videoId,
+        interval,
+        from: new Date(from).toISOString(),
+        to: new Date(to).toISOString(),
+        labels,
+        series,
+        totals,
+        sources,
+        topReferrers
+    };
+};
+
+// View/download/share totals for a clip over the last `days` daily buckets (today included)
+const getRecentTotals = (videoId, days) => {
+    const totals = { views: 0, downloads: 0, shares: 0 };
+    const today = getBucketStart(Date.now(), 'day');
+
+    for (let i = 0; i < days; i++) {
+        const bucket = analyticsStore.get(getBucketKey(videoId, 'day', today - i * DAY));
+        if (!bucket) continue;
+        for (const metric of Object.values(METRICS)) {
+            totals[metric] += bucket[metric];
+        }
+    }
+    return totals;
+};
+
+// Reactions made (and still standing) in the last `days` days - the same window as getRecentTotals - by clip
+const getRecentReactionCounts = (days) => {
+    const since = getBucketStart(Date.now(), 'day') - (days - 1) * DAY;
+    const counts = new Map();
+
+    for (const record of reactionStore.values()) {
+        if (new Date(record.reactedAt).getTime() >= since) {
+            counts.set(record.videoId, (counts.get(record.videoId) || 0) + 1);
+        }
+    }
+    return counts;
+};
+
+/**
+ * Clips listed for `viewer` with the most activity over the last `days` days, weighted like
+ * calculatePopularityScore (views 1, downloads 2, shares 3, reactions 4)
+ */
+const getTrendingClips = ({ days = 7, limit = 10, viewer = null } = {}) => {
+    const reactionCounts = getRecentReactionCounts(days);
+    const trending = [];
+
+    for (const [videoId, videoData] of videoStore.entries()) {
+        // videoStore also holds `<videoId>_webhook_sent` flags - those aren't clips
+        if (!videoData || typeof videoData !== 'object' || !isClipListed(videoData, viewer)) continue;
+
+        const totals = { ...getRecentTotals(videoId, days), reactions: reactionCounts.get(videoId) || 0 };
+        const score = totals.views + (totals.downloads * 2) + (totals.shares * 3) + (totals.reactions * 4);
+        if (score > 0) {
+            trending.push({ videoId, videoData, ...totals, score });
+        }
+    }
+
+    return trending.sort((a, b) => b.score - a.score).slice(0, limit);
+};
+
+/**
+ * One-off migration: fold the raw IPs older records kept in `viewerIPs` into a viewer sketch
+ * (hashed with a throwaway salt), then drop them
+ */
+const purgeLegacyViewerIPs = () => {
+    const migrationSalt = crypto.randomBytes(32).toString('hex');
+    let migratedCount = 0;
+
+    for (const [videoId, videoData] of videoStore.entries()) {
+        if (!videoData || typeof videoData !== 'object' || !('viewerIPs' in videoData)) continue;
+
+        const ips = videoData.viewerIPs instanceof Set || Array.isArray(videoData.viewerIPs) ? Array.from(videoData.viewerIPs) : [];
+        const sketch = decodeSketch(videoData.viewerSketch);
+        for (const ip of ips) {
+            addHash(sketch, crypto.createHash('sha256').update(`${migrationSalt}:anon:${ip}`).digest());
+        }
+
+        delete videoData.viewerIPs;
+        videoData.viewerSketch = encodeSketch(sketch);
+        videoData.uniqueViewers = estimateCardinality(sketch);
+        videoStore.set(videoId, videoData);
+        migratedCount++;
+    }
+
+    if (migratedCount > 0) {
+        console.log(`🔒 Replaced stored viewer IPs with unique-viewer sketches on ${migratedCount} clips`);
+    }
+};
+
+// Remove a deleted clip's buckets
+const removeAnalyticsForClip = (videoId) => {
+    for (const [key, bucket] of analyticsStore.entries()) {
+        if (bucket.videoId === videoId) {
+            analyticsStore.delete(key);
+        }
+    }
+};
+
+// Prune buckets past their interval's retention periodically
+setInterval(() => {
+    const now = Date.now();
+    let prunedCount = 0;
+
+    for (const [key, bucket] of analyticsStore.entries()) {
+        const { retention } = INTERVALS[bucket.interval] || INTERVALS.day;
+        if (new Date(bucket.bucket).getTime() < now - retention) {
+            analyticsStore.delete(key);
+            prunedCount++;
+        }
+    }
+
+    if (prunedCount > 0) {
+        console.log(`🧹 Pruned ${prunedCount} expired analytics buckets`);
+    }
+
+    for (const [key, lastCounted] of recentEmbedViews.entries()) {
+        if (lastCounted < now - EMBED_VIEW_WINDOW) {
+            recentEmbedViews.delete(key);
+        }
+    }
+}, 60 * 60 * 1000).unref(); // Run cleanup every hour
+
+module.exports = {
+    SOURCES,
+    classifySource,
+    getViewerHash,
+    addUniqueViewer,
+    claimEmbedView,
+    recordEvent,
+    parseSeriesQuery,
+    getTimeSeries,
+    getRecentTotals,
+    getTrendingClips,
+    purgeLegacyViewerIPs,
+    removeAnalyticsForClip
+};
@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+const { auditLogStore } = require('../config/database');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+/**
+ * Append an entry to the admin audit log. `action` is a dotted name like 'clip.takedown';
+ * `details` holds whatever is needed to understand the change later (reasons, old/new values).
+ */
+const recordAudit = (actor, action, { targetType, targetId, details = {} } = {}) => {
+    const createdAt = new Date().toISOString();
+    const entry = {
+        // Timestamp prefix keeps ids in chronological order (used as the paging cursor)
+        id: `${createdAt}_${crypto.randomBytes(4).toString('hex')}`,
+        action,
+        actorId: actor.id,
+        actorUsername: actor.username,
+        targetType: targetType || null,
+        targetId: targetId || null,
+        details,
+        createdAt
+    };
+    auditLogStore.set(entry.id, entry);
+
+    console.log(`📝 Audit: ${actor.username} ${action}${targetId ? ` ${targetType} ${targetId}` : ''}`);
+    return entry;
+};
+
+/**
+ * Audit log entries, newest first. Filters: { action, actorId, targetId, before (entry id), limit }.
+ * Returns { entries, nextCursor } - pass nextCursor back as `before` for the next page.
+ */
+const listAuditLog = (filters = {}) => {
+    const limit = Math.min(Math.max(parseInt(filters.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+    const entries = Array.from(auditLogStore.values())
+        .filter(entry => !filters.action || entry.action === filters.action)
+        .filter(entry => !filters.actorId || entry.actorId === filters.actorId)
+        .filter(entry => !filters.targetId || entry.targetId === filters.targetId)
+        .filter(entry => !filters.before || entry.id < filters.before)
+        .sort((a, b) => (a.id < b.id ? 1 : (a.id > b.id ? -1 : 0)));
+
+    const page = entries.slice(0, limit);
+    return {
+        entries: page,
+        nextCursor: entries.length > limit ? page[page.length - 1].id : null
+    };
+};
+
+module.exports = {
+    recordAudit,
+    listAuditLog
+};
@@ -7,6 +7,10 @@ const { userStore } = require('../config/database');
 const guildMembershipCache = new Map();
 const CACHE_DURATION = 30 * 60 * 1000; // 30 minutes (increased)
 
+// When each member's roles were last re-read with the bot (see refreshMemberRoles)
+const roleCheckTimes = new Map();
+const ROLE_RECHECK_INTERVAL = 60 * 1000; // 1 minute
+
 // Rate limiting for Discord API calls
 let lastDiscordApiCall = 0;
 const DISCORD_API_COOLDOWN = 3000; // 3 seconds between calls (increased)
@@ -57,10 +61,15 @@ const setupDiscordAuth = (app) => {
                 guildMember: guildMember.isMember,
                 hasRole: guildMember.hasRole,
                 needsVerification: guildMember.needsVerification || false,
-                // Preserve existing upload data if available
+                // Guild roles (for role-based admins) - none when this check couldn't read them
+                roles: guildMember.roles || [],
+                // Set by admins (see adminService)
+                uploadBan: existingUser?.uploadBan || null,
+                // Preserve existing upload history if available (stored bytes live in the usage ledger)
                 uploads: existingUser?.uploads || [],
-                totalUploadSize: existingUser?.totalUploadSize || 0,
-                quota: existingUser?.quota || config.upload.userQuota
+                // Per-user quota limits set by admins - the rest comes from the member's role tier (see quotaPolicyService)
+                quotaOverrides: existingUser?.quotaOverrides || {},
+                joinedAt: existingUser?.joinedAt || new Date().toISOString()
             };
 
             userStore.set(profile.id, user);
@@ -104,7 +113,7 @@ const checkGuildMembershipOptimized = async (userId, accessToken = null) => {
     }
 
     // Try bot token first (if available) - more reliable and has higher rate limits
-    const botToken = process.env.DISCORD_BOT_TOKEN;
+    const botToken = config.discord.botToken;
     if (botToken) {
         try {
             const result = await checkGuildMembershipWithBot(userId, botToken);
@@ -200,7 +209,7 @@ const checkGuildMembershipWithBot = async (userId, botToken) => {
         const hasRequiredRole = config.discord.requiredRoles.some(roleId => member.roles.includes(roleId));
         
         console.log(`🤖 Bot check result for user ${userId} - Member: true, HasRole: ${hasRequiredRole}, Roles: ${member.roles.length}`);
-        return { isMember: true, hasRole: hasRequiredRole };
+        return { isMember: true, hasRole: hasRequiredRole, roles: member.roles };
         
     } catch (error) {
         // Handle network errors, timeouts, etc.
@@ -258,7 +267,7 @@ const checkGuildMembershipWithUserToken = async (accessToken, userId) => {
             const hasRequiredRole = config.discord.requiredRoles.some(roleId => member.roles.includes(roleId));
             
             console.log(`✓ User ${userId} guild membership - Member: true, HasRole: ${hasRequiredRole}, Roles: ${member.roles.length}`);
-            return { isMember: true, hasRole: hasRequiredRole };
+            return { isMember: true, hasRole: hasRequiredRole, roles: member.roles };
         } else {
             console.log(`⚠️ Could not check roles for user ${userId} (status: ${memberResponse.status}), allowing access`);
             // If we can't check roles but they are in the guild, allow access
@@ -271,10 +280,41 @@ const checkGuildMembershipWithUserToken = async (accessToken, userId) => {
     }
 };
 
+/**
+ * Re-read a member's guild roles with the bot and store them on their user record. Skips the Discord
+ * call when they were read in the last ROLE_RECHECK_INTERVAL; throws when the bot can't read them.
+ */
+const refreshMemberRoles = async (userId) => {
+    const botToken = config.discord.botToken;
+    if (!botToken) {
+        throw new Error('Bot token not configured');
+    }
+
+    const lastCheck = roleCheckTimes.get(userId);
+    if (lastCheck && Date.now() - lastCheck < ROLE_RECHECK_INTERVAL) {
+        return userStore.get(userId);
+    }
+
+    const member = await checkGuildMembershipWithBot(userId, botToken);
+    roleCheckTimes.set(userId, Date.now());
+
+    const user = userStore.get(userId);
+    if (user) {
+        user.guildMember = member.isMember;
+        user.roles = member.roles || [];
+        userStore.set(userId, user);
+    }
+    return user;
+};
+
 const getDiscordAvatarUrl = (user) => {
     if (!user) return null;
     
     if (user.avatar && user.id) {
+        // Users stored by the OAuth strategy already carry a full avatar URL
+        if (user.avatar.startsWith('http')) {
+            return user.avatar;
+        }
         return `https://cdn.discordapp.com/avatars/${user.id}/${user.avatar}.png?size=128`;
     }
     
@@ -305,8 +345,25 @@ setInterval(() => {
     }
 }, CACHE_DURATION); // Run cleanup every 30 minutes
 
+// Re-check the roles of members holding an admin role, so a role removed in Discord stops granting admin
+setInterval(async () => {
+    if (!config.discord.botToken || config.discord.adminRoleIds.length === 0) return;
+
+    roleCheckTimes.clear();
+    for (const user of Array.from(userStore.values())) {
+        if (!(user.roles || []).some(roleId => config.discord.adminRoleIds.includes(roleId))) continue;
+
+        try {
+            await refreshMemberRoles(user.id);
+        } catch (error) {
+            console.log(`⚠️ Could not re-check roles for user ${user.id}:`, error.message);
+        }
+    }
+}, 60 * 60 * 1000).unref(); // Run every hour
+
 module.exports = {
     setupDiscordAuth,
     getDiscordAvatarUrl,
+    refreshMemberRoles,
     userStore
 };
@@ -2,6 +2,10 @@ const fs = require('fs');
 const path = require('path');
 const { getBlobServiceClient } = require('../config/azure');
 const { videoStore } = require('../config/database');
+const { fromBlobMetadata } = require('./mediaProbeService');
+const { scheduleMediaProbe } = require('./mediaProcessingService');
+const { fromClipDetailsMetadata } = require('../utils/clipDetails');
+const { decodeMetadataText } = require('../utils/helpers');
 const config = require('../config');
 
 // Function to rebuild video store from existing files
@@ -26,6 +30,7 @@ const rebuildFromAzureStorage = async () => {
         const containerClient = blobServiceClient.getContainerClient(config.azure.containerName);
         
         let count = 0;
+        const toProbe = [];
         for await (const blob of containerClient.listBlobsFlat({ includeMetadata: true })) {
             if (blob.metadata && blob.metadata.videoId) {
                 const videoData = {
@@ -45,13 +50,61 @@ const rebuildFromAzureStorage = async () => {
                     fileFormat: blob.metadata.fileFormat || path.extname(blob.name),
                     isMKV: blob.metadata.isMKV === 'true'
                 };
+
+                // Title, description and tags (percent-encoded, see utils/clipDetails)
+                Object.assign(videoData, fromClipDetailsMetadata(blob.metadata));
+
+                // Admin takedowns (see adminService) - who did it lives in the audit log
+                if (blob.metadata.takenDownAt) {
+                    videoData.takedown = {
+                        reason: decodeMetadataText(blob.metadata.takedownReason),
+                        at: blob.metadata.takenDownAt
+                    };
+                }
+
+                // Web-playable rendition written by the transcoding job
+                if (blob.metadata.webRendition) {
+                    videoData.renditions = {
+                        web: { blobName: blob.metadata.webRendition, contentType: 'video/mp4' }
+                    };
+                    videoData.transcodeStatus = 'ready';
+                }
+
+                // Poster and animated preview written by the thumbnails job
+                if (blob.metadata.thumbnailBlob) {
+                    videoData.thumbnail = { blobName: blob.metadata.thumbnailBlob, contentType: 'image/jpeg' };
+                }
+                if (blob.metadata.previewBlob) {
+                    videoData.preview = {
+                        blobName: blob.metadata.previewBlob,
+                        contentType: blob.metadata.previewBlob.endsWith('.gif') ? 'image/gif' : 'image/webp'
+                    };
+                }
                 
-                videoStore.set(blob.metadata.videoId, videoData);
+                // Duration, resolution and codecs written by the probe job
+                const media = fromBlobMetadata(blob.metadata);
+                if (media) {
+                    videoData.media = media;
+                }
+
+                // Persisted records carry counters and edits that blob metadata doesn't, so they win
+                const existing = videoStore.get(blob.metadata.videoId);
+                const merged = { ...videoData, ...existing };
+                videoStore.set(blob.metadata.videoId, merged);
                 count++;
+
+                // Backfill media info for videos uploaded before probing existed
+                if (!merged.media) {
+                    toProbe.push(merged);
+                }
             }
         }
         
         console.log(`✅ Rebuilt video store with ${count} videos from Azure Blob Storage`);
+
+        for (const videoData of toProbe) {
+            await scheduleMediaProbe(videoData);
+        }
     } catch (error) {
         console.error('❌ Failed to rebuild video store from Azure:', error.message);
     }
@@ -88,7 +141,7 @@ const rebuildFromLocalStorage = async () => {
                 fileFormat: fileExtension
             };
             
-            videoStore.set(videoId, videoData);
+            videoStore.set(videoId, { ...videoData, ...videoStore.get(videoId) });
             count++;
         }
         
@@ -141,8 +194,9 @@ const configureAzureCORS = async () => {
     }
 };
 
-// Set Azure container to public access
-const setContainerPublicAccess = async () => {
+// Keep the Azure container private - blobs are only reachable through short-lived SAS URLs
+// handed out after a clip's visibility has been checked (see videoService.generateStreamUrl)
+const setContainerPrivateAccess = async () => {
     const blobServiceClient = getBlobServiceClient();
     if (!blobServiceClient) {
         return;
@@ -154,22 +208,20 @@ const setContainerPublicAccess = async () => {
         
         if (!containerExists) {
             console.log(`📁 Creating Azure container: ${config.azure.containerName}`);
-            await containerClient.create({
-                access: 'blob' // Public read access for blobs
-            });
-            console.log('✅ Azure container created with public blob access');
+            await containerClient.create(); // No `access` - private
+            console.log('✅ Azure container created with private access');
         } else {
-            // Try to set public access on existing container
-            await containerClient.setAccessPolicy('blob');
-            console.log('✅ Azure container configured for public blob access');
+            // Containers created before clip visibility existed were public - no access level removes that
+            await containerClient.setAccessPolicy();
+            console.log('✅ Azure container configured for private access');
         }
         
     } catch (error) {
-        console.error('❌ Failed to set container public access:', error.message);
+        console.error('❌ Failed to set container private access:', error.message);
         console.log('💡 You may need to set this manually in Azure Portal:');
         console.log('   1. Go to Azure Portal -> Your Storage Account');
         console.log('   2. Navigate to Containers -> Select your container');
-        console.log('   3. Change "Public access level" to "Blob (anonymous read access for blobs only)"');
+        console.log('   3. Change "Public access level" to "Private (no anonymous access)"');
     }
 };
 
@@ -195,7 +247,7 @@ const setAzureStorageVersion = async () => {
 // Initialize Azure configuration
 const initializeAzureConfiguration = async () => {
     if (getBlobServiceClient()) {
-        await setContainerPublicAccess();
+        await setContainerPrivateAccess();
         await setAzureStorageVersion();
         await configureAzureCORS();
         await rebuildVideoStore();
@@ -207,7 +259,7 @@ module.exports = {
     rebuildFromAzureStorage,
     rebuildFromLocalStorage,
     configureAzureCORS,
-    setContainerPublicAccess,
+    setContainerPrivateAccess,
     setAzureStorageVersion,
     initializeAzureConfiguration
 };
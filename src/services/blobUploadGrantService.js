@@ -0,0 +1,65 @@
+const { blobUploadGrantStore } = require('../config/database');
+
+// How long after the SAS URL is issued the upload can still be completed
+const GRANT_TTL = 24 * 60 * 60 * 1000;
+
+const createGrantError = (status, code, message) => {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+};
+
+/**
+ * Remember that `blobName` was handed to this user as a SAS upload target
+ */
+const issueBlobUploadGrant = (blobName, user) => {
+    const now = Date.now();
+    blobUploadGrantStore.set(blobName, {
+        blobName,
+        userId: user.id,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + GRANT_TTL).toISOString()
+    });
+};
+
+/**
+ * Take the grant for a client-reported blob, checking it was issued to this user. Done before
+ * anything reads, records or deletes the blob; taking it means the upload can only be completed once.
+ */
+const claimBlobUploadGrant = (blobName, user) => {
+    const grant = blobUploadGrantStore.get(blobName);
+    if (!grant || grant.userId !== user.id || new Date(grant.expiresAt).getTime() < Date.now()) {
+        throw createGrantError(403, 'BLOB_NOT_ISSUED', 'This blob was not issued to you for upload');
+    }
+    blobUploadGrantStore.delete(blobName);
+    return grant;
+};
+
+// Put a claimed grant back so the client can try completing the upload again
+const restoreBlobUploadGrant = (grant) => {
+    blobUploadGrantStore.set(grant.blobName, grant);
+};
+
+// Drop expired grants periodically
+setInterval(() => {
+    const now = Date.now();
+    let cleanedCount = 0;
+
+    for (const [blobName, grant] of blobUploadGrantStore.entries()) {
+        if (new Date(grant.expiresAt).getTime() < now) {
+            blobUploadGrantStore.delete(blobName);
+            cleanedCount++;
+        }
+    }
+
+    if (cleanedCount > 0) {
+        console.log(`🧹 Cleaned up ${cleanedCount} expired blob upload grants`);
+    }
+}, 60 * 60 * 1000).unref(); // Run cleanup every hour
+
+module.exports = {
+    issueBlobUploadGrant,
+    claimBlobUploadGrant,
+    restoreBlobUploadGrant
+};
@@ -0,0 +1,328 @@
+const crypto = require('crypto');
+const path = require('path');
+const { getBlobServiceClient } = require('../config/azure');
+const { videoStore, uploadSessionStore } = require('../config/database');
+const config = require('../config');
+const userQuotaService = require('./userQuotaService');
+const { validateVideoSignature } = require('../utils/videoSignature');
+const { parseClipDetails } = require('../utils/clipDetails');
+const {
+    buildBlobMetadata,
+    buildVideoData,
+    getFormatWarning,
+    getContentType
+} = require('./streamingUploadService');
+
+const DEFAULT_CHUNK_SIZE = 8 * 1024 * 1024; // 8MB - small enough to retry cheaply on bad connections
+const MIN_CHUNK_SIZE = 1024 * 1024; // 1MB
+const MAX_CHUNK_SIZE = 100 * 1024 * 1024; // 100MB
+const MAX_BLOCKS = 50000; // Azure limit on blocks per blob
+const SESSION_TTL = 24 * 60 * 60 * 1000; // 24 hours (Azure drops uncommitted blocks after 7 days)
+
+// Upload IDs whose blocks are being committed right now
+const committingSessions = new Set();
+
+const createUploadError = (status, code, message) => {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+};
+
+// Block IDs must be base64 and the same length for every block in a blob
+const getBlockId = (index) => Buffer.from(`block-${String(index).padStart(6, '0')}`).toString('base64');
+
+const getBlockIndex = (blockId) => {
+    const match = Buffer.from(blockId, 'base64').toString().match(/^block-(\d{6})$/);
+    return match ? parseInt(match[1], 10) : null;
+};
+
+const getExpectedChunkSize = (session, index) => {
+    const isLastChunk = index === session.totalChunks - 1;
+    return isLastChunk ? session.size - (session.chunkSize * index) : session.chunkSize;
+};
+
+const getBlockBlobClient = (session) => {
+    const blobServiceClient = getBlobServiceClient();
+    if (!blobServiceClient) {
+        throw createUploadError(503, 'STORAGE_UNAVAILABLE', 'Azure Blob Storage not configured');
+    }
+
+    return blobServiceClient
+        .getContainerClient(session.containerName)
+        .getBlockBlobClient(session.blobName);
+};
+
+/**
+ * Start a resumable upload: validates the file and quota up front and reserves a blob name
+ */
+const createUploadSession = async (user, { filename, size, chunkSize, ...fields }, uploaderIp) => {
+    const originalName = path.basename(String(filename || ''));
+    const fileSize = parseInt(size, 10);
+
+    if (!originalName || !fileSize || fileSize <= 0) {
+        throw createUploadError(400, 'INVALID_REQUEST', 'filename and a positive size are required');
+    }
+
+    const fileExtension = path.extname(originalName);
+    if (getContentType(fileExtension) === 'application/octet-stream') {
+        throw createUploadError(400, 'VALIDATION_ERROR', 'Only video files are allowed');
+    }
+
+    if (fileSize > config.upload.maxFileSize) {
+        throw createUploadError(413, 'FILE_TOO_LARGE', `File too large. Maximum size is ${Math.round(config.upload.maxFileSize / (1024 * 1024))}MB`);
+    }
+
+    // Title/description/tags are applied when the upload is committed
+    const details = parseClipDetails(fields);
+
+    const requestedChunkSize = parseInt(chunkSize, 10) || DEFAULT_CHUNK_SIZE;
+    const sessionChunkSize = Math.min(MAX_CHUNK_SIZE, Math.max(MIN_CHUNK_SIZE, requestedChunkSize));
+    const totalChunks = Math.ceil(fileSize / sessionChunkSize);
+
+    if (totalChunks > MAX_BLOCKS) {
+        throw createUploadError(400, 'TOO_MANY_CHUNKS', `Chunk size too small for this file (max ${MAX_BLOCKS} chunks)`);
+    }
+
+    // File size, storage, clip count and daily upload limits from the user's quota policy
+    await userQuotaService.checkUpload(user.id, fileSize);
+
+    const uploadId = crypto.randomBytes(16).toString('hex');
+    const videoId = crypto.randomBytes(16).toString('hex');
+    const now = Date.now();
+
+    const session = {
+        uploadId,
+        videoId,
+        blobName: `${videoId}${fileExtension}`,
+        containerName: config.azure.containerName,
+        originalName,
+        size: fileSize,
+        chunkSize: sessionChunkSize,
+        totalChunks,
+        receivedChunks: [],
+        details,
+        userId: user.id,
+        uploaderIp,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + SESSION_TTL).toISOString()
+    };
+
+    uploadSessionStore.set(uploadId, session);
+    console.log(`📦 Created upload session ${uploadId} for ${originalName} (${fileSize} bytes, ${totalChunks} chunks)`);
+
+    return session;
+};
+
+/**
+ * Look up a session and make sure it belongs to the caller and hasn't expired
+ */
+const getUploadSession = (uploadId, user) => {
+    const session = uploadSessionStore.get(uploadId);
+
+    if (!session || new Date(session.expiresAt).getTime() < Date.now()) {
+        throw createUploadError(404, 'SESSION_NOT_FOUND', 'Upload session not found or expired');
+    }
+
+    if (session.userId !== user.id) {
+        throw createUploadError(403, 'FORBIDDEN', 'Upload session belongs to another user');
+    }
+
+    return session;
+};
+
+const getBytesReceived = (session) => {
+    return session.receivedChunks.reduce((total, index) => total + getExpectedChunkSize(session, index), 0);
+};
+
+/**
+ * Stage one chunk as an uncommitted Azure block. Re-sending a chunk simply replaces the block.
+ */
+const stageChunk = async (uploadId, user, index, buffer, contentMD5) => {
+    const session = getUploadSession(uploadId, user);
+    if (committingSessions.has(uploadId)) {
+        throw createUploadError(409, 'COMMIT_IN_PROGRESS', 'This upload is already being completed');
+    }
+    const chunkIndex = parseInt(index, 10);
+
+    if (isNaN(chunkIndex) || chunkIndex < 0 || chunkIndex >= session.totalChunks) {
+        throw createUploadError(400, 'INVALID_CHUNK', `Chunk index must be between 0 and ${session.totalChunks - 1}`);
+    }
+
+    const expectedSize = getExpectedChunkSize(session, chunkIndex);
+    if (!Buffer.isBuffer(buffer) || buffer.length !== expectedSize) {
+        throw createUploadError(400, 'INVALID_CHUNK_SIZE', `Chunk ${chunkIndex} must be exactly ${expectedSize} bytes`);
+    }
+
+    // The first chunk holds the container header - reject non-video content before anything is staged
+    if (chunkIndex === 0) {
+        const signature = validateVideoSignature(buffer, path.extname(session.originalName));
+        if (!signature.valid) {
+            uploadSessionStore.delete(uploadId);
+            console.log(`🚫 Rejected upload session ${uploadId} (${session.originalName}): ${signature.message}`);
+            throw createUploadError(415, signature.code, signature.message);
+        }
+    }
+
+    const blockBlobClient = getBlockBlobClient(session);
+    const stageOptions = contentMD5 ? { transactionalContentMD5: Buffer.from(contentMD5, 'base64') } : {};
+
+    try {
+        await blockBlobClient.stageBlock(getBlockId(chunkIndex), buffer, buffer.length, stageOptions);
+    } catch (error) {
+        if (error.code === 'Md5Mismatch') {
+            throw createUploadError(400, 'CHECKSUM_MISMATCH', `Chunk ${chunkIndex} failed checksum verification`);
+        }
+        throw error;
+    }
+
+    // Re-read after the await - other chunks may have landed in the meantime
+    const current = uploadSessionStore.get(uploadId) || session;
+    if (!current.receivedChunks.includes(chunkIndex)) {
+        current.receivedChunks.push(chunkIndex);
+        current.receivedChunks.sort((a, b) => a - b);
+    }
+    uploadSessionStore.set(uploadId, current);
+
+    return getUploadProgress(current);
+};
+
+const getUploadProgress = (session) => {
+    const bytesUploaded = getBytesReceived(session);
+    return {
+        uploadId: session.uploadId,
+        progress: Math.round((bytesUploaded / session.size) * 100),
+        bytesUploaded,
+        totalBytes: session.size,
+        chunksReceived: session.receivedChunks.length,
+        totalChunks: session.totalChunks
+    };
+};
+
+/**
+ * Report which chunks the server has. Azure's uncommitted block list is the source of truth,
+ * so a client can resume even if our session record missed a write.
+ */
+const getUploadStatus = async (uploadId, user) => {
+    const session = getUploadSession(uploadId, user);
+    const blockBlobClient = getBlockBlobClient(session);
+
+    try {
+        const blockList = await blockBlobClient.getBlockList('uncommitted');
+        const stagedChunks = (blockList.uncommittedBlocks || [])
+            .map(block => getBlockIndex(block.name))
+            .filter(chunkIndex => chunkIndex !== null && chunkIndex < session.totalChunks);
+
+        session.receivedChunks = Array.from(new Set(stagedChunks)).sort((a, b) => a - b);
+        uploadSessionStore.set(uploadId, session);
+    } catch (error) {
+        // No blocks staged yet - the blob doesn't exist until the first stageBlock
+        if (error.statusCode !== 404) {
+            throw error;
+        }
+        session.receivedChunks = [];
+    }
+
+    const received = new Set(session.receivedChunks);
+    const missingChunks = [];
+    for (let i = 0; i < session.totalChunks; i++) {
+        if (!received.has(i)) {
+            missingChunks.push(i);
+        }
+    }
+
+    return {
+        ...getUploadProgress(session),
+        filename: session.originalName,
+        chunkSize: session.chunkSize,
+        receivedChunks: session.receivedChunks,
+        missingChunks,
+        expiresAt: session.expiresAt
+    };
+};
+
+/**
+ * Commit all staged blocks into the final blob and create the video record
+ */
+const commitUploadSession = async (uploadId, user) => {
+    // Claim the session before the first await so a repeated "complete" can't commit it twice
+    getUploadSession(uploadId, user);
+    if (committingSessions.has(uploadId)) {
+        throw createUploadError(409, 'COMMIT_IN_PROGRESS', 'This upload is already being completed');
+    }
+    committingSessions.add(uploadId);
+
+    try {
+        return await commitStagedBlocks(uploadId, user);
+    } finally {
+        committingSessions.delete(uploadId);
+    }
+};
+
+const commitStagedBlocks = async (uploadId, user) => {
+    const status = await getUploadStatus(uploadId, user);
+    if (status.missingChunks.length > 0) {
+        const error = createUploadError(409, 'CHUNKS_MISSING', `Upload incomplete: ${status.missingChunks.length} chunks missing`);
+        error.missingChunks = status.missingChunks;
+        throw error;
+    }
+
+    const session = getUploadSession(uploadId, user);
+    const blockBlobClient = getBlockBlobClient(session);
+    const fileExtension = path.extname(session.originalName);
+    const blockIds = Array.from({ length: session.totalChunks }, (_, index) => getBlockId(index));
+
+    await blockBlobClient.commitBlockList(blockIds, {
+        metadata: buildBlobMetadata(session.videoId, session.originalName, session.size, user, session.uploaderIp, session.details),
+        blobHTTPHeaders: {
+            blobContentType: getContentType(fileExtension)
+        }
+    });
+
+    console.log(`✅ Committed ${session.totalChunks} chunks for ${session.originalName} (${session.videoId})`);
+
+    const videoData = buildVideoData(session.videoId, session.originalName, blockBlobClient, session.size, user, session.uploaderIp, session.details);
+    videoStore.set(session.videoId, videoData);
+    uploadSessionStore.delete(uploadId);
+
+    return {
+        videoId: session.videoId,
+        videoData,
+        warning: getFormatWarning(fileExtension)
+    };
+};
+
+/**
+ * Abandon an upload. Uncommitted blocks can't be deleted individually; Azure discards them after 7 days.
+ */
+const abortUploadSession = (uploadId, user) => {
+    getUploadSession(uploadId, user);
+    uploadSessionStore.delete(uploadId);
+    console.log(`🗑️ Aborted upload session ${uploadId}`);
+};
+
+// Drop expired sessions periodically
+setInterval(() => {
+    const now = Date.now();
+    let cleanedCount = 0;
+
+    for (const [uploadId, session] of uploadSessionStore.entries()) {
+        if (new Date(session.expiresAt).getTime() < now) {
+            uploadSessionStore.delete(uploadId);
+            cleanedCount++;
+        }
+    }
+
+    if (cleanedCount > 0) {
+        console.log(`🧹 Cleaned up ${cleanedCount} expired upload sessions`);
+    }
+}, 60 * 60 * 1000).unref(); // Run cleanup every hour
+
+module.exports = {
+    createUploadSession,
+    stageChunk,
+    getUploadStatus,
+    commitUploadSession,
+    abortUploadSession,
+    MAX_CHUNK_SIZE
+};
@@ -0,0 +1,51 @@
+const config = require('../config');
+const { isAdmin } = require('../middleware/auth');
+const { CLIP_VISIBILITIES } = require('../utils/clipDetails');
+
+// Clips without an explicit visibility (including everything uploaded before it existed) use the configured default
+const getClipVisibility = (videoData) => {
+    if (CLIP_VISIBILITIES.includes(videoData.visibility)) return videoData.visibility;
+    return CLIP_VISIBILITIES.includes(config.clips.defaultVisibility) ? config.clips.defaultVisibility : 'public';
+};
+
+const isOwnerOrAdmin = (videoData, user) => Boolean(user && (videoData.uploadedBy === user.id || isAdmin(user)));
+
+/**
+ * Whether `user` (undefined when logged out) may watch, download or interact with a clip.
+ * Clips taken down by an admin are hidden from everyone else, their uploader included.
+ */
+const canViewClip = (videoData, user) => {
+    if (videoData.takedown) return isAdmin(user);
+    if (isOwnerOrAdmin(videoData, user)) return true;
+
+    switch (getClipVisibility(videoData)) {
+        case 'public':
+        case 'unlisted':
+            return true;
+        case 'guild':
+            return Boolean(user && user.guildMember);
+        default:
+            return false;
+    }
+};
+
+/**
+ * Whether a clip appears in listings (clip APIs, profiles, analytics overview) for `user`.
+ * Unlisted clips are only reachable by link, so they're listed for their uploader and admins only.
+ */
+const isClipListed = (videoData, user) => {
+    if (getClipVisibility(videoData) === 'unlisted' && !videoData.takedown) {
+        return isOwnerOrAdmin(videoData, user);
+    }
+    return canViewClip(videoData, user);
+};
+
+// Discord upload notifications go to the guild, so only announce clips the guild could find anyway
+const isClipAnnounced = (videoData) => !videoData.takedown && ['public', 'guild'].includes(getClipVisibility(videoData));
+
+module.exports = {
+    getClipVisibility,
+    canViewClip,
+    isClipListed,
+    isClipAnnounced
+};
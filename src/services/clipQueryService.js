@@ -0,0 +1,225 @@
+const { videoStore, userStore } = require('../config/database');
+const { getDiscordAvatarUrl } = require('./authService');
+const { getClipVisibility, isClipListed } = require('./clipAccessService');
+const { calculatePopularityScore, getClipImageUrls, getClipTitle } = require('../utils/helpers');
+
+const DEFAULT_LIMIT = 24;
+const MAX_LIMIT = 100;
+
+// Sort orders: value extracted per clip and direction (ties broken by id so cursors are stable)
+const SORTS = {
+    newest: { value: (videoData) => new Date(videoData.uploadDate).getTime() || 0, direction: -1 },
+    oldest: { value: (videoData) => new Date(videoData.uploadDate).getTime() || 0, direction: 1 },
+    views: { value: (videoData) => videoData.views || 0, direction: -1 },
+    downloads: { value: (videoData) => videoData.downloadCount || 0, direction: -1 },
+    popular: { value: (videoData) => calculatePopularityScore(videoData), direction: -1 }
+};
+
+const createQueryError = (message) => {
+    const error = new Error(message);
+    error.status = 400;
+    error.code = 'INVALID_QUERY';
+    return error;
+};
+
+// Cursors are opaque to clients: the sort value and id of the last clip on the previous page
+const encodeCursor = (value, id) => Buffer.from(JSON.stringify([value, id])).toString('base64url');
+
+const decodeCursor = (cursor) => {
+    try {
+        const [value, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+        if (typeof value !== 'number' || typeof id !== 'string') throw new Error('Malformed cursor');
+        return { value, id };
+    } catch (error) {
+        throw createQueryError('Invalid cursor');
+    }
+};
+
+const parseNumber = (value, name) => {
+    if (value === undefined || value === '') return null;
+    const number = parseFloat(value);
+    if (isNaN(number) || number < 0) {
+        throw createQueryError(`${name} must be a non-negative number`);
+    }
+    return number;
+};
+
+// Date-only values for `to` cover the whole day
+const parseDate = (value, name, endOfDay = false) => {
+    if (!value) return null;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        throw createQueryError(`${name} must be a valid date`);
+    }
+    const isDateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+    return endOfDay && isDateOnly ? date.getTime() + 24 * 60 * 60 * 1000 - 1 : date.getTime();
+};
+
+// "mp4,.MKV" -> ['.mp4', '.mkv']
+const parseFormats = (value) => {
+    if (!value) return null;
+    return String(value).split(',')
+        .map(format => format.trim().toLowerCase().replace(/^\.?/, '.'))
+        .filter(format => format.length > 1);
+};
+
+const getSearchTerms = (value) => {
+    if (!value) return [];
+    return String(value).toLowerCase().split(/\s+/)
+        .map(term => term.replace(/^#/, ''))
+        .filter(Boolean);
+};
+
+/**
+ * Parse and validate clip list query-string parameters
+ */
+const parseClipQuery = (query = {}) => {
+    const sort = query.sort || 'newest';
+    if (!SORTS[sort]) {
+        throw createQueryError(`sort must be one of: ${Object.keys(SORTS).join(', ')}`);
+    }
+
+    const limit = query.limit === undefined ? DEFAULT_LIMIT : parseInt(query.limit, 10);
+    if (isNaN(limit) || limit < 1) {
+        throw createQueryError('limit must be a positive integer');
+    }
+
+    return {
+        terms: getSearchTerms(query.q),
+        uploader: query.uploader || null,
+        from: parseDate(query.from, 'from'),
+        to: parseDate(query.to, 'to', true),
+        minDuration: parseNumber(query.minDuration, 'minDuration'),
+        maxDuration: parseNumber(query.maxDuration, 'maxDuration'),
+        formats: parseFormats(query.format),
+        sort,
+        limit: Math.min(limit, MAX_LIMIT),
+        cursor: query.cursor ? decodeCursor(query.cursor) : null
+    };
+};
+
+// Text searched by `q`: title, filename, tags and uploader name
+const getSearchText = (videoData) => [
+    videoData.title,
+    videoData.originalName,
+    ...(videoData.tags || []),
+    videoData.uploaderUsername
+].filter(Boolean).join(' ').toLowerCase();
+
+const matchesFilters = (videoData, filters) => {
+    if (filters.uploader && videoData.uploadedBy !== filters.uploader) return false;
+    // Only set by the admin clip list - nobody else can see taken-down clips anyway
+    if (filters.takenDown !== undefined && Boolean(videoData.takedown) !== filters.takenDown) return false;
+
+    const uploadTime = new Date(videoData.uploadDate).getTime();
+    if (filters.from !== null && !(uploadTime >= filters.from)) return false;
+    if (filters.to !== null && !(uploadTime <= filters.to)) return false;
+
+    if (filters.minDuration !== null || filters.maxDuration !== null) {
+        // Clips that haven't been probed yet have no duration to compare against
+        const duration = videoData.media ? videoData.media.duration : null;
+        if (duration === null || duration === undefined) return false;
+        if (filters.minDuration !== null && duration < filters.minDuration) return false;
+        if (filters.maxDuration !== null && duration > filters.maxDuration) return false;
+    }
+
+    if (filters.formats) {
+        const format = (videoData.fileFormat || '').toLowerCase().replace(/^\.?/, '.');
+        if (!filters.formats.includes(format)) return false;
+    }
+
+    if (filters.terms.length > 0) {
+        const text = getSearchText(videoData);
+        if (!filters.terms.every(term => text.includes(term))) return false;
+    }
+
+    return true;
+};
+
+/**
+ * Filter, sort and page through the clips in videoStore listed for `viewer` (see clipAccessService).
+ * Returns { items: [{ videoId, videoData }], total, nextCursor } where total counts every match.
+ */
+const queryClips = (filters, viewer) => {
+    const { value, direction } = SORTS[filters.sort];
+
+    const matches = [];
+    for (const [videoId, videoData] of videoStore.entries()) {
+        // Skip the `<videoId>_webhook_sent` flags kept alongside clips
+        if (!videoData || typeof videoData !== 'object') continue;
+        if (isClipListed(videoData, viewer) && matchesFilters(videoData, filters)) {
+            matches.push({ videoId, videoData, sortValue: value(videoData) });
+        }
+    }
+
+    const compare = (a, b) => {
+        if (a.sortValue !== b.sortValue) {
+            return (a.sortValue - b.sortValue) * direction;
+        }
+        return a.videoId < b.videoId ? -1 : (a.videoId > b.videoId ? 1 : 0);
+    };
+    matches.sort(compare);
+
+    let start = 0;
+    if (filters.cursor) {
+        const position = { sortValue: filters.cursor.value, videoId: filters.cursor.id };
+        start = matches.findIndex(match => compare(match, position) > 0);
+        if (start === -1) start = matches.length;
+    }
+
+    const page = matches.slice(start, start + filters.limit);
+    const last = page[page.length - 1];
+    const hasMore = start + filters.limit < matches.length;
+
+    return {
+        items: page.map(({ videoId, videoData }) => ({ videoId, videoData })),
+        total: matches.length,
+        nextCursor: hasMore && last ? encodeCursor(last.sortValue, last.videoId) : null
+    };
+};
+
+/**
+ * Public summary of a clip as returned by the clip list APIs
+ */
+const toClipSummary = (baseUrl, videoId, videoData) => {
+    // Get uploader info from stored user data or video metadata
+    const storedUser = userStore.get(videoData.uploadedBy);
+    const uploader = {
+        id: videoData.uploadedBy,
+        username: storedUser?.username || videoData.uploaderUsername || 'Unknown User',
+        avatar: getDiscordAvatarUrl(storedUser || {
+            id: videoData.uploadedBy,
+            username: videoData.uploaderUsername,
+            avatar: videoData.uploaderAvatar,
+            discriminator: '0'
+        })
+    };
+
+    return {
+        id: videoId,
+        title: getClipTitle(videoData),
+        description: videoData.description || null,
+        tags: videoData.tags || [],
+        visibility: getClipVisibility(videoData),
+        originalName: videoData.originalName,
+        size: videoData.size,
+        uploadDate: videoData.uploadDate,
+        shareLink: `${baseUrl}/v/${videoId}`,
+        ...getClipImageUrls(baseUrl, videoData),
+        duration: videoData.media ? videoData.media.duration : null,
+        media: videoData.media || null,
+        views: videoData.views || 0,
+        downloads: videoData.downloadCount || 0,
+        reactions: videoData.reactions || {},
+        likes: (videoData.reactions && videoData.reactions.like) || 0,
+        userId: uploader.id,
+        username: uploader.username,
+        userAvatar: uploader.avatar
+    };
+};
+
+module.exports = {
+    parseClipQuery,
+    queryClips,
+    toClipSummary
+};
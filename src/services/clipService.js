@@ -0,0 +1,111 @@
+const { videoStore } = require('../config/database');
+const { isAdmin, releaseUpload } = require('../middleware/auth');
+const { deleteVideoBlobs, updateVideoBlobMetadata } = require('./videoService');
+const userQuotaService = require('./userQuotaService');
+const { removeClipFromAllPlaylists } = require('./playlistService');
+const { removeCommentsForClip } = require('./commentService');
+const { removeReactionsForClip } = require('./reactionService');
+const { removeAnalyticsForClip } = require('./analyticsService');
+const { removeShareTokensForClip } = require('./shareTokenService');
+const { recordAudit } = require('./auditLogService');
+const { cancelPendingDeliveries } = require('./webhookQueueService');
+const { cancelJobsForVideo } = require('./jobQueueService');
+const { emitWebhookEvent } = require('./webhookSubscriptionService');
+const { parseClipDetails, toClipDetailsMetadata } = require('../utils/clipDetails');
+
+const createClipError = (status, code, message) => {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+};
+
+/**
+ * Look up a clip the user is allowed to manage (their own, or any clip for admins)
+ */
+const getManageableClip = (videoId, user) => {
+    const videoData = videoStore.get(videoId);
+
+    // videoStore also holds `<videoId>_webhook_sent` flags - those aren't clips
+    if (!videoData || typeof videoData !== 'object') {
+        throw createClipError(404, 'CLIP_NOT_FOUND', 'Clip not found');
+    }
+
+    if (videoData.uploadedBy !== user.id && !isAdmin(user)) {
+        throw createClipError(403, 'FORBIDDEN', 'You can only manage your own clips');
+    }
+
+    return videoData;
+};
+
+/**
+ * Edit a clip's title, description, tags and visibility. Changes are mirrored into blob metadata so
+ * rebuildFromAzureStorage keeps them.
+ */
+const updateClip = async (videoId, user, changes) => {
+    const videoData = getManageableClip(videoId, user);
+    const updates = parseClipDetails(changes);
+
+    if (Object.keys(updates).length === 0) {
+        throw createClipError(400, 'INVALID_REQUEST', 'Nothing to update (expected title, description, tags and/or visibility)');
+    }
+
+    Object.assign(videoData, updates, { updatedAt: new Date().toISOString() });
+    videoStore.set(videoId, videoData);
+
+    await updateVideoBlobMetadata(videoId, toClipDetailsMetadata(updates)).catch(error => {
+        console.error(`⚠️ Failed to sync clip details to blob metadata for ${videoId}:`, error.message);
+    });
+
+    // Admins editing someone else's clip is moderation - keep a record of it
+    if (videoData.uploadedBy !== user.id) {
+        recordAudit(user, 'clip.update', { targetType: 'clip', targetId: videoId, details: { changes: updates, uploadedBy: videoData.uploadedBy } });
+    }
+
+    console.log(`✏️ ${user.username} updated clip ${videoId}: ${Object.keys(updates).join(', ')}`);
+    return videoData;
+};
+
+/**
+ * Delete a clip: its blobs (original, renditions, thumbnails), the record, the
+ * uploader's quota usage, its background jobs, playlist entries, comments, reactions, analytics, share links and unsent announcements. Returns the uploader's refreshed quota.
+ */
+const deleteClip = async (videoId, user) => {
+    const videoData = getManageableClip(videoId, user);
+
+    // Stop transcoding/thumbnail jobs first so they don't write new blobs for it
+    cancelJobsForVideo(videoId);
+    const deletedBlobs = await deleteVideoBlobs(videoData);
+
+    videoStore.delete(videoId);
+    cancelPendingDeliveries({ videoId });
+    emitWebhookEvent('clip.deleted', videoData, { data: { deletedBy: user.id } });
+    releaseUpload(videoData.uploadedBy, videoData);
+    removeClipFromAllPlaylists(videoId);
+    removeCommentsForClip(videoId);
+    removeReactionsForClip(videoId);
+    removeAnalyticsForClip(videoId);
+    removeShareTokensForClip(videoId);
+
+    if (videoData.uploadedBy !== user.id) {
+        recordAudit(user, 'clip.delete', {
+            targetType: 'clip',
+            targetId: videoId,
+            details: { title: videoData.title || videoData.originalName, uploadedBy: videoData.uploadedBy, size: videoData.size }
+        });
+    }
+
+    console.log(`🗑️ ${user.username} deleted clip ${videoData.originalName} (${videoId}), removed ${deletedBlobs.length} blobs`);
+
+    return {
+        videoId,
+        deletedBlobs,
+        quota: await userQuotaService.getUserStats(videoData.uploadedBy)
+    };
+};
+
+module.exports = {
+    getManageableClip,
+    updateClip,
+    deleteClip
+};
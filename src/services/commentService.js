@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const { videoStore, commentStore } = require('../config/database');
+const { isAdmin } = require('../middleware/auth');
+const { getDiscordAvatarUrl } = require('./authService');
+const { canViewClip } = require('./clipAccessService');
+
+const MAX_COMMENT_LENGTH = 1000;
+
+const createCommentError = (status, code, message) => {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+};
+
+// Clips the user can't see (see clipAccessService) are reported as missing
+const getClip = (videoId, user) => {
+    const videoData = videoStore.get(videoId);
+
+    // videoStore also holds `<videoId>_webhook_sent` flags - those aren't clips
+    if (!videoData || typeof videoData !== 'object' || !canViewClip(videoData, user)) {
+        throw createCommentError(404, 'CLIP_NOT_FOUND', 'Clip not found');
+    }
+    return videoData;
+};
+
+// Accepts seconds (83 / "83.5") or a clock string ("1:23", "1:02:03"); null/empty means "not anchored"
+const parseTimestamp = (value, duration) => {
+    if (value === undefined || value === null || value === '') return null;
+
+    let seconds = NaN;
+    if (typeof value === 'number') {
+        seconds = value;
+    } else if (typeof value === 'string' && /^\d+(\.\d+)?$/.test(value.trim())) {
+        seconds = parseFloat(value);
+    } else if (typeof value === 'string' && /^\d+(:[0-5]\d){1,2}$/.test(value.trim())) {
+        seconds = value.trim().split(':').reduce((total, part) => total * 60 + parseInt(part, 10), 0);
+    }
+
+    if (!Number.isFinite(seconds) || seconds < 0) {
+        throw createCommentError(400, 'VALIDATION_ERROR', 'timestamp must be a number of seconds or a time like 1:23');
+    }
+    // Allow a second of slack - the player's currentTime can run slightly past the probed duration
+    if (duration && seconds > duration + 1) {
+        throw createCommentError(400, 'VALIDATION_ERROR', 'timestamp is past the end of the clip');
+    }
+    return Math.round(seconds * 10) / 10;
+};
+
+const canDelete = (comment, videoData, user) => Boolean(user && (
+    comment.userId === user.id || videoData.uploadedBy === user.id || isAdmin(user)
+));
+
+/**
+ * Comments on a clip, oldest first. `deletable` is set for comments the viewer may remove.
+ */
+const listComments = (videoId, user) => {
+    const videoData = getClip(videoId, user);
+    const comments = [];
+
+    for (const comment of commentStore.values()) {
+        if (comment.videoId === videoId) {
+            comments.push({ ...comment, deletable: canDelete(comment, videoData, user) });
+        }
+    }
+
+    return comments.sort((a, b) => new Date(a.createdAt).getTime() - new Date(b.createdAt).getTime());
+};
+
+const addComment = (videoId, user, input = {}) => {
+    const videoData = getClip(videoId, user);
+
+    const body = typeof input.body === 'string' ? input.body.replace(/\r\n?/g, '\n').trim() : '';
+    if (!body) {
+        throw createCommentError(400, 'VALIDATION_ERROR', 'body is required');
+    }
+    if (body.length > MAX_COMMENT_LENGTH) {
+        throw createCommentError(400, 'VALIDATION_ERROR', `Comments must be at most ${MAX_COMMENT_LENGTH} characters`);
+    }
+
+    const comment = {
+        id: crypto.randomBytes(8).toString('hex'),
+        videoId,
+        userId: user.id,
+        username: user.username,
+        avatar: getDiscordAvatarUrl(user),
+        body,
+        timestamp: parseTimestamp(input.timestamp, videoData.media?.duration),
+        createdAt: new Date().toISOString()
+    };
+
+    commentStore.set(comment.id, comment);
+    console.log(`💬 ${user.username} commented on ${videoId}${comment.timestamp !== null ? ` at ${comment.timestamp}s` : ''}`);
+    return { ...comment, deletable: true };
+};
+
+// Comment authors, the clip's uploader and admins can delete a comment
+const deleteComment = (videoId, commentId, user) => {
+    const videoData = getClip(videoId, user);
+    const comment = commentStore.get(commentId);
+
+    if (!comment || comment.videoId !== videoId) {
+        throw createCommentError(404, 'COMMENT_NOT_FOUND', 'Comment not found');
+    }
+    if (!canDelete(comment, videoData, user)) {
+        throw createCommentError(403, 'FORBIDDEN', 'You can only delete your own comments');
+    }
+
+    commentStore.delete(commentId);
+    console.log(`🗑️ ${user.username} deleted comment ${commentId} on ${videoId}`);
+};
+
+// Remove every comment on a deleted clip
+const removeCommentsForClip = (videoId) => {
+    for (const [commentId, comment] of commentStore.entries()) {
+        if (comment.videoId === videoId) {
+            commentStore.delete(commentId);
+        }
+    }
+};
+
+module.exports = {
+    listComments,
+    addComment,
+    deleteComment,
+    removeCommentsForClip
+};
@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const config = require('../config');
+const { getClipTitle } = require('../utils/helpers');
+const { parseClipQuery, queryClips } = require('./clipQueryService');
+const { getTrendingClips } = require('./analyticsService');
+const { buildClipEmbed } = require('./discordService');
+const { LIMITS, getEmbedLength } = require('./discordTemplateService');
+
+// Discord interaction and response types (https://discord.com/developers/docs/interactions/receiving-and-responding)
+const INTERACTION_TYPES = { PING: 1, APPLICATION_COMMAND: 2, AUTOCOMPLETE: 4 };
+const RESPONSE_TYPES = { PONG: 1, CHANNEL_MESSAGE: 4, AUTOCOMPLETE_RESULT: 8 };
+const OPTION_TYPES = { SUB_COMMAND: 1, STRING: 3 };
+const EPHEMERAL = 1 << 6;
+
+const RESULT_LIMIT = 5; // Clip embeds per reply (Discord allows 10 embeds / 6000 characters per message)
+const AUTOCOMPLETE_LIMIT = 25;
+const MAX_SIGNATURE_AGE = 5 * 60; // Seconds - older signed requests are treated as replays
+const TOP_PERIODS = { day: 1, week: 7, month: 30 };
+
+// Ed25519 public keys arrive as 32 raw bytes - wrap them in the SPKI DER header Node expects
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+// The /clips command as registered with Discord (see scripts/register-discord-commands.js)
+const CLIPS_COMMAND = {
+    name: 'clips',
+    description: 'Find VillainArc clips',
+    options: [
+        {
+            type: OPTION_TYPES.SUB_COMMAND,
+            name: 'latest',
+            description: 'The newest clips'
+        },
+        {
+            type: OPTION_TYPES.SUB_COMMAND,
+            name: 'search',
+            description: 'Search clips by title, tag or uploader',
+            options: [{
+                type: OPTION_TYPES.STRING,
+                name: 'text',
+                description: 'What to search for',
+                required: true,
+                autocomplete: true,
+                max_length: 100
+            }]
+        },
+        {
+            type: OPTION_TYPES.SUB_COMMAND,
+            name: 'top',
+            description: 'The most watched clips',
+            options: [{
+                type: OPTION_TYPES.STRING,
+                name: 'period',
+                description: 'How far back to look (default: week)',
+                choices: Object.keys(TOP_PERIODS).map(period => ({ name: period, value: period }))
+            }]
+        }
+    ]
+};
+
+const getPublicKey = () => {
+    if (!config.discord.publicKey) return null;
+    return crypto.createPublicKey({
+        key: Buffer.concat([ED25519_SPKI_PREFIX, Buffer.from(config.discord.publicKey, 'hex')]),
+        format: 'der',
+        type: 'spki'
+    });
+};
+
+/**
+ * Check the X-Signature-Ed25519 / X-Signature-Timestamp headers Discord signs every interaction with
+ * against the raw request body
+ */
+const verifyInteractionSignature = (rawBody, signature, timestamp) => {
+    const publicKey = getPublicKey();
+    if (!publicKey || !signature || !timestamp || !Buffer.isBuffer(rawBody)) return false;
+    if (Math.abs(Date.now() / 1000 - Number(timestamp)) > MAX_SIGNATURE_AGE) return false;
+
+    try {
+        return crypto.verify(null, Buffer.concat([Buffer.from(timestamp), rawBody]), publicKey, Buffer.from(signature, 'hex'));
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Who results are listed for. Replies are posted in the channel, so they're never personalised
+ * (no admin or owner access) - guild clips are only shown inside the VillainArc server.
+ */
+const getInteractionViewer = (interaction) => ({
+    guildMember: interaction.guild_id === config.discord.guildId
+});
+
+const getShareBaseUrl = () => config.server.backendUrl || `http://localhost:${config.server.port}`;
+
+// A channel message - with no embeds (nothing found, errors) only the member who ran the command sees it.
+// Search text is echoed back, so mentions in it never ping anyone.
+const reply = (content, embeds = []) => ({
+    type: RESPONSE_TYPES.CHANNEL_MESSAGE,
+    data: {
+        ...(embeds.length > 0 ? { content, embeds } : { content, flags: EPHEMERAL }),
+        allowed_mentions: { parse: [] }
+    }
+});
+
+// One embed per clip, in the same format as the upload announcements. Clips whose embed would take the
+// reply past Discord's character limit for all embeds together are left out.
+const toClipEmbeds = (clips, getTitle) => {
+    const embeds = [];
+    let length = 0;
+
+    for (const [index, { videoId, videoData }] of clips.entries()) {
+        const embed = buildClipEmbed(`${getShareBaseUrl()}/v/${videoId}`, videoData, { title: getTitle(index) }).embeds[0];
+        length += getEmbedLength(embed);
+        if (length > LIMITS.total) break;
+        embeds.push(embed);
+    }
+    return embeds;
+};
+
+const getOption = (options = [], name) => {
+    const option = options.find(candidate => candidate.name === name);
+    return option ? option.value : undefined;
+};
+
+const runClipsCommand = (subcommand, viewer) => {
+    const options = subcommand.options || [];
+
+    switch (subcommand.name) {
+        case 'latest': {
+            const { items } = queryClips(parseClipQuery({ sort: 'newest', limit: RESULT_LIMIT }), viewer);
+            if (items.length === 0) return reply('No clips have been uploaded yet.');
+            return reply('🆕 Latest clips', toClipEmbeds(items, () => '🎬 VillainArc Clip'));
+        }
+        case 'search': {
+            const text = String(getOption(options, 'text') || '').trim();
+            if (!text) return reply('Tell me what to search for.');
+
+            const { items, total } = queryClips(parseClipQuery({ q: text, sort: 'newest', limit: RESULT_LIMIT }), viewer);
+            if (items.length === 0) return reply(`No clips match "${text}".`);
+            const embeds = toClipEmbeds(items, () => '🎬 VillainArc Clip');
+            const more = total > embeds.length ? ` (showing ${embeds.length} of ${total})` : '';
+            return reply(`🔍 Clips matching "${text}"${more}`, embeds);
+        }
+        case 'top': {
+            const period = TOP_PERIODS[getOption(options, 'period')] ? getOption(options, 'period') : 'week';
+            const trending = getTrendingClips({ days: TOP_PERIODS[period], limit: RESULT_LIMIT, viewer });
+            if (trending.length === 0) return reply(`No clips were watched this ${period}.`);
+            return reply(`🏆 Top clips this ${period}`, toClipEmbeds(trending, (index) => {
+                const { views } = trending[index];
+                return `#${index + 1} · ${views} view${views === 1 ? '' : 's'} this ${period}`;
+            }));
+        }
+        default:
+            return reply(`Unknown command: /clips ${subcommand.name}`);
+    }
+};
+
+// Clip titles matching what's been typed into /clips search
+const autocompleteSearch = (interaction, viewer) => {
+    const [subcommand] = interaction.data.options || [];
+    const focused = ((subcommand && subcommand.options) || []).find(option => option.focused);
+    if (!focused || focused.name !== 'text') return [];
+
+    const { items } = queryClips(parseClipQuery({ q: String(focused.value || ''), sort: 'newest', limit: AUTOCOMPLETE_LIMIT }), viewer);
+    const seen = new Set();
+    const choices = [];
+    for (const { videoData } of items) {
+        const title = getClipTitle(videoData).substring(0, 100);
+        if (seen.has(title)) continue;
+        seen.add(title);
+        choices.push({ name: title, value: title });
+    }
+    return choices;
+};
+
+/**
+ * Respond to a (verified) interaction: pings, /clips commands and their autocomplete
+ */
+const handleInteraction = (interaction) => {
+    const viewer = getInteractionViewer(interaction);
+
+    switch (interaction.type) {
+        case INTERACTION_TYPES.PING:
+            return { type: RESPONSE_TYPES.PONG };
+        case INTERACTION_TYPES.AUTOCOMPLETE:
+            return { type: RESPONSE_TYPES.AUTOCOMPLETE_RESULT, data: { choices: autocompleteSearch(interaction, viewer) } };
+        case INTERACTION_TYPES.APPLICATION_COMMAND: {
+            const { name, options = [] } = interaction.data || {};
+            const [subcommand] = options;
+            if (name !== CLIPS_COMMAND.name || !subcommand) {
+                return reply(`Unknown command: /${name}`);
+            }
+
+            const user = (interaction.member && interaction.member.user) || interaction.user || {};
+            console.log(`🤖 ${user.username || 'Someone'} ran /clips ${subcommand.name}`);
+            return runClipsCommand(subcommand, viewer);
+        }
+        default:
+            return null;
+    }
+};
+
+module.exports = {
+    CLIPS_COMMAND,
+    verifyInteractionSignature,
+    handleInteraction,
+    reply
+};
@@ -1,119 +1,229 @@
 const config = require('../config');
-const https = require('https');
+const { videoStore, userStore } = require('../config/database');
+const { getClipVisibility, isClipAnnounced } = require('./clipAccessService');
+const { registerDeliveryHandler, enqueueDelivery } = require('./webhookQueueService');
+const { DISCORD_EVENTS, renderEventMessage } = require('./discordTemplateService');
 
-// Discord webhook function - Enhanced security with built-in Node.js modules
-const sendDiscordWebhook = async (shareLink, videoData) => {
-    const { webhookUrl } = config.discord;
-    
-    console.log('🔍 Discord webhook config check:', {
-        hasWebhookUrl: !!webhookUrl,
-        webhookUrlValid: webhookUrl?.startsWith('https://discord.com/api/webhooks/'),
-        videoData: !!videoData,
-        shareLink: !!shareLink
-    });
-    
-    if (!webhookUrl || !webhookUrl.startsWith('https://discord.com/api/webhooks/')) {
-        console.log('⚠️ Discord webhook not configured or invalid URL:', webhookUrl?.substring(0, 50) + '...');
-        return;
+// Webhook URLs as Discord hands them out - discordapp.com and the ptb/canary clients' hosts work too.
+// The first group is the URL up to the webhook ID, without the secret token.
+const WEBHOOK_URL_PATTERN = /^(https:\/\/(?:(?:ptb|canary)\.)?discord(?:app)?\.com\/api(?:\/v\d+)?\/webhooks\/\d+)\/[\w-]+\/?(?:\?.*)?$/;
+const DEFAULT_EVENTS = ['clip.uploaded'];
+const REQUEST_TIMEOUT = 10 * 1000;
+// Only announced clips (see isClipAnnounced) are ever sent - a destination can narrow this down
+const ANNOUNCED_VISIBILITIES = ['public', 'guild'];
+
+let destinations = null;
+
+const toList = (value) => (Array.isArray(value) ? value.map(item => String(item).trim()).filter(Boolean) : []);
+
+/**
+ * Webhook destinations from DISCORD_WEBHOOKS (a JSON array of { name, url, events, visibility, tags,
+ * uploaderRoles }), plus DISCORD_WEBHOOK_URL as the 'clips' destination. Invalid entries are logged
+ * and skipped. Parsed once.
+ */
+const getWebhookDestinations = () => {
+    if (destinations) return destinations;
+
+    let configured = [];
+    if (config.discord.webhooks) {
+        try {
+            configured = JSON.parse(config.discord.webhooks);
+            if (!Array.isArray(configured)) throw new Error('expected a JSON array');
+        } catch (error) {
+            console.error('❌ DISCORD_WEBHOOKS is not valid:', error.message);
+            configured = [];
+        }
     }
+    if (config.discord.webhookUrl && !configured.some(destination => destination && destination.name === 'clips')) {
+        configured.unshift({ name: 'clips', url: config.discord.webhookUrl });
+    }
+
+    destinations = [];
+    for (const destination of configured) {
+        const name = destination && typeof destination.name === 'string' ? destination.name.trim() : '';
+        if (!name || destinations.some(existing => existing.name === name)) {
+            console.log('⚠️ Skipping Discord webhook destination without a unique name');
+            continue;
+        }
+        if (typeof destination.url !== 'string' || !WEBHOOK_URL_PATTERN.test(destination.url)) {
+            console.log(`⚠️ Skipping Discord webhook destination ${name}: invalid URL`);
+            continue;
+        }
 
-    console.log('📢 Sending Discord webhook notification for:', videoData.originalName);
-
-    const webhookData = {
-        embeds: [{
-            title: '🎬 VillainArc Clip Uploaded',
-            description: `**${videoData.originalName.substring(0, 100)}**${videoData.originalName.length > 100 ? '...' : ''}\n\n[🔗 View Clip](${shareLink})`,
-            color: 0x7f00ff, // VillainArc purple
-            fields: [
-                {
-                    name: '👤 Uploaded by',
-                    value: videoData.uploaderUsername || 'Unknown User',
-                    inline: true
-                },
-                {
-                    name: '📁 File Size',
-                    value: `${(videoData.size / (1024 * 1024)).toFixed(2)} MB`,
-                    inline: true
-                },
-                {
-                    name: '📅 Upload Time',
-                    value: new Date(videoData.uploadDate).toLocaleString(),
-                    inline: true
-                },
-                {
-                    name: '🎮 Guild',
-                    value: 'VillainArc',
-                    inline: true
-                }
-            ],
-            timestamp: new Date(videoData.uploadDate).toISOString(),
-            footer: {
-                text: 'VillainArc Clip Sharing'
+        const visibility = destination.visibility ? toList(destination.visibility) : ANNOUNCED_VISIBILITIES;
+        destinations.push({
+            name,
+            url: destination.url,
+            events: destination.events ? toList(destination.events).filter(event => DISCORD_EVENTS.includes(event)) : DEFAULT_EVENTS,
+            filters: {
+                visibility: visibility.filter(level => ANNOUNCED_VISIBILITIES.includes(level)),
+                // Only clips with at least one of these tags (any clip when empty)
+                tags: toList(destination.tags).map(tag => tag.toLowerCase()),
+                // Only clips from members holding one of these guild roles (anyone when empty)
+                uploaderRoles: toList(destination.uploaderRoles)
             }
-        }]
+        });
+    }
+
+    return destinations;
+};
+
+// Whether a destination wants this event for this clip
+const matchesDestination = (destination, event, videoData) => {
+    const { filters } = destination;
+    if (!destination.events.includes(event)) return false;
+    if (!isClipAnnounced(videoData) || !filters.visibility.includes(getClipVisibility(videoData))) return false;
+
+    if (filters.tags.length > 0) {
+        const tags = (videoData.tags || []).map(tag => tag.toLowerCase());
+        if (!filters.tags.some(tag => tags.includes(tag))) return false;
+    }
+    if (filters.uploaderRoles.length > 0) {
+        const uploader = userStore.get(videoData.uploadedBy);
+        const roles = (uploader && uploader.roles) || [];
+        if (!filters.uploaderRoles.some(roleId => roles.includes(roleId))) return false;
+    }
+    return true;
+};
+
+/**
+ * The "clip uploaded" message from its template (also used for bot replies, which pass their own embed title)
+ */
+const buildClipEmbed = (shareLink, videoData, { title } = {}) => {
+    const message = renderEventMessage('clip.uploaded', videoData, { shareLink });
+    if (title) message.embeds[0].title = title;
+    return message;
+};
+
+/**
+ * Queue a Discord message about a clip for every destination whose events and filters match. Each
+ * destination gets it at most once per clip (the delivery id is the idempotency key; pass `key` for
+ * events that can happen again, like each view milestone). `context` is { shareLink, milestone }.
+ * The message is rendered from the event's template when it's sent. Returns the queued deliveries.
+ */
+const sendDiscordEvent = (event, videoData, { key = null, ...context } = {}) => {
+    const targets = getWebhookDestinations().filter(destination => matchesDestination(destination, event, videoData));
+    if (targets.length === 0) return [];
+
+    const eventKey = key === null ? `${event}:${videoData.id}` : `${event}:${videoData.id}:${key}`;
+    return targets.map(destination => enqueueDelivery({
+        id: `discord:${destination.name}:${eventKey}`,
+        type: 'discord',
+        destination: destination.name,
+        event,
+        videoId: videoData.id,
+        payload: { context }
+    }));
+};
+
+/**
+ * Queue the upload announcement (see sendDiscordEvent) - safe to call again for the same clip
+ */
+const sendDiscordWebhook = async (shareLink, videoData) => {
+    const deliveries = sendDiscordEvent('clip.uploaded', videoData, { shareLink });
+    if (deliveries.length === 0) {
+        console.log(`🔕 No Discord webhook destinations for ${getClipVisibility(videoData)} clip:`, videoData.originalName);
+    }
+    return deliveries;
+};
+
+// Seconds Discord wants us to wait, from the 429 body or the Retry-After header
+const getRetryAfter = async (response) => {
+    try {
+        const body = await response.json();
+        if (typeof body.retry_after === 'number') return body.retry_after;
+    } catch (error) {
+        // Not JSON - fall back to the header
+    }
+    return parseFloat(response.headers.get('retry-after')) || 1;
+};
+
+// Render a delivery's message from the clip as it is now, with the current template
+const renderDelivery = (delivery) => {
+    // Queued before templates existed - the message was rendered up front
+    if (delivery.payload.embeds) return delivery.payload;
+
+    const fail = (message) => {
+        const error = new Error(message);
+        error.permanent = true;
+        return error;
     };
+    const videoData = videoStore.get(delivery.videoId);
+    if (!videoData) throw fail('Clip no longer exists');
+    if (!isClipAnnounced(videoData)) throw fail(`Clip is ${videoData.takedown ? 'taken down' : getClipVisibility(videoData)} now, so it isn't announced`);
 
     try {
-        // Use modern fetch if available, otherwise use https module
-        if (typeof fetch !== 'undefined') {
-            console.log('🔄 Using fetch for Discord webhook...');
-            const response = await fetch(webhookUrl, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify(webhookData)
-            });
-
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-            
-            console.log('✅ Discord webhook sent successfully via fetch');
-        } else {
-            // Fallback to https module for older Node.js versions
-            console.log('🔄 Using https module for Discord webhook...');
-            await new Promise((resolve, reject) => {
-                const url = new URL(webhookUrl);
-                const postData = JSON.stringify(webhookData);
-                
-                const options = {
-                    hostname: url.hostname,
-                    port: url.port || 443,
-                    path: url.pathname + url.search,
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Content-Length': Buffer.byteLength(postData)
-                    }
-                };
-
-                const req = https.request(options, (res) => {
-                    console.log(`Discord webhook status: ${res.statusCode}`);
-                    
-                    if (res.statusCode >= 200 && res.statusCode < 300) {
-                        console.log('✅ Discord webhook sent successfully via https');
-                        resolve();
-                    } else {
-                        reject(new Error(`Discord webhook failed: ${res.statusCode} ${res.statusMessage}`));
-                    }
-                });
-
-                req.on('error', (error) => {
-                    console.error('❌ Discord webhook error:', error.message);
-                    reject(error);
-                });
-
-                req.write(postData);
-                req.end();
-            });
-        }
+        return renderEventMessage(delivery.event, videoData, delivery.payload.context);
     } catch (error) {
-        console.error('❌ Discord webhook error:', error.message);
+        // A broken template - fix it, then retry the delivery from the dead-letter list
+        throw fail(error.message);
+    }
+};
+
+// Post a queued delivery to its destination (the webhook queue handles retries)
+const deliverDiscordWebhook = async (delivery) => {
+    const destination = getWebhookDestinations().find(candidate => candidate.name === delivery.destination);
+    if (!destination) {
+        const error = new Error(`Discord webhook destination ${delivery.destination} is no longer configured`);
+        error.permanent = true;
         throw error;
     }
+
+    const response = await fetch(destination.url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(renderDelivery(delivery)),
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+    });
+
+    if (response.ok) return { statusCode: response.status };
+
+    const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+    error.statusCode = response.status;
+    if (response.status === 429) {
+        error.retryAfter = Math.ceil((await getRetryAfter(response)) * 1000);
+    } else if (response.status >= 400 && response.status < 500) {
+        // Bad payload, or the webhook was deleted - sending it again won't help
+        error.permanent = true;
+    }
+    throw error;
 };
 
+registerDeliveryHandler('discord', deliverDiscordWebhook);
+
+/**
+ * Remove the `<videoId>_webhook_sent` flags older versions kept in videoStore to avoid duplicate
+ * announcements - the delivery queue's idempotency keys replace them
+ */
+const purgeLegacyWebhookFlags = () => {
+    let purged = 0;
+    for (const [key, value] of videoStore.entries()) {
+        if (key.endsWith('_webhook_sent') && typeof value !== 'object') {
+            videoStore.delete(key);
+            purged++;
+        }
+    }
+
+    if (purged > 0) {
+        console.log(`🧹 Removed ${purged} legacy webhook flags from the clip store`);
+    }
+};
+
+// Destinations without their secret URLs (for the admin API)
+const describeWebhookDestinations = () => getWebhookDestinations().map(destination => ({
+    name: destination.name,
+    url: `${destination.url.match(WEBHOOK_URL_PATTERN)[1]}/…`,
+    events: destination.events,
+    filters: destination.filters
+}));
+
 module.exports = {
-    sendDiscordWebhook
+    sendDiscordWebhook,
+    sendDiscordEvent,
+    buildClipEmbed,
+    getWebhookDestinations,
+    describeWebhookDestinations,
+    purgeLegacyWebhookFlags
 };
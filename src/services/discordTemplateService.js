@@ -0,0 +1,368 @@
+const config = require('../config');
+const DEFAULT_TEMPLATES = require('../config/discordTemplates');
+const { discordTemplateStore, userStore } = require('../config/database');
+const { formatDuration, formatFileSize, getClipImageUrls, getClipTitle } = require('../utils/helpers');
+const { getDiscordAvatarUrl } = require('./authService');
+const { canViewClip, getClipVisibility } = require('./clipAccessService');
+
+// Events Discord destinations can be sent (each has a template)
+const DISCORD_EVENTS = Object.keys(DEFAULT_TEMPLATES);
+
+// Values available to templates as {{name}}
+const PLACEHOLDERS = [
+    'title', 'description', 'uploader', 'uploaderAvatar', 'duration', 'resolution', 'size', 'tags',
+    'visibility', 'views', 'milestone', 'shareLink', 'thumbnail', 'preview', 'uploadedAt', 'uploadedAtFull'
+];
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+// Discord's embed limits (https://discord.com/developers/docs/resources/message#embed-object-embed-limits)
+const LIMITS = {
+    content: 2000,
+    title: 256,
+    description: 4096,
+    fields: 25,
+    fieldName: 256,
+    fieldValue: 1024,
+    footerText: 2048,
+    authorName: 256,
+    total: 6000
+};
+const TIMESTAMPS = ['uploadDate', 'now', false];
+const TEMPLATE_KEYS = ['content', 'title', 'description', 'url', 'color', 'author', 'thumbnail', 'image', 'fields', 'footer', 'timestamp'];
+
+const createTemplateError = (status, code, message) => {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+};
+
+const truncate = (text, maxLength) => text.length > maxLength ? `${text.substring(0, maxLength - 3)}...` : text;
+
+// Every string in a template, with where it is (for error messages)
+const getTemplateStrings = (template) => {
+    const strings = [];
+    const add = (path, value) => {
+        if (typeof value === 'string') strings.push({ path, value });
+    };
+
+    for (const key of ['content', 'title', 'description', 'url']) add(key, template[key]);
+    for (const key of ['author', 'thumbnail', 'image', 'footer']) {
+        for (const [name, value] of Object.entries(template[key] || {})) add(`${key}.${name}`, value);
+    }
+    (template.fields || []).forEach((field, index) => {
+        add(`fields[${index}].name`, field && field.name);
+        add(`fields[${index}].value`, field && field.value);
+    });
+    return strings;
+};
+
+const parseColor = (color) => {
+    if (typeof color === 'string' && /^#[0-9a-f]{6}$/i.test(color)) return parseInt(color.slice(1), 16);
+    if (Number.isInteger(color) && color >= 0 && color <= 0xffffff) return color;
+    return null;
+};
+
+const checkObject = (problems, template, key, allowed) => {
+    const value = template[key];
+    if (value === undefined || value === null) return;
+    if (typeof value !== 'object' || Array.isArray(value)) {
+        problems.push(`${key} must be an object`);
+        return;
+    }
+    for (const name of Object.keys(value)) {
+        if (!allowed.includes(name)) problems.push(`${key}.${name} is not supported`);
+        else if (typeof value[name] !== 'string') problems.push(`${key}.${name} must be a string`);
+    }
+};
+
+/**
+ * Check a template's shape, placeholders and static text against Discord's limits (rendered values
+ * are fitted to the limits when sending). Throws a 400 INVALID_TEMPLATE listing every problem.
+ */
+const validateTemplate = (template) => {
+    if (!template || typeof template !== 'object' || Array.isArray(template)) {
+        throw createTemplateError(400, 'INVALID_TEMPLATE', 'template must be an object');
+    }
+
+    const problems = [];
+    for (const key of Object.keys(template)) {
+        if (!TEMPLATE_KEYS.includes(key)) problems.push(`${key} is not supported`);
+    }
+    for (const key of ['content', 'title', 'description', 'url']) {
+        if (template[key] !== undefined && typeof template[key] !== 'string') problems.push(`${key} must be a string`);
+    }
+    if (template.color !== undefined && parseColor(template.color) === null) {
+        problems.push('color must be "#rrggbb" or a number up to 0xffffff');
+    }
+    if (template.timestamp !== undefined && !TIMESTAMPS.includes(template.timestamp)) {
+        problems.push('timestamp must be "uploadDate", "now" or false');
+    }
+    checkObject(problems, template, 'author', ['name', 'icon_url', 'url']);
+    checkObject(problems, template, 'thumbnail', ['url']);
+    checkObject(problems, template, 'image', ['url']);
+    checkObject(problems, template, 'footer', ['text', 'icon_url']);
+
+    if (template.fields !== undefined) {
+        if (!Array.isArray(template.fields)) {
+            problems.push('fields must be an array');
+        } else {
+            if (template.fields.length > LIMITS.fields) problems.push(`fields can have at most ${LIMITS.fields} entries`);
+            template.fields.forEach((field, index) => {
+                if (!field || typeof field.name !== 'string' || typeof field.value !== 'string') {
+                    problems.push(`fields[${index}] needs a name and value`);
+                } else if (field.inline !== undefined && typeof field.inline !== 'boolean') {
+                    problems.push(`fields[${index}].inline must be true or false`);
+                }
+            });
+        }
+    }
+
+    for (const { path, value } of getTemplateStrings(template)) {
+        for (const [, name] of value.matchAll(PLACEHOLDER_PATTERN)) {
+            if (!PLACEHOLDERS.includes(name)) problems.push(`${path} uses unknown placeholder {{${name}}}`);
+        }
+    }
+
+    // Only the template's own text counts here - placeholders can't be measured until they're filled in
+    const staticLength = (value) => value.replace(PLACEHOLDER_PATTERN, '').length;
+    const limitChecks = [
+        ['content', template.content, LIMITS.content],
+        ['title', template.title, LIMITS.title],
+        ['description', template.description, LIMITS.description],
+        ['author.name', template.author && template.author.name, LIMITS.authorName],
+        ['footer.text', template.footer && template.footer.text, LIMITS.footerText],
+        ...(Array.isArray(template.fields) ? template.fields.flatMap((field, index) => [
+            [`fields[${index}].name`, field && field.name, LIMITS.fieldName],
+            [`fields[${index}].value`, field && field.value, LIMITS.fieldValue]
+        ]) : [])
+    ];
+    for (const [path, value, limit] of limitChecks) {
+        if (typeof value === 'string' && staticLength(value) > limit) problems.push(`${path} is longer than ${limit} characters`);
+    }
+
+    if (!template.title && !template.description && !(template.fields && template.fields.length)) {
+        problems.push('template needs a title, description or fields');
+    }
+
+    if (problems.length > 0) {
+        throw createTemplateError(400, 'INVALID_TEMPLATE', `Invalid embed template: ${problems.join('; ')}`);
+    }
+};
+
+/**
+ * Placeholder values for a clip. `extra` adds event details ({ shareLink, milestone }).
+ */
+const buildTemplateContext = (videoData, extra = {}) => {
+    const baseUrl = config.server.backendUrl || `http://localhost:${config.server.port}`;
+    const storedUser = userStore.get(videoData.uploadedBy);
+    const media = videoData.media || {};
+    const unix = Math.floor(new Date(videoData.uploadDate).getTime() / 1000);
+    // Discord fetches images without a session, so only public clips can show them
+    const images = canViewClip(videoData, null) ? getClipImageUrls(baseUrl, videoData) : {};
+
+    return {
+        title: truncate(getClipTitle(videoData), 100),
+        description: videoData.description ? truncate(videoData.description, 300) : '',
+        uploader: (storedUser && storedUser.username) || videoData.uploaderUsername || 'Unknown User',
+        uploaderAvatar: getDiscordAvatarUrl(storedUser || {
+            id: videoData.uploadedBy,
+            username: videoData.uploaderUsername,
+            avatar: videoData.uploaderAvatar,
+            discriminator: '0'
+        }) || '',
+        duration: formatDuration(media.duration) || '',
+        resolution: media.width && media.height ? `${media.width}×${media.height}` : '',
+        size: videoData.size ? formatFileSize(videoData.size) : '',
+        tags: (videoData.tags || []).map(tag => `#${tag}`).join(' '),
+        visibility: getClipVisibility(videoData),
+        views: String(videoData.views || 0),
+        milestone: extra.milestone ? String(extra.milestone) : '',
+        shareLink: extra.shareLink || `${baseUrl}/v/${videoData.id}`,
+        thumbnail: images.thumbnailUrl || '',
+        preview: images.animatedPreviewUrl || '',
+        // Discord shows these in each reader's own timezone ("3 hours ago" / full date)
+        uploadedAt: unix ? `<t:${unix}:R>` : '',
+        uploadedAtFull: unix ? `<t:${unix}:f>` : '',
+        uploadDate: videoData.uploadDate
+    };
+};
+
+const fill = (value, context) => (typeof value === 'string'
+    ? value.replace(PLACEHOLDER_PATTERN, (match, name) => context[name] || '').replace(/\n{3,}/g, '\n\n').trim()
+    : '');
+
+const isHttpUrl = (value) => /^https?:\/\/\S+$/.test(value);
+
+// Fill an { url } / { name, icon_url } block, dropping it when its required part is empty
+const renderObject = (block, context, required, limit) => {
+    if (!block) return undefined;
+    const rendered = {};
+    for (const [key, value] of Object.entries(block)) {
+        const text = fill(value, context);
+        if (!text) continue;
+        if (key === 'url' || key === 'icon_url') {
+            if (isHttpUrl(text)) rendered[key] = text;
+        } else {
+            rendered[key] = truncate(text, limit);
+        }
+    }
+    return rendered[required] ? rendered : undefined;
+};
+
+const getEmbedLength = (embed) => [
+    embed.title,
+    embed.description,
+    embed.author && embed.author.name,
+    embed.footer && embed.footer.text,
+    ...(embed.fields || []).flatMap(field => [field.name, field.value])
+].reduce((sum, text) => sum + (text ? text.length : 0), 0);
+
+/**
+ * Check a rendered message against Discord's limits - returns a list of problems (empty when it can be sent)
+ */
+const validateEmbed = (message) => {
+    const problems = [];
+    if (message.content && message.content.length > LIMITS.content) problems.push(`content is longer than ${LIMITS.content} characters`);
+
+    for (const embed of message.embeds || []) {
+        if (embed.title && embed.title.length > LIMITS.title) problems.push(`title is longer than ${LIMITS.title} characters`);
+        if (embed.description && embed.description.length > LIMITS.description) problems.push(`description is longer than ${LIMITS.description} characters`);
+        if ((embed.fields || []).length > LIMITS.fields) problems.push(`more than ${LIMITS.fields} fields`);
+        for (const field of embed.fields || []) {
+            if (!field.name || !field.value) problems.push('fields need a name and value');
+            else if (field.name.length > LIMITS.fieldName || field.value.length > LIMITS.fieldValue) problems.push(`field "${field.name.substring(0, 20)}" is too long`);
+        }
+        if (getEmbedLength(embed) > LIMITS.total) problems.push(`embed text is longer than ${LIMITS.total} characters`);
+        if (!embed.title && !embed.description && !(embed.fields || []).length) problems.push('embed is empty');
+    }
+
+    // The total limit also applies to all of a message's embeds together
+    const embeds = message.embeds || [];
+    if (embeds.length > 1 && embeds.reduce((sum, embed) => sum + getEmbedLength(embed), 0) > LIMITS.total) {
+        problems.push(`embeds' combined text is longer than ${LIMITS.total} characters`);
+    }
+    return problems;
+};
+
+/**
+ * Render a template into a Discord message ({ content?, embeds: [embed] }). Text is fitted to Discord's
+ * limits (long descriptions are shortened first), then checked - throws 422 EMBED_INVALID if it still can't be sent.
+ */
+const renderTemplate = (template, context) => {
+    const embed = {};
+
+    const title = fill(template.title, context);
+    if (title) embed.title = truncate(title, LIMITS.title);
+    const description = fill(template.description, context);
+    if (description) embed.description = truncate(description, LIMITS.description);
+    const url = fill(template.url, context);
+    if (isHttpUrl(url)) embed.url = url;
+    if (template.color !== undefined) embed.color = parseColor(template.color);
+
+    embed.author = renderObject(template.author, context, 'name', LIMITS.authorName);
+    embed.thumbnail = renderObject(template.thumbnail, context, 'url');
+    embed.image = renderObject(template.image, context, 'url');
+    embed.footer = renderObject(template.footer, context, 'text', LIMITS.footerText);
+
+    const fields = (template.fields || [])
+        .map(field => ({
+            name: truncate(fill(field.name, context), LIMITS.fieldName),
+            value: truncate(fill(field.value, context), LIMITS.fieldValue),
+            inline: Boolean(field.inline)
+        }))
+        // Discord rejects empty field values - e.g. the tags field on a clip without tags
+        .filter(field => field.name && field.value);
+    if (fields.length > 0) embed.fields = fields.slice(0, LIMITS.fields);
+
+    const timestamp = template.timestamp === undefined ? 'uploadDate' : template.timestamp;
+    if (timestamp === 'uploadDate' && context.uploadDate) embed.timestamp = new Date(context.uploadDate).toISOString();
+    if (timestamp === 'now') embed.timestamp = new Date().toISOString();
+
+    for (const key of Object.keys(embed)) {
+        if (embed[key] === undefined) delete embed[key];
+    }
+
+    const overflow = getEmbedLength(embed) - LIMITS.total;
+    if (overflow > 0 && embed.description) {
+        embed.description = truncate(embed.description, Math.max(embed.description.length - overflow, 3));
+    }
+
+    // Placeholders like {{title}} are uploader-controlled - never let them ping @everyone, roles or members
+    const message = { embeds: [embed], allowed_mentions: { parse: [] } };
+    const content = fill(template.content, context);
+    if (content) message.content = truncate(content, LIMITS.content);
+
+    const problems = validateEmbed(message);
+    if (problems.length > 0) {
+        throw createTemplateError(422, 'EMBED_INVALID', `Embed can't be sent to Discord: ${problems.join('; ')}`);
+    }
+    return message;
+};
+
+const assertDiscordEvent = (event) => {
+    if (!DISCORD_EVENTS.includes(event)) {
+        throw createTemplateError(404, 'UNKNOWN_EVENT', `No template for ${event} - events are: ${DISCORD_EVENTS.join(', ')}`);
+    }
+};
+
+// The template in use for an event: the admin's version, or the default
+const getTemplate = (event) => {
+    assertDiscordEvent(event);
+    const stored = discordTemplateStore.get(event);
+    return stored ? stored.template : DEFAULT_TEMPLATES[event];
+};
+
+/**
+ * Every event's template: [{ event, template, custom, updatedAt, updatedBy }]
+ */
+const listTemplates = () => DISCORD_EVENTS.map(event => {
+    const stored = discordTemplateStore.get(event);
+    return {
+        event,
+        template: stored ? stored.template : DEFAULT_TEMPLATES[event],
+        custom: Boolean(stored),
+        updatedAt: stored ? stored.updatedAt : null,
+        updatedBy: stored ? stored.updatedBy : null
+    };
+});
+
+/**
+ * Replace an event's template (validated first). Queued deliveries pick it up when they're sent.
+ */
+const setTemplate = (event, template, actor) => {
+    assertDiscordEvent(event);
+    validateTemplate(template);
+
+    const stored = { template, updatedAt: new Date().toISOString(), updatedBy: actor.id };
+    discordTemplateStore.set(event, stored);
+    return { event, ...stored, custom: true };
+};
+
+// Go back to the default template for an event
+const resetTemplate = (event) => {
+    assertDiscordEvent(event);
+    discordTemplateStore.delete(event);
+    return { event, template: DEFAULT_TEMPLATES[event], custom: false };
+};
+
+/**
+ * Render an event's message for a clip with the current template (see buildTemplateContext for `extra`)
+ */
+const renderEventMessage = (event, videoData, extra = {}) => renderTemplate(getTemplate(event), buildTemplateContext(videoData, extra));
+
+module.exports = {
+    DISCORD_EVENTS,
+    PLACEHOLDERS,
+    LIMITS,
+    getEmbedLength,
+    validateEmbed,
+    validateTemplate,
+    renderTemplate,
+    buildTemplateContext,
+    getTemplate,
+    listTemplates,
+    setTemplate,
+    resetTemplate,
+    renderEventMessage
+};
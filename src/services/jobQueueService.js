@@ -0,0 +1,207 @@
+const { mediaJobStore } = require('../config/database');
+const { broadcastProgress, closeProgressStream } = require('../routes/upload-progress');
+const config = require('../config');
+
+const MAX_ATTEMPTS = 2;
+const JOB_RETENTION = 7 * 24 * 60 * 60 * 1000; // Keep finished job records for 7 days
+
+// Job handlers by type: async (job, { reportProgress, signal, finalAttempt }) => result. `signal` aborts when the
+// job is cancelled; `finalAttempt` is false while a failure would still be retried.
+const handlers = new Map();
+const queue = [];
+// Job ID -> AbortController for jobs that are running right now
+const runningJobs = new Map();
+let runningCount = 0;
+
+const registerJobHandler = (type, handler) => {
+    handlers.set(type, handler);
+};
+
+// Report job state to anyone still watching the upload's SSE stream
+const broadcastJobState = (job, extra = {}) => {
+    if (!job.uploadId) return;
+
+    broadcastProgress(job.uploadId, {
+        type: 'job',
+        uploadId: job.uploadId,
+        videoId: job.videoId,
+        jobId: job.id,
+        job: job.type,
+        status: job.status,
+        error: job.error || undefined,
+        ...extra
+    });
+};
+
+const updateJob = (job, changes) => {
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    mediaJobStore.set(job.id, job);
+    broadcastJobState(job);
+};
+
+const hasPendingJobs = (uploadId) => {
+    for (const job of mediaJobStore.values()) {
+        if (job.uploadId === uploadId && (job.status === 'queued' || job.status === 'running')) {
+            return true;
+        }
+    }
+    return false;
+};
+
+/**
+ * Queue a background job. One job per type per video - re-queueing a finished job restarts it.
+ */
+const enqueueJob = (type, videoId, { uploadId = null, payload = {} } = {}) => {
+    if (!handlers.has(type)) {
+        throw new Error(`No handler registered for job type: ${type}`);
+    }
+
+    const id = `${type}-${videoId}`;
+    const existing = mediaJobStore.get(id);
+    if (existing && (existing.status === 'queued' || existing.status === 'running')) {
+        return existing;
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+        id,
+        type,
+        videoId,
+        uploadId,
+        payload,
+        status: 'queued',
+        attempts: 0,
+        error: null,
+        createdAt: now,
+        updatedAt: now
+    };
+
+    mediaJobStore.set(id, job);
+    queue.push(id);
+    broadcastJobState(job);
+    console.log(`🧾 Queued ${type} job for video ${videoId}`);
+
+    setImmediate(processQueue);
+    return job;
+};
+
+const runJob = async (job) => {
+    const handler = handlers.get(job.type);
+    const controller = new AbortController();
+    runningJobs.set(job.id, controller);
+    updateJob(job, { status: 'running', attempts: job.attempts + 1, error: null });
+    console.log(`⚙️ Running ${job.type} job for video ${job.videoId} (attempt ${job.attempts})`);
+
+    try {
+        const result = await handler(job, {
+            reportProgress: (progress) => broadcastJobState(job, { progress }),
+            signal: controller.signal,
+            finalAttempt: job.attempts >= MAX_ATTEMPTS
+        });
+
+        if (job.status !== 'cancelled') {
+            updateJob(job, { status: 'completed', result: result || null });
+            console.log(`✅ ${job.type} job completed for video ${job.videoId}`);
+        }
+    } catch (error) {
+        if (job.status === 'cancelled') {
+            console.log(`🛑 ${job.type} job cancelled for video ${job.videoId}`);
+        } else {
+            console.error(`❌ ${job.type} job failed for video ${job.videoId}:`, error.message);
+
+            if (job.attempts < MAX_ATTEMPTS) {
+                updateJob(job, { status: 'queued', error: error.message });
+                queue.push(job.id);
+            } else {
+                updateJob(job, { status: 'failed', error: error.message });
+            }
+        }
+    } finally {
+        runningJobs.delete(job.id);
+    }
+
+    if (job.uploadId && !hasPendingJobs(job.uploadId)) {
+        closeProgressStream(job.uploadId);
+    }
+};
+
+// Start queued jobs up to the configured concurrency
+const processQueue = () => {
+    while (runningCount < config.media.concurrency && queue.length > 0) {
+        const job = mediaJobStore.get(queue.shift());
+        if (!job || job.status !== 'queued') continue;
+
+        runningCount++;
+        runJob(job).finally(() => {
+            runningCount--;
+            setImmediate(processQueue);
+        });
+    }
+};
+
+/**
+ * Re-queue jobs that were queued or interrupted mid-run when the server stopped
+ */
+const resumePendingJobs = () => {
+    const pending = Array.from(mediaJobStore.values())
+        .filter(job => job.status === 'queued' || job.status === 'running')
+        .sort((a, b) => new Date(a.createdAt).getTime() - new Date(b.createdAt).getTime());
+
+    pending.forEach(job => {
+        if (!handlers.has(job.type)) return;
+        job.status = 'queued';
+        mediaJobStore.set(job.id, job);
+        queue.push(job.id);
+    });
+
+    if (pending.length > 0) {
+        console.log(`🔁 Resuming ${pending.length} background jobs`);
+        setImmediate(processQueue);
+    }
+};
+
+/**
+ * Cancel a video's queued and running jobs (e.g. when it's deleted). Running jobs are told to stop
+ * through their signal; whatever they return afterwards is ignored.
+ */
+const cancelJobsForVideo = (videoId) => {
+    let cancelledCount = 0;
+    for (const job of mediaJobStore.values()) {
+        if (job.videoId !== videoId || (job.status !== 'queued' && job.status !== 'running')) continue;
+
+        updateJob(job, { status: 'cancelled' });
+        if (runningJobs.has(job.id)) {
+            runningJobs.get(job.id).abort();
+        }
+        cancelledCount++;
+    }
+
+    if (cancelledCount > 0) {
+        console.log(`🛑 Cancelled ${cancelledCount} background jobs for video ${videoId}`);
+    }
+    return cancelledCount;
+};
+
+const getJobsForVideo = (videoId) => {
+    return Array.from(mediaJobStore.values()).filter(job => job.videoId === videoId);
+};
+
+// Prune finished job records periodically
+setInterval(() => {
+    const cutoff = Date.now() - JOB_RETENTION;
+    for (const [id, job] of mediaJobStore.entries()) {
+        const finished = job.status === 'completed' || job.status === 'failed' || job.status === 'cancelled';
+        if (finished && new Date(job.updatedAt).getTime() < cutoff) {
+            mediaJobStore.delete(id);
+        }
+    }
+}, 60 * 60 * 1000).unref(); // Run cleanup every hour
+
+module.exports = {
+    registerJobHandler,
+    enqueueJob,
+    resumePendingJobs,
+    cancelJobsForVideo,
+    getJobsForVideo,
+    hasPendingJobs
+};
@@ -0,0 +1,117 @@
+const { videoStore } = require('../config/database');
+const { probeMedia, getStream } = require('./mediaToolsService');
+const { generateStreamUrl, updateVideoBlobMetadata } = require('./videoService');
+
+// Blob metadata keys for each media field (prefixed so they can't clash with upload metadata)
+const METADATA_KEYS = {
+    duration: 'mediaDuration',
+    width: 'mediaWidth',
+    height: 'mediaHeight',
+    frameRate: 'mediaFrameRate',
+    videoCodec: 'mediaVideoCodec',
+    audioCodec: 'mediaAudioCodec',
+    bitrate: 'mediaBitrate',
+    container: 'mediaContainer'
+};
+const NUMERIC_FIELDS = ['duration', 'width', 'height', 'frameRate', 'bitrate'];
+
+// ffprobe reports rates as fractions like "60000/1001"; "0/0" means unknown
+const parseFrameRate = (rate) => {
+    if (!rate) return null;
+    const [numerator, denominator] = rate.split('/').map(Number);
+    if (!numerator) return null;
+    if (!denominator) return numerator;
+    return Math.round((numerator / denominator) * 100) / 100;
+};
+
+const toNumber = (value) => {
+    const number = parseFloat(value);
+    return isNaN(number) ? null : number;
+};
+
+/**
+ * Reduce ffprobe output to the fields we keep on the video record
+ */
+const extractMediaInfo = (probe) => {
+    const format = probe.format || {};
+    const video = getStream(probe, 'video') || {};
+    const audio = getStream(probe, 'audio');
+
+    const duration = toNumber(format.duration) || toNumber(video.duration);
+
+    return {
+        duration: duration !== null ? Math.round(duration * 100) / 100 : null,
+        width: video.width || null,
+        height: video.height || null,
+        frameRate: parseFrameRate(video.avg_frame_rate) || parseFrameRate(video.r_frame_rate),
+        videoCodec: video.codec_name || null,
+        audioCodec: audio ? audio.codec_name : null,
+        bitrate: toNumber(format.bit_rate),
+        // format_name lists aliases ("mov,mp4,m4a,...") - the first is the canonical demuxer
+        container: format.format_name ? format.format_name.split(',')[0] : null
+    };
+};
+
+const toBlobMetadata = (media) => {
+    const metadata = {};
+    Object.entries(METADATA_KEYS).forEach(([field, key]) => {
+        metadata[key] = media[field] === null || media[field] === undefined ? null : String(media[field]);
+    });
+    return metadata;
+};
+
+// Read media info back from blob metadata (used by rebuildFromAzureStorage)
+const fromBlobMetadata = (metadata) => {
+    if (!metadata || (!metadata[METADATA_KEYS.duration] && !metadata[METADATA_KEYS.videoCodec])) {
+        return null;
+    }
+
+    const media = {};
+    Object.entries(METADATA_KEYS).forEach(([field, key]) => {
+        const value = metadata[key];
+        if (value === undefined) {
+            media[field] = null;
+        } else {
+            media[field] = NUMERIC_FIELDS.includes(field) ? toNumber(value) : value;
+        }
+    });
+    return media;
+};
+
+/**
+ * Job handler: ffprobe the original blob over a short-lived SAS URL (ffprobe only
+ * fetches the ranges it needs) and store the result on the record and in blob metadata
+ */
+const probeVideo = async (job) => {
+    const videoId = job.videoId;
+    if (!videoStore.has(videoId)) {
+        return { skipped: 'Video no longer exists' };
+    }
+
+    const sourceUrl = await generateStreamUrl(videoId);
+    const media = extractMediaInfo(await probeMedia(sourceUrl));
+
+    const current = videoStore.get(videoId);
+    if (!current) {
+        return { skipped: 'Video deleted during probing' };
+    }
+
+    current.media = media;
+    videoStore.set(videoId, current);
+
+    await updateVideoBlobMetadata(videoId, toBlobMetadata(media)).catch(error => {
+        console.error(`⚠️ Failed to record media info in blob metadata for ${videoId}:`, error.message);
+    });
+
+    console.log(`🔎 Probed ${current.originalName}: ${media.width}x${media.height} ${media.videoCodec}/${media.audioCodec}, ${media.duration}s`);
+    return media;
+};
+
+const needsProbe = (videoData) => !videoData.media;
+
+module.exports = {
+    extractMediaInfo,
+    fromBlobMetadata,
+    needsProbe,
+    probeVideo
+};
@@ -0,0 +1,68 @@
+const { videoStore } = require('../config/database');
+const config = require('../config');
+const { registerJobHandler, enqueueJob, resumePendingJobs } = require('./jobQueueService');
+const { isFfmpegAvailable } = require('./mediaToolsService');
+const { needsTranscode, transcodeVideo } = require('./transcodeService');
+const { needsThumbnails, generateThumbnails } = require('./thumbnailService');
+const { needsProbe, probeVideo } = require('./mediaProbeService');
+
+registerJobHandler('probe', probeVideo);
+registerJobHandler('transcode', transcodeVideo);
+registerJobHandler('thumbnails', generateThumbnails);
+
+const isMediaProcessingAvailable = async () => {
+    return config.media.enabled && await isFfmpegAvailable();
+};
+
+/**
+ * Queue the background ffmpeg work a freshly uploaded video needs.
+ * Returns the queued jobs; progress is reported on the upload's SSE stream when uploadId is given.
+ */
+const scheduleMediaProcessing = async (videoData, uploadId = null) => {
+    if (!await isMediaProcessingAvailable()) {
+        return [];
+    }
+
+    const jobs = [];
+
+    // Probing only reads a few ranges of the blob, so it goes first
+    if (needsProbe(videoData)) {
+        jobs.push(enqueueJob('probe', videoData.id, { uploadId }));
+    }
+
+    // Thumbnails next - they're quick and make the clip card/embed look finished
+    if (needsThumbnails(videoData)) {
+        jobs.push(enqueueJob('thumbnails', videoData.id, { uploadId }));
+    }
+
+    if (needsTranscode(videoData)) {
+        videoData.transcodeStatus = 'pending';
+        videoStore.set(videoData.id, videoData);
+        jobs.push(enqueueJob('transcode', videoData.id, { uploadId }));
+    }
+
+    return jobs;
+};
+
+/**
+ * Queue just the metadata probe - used when rebuilding records for videos uploaded before probing existed
+ */
+const scheduleMediaProbe = async (videoData) => {
+    if (!needsProbe(videoData) || !await isMediaProcessingAvailable()) {
+        return null;
+    }
+    return enqueueJob('probe', videoData.id);
+};
+
+// Resume jobs interrupted by a restart (call after the database is loaded)
+const initializeMediaProcessing = async () => {
+    if (await isMediaProcessingAvailable()) {
+        resumePendingJobs();
+    }
+};
+
+module.exports = {
+    scheduleMediaProcessing,
+    scheduleMediaProbe,
+    initializeMediaProcessing
+};
@@ -0,0 +1,162 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../config');
+
+let ffmpegAvailable = null;
+
+/**
+ * Run a command and collect its output. Rejects on non-zero exit or timeout,
+ * with the tail of stderr in the error message.
+ */
+const runProcess = (command, args, { onStdout, timeout = config.media.jobTimeout, signal } = {}) => {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            return reject(new Error(`${command} cancelled`));
+        }
+
+        const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+        let stdout = '';
+        let stderr = '';
+
+        const timer = setTimeout(() => {
+            child.kill('SIGKILL');
+            reject(new Error(`${command} timed out after ${Math.round(timeout / 1000)}s`));
+        }, timeout);
+
+        // The job was cancelled (e.g. its video was deleted) - stop the process
+        const onAbort = () => {
+            child.kill('SIGKILL');
+            reject(new Error(`${command} cancelled`));
+        };
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+
+        child.stdout.on('data', (chunk) => {
+            const text = chunk.toString();
+            if (onStdout) {
+                onStdout(text);
+            } else {
+                stdout += text;
+            }
+        });
+
+        child.stderr.on('data', (chunk) => {
+            // Keep only the tail - ffmpeg is chatty
+            stderr = (stderr + chunk.toString()).slice(-4000);
+        });
+
+        child.on('error', (error) => {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', onAbort);
+            reject(error.code === 'ENOENT' ? new Error(`${command} not found - is it installed?`) : error);
+        });
+
+        child.on('close', (code) => {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', onAbort);
+            if (code === 0) {
+                resolve(stdout);
+            } else {
+                const lastLines = stderr.trim().split('\n').slice(-3).join(' | ');
+                reject(new Error(`${command} exited with code ${code}: ${lastLines}`));
+            }
+        });
+    });
+};
+
+/**
+ * Read container and stream information with ffprobe
+ */
+const probeMedia = async (filePath) => {
+    const output = await runProcess(config.media.ffprobePath, [
+        '-v', 'error',
+        '-print_format', 'json',
+        '-show_format',
+        '-show_streams',
+        filePath
+    ], { timeout: 60 * 1000 });
+
+    return JSON.parse(output);
+};
+
+/**
+ * Run ffmpeg, reporting progress (0-100) from its -progress output when the duration is known.
+ * Aborting `signal` kills it.
+ */
+const runFfmpeg = (args, { duration, onProgress, signal } = {}) => {
+    let buffered = '';
+    let lastProgress = -1;
+
+    const handleProgressOutput = (text) => {
+        buffered += text;
+        const lines = buffered.split('\n');
+        buffered = lines.pop();
+
+        for (const line of lines) {
+            const [key, value] = line.trim().split('=');
+            if (key === 'out_time_us' && duration > 0 && onProgress) {
+                const seconds = parseInt(value, 10) / 1000000;
+                const progress = Math.min(99, Math.max(0, Math.round((seconds / duration) * 100)));
+                if (progress !== lastProgress) {
+                    lastProgress = progress;
+                    onProgress(progress);
+                }
+            }
+        }
+    };
+
+    return runProcess(config.media.ffmpegPath, [
+        '-hide_banner',
+        '-nostats',
+        '-y',
+        '-progress', 'pipe:1',
+        ...args
+    ], { onStdout: handleProgressOutput, signal });
+};
+
+/**
+ * Check once whether ffmpeg and ffprobe can be executed
+ */
+const isFfmpegAvailable = async () => {
+    if (ffmpegAvailable === null) {
+        try {
+            await runProcess(config.media.ffmpegPath, ['-version'], { timeout: 10 * 1000 });
+            await runProcess(config.media.ffprobePath, ['-version'], { timeout: 10 * 1000 });
+            ffmpegAvailable = true;
+        } catch (error) {
+            console.log(`⚠️  ffmpeg not available - media processing disabled (${error.message})`);
+            ffmpegAvailable = false;
+        }
+    }
+    return ffmpegAvailable;
+};
+
+// Pick the first stream of a kind from ffprobe output
+const getStream = (probe, codecType) => {
+    return (probe.streams || []).find(stream => stream.codec_type === codecType) || null;
+};
+
+/**
+ * Run work in a fresh temp directory that is always removed afterwards
+ */
+const withWorkDir = async (name, work) => {
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), `va-${name}-`));
+    try {
+        return await work(workDir);
+    } finally {
+        await fs.promises.rm(workDir, { recursive: true, force: true }).catch(error => {
+            console.error(`Failed to clean up ${workDir}:`, error.message);
+        });
+    }
+};
+
+module.exports = {
+    probeMedia,
+    runFfmpeg,
+    isFfmpegAvailable,
+    getStream,
+    withWorkDir
+};
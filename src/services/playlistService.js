@@ -0,0 +1,232 @@
+const crypto = require('crypto');
+const { videoStore, playlistStore } = require('../config/database');
+const { isAdmin } = require('../middleware/auth');
+const { canViewClip } = require('./clipAccessService');
+
+const VISIBILITIES = ['private', 'guild', 'public'];
+const DEFAULT_VISIBILITY = 'guild';
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 1000;
+const MAX_CLIPS = 200;
+const MAX_PLAYLISTS_PER_USER = 100;
+
+const createPlaylistError = (status, code, message) => {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+};
+
+// Playlists only show (and only accept) clips the user is allowed to watch
+const isVisibleClip = (videoId, user) => {
+    const videoData = videoStore.get(videoId);
+    // videoStore also holds `<videoId>_webhook_sent` flags - those aren't clips
+    return Boolean(videoData && typeof videoData === 'object' && canViewClip(videoData, user));
+};
+
+const canManage = (playlist, user) => Boolean(user && (playlist.ownerId === user.id || isAdmin(user)));
+
+// private: owner only, guild: guild members (same rule as clips, see clipAccessService), public: anyone with the link
+const canView = (playlist, user) => {
+    if (playlist.visibility === 'public' || canManage(playlist, user)) return true;
+    if (playlist.visibility === 'guild') return Boolean(user && user.guildMember);
+    return false;
+};
+
+const normalizeName = (value) => {
+    if (typeof value !== 'string' || !value.trim()) {
+        throw createPlaylistError(400, 'VALIDATION_ERROR', 'name is required');
+    }
+    const name = value.trim();
+    if (name.length > MAX_NAME_LENGTH) {
+        throw createPlaylistError(400, 'VALIDATION_ERROR', `name must be at most ${MAX_NAME_LENGTH} characters`);
+    }
+    return name;
+};
+
+const normalizeDescription = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value !== 'string') {
+        throw createPlaylistError(400, 'VALIDATION_ERROR', 'description must be a string');
+    }
+    const description = value.trim();
+    if (description.length > MAX_DESCRIPTION_LENGTH) {
+        throw createPlaylistError(400, 'VALIDATION_ERROR', `description must be at most ${MAX_DESCRIPTION_LENGTH} characters`);
+    }
+    return description || null;
+};
+
+const normalizeVisibility = (value) => {
+    if (!VISIBILITIES.includes(value)) {
+        throw createPlaylistError(400, 'VALIDATION_ERROR', `visibility must be one of: ${VISIBILITIES.join(', ')}`);
+    }
+    return value;
+};
+
+// De-duplicated list of existing clip ids, in the given order
+const normalizeClipIds = (value, user) => {
+    if (!Array.isArray(value) || value.some(id => typeof id !== 'string')) {
+        throw createPlaylistError(400, 'VALIDATION_ERROR', 'clipIds must be an array of clip ids');
+    }
+
+    const clipIds = Array.from(new Set(value));
+    const missing = clipIds.filter(id => !isVisibleClip(id, user));
+    if (missing.length > 0) {
+        throw createPlaylistError(400, 'CLIP_NOT_FOUND', `Unknown clips: ${missing.join(', ')}`);
+    }
+    if (clipIds.length > MAX_CLIPS) {
+        throw createPlaylistError(400, 'PLAYLIST_FULL', `A playlist can hold at most ${MAX_CLIPS} clips`);
+    }
+    return clipIds;
+};
+
+/**
+ * Look up a playlist the user may see. Hidden playlists report 404 so private ones aren't disclosed.
+ */
+const getViewablePlaylist = (playlistId, user) => {
+    const playlist = playlistStore.get(playlistId);
+    if (!playlist || !canView(playlist, user)) {
+        throw createPlaylistError(404, 'PLAYLIST_NOT_FOUND', 'Playlist not found');
+    }
+    return playlist;
+};
+
+const getManageablePlaylist = (playlistId, user) => {
+    const playlist = getViewablePlaylist(playlistId, user);
+    if (!canManage(playlist, user)) {
+        throw createPlaylistError(403, 'FORBIDDEN', 'You can only manage your own playlists');
+    }
+    return playlist;
+};
+
+/**
+ * Playlists the user can see, most recently updated first. Pass ownerId to list one member's playlists.
+ */
+const listPlaylists = (user, { ownerId } = {}) => {
+    const playlists = [];
+    for (const playlist of playlistStore.values()) {
+        if (ownerId && playlist.ownerId !== ownerId) continue;
+        if (canView(playlist, user)) {
+            playlists.push(playlist);
+        }
+    }
+    return playlists.sort((a, b) => new Date(b.updatedAt).getTime() - new Date(a.updatedAt).getTime());
+};
+
+const createPlaylist = (user, input = {}) => {
+    let ownedCount = 0;
+    for (const playlist of playlistStore.values()) {
+        if (playlist.ownerId === user.id) ownedCount++;
+    }
+    if (ownedCount >= MAX_PLAYLISTS_PER_USER) {
+        throw createPlaylistError(400, 'PLAYLIST_LIMIT', `You can have at most ${MAX_PLAYLISTS_PER_USER} playlists`);
+    }
+
+    const now = new Date().toISOString();
+    const playlist = {
+        id: crypto.randomBytes(8).toString('hex'),
+        name: normalizeName(input.name),
+        description: normalizeDescription(input.description),
+        visibility: input.visibility === undefined ? DEFAULT_VISIBILITY : normalizeVisibility(input.visibility),
+        clipIds: input.clipIds === undefined ? [] : normalizeClipIds(input.clipIds, user),
+        ownerId: user.id,
+        ownerUsername: user.username,
+        createdAt: now,
+        updatedAt: now
+    };
+
+    playlistStore.set(playlist.id, playlist);
+    console.log(`🎞️ ${user.username} created playlist "${playlist.name}" (${playlist.id})`);
+    return playlist;
+};
+
+/**
+ * Rename, re-describe, change visibility or replace the clip order (clipIds is the full new list)
+ */
+const updatePlaylist = (playlistId, user, changes = {}) => {
+    const playlist = getManageablePlaylist(playlistId, user);
+    const updates = {};
+
+    if (changes.name !== undefined) updates.name = normalizeName(changes.name);
+    if (changes.description !== undefined) updates.description = normalizeDescription(changes.description);
+    if (changes.visibility !== undefined) updates.visibility = normalizeVisibility(changes.visibility);
+    if (changes.clipIds !== undefined) updates.clipIds = normalizeClipIds(changes.clipIds, user);
+
+    if (Object.keys(updates).length === 0) {
+        throw createPlaylistError(400, 'INVALID_REQUEST', 'Nothing to update (expected name, description, visibility and/or clipIds)');
+    }
+
+    Object.assign(playlist, updates, { updatedAt: new Date().toISOString() });
+    playlistStore.set(playlistId, playlist);
+    return playlist;
+};
+
+const deletePlaylist = (playlistId, user) => {
+    const playlist = getManageablePlaylist(playlistId, user);
+    playlistStore.delete(playlistId);
+    console.log(`🗑️ ${user.username} deleted playlist "${playlist.name}" (${playlistId})`);
+};
+
+// Add a clip (at the end, or at a zero-based position); adding a clip that's already there moves it
+const addClip = (playlistId, user, videoId, position) => {
+    const playlist = getManageablePlaylist(playlistId, user);
+    if (typeof videoId !== 'string' || !isVisibleClip(videoId, user)) {
+        throw createPlaylistError(404, 'CLIP_NOT_FOUND', 'Clip not found');
+    }
+
+    const clipIds = playlist.clipIds.filter(id => id !== videoId);
+    if (clipIds.length >= MAX_CLIPS) {
+        throw createPlaylistError(400, 'PLAYLIST_FULL', `A playlist can hold at most ${MAX_CLIPS} clips`);
+    }
+
+    const index = Number.isInteger(position) ? Math.min(Math.max(position, 0), clipIds.length) : clipIds.length;
+    clipIds.splice(index, 0, videoId);
+
+    playlist.clipIds = clipIds;
+    playlist.updatedAt = new Date().toISOString();
+    playlistStore.set(playlistId, playlist);
+    return playlist;
+};
+
+const removeClip = (playlistId, user, videoId) => {
+    const playlist = getManageablePlaylist(playlistId, user);
+    if (!playlist.clipIds.includes(videoId)) {
+        throw createPlaylistError(404, 'CLIP_NOT_FOUND', 'Clip is not in this playlist');
+    }
+
+    playlist.clipIds = playlist.clipIds.filter(id => id !== videoId);
+    playlist.updatedAt = new Date().toISOString();
+    playlistStore.set(playlistId, playlist);
+    return playlist;
+};
+
+// Drop a deleted clip from every playlist that references it
+const removeClipFromAllPlaylists = (videoId) => {
+    for (const [playlistId, playlist] of playlistStore.entries()) {
+        if (playlist.clipIds.includes(videoId)) {
+            playlist.clipIds = playlist.clipIds.filter(id => id !== videoId);
+            playlistStore.set(playlistId, playlist);
+        }
+    }
+};
+
+// Clip records for a playlist in order, skipping any that have since been deleted or that `user` can't see
+const getPlaylistClips = (playlist, user) => {
+    return playlist.clipIds
+        .filter(videoId => isVisibleClip(videoId, user))
+        .map(videoId => ({ videoId, videoData: videoStore.get(videoId) }));
+};
+
+module.exports = {
+    VISIBILITIES,
+    canManage,
+    getViewablePlaylist,
+    listPlaylists,
+    createPlaylist,
+    updatePlaylist,
+    deletePlaylist,
+    addClip,
+    removeClip,
+    removeClipFromAllPlaylists,
+    getPlaylistClips
+};
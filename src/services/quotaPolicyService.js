@@ -0,0 +1,79 @@
+const config = require('../config');
+const { userStore } = require('../config/database');
+
+// Every limit a quota policy sets - null means unlimited
+const LIMIT_KEYS = ['maxStorage', 'maxFileSize', 'maxClips', 'maxUploadsPerDay'];
+
+const createQuotaError = (status, code, message) => {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+};
+
+const formatBytes = (bytes) => {
+    if (bytes >= 1024 * 1024 * 1024) return `${+(bytes / (1024 * 1024 * 1024)).toFixed(1)}GB`;
+    return `${Math.round(bytes / (1024 * 1024))}MB`;
+};
+
+/**
+ * The quota tier for a member: the first configured tier (highest first) they hold a Discord role
+ * for, or the default tier. Roles are stored on the user record at login.
+ */
+const getQuotaTier = (user) => {
+    const roles = (user && user.roles) || [];
+    const tier = config.quota.tiers.find(candidate => candidate.roleIds.some(roleId => roles.includes(roleId)));
+    return tier || config.quota.defaultTier;
+};
+
+/**
+ * The limits that apply to a member: their tier's limits with any per-user overrides set by admins
+ * (see adminService.setUserQuota) on top. Returns { tier, limits, overrides }.
+ */
+const getQuotaPolicy = (userId) => {
+    const storedUser = userStore.get(userId);
+    const tier = getQuotaTier(storedUser);
+    const overrides = (storedUser && storedUser.quotaOverrides) || {};
+
+    const limits = { ...tier.limits };
+    for (const key of LIMIT_KEYS) {
+        // An override of null lifts the limit entirely, so check for the key rather than the value
+        if (Object.prototype.hasOwnProperty.call(overrides, key)) {
+            limits[key] = overrides[key];
+        }
+    }
+
+    return { tier: tier.name, limits, overrides };
+};
+
+// null (or a missing limit) means unlimited
+const hasLimit = (limit) => limit !== null && limit !== undefined;
+
+/**
+ * Check an upload of `fileSize` bytes against a policy, given the member's current usage
+ * ({ totalUploadSize, clipCount, uploadsToday }). Throws a status/code error when a limit is hit.
+ * A fileSize of 0 checks only the limits that don't depend on the file.
+ */
+const assertWithinQuota = (policy, usage, fileSize = 0) => {
+    const { limits } = policy;
+
+    if (hasLimit(limits.maxFileSize) && fileSize > limits.maxFileSize) {
+        throw createQuotaError(413, 'FILE_TOO_LARGE', `File too large. Your maximum file size is ${formatBytes(limits.maxFileSize)}`);
+    }
+    if (hasLimit(limits.maxStorage) && usage.totalUploadSize + fileSize > limits.maxStorage) {
+        throw createQuotaError(413, 'QUOTA_EXCEEDED', `Your upload quota of ${formatBytes(limits.maxStorage)} has been exceeded`);
+    }
+    if (hasLimit(limits.maxClips) && usage.clipCount >= limits.maxClips) {
+        throw createQuotaError(429, 'CLIP_LIMIT_REACHED', `You can have at most ${limits.maxClips} clips - delete some to upload more`);
+    }
+    if (hasLimit(limits.maxUploadsPerDay) && usage.uploadsToday >= limits.maxUploadsPerDay) {
+        throw createQuotaError(429, 'DAILY_UPLOAD_LIMIT', `You can upload at most ${limits.maxUploadsPerDay} clips per day`);
+    }
+};
+
+module.exports = {
+    LIMIT_KEYS,
+    getQuotaTier,
+    getQuotaPolicy,
+    assertWithinQuota
+};
@@ -0,0 +1,110 @@
+const config = require('../config');
+const { videoStore, reactionStore } = require('../config/database');
+const { canViewClip } = require('./clipAccessService');
+
+const createReactionError = (status, code, message) => {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+};
+
+// 'like' plus the configured emoji set
+const getAvailableReactions = () => ['like', ...config.reactions.emojis.filter(emoji => emoji !== 'like')];
+
+// Clips the user can't see (see clipAccessService) are reported as missing
+const getClip = (videoId, user) => {
+    const videoData = videoStore.get(videoId);
+
+    // videoStore also holds `<videoId>_webhook_sent` flags - those aren't clips
+    if (!videoData || typeof videoData !== 'object' || !canViewClip(videoData, user)) {
+        throw createReactionError(404, 'CLIP_NOT_FOUND', 'Clip not found');
+    }
+    return videoData;
+};
+
+// One record per member per clip
+const getReactionKey = (videoId, userId) => `${videoId}:${userId}`;
+
+// Per-reaction totals are kept on the clip record so listings and popularity don't scan every reaction
+const adjustCount = (videoData, reaction, delta) => {
+    const reactions = { ...(videoData.reactions || {}) };
+    reactions[reaction] = Math.max(0, (reactions[reaction] || 0) + delta);
+    if (reactions[reaction] === 0) delete reactions[reaction];
+    videoData.reactions = reactions;
+};
+
+/**
+ * Reaction totals for a clip plus the viewer's own reaction (null when they haven't reacted)
+ */
+const getReactions = (videoId, user) => {
+    const videoData = getClip(videoId, user);
+    const own = user ? reactionStore.get(getReactionKey(videoId, user.id)) : null;
+
+    return {
+        counts: videoData.reactions || {},
+        total: Object.values(videoData.reactions || {}).reduce((sum, count) => sum + count, 0),
+        userReaction: own ? own.reaction : null,
+        available: getAvailableReactions()
+    };
+};
+
+/**
+ * Set the member's reaction on a clip, replacing any previous one
+ */
+const setReaction = (videoId, user, reaction) => {
+    const videoData = getClip(videoId, user);
+    if (!getAvailableReactions().includes(reaction)) {
+        throw createReactionError(400, 'VALIDATION_ERROR', `reaction must be one of: ${getAvailableReactions().join(' ')}`);
+    }
+
+    const key = getReactionKey(videoId, user.id);
+    const previous = reactionStore.get(key);
+    if (previous && previous.reaction === reaction) {
+        return getReactions(videoId, user);
+    }
+
+    if (previous) adjustCount(videoData, previous.reaction, -1);
+    adjustCount(videoData, reaction, 1);
+    videoStore.set(videoId, videoData);
+
+    reactionStore.set(key, {
+        videoId,
+        userId: user.id,
+        reaction,
+        reactedAt: new Date().toISOString()
+    });
+
+    return getReactions(videoId, user);
+};
+
+const removeReaction = (videoId, user) => {
+    const videoData = getClip(videoId, user);
+    const key = getReactionKey(videoId, user.id);
+    const previous = reactionStore.get(key);
+
+    if (previous) {
+        adjustCount(videoData, previous.reaction, -1);
+        videoStore.set(videoId, videoData);
+        reactionStore.delete(key);
+    }
+
+    return getReactions(videoId, user);
+};
+
+// Remove every reaction on a deleted clip
+const removeReactionsForClip = (videoId) => {
+    for (const [key, record] of reactionStore.entries()) {
+        if (record.videoId === videoId) {
+            reactionStore.delete(key);
+        }
+    }
+};
+
+module.exports = {
+    getAvailableReactions,
+    getReactions,
+    setReaction,
+    removeReaction,
+    removeReactionsForClip
+};
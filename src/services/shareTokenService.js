@@ -0,0 +1,273 @@
+const crypto = require('crypto');
+const { videoStore, shareTokenStore } = require('../config/database');
+const { isAdmin } = require('../middleware/auth');
+const { addUniqueViewer, recordEvent } = require('./analyticsService');
+
+const MAX_TOKENS_PER_CLIP = 50;
+const MAX_LABEL_LENGTH = 100;
+const MAX_VIEWS = 10000;
+const MAX_LIFETIME_SECONDS = 365 * 24 * 60 * 60;
+const MIN_PASSWORD_LENGTH = 4;
+const MAX_PASSWORD_LENGTH = 128;
+const GRANT_DURATION = 60 * 60 * 1000; // Matches the SAS lifetime from generateStreamUrl
+
+const createShareError = (status, code, message) => {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+};
+
+// Share links are managed by the clip's uploader (or an admin)
+const getManageableClip = (videoId, user) => {
+    const videoData = videoStore.get(videoId);
+
+    // videoStore also holds `<videoId>_webhook_sent` flags - those aren't clips
+    if (!videoData || typeof videoData !== 'object') {
+        throw createShareError(404, 'CLIP_NOT_FOUND', 'Clip not found');
+    }
+    if (videoData.uploadedBy !== user.id && !isAdmin(user)) {
+        throw createShareError(403, 'FORBIDDEN', 'You can only share your own clips');
+    }
+    return videoData;
+};
+
+// Passwords are stored as salted scrypt hashes
+const hashPassword = (password, salt) => crypto.scryptSync(password, salt, 32).toString('hex');
+
+const parseExpiry = (input) => {
+    if (input.expiresAt !== undefined && input.expiresAt !== null && input.expiresAt !== '') {
+        const expiresAt = new Date(input.expiresAt);
+        if (isNaN(expiresAt.getTime()) || expiresAt.getTime() <= Date.now()) {
+            throw createShareError(400, 'VALIDATION_ERROR', 'expiresAt must be a date in the future');
+        }
+        if (expiresAt.getTime() > Date.now() + MAX_LIFETIME_SECONDS * 1000) {
+            throw createShareError(400, 'VALIDATION_ERROR', 'Share links can last at most a year');
+        }
+        return expiresAt.toISOString();
+    }
+
+    if (input.expiresIn !== undefined && input.expiresIn !== null && input.expiresIn !== '') {
+        const seconds = Number(input.expiresIn);
+        if (!Number.isInteger(seconds) || seconds < 60 || seconds > MAX_LIFETIME_SECONDS) {
+            throw createShareError(400, 'VALIDATION_ERROR', `expiresIn must be a number of seconds between 60 and ${MAX_LIFETIME_SECONDS}`);
+        }
+        return new Date(Date.now() + seconds * 1000).toISOString();
+    }
+
+    return null;
+};
+
+const parseMaxViews = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+    const maxViews = Number(value);
+    if (!Number.isInteger(maxViews) || maxViews < 1 || maxViews > MAX_VIEWS) {
+        throw createShareError(400, 'VALIDATION_ERROR', `maxViews must be a whole number between 1 and ${MAX_VIEWS}`);
+    }
+    return maxViews;
+};
+
+// active, or why the link no longer works
+const getStatus = (shareToken) => {
+    if (shareToken.revokedAt) return 'revoked';
+    if (shareToken.expiresAt && new Date(shareToken.expiresAt).getTime() <= Date.now()) return 'expired';
+    if (shareToken.maxViews !== null && shareToken.views >= shareToken.maxViews) return 'exhausted';
+    return 'active';
+};
+
+/**
+ * Share link as returned to its owner - never includes the password hash
+ */
+const toShareTokenResponse = (baseUrl, shareToken) => ({
+    token: shareToken.token,
+    videoId: shareToken.videoId,
+    url: `${baseUrl}/s/${shareToken.token}`,
+    label: shareToken.label,
+    status: getStatus(shareToken),
+    passwordProtected: Boolean(shareToken.passwordHash),
+    expiresAt: shareToken.expiresAt,
+    maxViews: shareToken.maxViews,
+    views: shareToken.views,
+    lastAccessedAt: shareToken.lastAccessedAt,
+    createdBy: shareToken.createdBy,
+    createdAt: shareToken.createdAt,
+    revokedAt: shareToken.revokedAt
+});
+
+/**
+ * Share links for a clip, newest first (revoked and expired ones included so their counts stay visible)
+ */
+const listShareTokens = (videoId, user) => {
+    getManageableClip(videoId, user);
+
+    const shareTokens = [];
+    for (const shareToken of shareTokenStore.values()) {
+        if (shareToken.videoId === videoId) shareTokens.push(shareToken);
+    }
+    return shareTokens.sort((a, b) => new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime());
+};
+
+/**
+ * Mint a share link for a clip. Input: { label?, expiresIn? (seconds) | expiresAt?, maxViews?, password? }.
+ * Share links work regardless of the clip's visibility - that's what they're for.
+ */
+const createShareToken = (videoId, user, input = {}) => {
+    getManageableClip(videoId, user);
+
+    const label = typeof input.label === 'string' ? input.label.trim() : '';
+    if (label.length > MAX_LABEL_LENGTH) {
+        throw createShareError(400, 'VALIDATION_ERROR', `label must be at most ${MAX_LABEL_LENGTH} characters`);
+    }
+
+    let passwordHash = null;
+    let passwordSalt = null;
+    if (input.password !== undefined && input.password !== null && input.password !== '') {
+        if (typeof input.password !== 'string' || input.password.length < MIN_PASSWORD_LENGTH || input.password.length > MAX_PASSWORD_LENGTH) {
+            throw createShareError(400, 'VALIDATION_ERROR', `password must be between ${MIN_PASSWORD_LENGTH} and ${MAX_PASSWORD_LENGTH} characters`);
+        }
+        passwordSalt = crypto.randomBytes(16).toString('hex');
+        passwordHash = hashPassword(input.password, passwordSalt);
+    }
+
+    const expiresAt = parseExpiry(input);
+    const maxViews = parseMaxViews(input.maxViews);
+
+    const activeCount = listShareTokens(videoId, user).filter(shareToken => getStatus(shareToken) === 'active').length;
+    if (activeCount >= MAX_TOKENS_PER_CLIP) {
+        throw createShareError(400, 'LIMIT_REACHED', `A clip can have at most ${MAX_TOKENS_PER_CLIP} active share links`);
+    }
+
+    const shareToken = {
+        token: crypto.randomBytes(18).toString('base64url'),
+        videoId,
+        label: label || null,
+        expiresAt,
+        maxViews,
+        passwordHash,
+        passwordSalt,
+        views: 0,
+        lastAccessedAt: null,
+        createdBy: user.id,
+        createdAt: new Date().toISOString(),
+        revokedAt: null
+    };
+    shareTokenStore.set(shareToken.token, shareToken);
+
+    console.log(`🔗 ${user.username} created a share link for clip ${videoId}`);
+    return shareToken;
+};
+
+/**
+ * Revoke one share link. It stays listed (with its counts) but stops resolving.
+ */
+const revokeShareToken = (videoId, token, user) => {
+    getManageableClip(videoId, user);
+
+    const shareToken = shareTokenStore.get(token);
+    if (!shareToken || shareToken.videoId !== videoId) {
+        throw createShareError(404, 'SHARE_NOT_FOUND', 'Share link not found');
+    }
+
+    if (!shareToken.revokedAt) {
+        shareToken.revokedAt = new Date().toISOString();
+        shareTokenStore.set(token, shareToken);
+        console.log(`🔒 ${user.username} revoked share link ${token} for clip ${videoId}`);
+    }
+    return shareToken;
+};
+
+/**
+ * Look up a share link and its clip for a visitor. Throws 404 for unknown/revoked links and 410 for
+ * expired ones, or ones out of views unless `allowExhausted` (a visitor who already spent a view
+ * keeps watching).
+ */
+const resolveShareToken = (token, { allowExhausted = false } = {}) => {
+    const shareToken = shareTokenStore.get(token);
+    const videoData = shareToken && videoStore.get(shareToken.videoId);
+
+    // Clips taken down by an admin can't be reached through share links either
+    if (!shareToken || !videoData || typeof videoData !== 'object' || videoData.takedown || shareToken.revokedAt) {
+        throw createShareError(404, 'SHARE_NOT_FOUND', 'This share link doesn\'t exist or has been revoked');
+    }
+
+    const status = getStatus(shareToken);
+    if (status === 'expired') {
+        throw createShareError(410, 'SHARE_EXPIRED', 'This share link has expired');
+    }
+    if (status === 'exhausted' && !allowExhausted) {
+        throw createShareError(410, 'SHARE_EXHAUSTED', 'This share link has reached its view limit');
+    }
+
+    return { shareToken, videoData };
+};
+
+const checkSharePassword = (shareToken, password) => {
+    if (!shareToken.passwordHash) return true;
+    if (typeof password !== 'string' || !password || password.length > MAX_PASSWORD_LENGTH) return false;
+
+    const expected = Buffer.from(shareToken.passwordHash, 'hex');
+    const actual = Buffer.from(hashPassword(password, shareToken.passwordSalt), 'hex');
+    return crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Count a view through a share link: spends one of its maxViews and counts towards the clip's own
+ * views (source 'share'). `viewer` is a salted viewer hash from analyticsService.getViewerHash.
+ */
+const recordShareView = (shareToken, videoData, { viewer = null, referrer = null } = {}) => {
+    shareToken.views += 1;
+    shareToken.lastAccessedAt = new Date().toISOString();
+    shareTokenStore.set(shareToken.token, shareToken);
+
+    videoData.views = (videoData.views || 0) + 1;
+    videoData.lastViewed = shareToken.lastAccessedAt;
+    if (viewer) addUniqueViewer(videoData, viewer);
+    videoStore.set(shareToken.videoId, videoData);
+    recordEvent(shareToken.videoId, 'view', { source: 'share', referrer, viewer });
+};
+
+/**
+ * Remember in the visitor's session that they've spent a view on a share link, so the player's stream
+ * requests (and page refreshes) don't spend more. Returns when the grant runs out.
+ */
+const grantShareAccess = (session, shareToken) => {
+    const now = Date.now();
+    const expiresAt = Math.min(now + GRANT_DURATION, shareToken.expiresAt ? new Date(shareToken.expiresAt).getTime() : Infinity);
+
+    const grants = {};
+    for (const [token, grantExpiry] of Object.entries(session.shareGrants || {})) {
+        if (grantExpiry > now) grants[token] = grantExpiry;
+    }
+    grants[shareToken.token] = expiresAt;
+    session.shareGrants = grants;
+
+    return new Date(expiresAt);
+};
+
+// When the session's grant for a share link runs out, or null without a current one
+const getShareGrant = (session, token) => {
+    const expiresAt = session && session.shareGrants && session.shareGrants[token];
+    return expiresAt && expiresAt > Date.now() ? new Date(expiresAt) : null;
+};
+
+// Clean up a deleted clip's share links
+const removeShareTokensForClip = (videoId) => {
+    for (const [token, shareToken] of shareTokenStore.entries()) {
+        if (shareToken.videoId === videoId) {
+            shareTokenStore.delete(token);
+        }
+    }
+};
+
+module.exports = {
+    toShareTokenResponse,
+    listShareTokens,
+    createShareToken,
+    revokeShareToken,
+    resolveShareToken,
+    checkSharePassword,
+    recordShareView,
+    grantShareAccess,
+    getShareGrant,
+    removeShareTokensForClip
+};
@@ -1,9 +1,10 @@
 const { getBlobServiceClient } = require('../config/azure');
-const { videoStore, userStore } = require('../config/database');
+const { videoStore } = require('../config/database');
 const config = require('../config');
 const crypto = require('crypto');
 const path = require('path');
 const { PassThrough } = require('stream');
+const { getUploadDetailsMetadata } = require('../utils/clipDetails');
 
 // Optimized chunk size and concurrency for maximum speed
 const CHUNK_SIZE = 100 * 1024 * 1024; // 100MB chunks for better throughput
@@ -14,7 +15,7 @@ const MAX_CONCURRENT_UPLOADS = 4; // Increase to 8 parallel uploads for speed
  * Upload video using Azure Block Blob streaming with optimized chunked upload
  * This prevents memory exhaustion while maximizing upload speed
  */
-const uploadVideoStreamToAzure = async (fileStream, fileSize, originalName, user, uploaderIp, progressCallback) => {
+const uploadVideoStreamToAzure = async (fileStream, fileSize, originalName, user, uploaderIp, progressCallback, details = {}) => {
     const blobServiceClient = getBlobServiceClient();
     if (!blobServiceClient) {
         throw new Error('Azure Blob Storage not configured');
@@ -51,20 +52,7 @@ const uploadVideoStreamToAzure = async (fileStream, fileSize, originalName, user
                     });
                 }
             },
-            metadata: {
-                videoId,
-                originalName,
-                size: fileSize.toString(),
-                contentType: getContentType(fileExtension),
-                uploadDate: new Date().toISOString(),
-                uploadedBy: user.id,
-                uploaderUsername: user.username,
-                uploaderAvatar: user.avatar || '',
-                uploaderIp: uploaderIp,
-                fileFormat: fileExtension,
-                isMKV: (fileExtension.toLowerCase() === '.mkv').toString(),
-                downloadCount: '0'
-            }
+            metadata: buildBlobMetadata(videoId, originalName, fileSize, user, uploaderIp, details)
         };        // Upload the stream with maximum concurrency
         const uploadResponse = await blockBlobClient.uploadStream(
             fileStream,
@@ -77,49 +65,15 @@ const uploadVideoStreamToAzure = async (fileStream, fileSize, originalName, user
         console.log(`📊 Upload stats: Request ID: ${uploadResponse.requestId}, ETag: ${uploadResponse.etag}`);
 
         // Create video data object
-        const videoData = {
-            id: videoId,
-            originalName,
-            blobUrl: blockBlobClient.url,
-            blobName,
-            containerName: config.azure.containerName,
-            size: fileSize,
-            contentType: getContentType(fileExtension),
-            uploadDate: new Date(),
-            downloadCount: 0,
-            ip: uploaderIp,
-            uploadedBy: user.id,
-            uploaderUsername: user.username,
-            uploaderAvatar: user.avatar || '',
-            fileFormat: fileExtension,
-            isMKV: fileExtension.toLowerCase() === '.mkv'
-        };
+        const videoData = buildVideoData(videoId, originalName, blockBlobClient, fileSize, user, uploaderIp, details);
 
-        // Store video data
+        // Store video data (quota usage is recorded by uploadPipelineService.finalizeUpload)
         videoStore.set(videoId, videoData);
 
-        // Update user's upload statistics
-        if (user) {
-            const userData = userStore.get(user.id);
-            if (userData) {
-                userData.uploads = userData.uploads || [];
-                userData.uploads.push({
-                    id: videoId,
-                    originalName,
-                    size: fileSize,
-                    uploadDate: new Date().toISOString(),
-                    shareLink: `/v/${videoId}`
-                });
-                userData.totalUploadSize = (userData.totalUploadSize || 0) + fileSize;
-                userStore.set(user.id, userData);
-            }
-        }
-
         return {
             videoId,
             videoData,
-            warning: fileExtension.toLowerCase() === '.mkv' ? 
-                'MKV files may not play in all browsers. Consider converting to MP4 for better compatibility.' : null
+            warning: getFormatWarning(fileExtension)
         };
 
     } catch (error) {
@@ -143,7 +97,7 @@ const uploadVideoStreamToAzure = async (fileStream, fileSize, originalName, user
  * Upload video using traditional buffer method (fallback)
  * Only use this for small files or when streaming fails
  */
-const uploadVideoBufferToAzure = async (fileBuffer, originalName, user, uploaderIp) => {
+const uploadVideoBufferToAzure = async (fileBuffer, originalName, user, uploaderIp, details = {}) => {
     const blobServiceClient = getBlobServiceClient();
     if (!blobServiceClient) {
         throw new Error('Azure Blob Storage not configured');
@@ -160,20 +114,7 @@ const uploadVideoBufferToAzure = async (fileBuffer, originalName, user, uploader
 
     try {
         const uploadOptions = {
-            metadata: {
-                videoId,
-                originalName,
-                size: fileBuffer.length.toString(),
-                contentType: getContentType(fileExtension),
-                uploadDate: new Date().toISOString(),
-                uploadedBy: user.id,
-                uploaderUsername: user.username,
-                uploaderAvatar: user.avatar || '',
-                uploaderIp: uploaderIp,
-                fileFormat: fileExtension,
-                isMKV: (fileExtension.toLowerCase() === '.mkv').toString(),
-                downloadCount: '0'
-            },
+            metadata: buildBlobMetadata(videoId, originalName, fileBuffer.length, user, uploaderIp, details),
             blobHTTPHeaders: {
                 blobContentType: getContentType(fileExtension)
             }
@@ -181,31 +122,14 @@ const uploadVideoBufferToAzure = async (fileBuffer, originalName, user, uploader
 
         const uploadResponse = await blockBlobClient.upload(fileBuffer, fileBuffer.length, uploadOptions);
 
-        const videoData = {
-            id: videoId,
-            originalName,
-            blobUrl: blockBlobClient.url,
-            blobName,
-            containerName: config.azure.containerName,
-            size: fileBuffer.length,
-            contentType: getContentType(fileExtension),
-            uploadDate: new Date(),
-            downloadCount: 0,
-            ip: uploaderIp,
-            uploadedBy: user.id,
-            uploaderUsername: user.username,
-            uploaderAvatar: user.avatar || '',
-            fileFormat: fileExtension,
-            isMKV: fileExtension.toLowerCase() === '.mkv'
-        };
+        const videoData = buildVideoData(videoId, originalName, blockBlobClient, fileBuffer.length, user, uploaderIp, details);
 
         videoStore.set(videoId, videoData);
 
         return {
             videoId,
             videoData,
-            warning: fileExtension.toLowerCase() === '.mkv' ? 
-                'MKV files may not play in all browsers. Consider converting to MP4 for better compatibility.' : null
+            warning: getFormatWarning(fileExtension)
         };
 
     } catch (error) {
@@ -248,6 +172,63 @@ const createProgressStream = (buffer, onProgress) => {
     return stream;
 };
 
+/**
+ * Build the blob metadata stored alongside an uploaded video
+ * (rebuildFromAzureStorage reads these keys back). `details` are the parsed
+ * title/description/tags from utils/clipDetails.
+ */
+const buildBlobMetadata = (videoId, originalName, size, user, uploaderIp, details = {}) => {
+    const fileExtension = path.extname(originalName);
+    return {
+        videoId,
+        originalName,
+        size: size.toString(),
+        contentType: getContentType(fileExtension),
+        uploadDate: new Date().toISOString(),
+        uploadedBy: user.id,
+        uploaderUsername: user.username,
+        uploaderAvatar: user.avatar || '',
+        uploaderIp: uploaderIp,
+        fileFormat: fileExtension,
+        isMKV: (fileExtension.toLowerCase() === '.mkv').toString(),
+        downloadCount: '0',
+        ...getUploadDetailsMetadata(details)
+    };
+};
+
+/**
+ * Build the video record kept in videoStore for an uploaded blob
+ */
+const buildVideoData = (videoId, originalName, blockBlobClient, size, user, uploaderIp, details = {}) => {
+    const fileExtension = path.extname(originalName);
+    return {
+        id: videoId,
+        originalName,
+        blobUrl: blockBlobClient.url,
+        blobName: blockBlobClient.name,
+        containerName: config.azure.containerName,
+        size,
+        contentType: getContentType(fileExtension),
+        uploadDate: new Date(),
+        downloadCount: 0,
+        ip: uploaderIp,
+        uploadedBy: user.id,
+        uploaderUsername: user.username,
+        uploaderAvatar: user.avatar || '',
+        fileFormat: fileExtension,
+        isMKV: fileExtension.toLowerCase() === '.mkv',
+        ...details
+    };
+};
+
+/**
+ * Warning returned to the uploader for formats browsers may not play
+ */
+const getFormatWarning = (fileExtension) => {
+    return fileExtension.toLowerCase() === '.mkv' ?
+        'MKV files may not play in all browsers. Consider converting to MP4 for better compatibility.' : null;
+};
+
 /**
  * Get content type based on file extension
  */
@@ -280,5 +261,9 @@ module.exports = {
     uploadVideoBufferToAzure,
     createProgressStream,
     shouldUseStreamingUpload,
+    buildBlobMetadata,
+    buildVideoData,
+    getFormatWarning,
+    getContentType,
     CHUNK_SIZE
 };
@@ -0,0 +1,126 @@
+const path = require('path');
+const { videoStore } = require('../config/database');
+const { probeMedia, runFfmpeg, getStream, withWorkDir } = require('./mediaToolsService');
+const { downloadVideoToFile, uploadDerivedBlob, deleteDerivedBlobs, updateVideoBlobMetadata } = require('./videoService');
+const { recordBlobUsage } = require('./usageLedgerService');
+
+const THUMBNAIL_WIDTH = 640;
+const PREVIEW_WIDTH = 320;
+const PREVIEW_DURATION = 3; // seconds
+const PREVIEW_FPS = 12;
+
+const needsThumbnails = (videoData) => !videoData.thumbnail || !videoData.preview;
+
+// Grab the poster frame a little way in - the first frames are often black
+const getPosterTime = (duration) => {
+    if (!duration || duration <= 0) return 0;
+    return Math.min(3, duration * 0.1);
+};
+
+const createAnimatedPreview = async (inputPath, workDir, startTime, signal) => {
+    const webpPath = path.join(workDir, 'preview.webp');
+    try {
+        await runFfmpeg([
+            '-ss', String(startTime),
+            '-t', String(PREVIEW_DURATION),
+            '-i', inputPath,
+            '-vf', `fps=${PREVIEW_FPS},scale=${PREVIEW_WIDTH}:-2`,
+            '-an',
+            '-c:v', 'libwebp',
+            '-loop', '0',
+            '-quality', '60',
+            webpPath
+        ], { signal });
+        return { filePath: webpPath, suffix: 'preview.webp', contentType: 'image/webp' };
+    } catch (error) {
+        // Some ffmpeg builds ship without libwebp - fall back to a palette-optimised GIF
+        console.log(`⚠️ WebP preview failed, falling back to GIF: ${error.message}`);
+        const gifPath = path.join(workDir, 'preview.gif');
+        await runFfmpeg([
+            '-ss', String(startTime),
+            '-t', String(PREVIEW_DURATION),
+            '-i', inputPath,
+            '-vf', `fps=10,scale=${PREVIEW_WIDTH}:-2:flags=lanczos,split[s0][s1];[s0]palettegen[p];[s1][p]paletteuse`,
+            '-loop', '0',
+            gifPath
+        ], { signal });
+        return { filePath: gifPath, suffix: 'preview.gif', contentType: 'image/gif' };
+    }
+};
+
+/**
+ * Job handler: poster JPEG (`<videoId>.thumb.jpg`) and short animated preview
+ * (`<videoId>.preview.webp`, or .gif) stored next to the video blob
+ */
+const generateThumbnails = async (job, { reportProgress, signal }) => {
+    const videoId = job.videoId;
+    const videoData = videoStore.get(videoId);
+    if (!videoData) {
+        return { skipped: 'Video no longer exists' };
+    }
+
+    return withWorkDir(job.id, async (workDir) => {
+        const inputPath = path.join(workDir, `source${path.extname(videoData.blobName)}`);
+        await downloadVideoToFile(videoId, inputPath);
+        reportProgress(25);
+
+        const probe = await probeMedia(inputPath);
+        if (!getStream(probe, 'video')) {
+            throw new Error('No video stream found');
+        }
+
+        const posterTime = getPosterTime(parseFloat(probe.format && probe.format.duration));
+
+        const thumbnailPath = path.join(workDir, 'thumb.jpg');
+        await runFfmpeg([
+            '-ss', String(posterTime),
+            '-i', inputPath,
+            '-frames:v', '1',
+            '-vf', `scale=${THUMBNAIL_WIDTH}:-2`,
+            '-q:v', '3',
+            thumbnailPath
+        ], { signal });
+
+        // The clip may be deleted while ffmpeg runs - check before each upload and clean up after
+        const uploaded = [];
+        const skipDeleted = async () => {
+            await deleteDerivedBlobs(videoData.containerName, uploaded.map(blob => blob.blobName));
+            return { skipped: 'Video deleted during thumbnail generation' };
+        };
+
+        if (!videoStore.has(videoId)) return skipDeleted();
+        const thumbnail = await uploadDerivedBlob(videoId, 'thumb.jpg', thumbnailPath, 'image/jpeg');
+        uploaded.push(thumbnail);
+        reportProgress(60);
+
+        const animated = await createAnimatedPreview(inputPath, workDir, posterTime, signal);
+        if (!videoStore.has(videoId)) return skipDeleted();
+        const preview = await uploadDerivedBlob(videoId, animated.suffix, animated.filePath, animated.contentType);
+        uploaded.push(preview);
+        reportProgress(95);
+
+        const current = videoStore.get(videoId);
+        if (!current) return skipDeleted();
+
+        current.thumbnail = thumbnail;
+        current.preview = preview;
+        videoStore.set(videoId, current);
+        recordBlobUsage(current, 'image', thumbnail, 'image');
+        recordBlobUsage(current, 'image', preview, 'image');
+
+        // Let rebuildFromAzureStorage recover the images
+        await updateVideoBlobMetadata(videoId, {
+            thumbnailBlob: thumbnail.blobName,
+            previewBlob: preview.blobName
+        }).catch(error => {
+            console.error(`⚠️ Failed to record thumbnails in blob metadata for ${videoId}:`, error.message);
+        });
+
+        return { thumbnail: thumbnail.blobName, preview: preview.blobName };
+    });
+};
+
+module.exports = {
+    needsThumbnails,
+    generateThumbnails
+};
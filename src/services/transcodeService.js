@@ -0,0 +1,137 @@
+const path = require('path');
+const { videoStore } = require('../config/database');
+const config = require('../config');
+const { probeMedia, runFfmpeg, getStream, withWorkDir } = require('./mediaToolsService');
+const { downloadVideoToFile, uploadDerivedBlob, deleteDerivedBlobs, updateVideoBlobMetadata } = require('./videoService');
+const { recordBlobUsage } = require('./usageLedgerService');
+const { emitWebhookEvent } = require('./webhookSubscriptionService');
+const { sendDiscordEvent } = require('./discordService');
+
+// Containers browsers can't play natively - these get an H.264/AAC MP4 rendition
+const TRANSCODE_FORMATS = ['.mkv', '.avi', '.wmv', '.flv'];
+
+const getSourceExtension = (videoData) => {
+    return path.extname(videoData.originalName || videoData.blobName || '').toLowerCase();
+};
+
+const needsTranscode = (videoData) => {
+    const hasRendition = !!(videoData.renditions && videoData.renditions.web);
+    return !hasRendition && TRANSCODE_FORMATS.includes(getSourceExtension(videoData));
+};
+
+const setTranscodeStatus = (videoId, transcodeStatus, changes = {}) => {
+    const videoData = videoStore.get(videoId);
+    if (videoData) {
+        Object.assign(videoData, changes, { transcodeStatus });
+        videoStore.set(videoId, videoData);
+    }
+};
+
+// Copy streams that are already web-compatible, re-encode the rest
+const buildFfmpegArgs = (inputPath, outputPath, probe) => {
+    const video = getStream(probe, 'video');
+    const audio = getStream(probe, 'audio');
+
+    const copyVideo = video.codec_name === 'h264' && (!video.pix_fmt || video.pix_fmt === 'yuv420p');
+    const copyAudio = !audio || audio.codec_name === 'aac';
+
+    const videoArgs = copyVideo
+        ? ['-c:v', 'copy']
+        : ['-c:v', 'libx264', '-preset', config.media.x264Preset, '-crf', String(config.media.x264Crf), '-pix_fmt', 'yuv420p'];
+    const audioArgs = copyAudio
+        ? ['-c:a', 'copy']
+        : ['-c:a', 'aac', '-b:a', '160k'];
+
+    return {
+        method: copyVideo && copyAudio ? 'remux' : 'transcode',
+        args: [
+            '-i', inputPath,
+            '-map', '0:v:0',
+            '-map', '0:a:0?',
+            ...videoArgs,
+            ...audioArgs,
+            '-movflags', '+faststart',
+            outputPath
+        ]
+    };
+};
+
+/**
+ * Job handler: produce `<videoId>.web.mp4` next to the original and record it on the video
+ */
+const transcodeVideo = async (job, { reportProgress, signal, finalAttempt }) => {
+    const videoId = job.videoId;
+    const videoData = videoStore.get(videoId);
+    if (!videoData) {
+        return { skipped: 'Video no longer exists' };
+    }
+
+    setTranscodeStatus(videoId, 'processing');
+
+    try {
+        return await withWorkDir(job.id, async (workDir) => {
+            const inputPath = path.join(workDir, `source${getSourceExtension(videoData)}`);
+            const outputPath = path.join(workDir, 'web.mp4');
+
+            await downloadVideoToFile(videoId, inputPath);
+
+            const probe = await probeMedia(inputPath);
+            if (!getStream(probe, 'video')) {
+                throw new Error('No video stream found');
+            }
+
+            const { method, args } = buildFfmpegArgs(inputPath, outputPath, probe);
+            console.log(`🎞️ ${method === 'remux' ? 'Remuxing' : 'Transcoding'} ${videoData.originalName} to MP4`);
+
+            await runFfmpeg(args, {
+                duration: parseFloat(probe.format && probe.format.duration),
+                onProgress: reportProgress,
+                signal
+            });
+
+            // The clip may have been deleted while ffmpeg ran - don't leave a rendition behind for it
+            if (!videoStore.has(videoId)) {
+                return { skipped: 'Video deleted during transcoding' };
+            }
+            const rendition = await uploadDerivedBlob(videoId, 'web.mp4', outputPath, 'video/mp4');
+
+            const current = videoStore.get(videoId);
+            if (!current) {
+                await deleteDerivedBlobs(videoData.containerName, [rendition.blobName]);
+                return { skipped: 'Video deleted during transcoding' };
+            }
+
+            setTranscodeStatus(videoId, 'ready', {
+                renditions: {
+                    ...current.renditions,
+                    web: {
+                        ...rendition,
+                        method,
+                        createdAt: new Date().toISOString()
+                    }
+                },
+                transcodeError: undefined
+            });
+            recordBlobUsage(current, 'rendition', rendition, 'rendition');
+            emitWebhookEvent('clip.transcoded', current, { data: { method } });
+            sendDiscordEvent('clip.transcoded', current);
+
+            // Let rebuildFromAzureStorage recover the rendition
+            await updateVideoBlobMetadata(videoId, { webRendition: rendition.blobName }).catch(error => {
+                console.error(`⚠️ Failed to record rendition in blob metadata for ${videoId}:`, error.message);
+            });
+
+            return { blobName: rendition.blobName, size: rendition.size, method };
+        });
+    } catch (error) {
+        // The queue retries the job - the clip only shows as failed once no attempts are left
+        setTranscodeStatus(videoId, finalAttempt ? 'failed' : 'pending', { transcodeError: error.message });
+        throw error;
+    }
+};
+
+module.exports = {
+    TRANSCODE_FORMATS,
+    needsTranscode,
+    transcodeVideo
+};
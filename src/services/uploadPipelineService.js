@@ -0,0 +1,77 @@
+const { sendDiscordWebhook } = require('./discordService');
+const { emitWebhookEvent } = require('./webhookSubscriptionService');
+const { recordUpload } = require('../middleware/auth');
+const { scheduleMediaProcessing } = require('./mediaProcessingService');
+const { completeUpload } = require('../routes/upload-progress');
+const { getClipVisibility } = require('./clipAccessService');
+
+// Public base URL used in share/download links
+const getShareBaseUrl = () => {
+    return process.env.NODE_ENV === 'production'
+        ? 'https://va-expressupload.onrender.com'
+        : 'http://localhost:8000';
+};
+
+/**
+ * Run the post-upload steps shared by every server-side upload path:
+ * Discord notification and webhooks, quota bookkeeping, background media jobs and the SSE "complete" event.
+ */
+const finalizeUpload = async ({ uploadId, user, videoData, warning }) => {
+    const videoId = videoData.id;
+    const baseUrl = getShareBaseUrl();
+
+    const shareLink = `${baseUrl}/v/${videoId}`;
+    const downloadLink = `${baseUrl}/download/${videoId}`;
+    // The container is private, so previews go through /stream (which checks visibility)
+    const previewUrl = `${baseUrl}/stream/${videoId}`;
+
+    // Queue the Discord announcement and integration webhooks (delivered and retried in the background)
+    await sendDiscordWebhook(shareLink, videoData);
+    emitWebhookEvent('clip.uploaded', videoData);
+
+    // Record upload for user quota tracking
+    const uploadRecord = {
+        ...videoData,
+        shareLink,
+        downloadLink,
+        previewUrl
+    };
+    recordUpload(user.id, uploadRecord);
+
+    // Queue transcoding etc. - the SSE stream stays open to report job state
+    const jobs = await scheduleMediaProcessing(videoData, uploadId);
+    const transcoding = jobs.some(job => job.type === 'transcode');
+
+    const result = {
+        id: videoId,
+        shareLink,
+        downloadUrl: downloadLink,
+        previewUrl,
+        filename: videoData.originalName,
+        title: videoData.title || null,
+        description: videoData.description || null,
+        tags: videoData.tags || [],
+        visibility: getClipVisibility(videoData),
+        size: videoData.size,
+        contentType: videoData.contentType,
+        fileFormat: videoData.fileFormat,
+        // The browser-playable rendition replaces the "convert it yourself" warning
+        warning: transcoding ? null : warning,
+        processing: jobs.map(job => job.type),
+        user: {
+            username: user.username,
+            quotaUsed: user.quotaUsed + videoData.size,
+            quotaRemaining: user.quotaRemaining - videoData.size
+        }
+    };
+
+    // Complete the upload and notify clients
+    completeUpload(uploadId, result, { keepOpen: jobs.length > 0 });
+
+    return result;
+};
+
+module.exports = {
+    getShareBaseUrl,
+    finalizeUpload
+};
@@ -0,0 +1,331 @@
+const crypto = require('crypto');
+const config = require('../config');
+const { getBlobServiceClient } = require('../config/azure');
+const { videoStore, usageLedgerStore, usageTotalsStore } = require('../config/database');
+
+// What a ledgered blob is: the uploaded file, a generated rendition, or a thumbnail/preview image
+const KINDS = ['original', 'rendition', 'image'];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const MAX_REPORTED_BLOBS = 100;
+
+let lastReconciliation = null;
+let reconciling = null;
+
+const createLedgerError = (status, code, message) => {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+};
+
+const emptyTotals = (userId) => ({
+    userId,
+    total: 0,
+    byKind: { original: 0, rendition: 0, image: 0 },
+    // blobName -> { videoId, kind, bytes } - what the total is made of, so re-recording a blob only
+    // adds the difference and deleting a clip releases exactly what was charged for it
+    blobs: {},
+    updatedAt: null,
+    reconciliation: null
+});
+
+const getTotals = (userId) => usageTotalsStore.get(userId) || emptyTotals(userId);
+
+// Append a ledger entry and apply it to the user's running total
+const appendEntry = (totals, { videoId, kind, blobName, bytes, reason }) => {
+    const createdAt = new Date().toISOString();
+    const entry = {
+        // Timestamp prefix keeps ids in chronological order (used as the paging cursor)
+        id: `${createdAt}_${crypto.randomBytes(4).toString('hex')}`,
+        userId: totals.userId,
+        videoId,
+        kind,
+        blobName,
+        bytes,
+        reason,
+        createdAt
+    };
+    usageLedgerStore.set(entry.id, entry);
+
+    totals.total += bytes;
+    totals.byKind[kind] = (totals.byKind[kind] || 0) + bytes;
+    totals.updatedAt = createdAt;
+    return entry;
+};
+
+/**
+ * Charge a stored blob to the clip's uploader. `asset` is { blobName, size }. Recording a blob that's
+ * already in the ledger only records the difference (nothing when the size is unchanged), so re-runs
+ * of media jobs don't double-count. `reason` is 'upload', 'rendition', 'image' or 'backfill'.
+ */
+const recordBlobUsage = (videoData, kind, asset, reason = 'upload') => {
+    if (!KINDS.includes(kind)) {
+        throw new Error(`Unknown usage kind: ${kind}`);
+    }
+    if (!videoData || !videoData.uploadedBy || !asset || !asset.blobName) return null;
+
+    const totals = getTotals(videoData.uploadedBy);
+    const bytes = Number(asset.size) || 0;
+    const previous = totals.blobs[asset.blobName];
+    const delta = bytes - (previous ? previous.bytes : 0);
+    if (previous && delta === 0) return null;
+
+    const entry = appendEntry(totals, { videoId: videoData.id, kind, blobName: asset.blobName, bytes: delta, reason });
+    totals.blobs[asset.blobName] = { videoId: videoData.id, kind, bytes };
+    usageTotalsStore.set(totals.userId, totals);
+    return entry;
+};
+
+/**
+ * Release everything charged for a clip (original, renditions and images) - call when it's deleted
+ */
+const releaseClipUsage = (videoData, reason = 'delete') => {
+    const totals = usageTotalsStore.get(videoData.uploadedBy);
+    if (!totals) return 0;
+
+    let released = 0;
+    for (const [blobName, blob] of Object.entries(totals.blobs)) {
+        if (blob.videoId !== videoData.id) continue;
+        appendEntry(totals, { videoId: blob.videoId, kind: blob.kind, blobName, bytes: -blob.bytes, reason });
+        delete totals.blobs[blobName];
+        released += blob.bytes;
+    }
+    usageTotalsStore.set(totals.userId, totals);
+    return released;
+};
+
+/**
+ * A user's stored bytes from the ledger: { total, byKind, clipCount (originals), blobCount, updatedAt, reconciliation }
+ */
+const getUserUsage = (userId) => {
+    const totals = getTotals(userId);
+    const blobs = Object.values(totals.blobs);
+    return {
+        total: totals.total,
+        byKind: { ...totals.byKind },
+        clipCount: blobs.filter(blob => blob.kind === 'original').length,
+        blobCount: blobs.length,
+        updatedAt: totals.updatedAt,
+        reconciliation: totals.reconciliation
+    };
+};
+
+/**
+ * Ledger entries, newest first. Filters: { userId, videoId, reason, before (entry id), limit }.
+ * Returns { entries, nextCursor } - pass nextCursor back as `before` for the next page.
+ */
+const listUsageLedger = (filters = {}) => {
+    const limit = Math.min(Math.max(parseInt(filters.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+    const entries = Array.from(usageLedgerStore.values())
+        .filter(entry => !filters.userId || entry.userId === filters.userId)
+        .filter(entry => !filters.videoId || entry.videoId === filters.videoId)
+        .filter(entry => !filters.reason || entry.reason === filters.reason)
+        .filter(entry => !filters.before || entry.id < filters.before)
+        .sort((a, b) => (a.id < b.id ? 1 : (a.id > b.id ? -1 : 0)));
+
+    const page = entries.slice(0, limit);
+    return {
+        entries: page,
+        nextCursor: entries.length > limit ? page[page.length - 1].id : null
+    };
+};
+
+// Every blob a clip record knows about, with its ledger kind
+const getClipAssets = (videoData) => {
+    const assets = [];
+    if (videoData.blobName) {
+        assets.push({ kind: 'original', asset: { blobName: videoData.blobName, size: videoData.size } });
+    }
+    for (const rendition of Object.values(videoData.renditions || {})) {
+        assets.push({ kind: 'rendition', asset: rendition });
+    }
+    for (const image of [videoData.thumbnail, videoData.preview]) {
+        if (image) assets.push({ kind: 'image', asset: image });
+    }
+    return assets;
+};
+
+/**
+ * Ledger any blobs on clip records that aren't in it yet - clips from before the ledger existed, or
+ * restored by rebuildFromAzureStorage. Safe to run repeatedly; returns how many entries it added.
+ */
+const backfillUsageLedger = () => {
+    let added = 0;
+    for (const videoData of videoStore.values()) {
+        // videoStore also holds `<videoId>_webhook_sent` flags - those aren't clips
+        if (!videoData || typeof videoData !== 'object' || !videoData.uploadedBy) continue;
+
+        const totals = getTotals(videoData.uploadedBy);
+        for (const { kind, asset } of getClipAssets(videoData)) {
+            // Sizes may be missing on rebuilt records - reconciliation reports those as drift
+            if (asset.blobName && !totals.blobs[asset.blobName]) {
+                if (recordBlobUsage(videoData, kind, asset, 'backfill')) added++;
+            }
+        }
+    }
+
+    if (added > 0) {
+        console.log(`📒 Backfilled ${added} usage ledger entries from clip records`);
+    }
+    return added;
+};
+
+// Who a listed blob belongs to: originals carry the uploader, derived blobs point at their clip
+const getBlobOwner = (blob) => {
+    const metadata = blob.metadata || {};
+    if (metadata.uploadedBy) return { userId: metadata.uploadedBy, videoId: metadata.videoId || null };
+
+    const videoData = metadata.renditionOf && videoStore.get(metadata.renditionOf);
+    return {
+        userId: videoData && typeof videoData === 'object' ? videoData.uploadedBy : null,
+        videoId: metadata.renditionOf || null
+    };
+};
+
+/**
+ * Compare the ledger against the container's blob listing and report drift - blobs the ledger charges
+ * for that are gone (missing), stored blobs it doesn't know about (untracked) and size mismatches.
+ * Each user's total is left alone; their record gets the latest { at, storageBytes, drift }.
+ */
+const reconcileUsage = async () => {
+    const blobServiceClient = getBlobServiceClient();
+    if (!blobServiceClient) {
+        throw createLedgerError(503, 'STORAGE_UNAVAILABLE', 'Azure Storage is not configured, so there is nothing to reconcile against');
+    }
+
+    const startedAt = new Date().toISOString();
+    const containerClient = blobServiceClient.getContainerClient(config.azure.containerName);
+
+    // Ledgered blobs, indexed by name
+    const ledgered = new Map();
+    for (const totals of usageTotalsStore.values()) {
+        for (const [blobName, blob] of Object.entries(totals.blobs)) {
+            ledgered.set(blobName, { ...blob, userId: totals.userId });
+        }
+    }
+
+    const users = new Map();
+    const getUser = (userId) => {
+        if (!users.has(userId)) {
+            users.set(userId, { userId, ledgerBytes: getTotals(userId).total, storageBytes: 0, missing: 0, untracked: 0, mismatched: 0 });
+        }
+        return users.get(userId);
+    };
+    for (const totals of usageTotalsStore.values()) getUser(totals.userId);
+
+    const report = { missing: [], untracked: [], mismatched: [] };
+    const addBlob = (list, blob) => {
+        if (report[list].length < MAX_REPORTED_BLOBS) report[list].push(blob);
+    };
+
+    let blobCount = 0;
+    let storageBytes = 0;
+    let unownedBytes = 0;
+    for await (const blob of containerClient.listBlobsFlat({ includeMetadata: true })) {
+        const size = blob.properties.contentLength || 0;
+        blobCount++;
+        storageBytes += size;
+
+        const entry = ledgered.get(blob.name);
+        if (entry) {
+            ledgered.delete(blob.name);
+            const user = getUser(entry.userId);
+            user.storageBytes += size;
+            if (entry.bytes !== size) {
+                user.mismatched++;
+                addBlob('mismatched', { blobName: blob.name, userId: entry.userId, videoId: entry.videoId, kind: entry.kind, ledgerBytes: entry.bytes, storageBytes: size });
+            }
+            continue;
+        }
+
+        const owner = getBlobOwner(blob);
+        if (owner.userId) {
+            const user = getUser(owner.userId);
+            user.storageBytes += size;
+            user.untracked++;
+        } else {
+            unownedBytes += size;
+        }
+        addBlob('untracked', { blobName: blob.name, userId: owner.userId, videoId: owner.videoId, storageBytes: size });
+    }
+
+    // Whatever is left was charged for but isn't in storage any more
+    for (const [blobName, entry] of ledgered) {
+        getUser(entry.userId).missing++;
+        addBlob('missing', { blobName, userId: entry.userId, videoId: entry.videoId, kind: entry.kind, ledgerBytes: entry.bytes });
+    }
+
+    const finishedAt = new Date().toISOString();
+    const drifted = [];
+    for (const user of users.values()) {
+        user.drift = user.storageBytes - user.ledgerBytes;
+
+        const totals = usageTotalsStore.get(user.userId);
+        if (totals) {
+            totals.reconciliation = { at: finishedAt, storageBytes: user.storageBytes, drift: user.drift };
+            usageTotalsStore.set(user.userId, totals);
+        }
+        if (user.drift !== 0 || user.missing || user.untracked || user.mismatched) {
+            drifted.push(user);
+        }
+    }
+
+    const ledgerBytes = Array.from(usageTotalsStore.values()).reduce((sum, totals) => sum + totals.total, 0);
+    lastReconciliation = {
+        startedAt,
+        finishedAt,
+        blobCount,
+        storageBytes,
+        ledgerBytes,
+        // Blobs with no uploader we can tell (e.g. renditions of deleted clips)
+        unownedBytes,
+        drift: storageBytes - ledgerBytes,
+        users: drifted.sort((a, b) => Math.abs(b.drift) - Math.abs(a.drift)),
+        ...report,
+        truncated: ['missing', 'untracked', 'mismatched'].some(list => report[list].length >= MAX_REPORTED_BLOBS)
+    };
+
+    if (drifted.length > 0) {
+        console.log(`⚠️ Usage ledger drift: ${drifted.length} users, ${lastReconciliation.drift} bytes overall (${report.missing.length} missing, ${report.untracked.length} untracked, ${report.mismatched.length} mismatched blobs)`);
+    } else {
+        console.log(`✅ Usage ledger matches storage (${blobCount} blobs, ${storageBytes} bytes)`);
+    }
+    return lastReconciliation;
+};
+
+/**
+ * Run a reconciliation, or join the one already running
+ */
+const runReconciliation = () => {
+    if (!reconciling) {
+        reconciling = reconcileUsage().finally(() => {
+            reconciling = null;
+        });
+    }
+    return reconciling;
+};
+
+// The latest reconciliation report (since this process started), or null
+const getLastReconciliation = () => lastReconciliation;
+
+// Compare the ledger against storage periodically
+setInterval(() => {
+    if (!getBlobServiceClient()) return;
+
+    runReconciliation().catch(error => {
+        console.error('❌ Usage reconciliation failed:', error.message);
+    });
+}, config.quota.reconcileInterval).unref();
+
+module.exports = {
+    KINDS,
+    recordBlobUsage,
+    releaseClipUsage,
+    getUserUsage,
+    listUsageLedger,
+    backfillUsageLedger,
+    runReconciliation,
+    getLastReconciliation
+};
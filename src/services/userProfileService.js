@@ -0,0 +1,68 @@
+const { videoStore, userStore } = require('../config/database');
+const { getDiscordAvatarUrl } = require('./authService');
+const { isClipListed } = require('./clipAccessService');
+
+/**
+ * Public profile for an uploader, derived from their persisted video records
+ * (with the stored user record for name/avatar when they've logged in since).
+ * Stats only cover the clips listed for `viewer`. Returns null when the user is unknown and has no clips.
+ */
+const getUserProfile = (userId, viewer) => {
+    const storedUser = userStore.get(userId);
+
+    let clipCount = 0;
+    let totalViews = 0;
+    let totalDownloads = 0;
+    let totalSize = 0;
+    let firstUpload = null;
+    let latestClip = null;
+
+    for (const videoData of videoStore.values()) {
+        // Skip the `<videoId>_webhook_sent` flags kept alongside clips
+        if (!videoData || typeof videoData !== 'object' || videoData.uploadedBy !== userId) continue;
+        if (!isClipListed(videoData, viewer)) continue;
+
+        clipCount++;
+        totalViews += videoData.views || 0;
+        totalDownloads += videoData.downloadCount || 0;
+        totalSize += Number(videoData.size) || 0;
+
+        const uploadTime = new Date(videoData.uploadDate).getTime();
+        if (firstUpload === null || uploadTime < firstUpload) {
+            firstUpload = uploadTime;
+        }
+        if (!latestClip || uploadTime > new Date(latestClip.uploadDate).getTime()) {
+            latestClip = videoData;
+        }
+    }
+
+    if (!storedUser && clipCount === 0) {
+        return null;
+    }
+
+    // Clip records carry the name/avatar from upload time - used for members who haven't logged in since
+    const user = storedUser || {
+        id: userId,
+        username: latestClip.uploaderUsername,
+        avatar: latestClip.uploaderAvatar,
+        discriminator: '0'
+    };
+
+    // Accounts created before joinedAt was recorded fall back to their first upload
+    const joinDate = storedUser?.joinedAt || (firstUpload !== null ? new Date(firstUpload).toISOString() : null);
+
+    return {
+        id: userId,
+        username: user.username || 'Unknown User',
+        avatar: getDiscordAvatarUrl(user),
+        joinDate,
+        clipCount,
+        totalViews,
+        totalDownloads,
+        totalSize
+    };
+};
+
+module.exports = {
+    getUserProfile
+};
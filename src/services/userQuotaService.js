@@ -1,77 +1,69 @@
-const { BlobServiceClient } = require('@azure/storage-blob');
+const { videoStore } = require('../config/database');
+const { getQuotaPolicy, assertWithinQuota } = require('./quotaPolicyService');
+const { getUserUsage } = require('./usageLedgerService');
 
-const DEFAULT_QUOTA = 5 * 1024 * 1024 * 1024; // 5GB in bytes
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 class UserQuotaService {
-    constructor() {
-        this.connectionString = process.env.AZURE_STORAGE_CONNECTION_STRING;
-        this.containerName = 'videos';
-    }
-
-    // Calculate user's total upload size by scanning Azure blob storage
-    async calculateUserTotalSize(userId) {
-        try {
-            const blobServiceClient = BlobServiceClient.fromConnectionString(this.connectionString);
-            const containerClient = blobServiceClient.getContainerClient(this.containerName);
-
-            let totalSize = 0;
-            let uploadCount = 0;
-
-            // List all blobs and sum up sizes for this user
-            for await (const blob of containerClient.listBlobsFlat({ includeMetadata: true })) {
-                // Check if this blob belongs to the user
-                if (blob.metadata && blob.metadata.uploadedBy === userId) {
-                    totalSize += blob.properties.contentLength || 0;
-                    uploadCount++;
-                }
-            }
-
-            console.log(`📊 User ${userId}: ${uploadCount} videos, ${(totalSize / 1024 / 1024).toFixed(2)} MB total`);
+    // Count the user's clips, and how many of them were uploaded in the last 24 hours
+    countUserClips(userId) {
+        const since = Date.now() - DAY_MS;
+        let clipCount = 0;
+        let uploadsToday = 0;
 
-            return {
-                totalUploadSize: totalSize,
-                uploadCount: uploadCount
-            };
-        } catch (error) {
-            console.error('❌ Failed to calculate user storage usage:', error);
-            return {
-                totalUploadSize: 0,
-                uploadCount: 0
-            };
+        for (const videoData of videoStore.values()) {
+            // videoStore also holds `<videoId>_webhook_sent` flags - those aren't clips
+            if (!videoData || typeof videoData !== 'object' || videoData.uploadedBy !== userId) continue;
+            clipCount++;
+            if (new Date(videoData.uploadDate).getTime() > since) uploadsToday++;
         }
+
+        return { clipCount, uploadsToday };
     }
 
+    // The user's quota policy (tier limits plus admin overrides, see quotaPolicyService) with current usage.
+    // Stored bytes come from the usage ledger - uploads, renditions and images (see usageLedgerService)
     async getUserQuota(userId) {
-        const usage = await this.calculateUserTotalSize(userId);
+        const policy = getQuotaPolicy(userId);
+        const usage = getUserUsage(userId);
         return {
-            quota: DEFAULT_QUOTA,
-            totalUploadSize: usage.totalUploadSize,
-            uploadCount: usage.uploadCount,
+            ...policy,
+            // Storage limit - null when unlimited
+            quota: policy.limits.maxStorage,
+            totalUploadSize: usage.total,
+            usageByKind: usage.byKind,
+            uploadCount: usage.clipCount,
+            ...this.countUserClips(userId),
             lastUpdated: new Date().toISOString()
         };
     }
 
-    async getUserRemainingQuota(userId) {
+    /**
+     * Check a new upload of `fileSize` bytes against every limit in the user's policy. Throws an
+     * error with status/code (FILE_TOO_LARGE, QUOTA_EXCEEDED, CLIP_LIMIT_REACHED, DAILY_UPLOAD_LIMIT).
+     */
+    async checkUpload(userId, fileSize = 0) {
         const userQuota = await this.getUserQuota(userId);
-        return Math.max(0, userQuota.quota - userQuota.totalUploadSize);
-    }
-
-    async canUserUpload(userId, fileSize) {
-        const remainingQuota = await this.getUserRemainingQuota(userId);
-        return fileSize <= remainingQuota;
+        assertWithinQuota(userQuota, userQuota, fileSize);
+        return userQuota;
     }
 
     // Get user stats for display
     async getUserStats(userId) {
         const userQuota = await this.getUserQuota(userId);
-        const remainingQuota = Math.max(0, userQuota.quota - userQuota.totalUploadSize);
-        
+        const unlimited = userQuota.quota === null;
+
         return {
+            tier: userQuota.tier,
+            limits: userQuota.limits,
             quota: userQuota.quota,
             totalUploadSize: userQuota.totalUploadSize,
-            remainingQuota,
+            usageByKind: userQuota.usageByKind,
+            remainingQuota: unlimited ? null : Math.max(0, userQuota.quota - userQuota.totalUploadSize),
             uploadCount: userQuota.uploadCount,
-            usagePercentage: Math.round((userQuota.totalUploadSize / userQuota.quota) * 100),
+            clipCount: userQuota.clipCount,
+            uploadsToday: userQuota.uploadsToday,
+            usagePercentage: unlimited ? 0 : (userQuota.quota > 0 ? Math.round((userQuota.totalUploadSize / userQuota.quota) * 100) : 100),
             lastUpdated: userQuota.lastUpdated
         };
     }
@@ -1,10 +1,13 @@
 
+const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const { generateBlobSASQueryParameters, BlobSASPermissions } = require('@azure/storage-blob');
 const { getBlobServiceClient, getSharedKeyCredential } = require('../config/azure');
 const { videoStore } = require('../config/database');
 const config = require('../config');
+const { SNIFF_LENGTH, validateVideoSignature } = require('../utils/videoSignature');
+const userQuotaService = require('./userQuotaService');
 const { 
     uploadVideoStreamToAzure, 
     uploadVideoBufferToAzure, 
@@ -12,7 +15,7 @@ const {
     shouldUseStreamingUpload 
 } = require('./streamingUploadService');
 
-const uploadVideoToAzure = async (file, user, ip, progressCallback) => {
+const uploadVideoToAzure = async (file, user, ip, progressCallback, details = {}) => {
     const blobServiceClient = getBlobServiceClient();
     
     if (!blobServiceClient) {
@@ -47,7 +50,8 @@ const uploadVideoToAzure = async (file, user, ip, progressCallback) => {
             file.originalname,
             user,
             ip,
-            progressCallback
+            progressCallback,
+            details
         );
     } else {
         console.log(`💾 Using buffer upload for small file: ${file.originalname}`);
@@ -56,12 +60,37 @@ const uploadVideoToAzure = async (file, user, ip, progressCallback) => {
             file.originalname,
             user,
             ip,
-            progressCallback
+            details
         );
     }
 };
 
-const generateStreamUrl = async (videoId) => {
+/**
+ * Resolve which blob to serve for a video. Playback prefers the web-playable
+ * rendition (see transcodeService) and falls back to the original upload.
+ */
+const resolveVideoBlob = (videoData, { playable = false } = {}) => {
+    const rendition = playable && videoData.renditions && videoData.renditions.web;
+    if (rendition) {
+        return {
+            containerName: videoData.containerName,
+            blobName: rendition.blobName,
+            contentType: rendition.contentType || 'video/mp4'
+        };
+    }
+
+    return {
+        containerName: videoData.containerName,
+        blobName: videoData.blobName,
+        // Until a rendition exists, label MKV as MP4 so Chromium-based browsers still attempt playback
+        contentType: playable && (videoData.fileFormat === '.mkv' || videoData.isMKV) ? 'video/mp4' : videoData.contentType
+    };
+};
+
+// Content type of whatever /stream serves for this video
+const getPlaybackContentType = (videoData) => resolveVideoBlob(videoData, { playable: true }).contentType;
+
+const generateStreamUrl = async (videoId, options = {}) => {
     const blobServiceClient = getBlobServiceClient();
     const sharedKeyCredential = getSharedKeyCredential();
     const videoData = videoStore.get(videoId);
@@ -70,8 +99,9 @@ const generateStreamUrl = async (videoId) => {
         throw new Error('Video not found or Azure not configured');
     }
 
-    const containerClient = blobServiceClient.getContainerClient(videoData.containerName);
-    const blockBlobClient = containerClient.getBlockBlobClient(videoData.blobName);
+    const source = resolveVideoBlob(videoData, options);
+    const containerClient = blobServiceClient.getContainerClient(source.containerName);
+    const blockBlobClient = containerClient.getBlockBlobClient(source.blobName);
 
     // Check if blob exists
     const exists = await blockBlobClient.exists();
@@ -79,13 +109,14 @@ const generateStreamUrl = async (videoId) => {
         throw new Error('Video file not found in storage');
     }
 
-    // Generate a temporary SAS URL that expires in 1 hour
+    // Generate a temporary SAS URL that expires in 1 hour (or sooner, e.g. when a share link expires first)
+    const maxExpiry = new Date().valueOf() + 60 * 60 * 1000;
     const sasOptions = {
-        containerName: videoData.containerName,
-        blobName: videoData.blobName,
+        containerName: source.containerName,
+        blobName: source.blobName,
         permissions: BlobSASPermissions.parse('r'), // read permission only
         startsOn: new Date(),
-        expiresOn: new Date(new Date().valueOf() + 60 * 60 * 1000), // 1 hour from now
+        expiresOn: new Date(options.expiresOn ? Math.min(new Date(options.expiresOn).valueOf(), maxExpiry) : maxExpiry),
     };
 
     const sasToken = generateBlobSASQueryParameters(sasOptions, sharedKeyCredential).toString();
@@ -94,7 +125,7 @@ const generateStreamUrl = async (videoId) => {
     return sasUrl;
 };
 
-const getVideoProperties = async (videoId) => {
+const getVideoProperties = async (videoId, options = {}) => {
     const blobServiceClient = getBlobServiceClient();
     const videoData = videoStore.get(videoId);
 
@@ -102,14 +133,15 @@ const getVideoProperties = async (videoId) => {
         throw new Error('Video not found or Azure not configured');
     }
 
-    const containerClient = blobServiceClient.getContainerClient(videoData.containerName);
-    const blockBlobClient = containerClient.getBlockBlobClient(videoData.blobName);
+    const source = resolveVideoBlob(videoData, options);
+    const containerClient = blobServiceClient.getContainerClient(source.containerName);
+    const blockBlobClient = containerClient.getBlockBlobClient(source.blobName);
 
     try {
         const properties = await blockBlobClient.getProperties();
         return {
             contentLength: properties.contentLength || videoData.size,
-            contentType: videoData.fileFormat === '.mkv' || videoData.isMKV ? 'video/mp4' : videoData.contentType,
+            contentType: source.contentType,
             lastModified: properties.lastModified,
             etag: properties.etag
         };
@@ -120,7 +152,7 @@ const getVideoProperties = async (videoId) => {
 };
 
 // Download video blob as stream with optional range support
-const downloadVideoBlob = async (videoId, startByte = null, endByte = null) => {
+const downloadVideoBlob = async (videoId, startByte = null, endByte = null, options = {}) => {
     const blobServiceClient = getBlobServiceClient();
     const videoData = videoStore.get(videoId);
 
@@ -128,8 +160,9 @@ const downloadVideoBlob = async (videoId, startByte = null, endByte = null) => {
         throw new Error('Video not found or Azure not configured');
     }
 
-    const containerClient = blobServiceClient.getContainerClient(videoData.containerName);
-    const blockBlobClient = containerClient.getBlockBlobClient(videoData.blobName);
+    const source = resolveVideoBlob(videoData, options);
+    const containerClient = blobServiceClient.getContainerClient(source.containerName);
+    const blockBlobClient = containerClient.getBlockBlobClient(source.blobName);
 
     try {
         // Check if blob exists
@@ -141,11 +174,11 @@ const downloadVideoBlob = async (videoId, startByte = null, endByte = null) => {
         let downloadResponse;
         if (startByte !== null && endByte !== null) {
             // Range download
-            console.log(`📥 Downloading range ${startByte}-${endByte} of ${videoData.blobName}`);
+            console.log(`📥 Downloading range ${startByte}-${endByte} of ${source.blobName}`);
             downloadResponse = await blockBlobClient.download(startByte, endByte - startByte + 1);
         } else {
             // Full download
-            console.log(`📥 Downloading full blob: ${videoData.blobName}`);
+            console.log(`📥 Downloading full blob: ${source.blobName}`);
             downloadResponse = await blockBlobClient.download();
         }
 
@@ -156,9 +189,235 @@ const downloadVideoBlob = async (videoId, startByte = null, endByte = null) => {
     }
 };
 
+// Merge values into the original blob's metadata (Azure replaces metadata wholesale, so read first)
+const updateVideoBlobMetadata = async (videoId, changes) => {
+    const blobServiceClient = getBlobServiceClient();
+    const videoData = videoStore.get(videoId);
+
+    if (!videoData || !blobServiceClient) {
+        throw new Error('Video not found or Azure not configured');
+    }
+
+    const blockBlobClient = blobServiceClient
+        .getContainerClient(videoData.containerName)
+        .getBlockBlobClient(videoData.blobName);
+
+    const properties = await blockBlobClient.getProperties();
+    const metadata = { ...properties.metadata };
+
+    Object.entries(changes).forEach(([key, value]) => {
+        if (value === null || value === undefined) {
+            delete metadata[key];
+        } else {
+            metadata[key] = String(value);
+        }
+    });
+
+    await blockBlobClient.setMetadata(metadata);
+};
+
+// Download the original upload to a local file (for ffmpeg processing)
+const downloadVideoToFile = async (videoId, filePath) => {
+    const blobServiceClient = getBlobServiceClient();
+    const videoData = videoStore.get(videoId);
+
+    if (!videoData || !blobServiceClient) {
+        throw new Error('Video not found or Azure not configured');
+    }
+
+    const blockBlobClient = blobServiceClient
+        .getContainerClient(videoData.containerName)
+        .getBlockBlobClient(videoData.blobName);
+
+    await blockBlobClient.downloadToFile(filePath);
+};
+
+/**
+ * Upload a file generated from a video (rendition, thumbnail...) as a sibling blob
+ * named `<videoId>.<suffix>`. Derived blobs carry renditionOf instead of videoId
+ * so rebuildFromAzureStorage doesn't mistake them for uploads.
+ */
+const uploadDerivedBlob = async (videoId, suffix, filePath, contentType) => {
+    const blobServiceClient = getBlobServiceClient();
+    const videoData = videoStore.get(videoId);
+
+    if (!videoData || !blobServiceClient) {
+        throw new Error('Video not found or Azure not configured');
+    }
+
+    const blobName = `${videoId}.${suffix}`;
+    const blockBlobClient = blobServiceClient
+        .getContainerClient(videoData.containerName)
+        .getBlockBlobClient(blobName);
+
+    await blockBlobClient.uploadFile(filePath, {
+        blobHTTPHeaders: { blobContentType: contentType },
+        metadata: {
+            renditionOf: videoId,
+            rendition: suffix
+        }
+    });
+
+    const { size } = await fs.promises.stat(filePath);
+    return { blobName, size, contentType };
+};
+
+/**
+ * Remove derived blobs whose video was deleted while they were being generated
+ */
+const deleteDerivedBlobs = async (containerName, blobNames) => {
+    const blobServiceClient = getBlobServiceClient();
+    if (!blobServiceClient) return;
+
+    const containerClient = blobServiceClient.getContainerClient(containerName);
+    for (const blobName of blobNames) {
+        await containerClient.getBlockBlobClient(blobName).deleteIfExists().catch(error => {
+            console.error(`⚠️ Failed to delete orphaned blob ${blobName}:`, error.message);
+        });
+    }
+};
+
+/**
+ * Open a generated image (poster thumbnail or animated preview) for streaming to the client
+ */
+const downloadVideoAsset = async (videoId, asset) => {
+    const blobServiceClient = getBlobServiceClient();
+    const videoData = videoStore.get(videoId);
+    const assetData = videoData && videoData[asset];
+
+    if (!assetData || !blobServiceClient) {
+        throw new Error('Asset not found or Azure not configured');
+    }
+
+    const blockBlobClient = blobServiceClient
+        .getContainerClient(videoData.containerName)
+        .getBlockBlobClient(assetData.blobName);
+
+    const downloadResponse = await blockBlobClient.download();
+    return {
+        stream: downloadResponse.readableStreamBody,
+        contentType: assetData.contentType || downloadResponse.contentType,
+        contentLength: downloadResponse.contentLength,
+        etag: downloadResponse.etag,
+        lastModified: downloadResponse.lastModified
+    };
+};
+
+// Whether an existing clip already uses this blob (as its upload, a rendition or an image)
+const isBlobReferenced = (containerName, blobName) => {
+    for (const videoData of videoStore.values()) {
+        if (videoData.containerName === containerName && getVideoBlobNames(videoData).includes(blobName)) {
+            return true;
+        }
+    }
+    return false;
+};
+
+/**
+ * Check a blob uploaded straight to storage (SAS / Azure Functions) by sniffing its
+ * first bytes. Blobs that aren't the video they claim to be are deleted. Blobs an existing
+ * clip already uses are refused untouched, so a client can't name someone else's upload.
+ * With `userId`, the blob's real size is checked against that user's quota too - the size the
+ * client declared up front can't be trusted. Errors for blobs that were deleted carry `blobDeleted`.
+ * Returns the signature check result along with the blob's real `contentLength`.
+ */
+const verifyUploadedBlob = async (containerName, blobName, originalName, { userId = null } = {}) => {
+    const blobServiceClient = getBlobServiceClient();
+    if (!blobServiceClient) {
+        throw new Error('Azure Blob Storage not configured');
+    }
+
+    if (isBlobReferenced(containerName, blobName)) {
+        const error = new Error('This blob already belongs to a clip');
+        error.status = 409;
+        error.code = 'BLOB_IN_USE';
+        throw error;
+    }
+
+    const blockBlobClient = blobServiceClient
+        .getContainerClient(containerName)
+        .getBlockBlobClient(blobName);
+
+    const { contentLength } = await blockBlobClient.getProperties();
+    const header = contentLength > 0
+        ? await blockBlobClient.downloadToBuffer(0, Math.min(SNIFF_LENGTH, contentLength))
+        : Buffer.alloc(0);
+
+    const result = validateVideoSignature(header, path.extname(originalName));
+    if (!result.valid) {
+        console.log(`🚫 Rejected ${blobName} (${originalName}): ${result.message}`);
+        await blockBlobClient.deleteIfExists().catch(error => {
+            console.error(`⚠️ Failed to delete rejected blob ${blobName}:`, error.message);
+        });
+
+        const error = new Error(result.message);
+        error.status = 415;
+        error.code = result.code;
+        error.blobDeleted = true;
+        throw error;
+    }
+
+    if (userId) {
+        try {
+            await userQuotaService.checkUpload(userId, contentLength);
+        } catch (error) {
+            if (!error.status) throw error;
+
+            console.log(`🚫 Rejected ${blobName} (${contentLength} bytes) for user ${userId}: ${error.code}`);
+            await blockBlobClient.deleteIfExists().catch(deleteError => {
+                console.error(`⚠️ Failed to delete over-quota blob ${blobName}:`, deleteError.message);
+            });
+            error.blobDeleted = true;
+            throw error;
+        }
+    }
+
+    return { ...result, contentLength };
+};
+
+// Every blob belonging to a video: the original upload plus renditions and generated images
+const getVideoBlobNames = (videoData) => {
+    const blobNames = [videoData.blobName];
+    Object.values(videoData.renditions || {}).forEach(rendition => blobNames.push(rendition.blobName));
+    if (videoData.thumbnail) blobNames.push(videoData.thumbnail.blobName);
+    if (videoData.preview) blobNames.push(videoData.preview.blobName);
+    return blobNames.filter(Boolean);
+};
+
+/**
+ * Delete a video's blobs from storage. Returns the names that existed and were removed.
+ */
+const deleteVideoBlobs = async (videoData) => {
+    const blobServiceClient = getBlobServiceClient();
+    if (!blobServiceClient) {
+        throw new Error('Azure Blob Storage not configured');
+    }
+
+    const containerClient = blobServiceClient.getContainerClient(videoData.containerName);
+    const deleted = [];
+
+    for (const blobName of getVideoBlobNames(videoData)) {
+        const response = await containerClient.getBlockBlobClient(blobName).deleteIfExists();
+        if (response.succeeded) {
+            deleted.push(blobName);
+        }
+    }
+
+    return deleted;
+};
+
 module.exports = {
     uploadVideoToAzure,
+    verifyUploadedBlob,
+    resolveVideoBlob,
+    getPlaybackContentType,
     generateStreamUrl,
     getVideoProperties,
-    downloadVideoBlob
+    downloadVideoBlob,
+    downloadVideoToFile,
+    downloadVideoAsset,
+    uploadDerivedBlob,
+    deleteDerivedBlobs,
+    updateVideoBlobMetadata,
+    deleteVideoBlobs
 };
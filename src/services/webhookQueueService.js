@@ -0,0 +1,329 @@
+const { webhookDeliveryStore } = require('../config/database');
+
+const MAX_ATTEMPTS = 8;
+const BASE_RETRY_DELAY = 10 * 1000; // Doubles after each failed attempt
+const MAX_RETRY_DELAY = 60 * 60 * 1000;
+const DELIVERED_RETENTION = 7 * 24 * 60 * 60 * 1000; // Also how long an idempotency key blocks a re-send
+const DEAD_RETENTION = 30 * 24 * 60 * 60 * 1000;
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const MAX_LOG_ENTRIES = 10;
+const STATUSES = ['pending', 'delivering', 'delivered', 'dead'];
+
+// Delivery handlers by type: async (delivery) => { statusCode }. Throw an error with `retryAfter` (ms) to be
+// rate limited, or `permanent: true` when retrying can't help (the delivery goes to the dead-letter list).
+const handlers = new Map();
+// Destination -> time its rate limit lifts, so one 429 holds back everything queued for it
+const blockedUntil = new Map();
+let timer = null;
+let processing = false;
+
+const createWebhookError = (status, code, message) => {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+};
+
+const registerDeliveryHandler = (type, handler) => {
+    handlers.set(type, handler);
+};
+
+const updateDelivery = (delivery, changes) => {
+    Object.assign(delivery, changes, { updatedAt: new Date().toISOString() });
+    webhookDeliveryStore.set(delivery.id, delivery);
+};
+
+// Keep the last few attempts on the delivery as its log
+const logAttempt = (delivery, startedAt, statusCode, error = null) => {
+    const log = [...(delivery.log || []), {
+        at: new Date(startedAt).toISOString(),
+        durationMs: Date.now() - startedAt,
+        statusCode,
+        error
+    }];
+    return log.slice(-MAX_LOG_ENTRIES);
+};
+
+const getRetryDelay = (attempts) => Math.min(BASE_RETRY_DELAY * Math.pow(2, attempts - 1), MAX_RETRY_DELAY);
+
+/**
+ * Queue a delivery. `id` is the idempotency key (e.g. destination + event + video): a key that is
+ * already queued or was delivered isn't sent again, so callers can emit the same event more than once.
+ * Dead deliveries are only re-sent through retryDelivery.
+ */
+const enqueueDelivery = ({ id, type, destination, event, videoId = null, payload, redeliveryOf = null }) => {
+    if (!handlers.has(type)) {
+        throw new Error(`No handler registered for delivery type: ${type}`);
+    }
+
+    const existing = webhookDeliveryStore.get(id);
+    if (existing) {
+        return existing;
+    }
+
+    const now = new Date().toISOString();
+    const delivery = {
+        id,
+        type,
+        destination,
+        event,
+        videoId,
+        payload,
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: now,
+        lastError: null,
+        lastStatusCode: null,
+        createdAt: now,
+        updatedAt: now,
+        deliveredAt: null,
+        redeliveryOf,
+        log: []
+    };
+    webhookDeliveryStore.set(id, delivery);
+    console.log(`📮 Queued ${event} delivery to ${destination}`);
+
+    scheduleProcessing(0);
+    return delivery;
+};
+
+const attemptDelivery = async (delivery) => {
+    updateDelivery(delivery, { status: 'delivering', attempts: delivery.attempts + 1 });
+    const startedAt = Date.now();
+
+    try {
+        const result = await handlers.get(delivery.type)(delivery);
+        const lastStatusCode = (result && result.statusCode) || null;
+        updateDelivery(delivery, {
+            status: 'delivered',
+            deliveredAt: new Date().toISOString(),
+            lastError: null,
+            lastStatusCode,
+            log: logAttempt(delivery, startedAt, lastStatusCode)
+        });
+        console.log(`✅ Delivered ${delivery.event} to ${delivery.destination}`);
+    } catch (error) {
+        const lastStatusCode = error.statusCode || null;
+        const log = logAttempt(delivery, startedAt, lastStatusCode, error.message);
+
+        if (error.retryAfter) {
+            // Rate limits aren't failures - wait as long as the destination asks without using up an attempt
+            const retryAt = Date.now() + error.retryAfter;
+            blockedUntil.set(delivery.destination, retryAt);
+            updateDelivery(delivery, {
+                status: 'pending',
+                attempts: delivery.attempts - 1,
+                nextAttemptAt: new Date(retryAt).toISOString(),
+                lastError: error.message,
+                lastStatusCode,
+                log
+            });
+            console.log(`⏳ ${delivery.destination} rate limited, retrying in ${Math.ceil(error.retryAfter / 1000)}s`);
+            return;
+        }
+
+        if (error.permanent || delivery.attempts >= MAX_ATTEMPTS) {
+            updateDelivery(delivery, { status: 'dead', lastError: error.message, lastStatusCode, log });
+            console.error(`💀 ${delivery.event} delivery to ${delivery.destination} failed for good after ${delivery.attempts} attempts:`, error.message);
+            return;
+        }
+
+        const delay = getRetryDelay(delivery.attempts);
+        updateDelivery(delivery, {
+            status: 'pending',
+            nextAttemptAt: new Date(Date.now() + delay).toISOString(),
+            lastError: error.message,
+            lastStatusCode,
+            log
+        });
+        console.error(`❌ ${delivery.event} delivery to ${delivery.destination} failed (attempt ${delivery.attempts}), retrying in ${Math.round(delay / 1000)}s:`, error.message);
+    }
+};
+
+const getPendingDeliveries = () => Array.from(webhookDeliveryStore.values())
+    .filter(delivery => delivery.status === 'pending')
+    .sort((a, b) => new Date(a.nextAttemptAt).getTime() - new Date(b.nextAttemptAt).getTime());
+
+// Send everything that's due, one at a time (oldest first), then sleep until the next one is
+const processDeliveries = async () => {
+    if (processing) return;
+    processing = true;
+
+    try {
+        for (const delivery of getPendingDeliveries()) {
+            const now = Date.now();
+            if (new Date(delivery.nextAttemptAt).getTime() > now) break;
+
+            // Re-check: it may have been retried, discarded or cancelled while earlier ones were sending
+            if (webhookDeliveryStore.get(delivery.id) !== delivery || delivery.status !== 'pending') continue;
+
+            const destinationBlockedUntil = blockedUntil.get(delivery.destination) || 0;
+            if (destinationBlockedUntil > now) {
+                updateDelivery(delivery, { nextAttemptAt: new Date(destinationBlockedUntil).toISOString() });
+                continue;
+            }
+
+            if (!handlers.has(delivery.type)) {
+                updateDelivery(delivery, { status: 'dead', lastError: `No handler registered for delivery type: ${delivery.type}` });
+                continue;
+            }
+
+            await attemptDelivery(delivery);
+        }
+    } finally {
+        processing = false;
+        scheduleNextRun();
+    }
+};
+
+function scheduleProcessing(delay) {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+        processDeliveries().catch(error => {
+            console.error('❌ Webhook delivery queue failed:', error.message);
+        });
+    }, Math.max(0, delay));
+    timer.unref();
+}
+
+function scheduleNextRun() {
+    const [next] = getPendingDeliveries();
+    if (next) {
+        scheduleProcessing(new Date(next.nextAttemptAt).getTime() - Date.now());
+    }
+}
+
+/**
+ * Pick up deliveries that were pending or mid-send when the server stopped (call after the database
+ * is loaded and the delivery handlers are registered)
+ */
+const resumePendingDeliveries = () => {
+    let count = 0;
+    for (const delivery of webhookDeliveryStore.values()) {
+        if (delivery.status === 'delivering') {
+            updateDelivery(delivery, { status: 'pending' });
+        }
+        if (delivery.status === 'pending') count++;
+    }
+
+    if (count > 0) {
+        console.log(`🔁 Resuming ${count} webhook deliveries`);
+    }
+    scheduleNextRun();
+};
+
+const getDelivery = (id) => {
+    const delivery = webhookDeliveryStore.get(id);
+    if (!delivery) {
+        throw createWebhookError(404, 'DELIVERY_NOT_FOUND', 'Delivery not found');
+    }
+    return delivery;
+};
+
+/**
+ * Deliveries, newest first. Filters: { status, destination, event, videoId, limit }.
+ * status=dead is the dead-letter list.
+ */
+const listDeliveries = (filters = {}) => {
+    if (filters.status !== undefined && !STATUSES.includes(filters.status)) {
+        throw createWebhookError(400, 'INVALID_QUERY', `status must be one of: ${STATUSES.join(', ')}`);
+    }
+    const limit = Math.min(Math.max(parseInt(filters.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+    const deliveries = Array.from(webhookDeliveryStore.values())
+        .filter(delivery => !filters.status || delivery.status === filters.status)
+        .filter(delivery => !filters.destination || delivery.destination === filters.destination)
+        .filter(delivery => !filters.event || delivery.event === filters.event)
+        .filter(delivery => !filters.videoId || delivery.videoId === filters.videoId)
+        .sort((a, b) => new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime());
+
+    return { deliveries: deliveries.slice(0, limit), total: deliveries.length };
+};
+
+/**
+ * Send a dead delivery again, with a fresh set of attempts
+ */
+const retryDelivery = (id) => {
+    const delivery = getDelivery(id);
+    if (delivery.status !== 'dead') {
+        throw createWebhookError(409, 'NOT_DEAD', 'Only failed deliveries can be retried');
+    }
+
+    updateDelivery(delivery, { status: 'pending', attempts: 0, nextAttemptAt: new Date().toISOString() });
+    scheduleProcessing(0);
+    return delivery;
+};
+
+/**
+ * Drop a delivery from the dead-letter list
+ */
+const discardDelivery = (id) => {
+    const delivery = getDelivery(id);
+    if (delivery.status !== 'dead') {
+        throw createWebhookError(409, 'NOT_DEAD', 'Only failed deliveries can be discarded');
+    }
+
+    webhookDeliveryStore.delete(id);
+    return delivery;
+};
+
+/**
+ * Send a finished (delivered or dead) delivery's payload again as a new delivery, e.g. for an
+ * endpoint that lost it. The original is kept; the copy records it as `redeliveryOf`.
+ */
+const redeliverDelivery = (id) => {
+    const original = getDelivery(id);
+    if (!['delivered', 'dead'].includes(original.status)) {
+        throw createWebhookError(409, 'DELIVERY_IN_PROGRESS', 'This delivery has not finished yet');
+    }
+
+    return enqueueDelivery({
+        id: `${original.redeliveryOf || original.id}:redelivery:${Date.now()}`,
+        type: original.type,
+        destination: original.destination,
+        event: original.event,
+        videoId: original.videoId,
+        payload: original.payload,
+        redeliveryOf: original.redeliveryOf || original.id
+    });
+};
+
+// Drop deliveries that haven't gone out yet - for a deleted clip ({ videoId }) or a removed destination ({ destination })
+const cancelPendingDeliveries = ({ videoId, destination }) => {
+    for (const [id, delivery] of webhookDeliveryStore.entries()) {
+        if (delivery.status !== 'pending') continue;
+        if ((videoId && delivery.videoId === videoId) || (destination && delivery.destination === destination)) {
+            webhookDeliveryStore.delete(id);
+        }
+    }
+};
+
+// Prune old delivered and dead deliveries periodically
+setInterval(() => {
+    const now = Date.now();
+    let prunedCount = 0;
+
+    for (const [id, delivery] of webhookDeliveryStore.entries()) {
+        const retention = delivery.status === 'delivered' ? DELIVERED_RETENTION : (delivery.status === 'dead' ? DEAD_RETENTION : null);
+        if (retention && new Date(delivery.updatedAt).getTime() < now - retention) {
+            webhookDeliveryStore.delete(id);
+            prunedCount++;
+        }
+    }
+
+    if (prunedCount > 0) {
+        console.log(`🧹 Pruned ${prunedCount} old webhook deliveries`);
+    }
+}, 60 * 60 * 1000).unref(); // Run cleanup every hour
+
+module.exports = {
+    registerDeliveryHandler,
+    enqueueDelivery,
+    resumePendingDeliveries,
+    listDeliveries,
+    retryDelivery,
+    discardDelivery,
+    redeliverDelivery,
+    cancelPendingDeliveries
+};
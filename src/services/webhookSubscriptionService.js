@@ -0,0 +1,321 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const https = require('https');
+const net = require('net');
+const config = require('../config');
+const { webhookSubscriptionStore } = require('../config/database');
+const { isClipAnnounced } = require('./clipAccessService');
+const { toClipSummary } = require('./clipQueryService');
+const { registerDeliveryHandler, enqueueDelivery, cancelPendingDeliveries } = require('./webhookQueueService');
+
+const WEBHOOK_EVENTS = ['clip.uploaded', 'clip.deleted', 'clip.transcoded', 'clip.viewed.milestone'];
+const MAX_SUBSCRIPTIONS = 20;
+const MAX_DESCRIPTION_LENGTH = 200;
+const REQUEST_TIMEOUT = 10 * 1000;
+
+// Loopback, private and link-local addresses (IPv4-mapped IPv6 addresses are checked against the
+// IPv4 ranges) - webhooks must not reach into our own network
+const privateAddresses = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16]]
+    .forEach(([address, prefix]) => privateAddresses.addSubnet(address, prefix, 'ipv4'));
+[['::', 127], ['fc00::', 7], ['fe80::', 10]]
+    .forEach(([address, prefix]) => privateAddresses.addSubnet(address, prefix, 'ipv6'));
+
+const isPrivateAddress = (address) => privateAddresses.check(address, net.isIP(address) === 6 ? 'ipv6' : 'ipv4');
+
+const createSubscriptionError = (status, code, message) => {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+};
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+// Subscriptions as shown to admins - the secret is only returned when it's created or rotated
+const toPublicSubscription = ({ secret, ...subscription }) => ({
+    ...subscription,
+    secretHint: `…${secret.slice(-4)}`
+});
+
+const getStoredSubscription = (subscriptionId) => {
+    const subscription = webhookSubscriptionStore.get(subscriptionId);
+    if (!subscription) {
+        throw createSubscriptionError(404, 'SUBSCRIPTION_NOT_FOUND', 'Webhook subscription not found');
+    }
+    return subscription;
+};
+
+const getSubscription = (subscriptionId) => toPublicSubscription(getStoredSubscription(subscriptionId));
+
+// dns.lookup that refuses names resolving to a private address. Used for the connection itself too, so a
+// name that passed when the subscription was registered can't be pointed inside our network later.
+const lookupPublicAddress = (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+
+        const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+        if (blocked) {
+            const lookupError = createSubscriptionError(400, 'INVALID_URL', `${hostname} resolves to a private address (${blocked.address})`);
+            lookupError.privateAddress = true;
+            return callback(lookupError);
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+};
+
+const parseUrl = async (value) => {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (error) {
+        throw createSubscriptionError(400, 'INVALID_URL', 'url must be a valid URL');
+    }
+    if (url.protocol !== 'https:') {
+        throw createSubscriptionError(400, 'INVALID_URL', 'Webhook endpoints must use HTTPS');
+    }
+
+    const hostname = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (hostname === 'localhost' || hostname.endsWith('.localhost') || (net.isIP(hostname) && isPrivateAddress(hostname))) {
+        throw createSubscriptionError(400, 'INVALID_URL', 'Webhook endpoints must be public hosts');
+    }
+
+    // Names are checked by what they resolve to
+    if (!net.isIP(hostname)) {
+        await new Promise((resolve, reject) => {
+            lookupPublicAddress(hostname, { all: true }, (error) => {
+                if (!error) return resolve();
+                reject(error.privateAddress ? error : createSubscriptionError(400, 'INVALID_URL', `Couldn't resolve ${hostname}`));
+            });
+        });
+    }
+    return url.toString();
+};
+
+const parseEvents = (value) => {
+    if (!Array.isArray(value) || value.length === 0) {
+        throw createSubscriptionError(400, 'INVALID_EVENTS', `events must be a non-empty array of: ${WEBHOOK_EVENTS.join(', ')}`);
+    }
+    const unknown = value.filter(event => !WEBHOOK_EVENTS.includes(event));
+    if (unknown.length > 0) {
+        throw createSubscriptionError(400, 'INVALID_EVENTS', `Unknown events: ${unknown.join(', ')}`);
+    }
+    return Array.from(new Set(value));
+};
+
+const parseDescription = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+    if (typeof value !== 'string' || value.trim().length > MAX_DESCRIPTION_LENGTH) {
+        throw createSubscriptionError(400, 'INVALID_DESCRIPTION', `description must be at most ${MAX_DESCRIPTION_LENGTH} characters`);
+    }
+    return value.trim();
+};
+
+const listSubscriptions = () => Array.from(webhookSubscriptionStore.values())
+    .sort((a, b) => new Date(a.createdAt).getTime() - new Date(b.createdAt).getTime())
+    .map(toPublicSubscription);
+
+/**
+ * Register an HTTPS endpoint for clip events. Input: { url, events, description }.
+ * Returns the subscription with its signing secret - the only time the secret is shown.
+ */
+const createSubscription = async (actor, input = {}) => {
+    const url = await parseUrl(input.url);
+    if (webhookSubscriptionStore.size >= MAX_SUBSCRIPTIONS) {
+        throw createSubscriptionError(409, 'TOO_MANY_SUBSCRIPTIONS', `At most ${MAX_SUBSCRIPTIONS} webhook subscriptions can be registered`);
+    }
+
+    const now = new Date().toISOString();
+    const subscription = {
+        id: crypto.randomBytes(8).toString('hex'),
+        url,
+        events: parseEvents(input.events),
+        description: parseDescription(input.description),
+        active: true,
+        secret: generateSecret(),
+        createdBy: actor.id,
+        createdAt: now,
+        updatedAt: now
+    };
+    webhookSubscriptionStore.set(subscription.id, subscription);
+
+    console.log(`🔗 ${actor.username} subscribed ${subscription.url} to ${subscription.events.join(', ')}`);
+    return { ...toPublicSubscription(subscription), secret: subscription.secret };
+};
+
+/**
+ * Change a subscription's url, events, description or active flag. Pausing (active: false)
+ * stops new events; deliveries already queued still go out.
+ */
+const updateSubscription = async (subscriptionId, input = {}) => {
+    getStoredSubscription(subscriptionId);
+    const updates = {};
+
+    if (input.url !== undefined) updates.url = await parseUrl(input.url);
+    if (input.events !== undefined) updates.events = parseEvents(input.events);
+    if (input.description !== undefined) updates.description = parseDescription(input.description);
+    if (input.active !== undefined) {
+        if (typeof input.active !== 'boolean') {
+            throw createSubscriptionError(400, 'INVALID_ACTIVE', 'active must be true or false');
+        }
+        updates.active = input.active;
+    }
+    if (Object.keys(updates).length === 0) {
+        throw createSubscriptionError(400, 'NO_CHANGES', 'Nothing to update - send url, events, description or active');
+    }
+
+    // Looked up again - it may have been deleted while the URL was being checked
+    const subscription = getStoredSubscription(subscriptionId);
+    Object.assign(subscription, updates, { updatedAt: new Date().toISOString() });
+    webhookSubscriptionStore.set(subscriptionId, subscription);
+    return toPublicSubscription(subscription);
+};
+
+/**
+ * Replace a subscription's signing secret. Returns the subscription with the new secret.
+ */
+const rotateSubscriptionSecret = (subscriptionId) => {
+    const subscription = getStoredSubscription(subscriptionId);
+    subscription.secret = generateSecret();
+    subscription.updatedAt = new Date().toISOString();
+    webhookSubscriptionStore.set(subscriptionId, subscription);
+    return { ...toPublicSubscription(subscription), secret: subscription.secret };
+};
+
+// Remove a subscription and anything still queued for it (its delivery log is kept until pruned)
+const deleteSubscription = (subscriptionId) => {
+    const subscription = getStoredSubscription(subscriptionId);
+    webhookSubscriptionStore.delete(subscriptionId);
+    cancelPendingDeliveries({ destination: subscriptionId });
+    return toPublicSubscription(subscription);
+};
+
+/**
+ * Queue an event for every active subscription to it. Only announced clips (see isClipAnnounced)
+ * produce events - for clip.deleted, pass the record as it was before deletion. `key` makes the
+ * idempotency key unique per occurrence when an event can happen more than once for a clip
+ * (e.g. each view milestone); `data` is merged into the payload's data.
+ */
+const emitWebhookEvent = (event, videoData, { key = null, data = {} } = {}) => {
+    if (!WEBHOOK_EVENTS.includes(event)) {
+        throw new Error(`Unknown webhook event: ${event}`);
+    }
+    if (!videoData || !isClipAnnounced(videoData)) return [];
+
+    const subscriptions = Array.from(webhookSubscriptionStore.values())
+        .filter(subscription => subscription.active && subscription.events.includes(event));
+    if (subscriptions.length === 0) return [];
+
+    const baseUrl = config.server.backendUrl || `http://localhost:${config.server.port}`;
+    const payload = {
+        event,
+        createdAt: new Date().toISOString(),
+        data: {
+            clip: toClipSummary(baseUrl, videoData.id, videoData),
+            ...data
+        }
+    };
+    const eventKey = key === null ? `${event}:${videoData.id}` : `${event}:${videoData.id}:${key}`;
+
+    return subscriptions.map(subscription => enqueueDelivery({
+        id: `http:${subscription.id}:${eventKey}`,
+        type: 'http',
+        destination: subscription.id,
+        event,
+        videoId: videoData.id,
+        payload
+    }));
+};
+
+/**
+ * Signature headers for a request body. Receivers recompute
+ * HMAC-SHA256(secret, `${timestamp}.${body}`) and compare it to X-VillainArc-Signature (hex, "sha256=" prefix),
+ * rejecting old timestamps to stop replays.
+ */
+const signPayload = (secret, body, timestamp = Math.floor(Date.now() / 1000)) => ({
+    'X-VillainArc-Timestamp': String(timestamp),
+    'X-VillainArc-Signature': `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`
+});
+
+// POST a JSON body over HTTPS, connecting only to public addresses. Redirects aren't followed - they
+// could point the signed request anywhere. Resolves with the response once its body has been read.
+const postJson = (url, headers, body) => new Promise((resolve, reject) => {
+    // IP literals are connected to without a lookup
+    const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(hostname) && isPrivateAddress(hostname)) {
+        const error = new Error(`${hostname} is a private address`);
+        error.privateAddress = true;
+        return reject(error);
+    }
+
+    const request = https.request(url, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        lookup: lookupPublicAddress,
+        timeout: REQUEST_TIMEOUT
+    }, (response) => {
+        response.resume();
+        response.on('end', () => resolve(response));
+        response.on('error', reject);
+    });
+    request.on('timeout', () => request.destroy(new Error(`No response within ${REQUEST_TIMEOUT / 1000}s`)));
+    request.on('error', reject);
+    request.end(body);
+});
+
+// POST a queued delivery to its subscription, signed with the subscription's current secret
+const deliverHttpWebhook = async (delivery) => {
+    const subscription = webhookSubscriptionStore.get(delivery.destination);
+    if (!subscription) {
+        const error = new Error('Webhook subscription no longer exists');
+        error.permanent = true;
+        throw error;
+    }
+
+    const body = JSON.stringify({ id: delivery.id, ...delivery.payload });
+    let response;
+    try {
+        response = await postJson(subscription.url, {
+            'Content-Type': 'application/json',
+            'User-Agent': 'VillainArc-Webhooks/1.0',
+            'X-VillainArc-Event': delivery.event,
+            'X-VillainArc-Delivery': delivery.id,
+            ...signPayload(subscription.secret, body)
+        }, body);
+    } catch (error) {
+        // The endpoint's name now points inside our network - update the subscription's URL
+        if (error.privateAddress) error.permanent = true;
+        throw error;
+    }
+
+    const { statusCode, statusMessage } = response;
+    if (statusCode >= 200 && statusCode < 300) return { statusCode };
+
+    const error = new Error(`HTTP ${statusCode}: ${statusMessage}`);
+    error.statusCode = statusCode;
+    if (statusCode >= 300 && statusCode < 400) {
+        error.message = `HTTP ${statusCode}: redirects aren't followed - update the subscription's URL`;
+        error.permanent = true;
+    } else if (statusCode === 429) {
+        error.retryAfter = (parseFloat(response.headers['retry-after']) || 60) * 1000;
+    } else if (statusCode === 410) {
+        // The endpoint says it's gone for good
+        error.permanent = true;
+    }
+    throw error;
+};
+
+registerDeliveryHandler('http', deliverHttpWebhook);
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    listSubscriptions,
+    getSubscription,
+    createSubscription,
+    updateSubscription,
+    rotateSubscriptionSecret,
+    deleteSubscription,
+    emitWebhookEvent,
+    signPayload
+};
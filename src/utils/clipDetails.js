@@ -0,0 +1,134 @@
+const { encodeMetadataText, decodeMetadataText } = require('./helpers');
+
+// User-supplied clip details (title, description, tags, visibility), shared by every upload path and clip edits
+
+// public: listed for everyone, unlisted: anyone with the link, guild: logged-in guild members, private: uploader only
+const CLIP_VISIBILITIES = ['public', 'unlisted', 'guild', 'private'];
+
+const MAX_TITLE_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 2000;
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+
+const createValidationError = (message) => {
+    const error = new Error(message);
+    error.status = 400;
+    error.code = 'VALIDATION_ERROR';
+    return error;
+};
+
+// Trimmed text, or null to clear
+const normalizeText = (value, field, maxLength) => {
+    if (value === null || value === '') return null;
+    if (typeof value !== 'string') {
+        throw createValidationError(`${field} must be a string`);
+    }
+
+    const text = value.replace(/\r\n/g, '\n').trim(); // Multipart forms send CRLF line breaks
+    if (text.length > maxLength) {
+        throw createValidationError(`${field} must be at most ${maxLength} characters`);
+    }
+    return text || null;
+};
+
+// Tags arrive as an array (JSON) or comma-separated string (multipart forms).
+// Stored lowercase without a leading #, de-duplicated.
+const normalizeTags = (value) => {
+    if (value === null || value === '') return null;
+
+    const list = typeof value === 'string' ? value.split(',') : value;
+    if (!Array.isArray(list) || list.some(tag => typeof tag !== 'string')) {
+        throw createValidationError('tags must be an array of strings or a comma-separated string');
+    }
+
+    const tags = [];
+    list.forEach(tag => {
+        const normalized = tag.trim().replace(/^#+/, '').replace(/\s+/g, ' ').toLowerCase();
+        if (!normalized || tags.includes(normalized)) return;
+        if (normalized.length > MAX_TAG_LENGTH) {
+            throw createValidationError(`Tags must be at most ${MAX_TAG_LENGTH} characters`);
+        }
+        tags.push(normalized);
+    });
+
+    if (tags.length > MAX_TAGS) {
+        throw createValidationError(`A clip can have at most ${MAX_TAGS} tags`);
+    }
+    return tags.length > 0 ? tags : null;
+};
+
+// One of CLIP_VISIBILITIES, or null to fall back to the configured default
+const normalizeVisibility = (value) => {
+    if (value === null || value === '') return null;
+    if (!CLIP_VISIBILITIES.includes(value)) {
+        throw createValidationError(`visibility must be one of: ${CLIP_VISIBILITIES.join(', ')}`);
+    }
+    return value;
+};
+
+/**
+ * Validate the details present in a request body. Only fields that were sent are
+ * returned, so the result can be merged straight onto a video record.
+ */
+const parseClipDetails = (input = {}) => {
+    const details = {};
+
+    if (input.title !== undefined) {
+        details.title = normalizeText(input.title, 'title', MAX_TITLE_LENGTH);
+    }
+    if (input.description !== undefined) {
+        details.description = normalizeText(input.description, 'description', MAX_DESCRIPTION_LENGTH);
+    }
+    if (input.tags !== undefined) {
+        details.tags = normalizeTags(input.tags);
+    }
+    if (input.visibility !== undefined) {
+        details.visibility = normalizeVisibility(input.visibility);
+    }
+
+    return details;
+};
+
+// Blob metadata for the given details (null values remove the key in updateVideoBlobMetadata)
+const toClipDetailsMetadata = (details) => {
+    const metadata = {};
+    ['title', 'description'].forEach(field => {
+        if (details[field] !== undefined) {
+            metadata[field] = details[field] === null ? null : encodeMetadataText(details[field]);
+        }
+    });
+    if (details.tags !== undefined) {
+        metadata.tags = details.tags === null ? null : encodeMetadataText(details.tags.join(','));
+    }
+    if (details.visibility !== undefined) {
+        metadata.visibility = details.visibility;
+    }
+    return metadata;
+};
+
+// Read details back from blob metadata (used by rebuildFromAzureStorage)
+const fromClipDetailsMetadata = (metadata) => {
+    const details = {};
+    if (metadata.title) details.title = decodeMetadataText(metadata.title);
+    if (metadata.description) details.description = decodeMetadataText(metadata.description);
+    if (metadata.tags) details.tags = decodeMetadataText(metadata.tags).split(',').filter(Boolean);
+    if (CLIP_VISIBILITIES.includes(metadata.visibility)) details.visibility = metadata.visibility;
+    return details;
+};
+
+// Metadata-only variant for new uploads (nothing to remove, so drop the nulls)
+const getUploadDetailsMetadata = (details) => {
+    const metadata = toClipDetailsMetadata(details);
+    Object.keys(metadata).forEach(key => {
+        if (metadata[key] === null) delete metadata[key];
+    });
+    return metadata;
+};
+
+module.exports = {
+    CLIP_VISIBILITIES,
+    parseClipDetails,
+    toClipDetailsMetadata,
+    fromClipDetailsMetadata,
+    getUploadDetailsMetadata
+};
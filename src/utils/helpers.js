@@ -7,16 +7,27 @@ const formatFileSize = (bytes) => {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
 };
 
+// Helper function to format durations in seconds as m:ss or h:mm:ss
+const formatDuration = (seconds) => {
+    if (seconds === null || seconds === undefined || isNaN(seconds)) return null;
+    const total = Math.round(seconds);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = String(total % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+};
+
 // Helper function to calculate popularity score
 const calculatePopularityScore = (videoData) => {
     const views = videoData.views || 0;
     const downloads = videoData.downloadCount || 0;
     const shares = videoData.shareCount || 0;
+    const reactions = Object.values(videoData.reactions || {}).reduce((sum, count) => sum + count, 0);
     const uploadDate = new Date(videoData.uploadDate);
     const daysSinceUpload = Math.max(1, Math.floor((Date.now() - uploadDate.getTime()) / (1000 * 60 * 60 * 24)));
     
-    // Calculate weighted score (views = 1 point, downloads = 2 points, shares = 3 points)
-    const rawScore = views + (downloads * 2) + (shares * 3);
+    // Calculate weighted score (views = 1 point, downloads = 2 points, shares = 3 points, likes/reactions = 4 points)
+    const rawScore = views + (downloads * 2) + (shares * 3) + (reactions * 4);
     
     // Normalize by time to account for newer vs older videos
     const timeAdjustedScore = rawScore / Math.log(daysSinceUpload + 1);
@@ -24,6 +35,17 @@ const calculatePopularityScore = (videoData) => {
     return Math.round(timeAdjustedScore * 100) / 100;
 };
 
+// Display title for a clip - the uploader's title, falling back to the filename
+const getClipTitle = (videoData) => videoData.title || videoData.originalName;
+
+// Escape user-supplied text for server-rendered HTML (text and attribute values)
+const escapeHtml = (text) => String(text === null || text === undefined ? '' : text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
 // Generate base URL for the application
 const getBaseUrl = (req) => {
     const nodeEnv = process.env.NODE_ENV;
@@ -34,8 +56,75 @@ const getBaseUrl = (req) => {
         : `${req.protocol}://${req.get('host')}`;
 };
 
+// Public image URLs for a clip (null until the thumbnails job has produced them)
+const getClipImageUrls = (baseUrl, videoData) => ({
+    thumbnailUrl: videoData.thumbnail ? `${baseUrl}/thumb/${videoData.id}` : null,
+    animatedPreviewUrl: videoData.preview ? `${baseUrl}/preview/${videoData.id}` : null
+});
+
+// Blob metadata travels as HTTP headers, so free text (titles etc.) is stored percent-encoded
+const encodeMetadataText = (text) => encodeURIComponent(text);
+
+const decodeMetadataText = (value) => {
+    if (!value) return null;
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        return value; // Written before encoding was introduced
+    }
+};
+
+// Parse a single-range "Range: bytes=..." header against a resource size.
+// Returns { start, end }, null when the header should be ignored (absent, malformed or multi-range)
+// and { unsatisfiable: true } when the range lies outside the resource.
+const parseRangeHeader = (rangeHeader, size) => {
+    if (!rangeHeader || !rangeHeader.startsWith('bytes=')) return null;
+
+    const spec = rangeHeader.substring(6).trim();
+    if (spec.includes(',')) return null; // Multiple ranges - serve the whole resource instead
+
+    const match = spec.match(/^(\d*)-(\d*)$/);
+    if (!match || (match[1] === '' && match[2] === '')) return null;
+
+    let start;
+    let end;
+    if (match[1] === '') {
+        // Suffix range: last N bytes
+        const suffixLength = parseInt(match[2], 10);
+        if (suffixLength === 0) return { unsatisfiable: true };
+        start = Math.max(0, size - suffixLength);
+        end = size - 1;
+    } else {
+        start = parseInt(match[1], 10);
+        const lastByte = match[2] === '' ? null : parseInt(match[2], 10);
+        // A range ending before it starts is malformed, not unsatisfiable (RFC 7233 §2.1)
+        if (lastByte !== null && lastByte < start) return null;
+        end = lastByte === null ? size - 1 : Math.min(lastByte, size - 1);
+    }
+
+    if (start >= size) return { unsatisfiable: true };
+    return { start, end };
+};
+
+// Check an If-None-Match / If-Match style header against an ETag (weak comparison)
+const etagMatches = (header, etag) => {
+    if (!header || !etag) return false;
+    if (header.trim() === '*') return true;
+
+    const normalize = (tag) => tag.trim().replace(/^W\//, '');
+    return header.split(',').some(tag => normalize(tag) === normalize(etag));
+};
+
 module.exports = {
     formatFileSize,
+    formatDuration,
     calculatePopularityScore,
-    getBaseUrl
+    getClipTitle,
+    escapeHtml,
+    getBaseUrl,
+    getClipImageUrls,
+    encodeMetadataText,
+    decodeMetadataText,
+    parseRangeHeader,
+    etagMatches
 };
@@ -0,0 +1,70 @@
+// HyperLogLog cardinality sketch - counts distinct items in a fixed 1KB regardless of how many are added.
+// Sketches are stored base64-encoded on records so they survive JSON serialization.
+
+const PRECISION = 10; // 2^10 registers, ~3.25% standard error
+const REGISTER_COUNT = 1 << PRECISION;
+const ALPHA = 0.7213 / (1 + 1.079 / REGISTER_COUNT);
+
+const createSketch = () => Buffer.alloc(REGISTER_COUNT);
+
+const decodeSketch = (encoded) => {
+    if (!encoded) return createSketch();
+    const sketch = Buffer.from(encoded, 'base64');
+    return sketch.length === REGISTER_COUNT ? sketch : createSketch();
+};
+
+const encodeSketch = (sketch) => sketch.toString('base64');
+
+/**
+ * Add an item by its hash (at least 8 bytes, e.g. a SHA-256 digest). Returns true if the sketch changed.
+ */
+const addHash = (sketch, hash) => {
+    const value = hash.readBigUInt64BE(0);
+    const index = Number(value >> BigInt(64 - PRECISION));
+
+    // Rank = position of the first 1-bit in the remaining bits
+    let rank = 1;
+    for (let bit = 63 - PRECISION; bit >= 0 && !((value >> BigInt(bit)) & 1n); bit--) {
+        rank++;
+    }
+
+    if (rank > sketch[index]) {
+        sketch[index] = rank;
+        return true;
+    }
+    return false;
+};
+
+// Fold `source` into `target` (union of the two sets)
+const mergeSketch = (target, source) => {
+    for (let i = 0; i < REGISTER_COUNT; i++) {
+        if (source[i] > target[i]) target[i] = source[i];
+    }
+    return target;
+};
+
+const estimateCardinality = (sketch) => {
+    let sum = 0;
+    let zeros = 0;
+    for (let i = 0; i < REGISTER_COUNT; i++) {
+        sum += Math.pow(2, -sketch[i]);
+        if (sketch[i] === 0) zeros++;
+    }
+
+    const estimate = ALPHA * REGISTER_COUNT * REGISTER_COUNT / sum;
+
+    // Small cardinalities are far more accurate with linear counting
+    if (estimate <= 2.5 * REGISTER_COUNT && zeros > 0) {
+        return Math.round(REGISTER_COUNT * Math.log(REGISTER_COUNT / zeros));
+    }
+    return Math.round(estimate);
+};
+
+module.exports = {
+    createSketch,
+    decodeSketch,
+    encodeSketch,
+    addHash,
+    mergeSketch,
+    estimateCardinality
+};
@@ -0,0 +1,137 @@
+// Magic-byte detection of video containers, so uploads are judged by their content
+// rather than the client-supplied mimetype or file extension.
+
+const SNIFF_LENGTH = 4096; // Bytes needed to recognise every supported container
+
+const TS_PACKET_SIZE = 188;
+const M2TS_PACKET_SIZE = 192;
+
+// ISO-BMFF brands used by still images and audio-only files rather than video
+const NON_VIDEO_BRANDS = ['heic', 'heix', 'mif1', 'msf1', 'avif', 'M4A ', 'M4B ', 'M4P ', 'crx '];
+
+// Legacy QuickTime files may start with an atom other than ftyp
+const QUICKTIME_ATOMS = ['moov', 'mdat', 'wide', 'free', 'skip', 'pnot'];
+
+const ASF_GUID = Buffer.from([0x30, 0x26, 0xB2, 0x75, 0x8E, 0x66, 0xCF, 0x11]);
+const EBML_MAGIC = Buffer.from([0x1A, 0x45, 0xDF, 0xA3]);
+const MPEG_PS_PACK = Buffer.from([0x00, 0x00, 0x01, 0xBA]);
+
+const ascii = (buffer, start, end) => buffer.length >= end ? buffer.toString('latin1', start, end) : '';
+
+// MPEG-TS: 0x47 sync byte at the start of consecutive packets (M2TS adds a 4-byte timestamp)
+const hasTransportStreamSync = (buffer, packetSize, offset) => {
+    const packets = Math.min(3, Math.floor((buffer.length - offset) / packetSize));
+    if (packets < 2) return false;
+
+    for (let i = 0; i < packets; i++) {
+        if (buffer[offset + i * packetSize] !== 0x47) return false;
+    }
+    return true;
+};
+
+/**
+ * Identify the container from the first bytes of a file.
+ * Returns { container, mimeType } or null when the content isn't a recognised video.
+ */
+const detectVideoContainer = (buffer) => {
+    if (!buffer || buffer.length < 12) return null;
+
+    const boxType = ascii(buffer, 4, 8);
+    if (boxType === 'ftyp') {
+        const brand = ascii(buffer, 8, 12);
+        if (NON_VIDEO_BRANDS.includes(brand)) return null;
+        return brand === 'qt  '
+            ? { container: 'mov', mimeType: 'video/quicktime' }
+            : { container: 'mp4', mimeType: 'video/mp4' };
+    }
+    if (QUICKTIME_ATOMS.includes(boxType)) {
+        return { container: 'mov', mimeType: 'video/quicktime' };
+    }
+
+    if (buffer.subarray(0, 4).equals(EBML_MAGIC)) {
+        // The DocType element near the start says whether it's WebM or generic Matroska
+        const header = buffer.toString('latin1', 0, Math.min(buffer.length, 64));
+        return header.includes('webm')
+            ? { container: 'webm', mimeType: 'video/webm' }
+            : { container: 'matroska', mimeType: 'video/x-matroska' };
+    }
+
+    if (ascii(buffer, 0, 4) === 'RIFF' && ascii(buffer, 8, 12) === 'AVI ') {
+        return { container: 'avi', mimeType: 'video/x-msvideo' };
+    }
+
+    if (buffer.subarray(0, 4).equals(MPEG_PS_PACK)) {
+        return { container: 'mpeg-ps', mimeType: 'video/mpeg' };
+    }
+
+    if (hasTransportStreamSync(buffer, TS_PACKET_SIZE, 0) || hasTransportStreamSync(buffer, M2TS_PACKET_SIZE, 4)) {
+        return { container: 'mpeg-ts', mimeType: 'video/mp2t' };
+    }
+
+    if (buffer.subarray(0, 8).equals(ASF_GUID)) {
+        return { container: 'asf', mimeType: 'video/x-ms-wmv' };
+    }
+
+    if (ascii(buffer, 0, 3) === 'FLV') {
+        return { container: 'flv', mimeType: 'video/x-flv' };
+    }
+
+    if (ascii(buffer, 0, 4) === 'OggS') {
+        return { container: 'ogg', mimeType: 'video/ogg' };
+    }
+
+    return null;
+};
+
+// Containers each extension may legitimately hold (MP4/MOV and MKV/WebM are routinely mislabelled)
+const EXTENSION_CONTAINERS = {
+    '.mp4': ['mp4', 'mov'],
+    '.m4v': ['mp4', 'mov'],
+    '.mov': ['mov', 'mp4'],
+    '.3gp': ['mp4'],
+    '.mkv': ['matroska', 'webm'],
+    '.webm': ['webm', 'matroska'],
+    '.avi': ['avi'],
+    '.ts': ['mpeg-ts'],
+    '.mts': ['mpeg-ts'],
+    '.m2ts': ['mpeg-ts'],
+    '.mpg': ['mpeg-ps', 'mpeg-ts'],
+    '.mpeg': ['mpeg-ps', 'mpeg-ts'],
+    '.wmv': ['asf'],
+    '.flv': ['flv'],
+    '.ogv': ['ogg'],
+    '.ogg': ['ogg']
+};
+
+/**
+ * Check content against the file extension.
+ * Returns { valid: true, container, mimeType } or { valid: false, code, message }.
+ */
+const validateVideoSignature = (buffer, fileExtension) => {
+    const detected = detectVideoContainer(buffer);
+
+    if (!detected) {
+        return {
+            valid: false,
+            code: 'INVALID_VIDEO_CONTENT',
+            message: 'File content is not a recognised video format'
+        };
+    }
+
+    const allowed = EXTENSION_CONTAINERS[(fileExtension || '').toLowerCase()];
+    if (allowed && !allowed.includes(detected.container)) {
+        return {
+            valid: false,
+            code: 'VIDEO_TYPE_MISMATCH',
+            message: `File extension ${fileExtension} does not match its content (${detected.container})`
+        };
+    }
+
+    return { valid: true, ...detected };
+};
+
+module.exports = {
+    SNIFF_LENGTH,
+    detectVideoContainer,
+    validateVideoSignature
+};
@@ -0,0 +1,293 @@
+// Comment section for the /v/ page - server-rendered list plus a small script for posting/deleting
+const { escapeHtml, formatDuration } = require('../utils/helpers');
+
+const commentStyles = `
+    .comments {
+        margin-top: 1.5rem;
+    }
+
+    .comment-login {
+        color: rgba(255, 255, 255, 0.7);
+        font-size: 0.9rem;
+    }
+
+    .comment-login a {
+        color: #5865f2;
+        font-weight: 600;
+    }
+
+    .comment-form textarea {
+        width: 100%;
+        min-height: 80px;
+        resize: vertical;
+        background: rgba(0, 0, 0, 0.4);
+        border: 1px solid rgba(255, 255, 255, 0.15);
+        border-radius: 8px;
+        color: #ffffff;
+        font-family: inherit;
+        font-size: 0.9rem;
+        padding: 0.75rem;
+    }
+
+    .comment-form-row {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        gap: 1rem;
+        margin-top: 0.75rem;
+        font-size: 0.85rem;
+        color: rgba(255, 255, 255, 0.7);
+    }
+
+    .comment-form button {
+        background: linear-gradient(135deg, #5865f2, #4752c4);
+        color: white;
+        border: none;
+        border-radius: 50px;
+        padding: 0.5rem 1.5rem;
+        font-weight: 600;
+        cursor: pointer;
+    }
+
+    .comment-form button:disabled {
+        opacity: 0.6;
+        cursor: default;
+    }
+
+    .comment-error {
+        color: #ff6b6b;
+        font-size: 0.85rem;
+        margin-top: 0.5rem;
+    }
+
+    .comment-list {
+        list-style: none;
+        margin-top: 1.25rem;
+    }
+
+    .comment {
+        display: flex;
+        gap: 0.75rem;
+        padding: 0.75rem 0;
+        border-top: 1px solid rgba(255, 255, 255, 0.08);
+    }
+
+    .comment-avatar {
+        width: 36px;
+        height: 36px;
+        border-radius: 50%;
+        flex-shrink: 0;
+    }
+
+    .comment-main {
+        flex: 1;
+        min-width: 0;
+    }
+
+    .comment-header {
+        display: flex;
+        align-items: center;
+        gap: 0.5rem;
+        font-size: 0.8rem;
+        color: rgba(255, 255, 255, 0.6);
+    }
+
+    .comment-author {
+        font-weight: 600;
+        color: #ffffff;
+    }
+
+    .comment-timestamp {
+        background: rgba(88, 101, 242, 0.2);
+        border-radius: 4px;
+        padding: 0 0.4rem;
+        color: #8b95ff;
+        font-weight: 600;
+        text-decoration: none;
+    }
+
+    .comment-body {
+        margin-top: 0.25rem;
+        font-size: 0.9rem;
+        white-space: pre-line;
+        word-break: break-word;
+    }
+
+    .comment-delete {
+        margin-left: auto;
+        background: none;
+        border: none;
+        color: rgba(255, 255, 255, 0.5);
+        cursor: pointer;
+        font-size: 0.8rem;
+    }
+
+    .comment-delete:hover {
+        color: #ff6b6b;
+    }
+`;
+
+const renderComment = (comment) => `
+    <li class="comment" data-comment-id="${comment.id}">
+        <img class="comment-avatar" src="${escapeHtml(comment.avatar)}" alt="">
+        <div class="comment-main">
+            <div class="comment-header">
+                <span class="comment-author">${escapeHtml(comment.username)}</span>
+                ${comment.timestamp !== null ? `<a href="#" class="comment-timestamp" data-time="${comment.timestamp}">${formatDuration(comment.timestamp)}</a>` : ''}
+                <span>${new Date(comment.createdAt).toLocaleDateString()}</span>
+                ${comment.deletable ? '<button type="button" class="comment-delete">Delete</button>' : ''}
+            </div>
+            <div class="comment-body">${escapeHtml(comment.body)}</div>
+        </div>
+    </li>`;
+
+/**
+ * Comments card for a clip page. `comments` is null when the viewer isn't logged in
+ * (comments are for guild members only), in which case a login prompt is shown instead.
+ */
+const renderCommentSection = ({ videoId, comments, loginUrl }) => {
+    if (!comments) {
+        return `
+            <div class="info-card comments">
+                <div class="card-title">Comments</div>
+                <p class="comment-login"><a href="${loginUrl}">Log in with Discord</a> to see and post comments.</p>
+            </div>`;
+    }
+
+    return `
+        <div class="info-card comments" id="comments">
+            <div class="card-title">Comments (<span id="commentCount">${comments.length}</span>)</div>
+            <form class="comment-form" id="commentForm">
+                <textarea name="body" maxlength="1000" placeholder="Add a comment..." required></textarea>
+                <div class="comment-form-row">
+                    <label><input type="checkbox" name="anchor"> at <span id="commentTime">0:00</span></label>
+                    <button type="submit">Post</button>
+                </div>
+                <div class="comment-error" id="commentError" hidden></div>
+            </form>
+            <ul class="comment-list" id="commentList">
+                ${comments.map(renderComment).join('')}
+            </ul>
+        </div>
+        <script>
+            (function () {
+                const endpoint = '/api/clips/${videoId}/comments';
+                const video = document.getElementById('mainVideo');
+                const form = document.getElementById('commentForm');
+                const list = document.getElementById('commentList');
+                const count = document.getElementById('commentCount');
+                const errorBox = document.getElementById('commentError');
+                const timeLabel = document.getElementById('commentTime');
+
+                const formatTime = (seconds) => {
+                    const total = Math.round(seconds);
+                    const hours = Math.floor(total / 3600);
+                    const minutes = Math.floor((total % 3600) / 60);
+                    const secs = String(total % 60).padStart(2, '0');
+                    return hours > 0 ? hours + ':' + String(minutes).padStart(2, '0') + ':' + secs : minutes + ':' + secs;
+                };
+
+                const showError = (message) => {
+                    errorBox.textContent = message;
+                    errorBox.hidden = !message;
+                };
+
+                // Built with DOM APIs so comment text is never parsed as HTML
+                const buildComment = (comment) => {
+                    const item = document.createElement('li');
+                    item.className = 'comment';
+                    item.dataset.commentId = comment.id;
+                    item.innerHTML = '<img class="comment-avatar" alt=""><div class="comment-main"><div class="comment-header"><span class="comment-author"></span></div><div class="comment-body"></div></div>';
+                    item.querySelector('.comment-avatar').src = comment.avatar;
+                    item.querySelector('.comment-author').textContent = comment.username;
+                    item.querySelector('.comment-body').textContent = comment.body;
+
+                    const header = item.querySelector('.comment-header');
+                    if (comment.timestamp !== null) {
+                        const link = document.createElement('a');
+                        link.href = '#';
+                        link.className = 'comment-timestamp';
+                        link.dataset.time = comment.timestamp;
+                        link.textContent = formatTime(comment.timestamp);
+                        header.appendChild(link);
+                    }
+                    const date = document.createElement('span');
+                    date.textContent = new Date(comment.createdAt).toLocaleDateString();
+                    header.appendChild(date);
+                    if (comment.deletable) {
+                        const button = document.createElement('button');
+                        button.type = 'button';
+                        button.className = 'comment-delete';
+                        button.textContent = 'Delete';
+                        header.appendChild(button);
+                    }
+                    return item;
+                };
+
+                if (video) {
+                    video.addEventListener('timeupdate', () => {
+                        timeLabel.textContent = formatTime(video.currentTime);
+                    });
+                }
+
+                list.addEventListener('click', async (event) => {
+                    const timestamp = event.target.closest('.comment-timestamp');
+                    if (timestamp && video) {
+                        event.preventDefault();
+                        video.currentTime = Number(timestamp.dataset.time);
+                        video.play().catch(() => {});
+                        video.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                        return;
+                    }
+
+                    const deleteButton = event.target.closest('.comment-delete');
+                    if (deleteButton && confirm('Delete this comment?')) {
+                        const item = deleteButton.closest('.comment');
+                        const response = await fetch(endpoint + '/' + item.dataset.commentId, { method: 'DELETE', credentials: 'same-origin' });
+                        if (response.ok) {
+                            item.remove();
+                            count.textContent = list.children.length;
+                        } else {
+                            const data = await response.json().catch(() => ({}));
+                            showError(data.error || 'Failed to delete comment');
+                        }
+                    }
+                });
+
+                form.addEventListener('submit', async (event) => {
+                    event.preventDefault();
+                    showError('');
+                    const button = form.querySelector('button');
+                    button.disabled = true;
+
+                    try {
+                        const response = await fetch(endpoint, {
+                            method: 'POST',
+                            credentials: 'same-origin',
+                            headers: { 'Content-Type': 'application/json' },
+                            body: JSON.stringify({
+                                body: form.body.value,
+                                timestamp: form.anchor.checked && video ? video.currentTime : null
+                            })
+                        });
+                        const data = await response.json().catch(() => ({}));
+                        if (!response.ok) {
+                            showError(data.error || 'Failed to post comment');
+                            return;
+                        }
+
+                        list.appendChild(buildComment(data.comment));
+                        count.textContent = list.children.length;
+                        form.reset();
+                    } finally {
+                        button.disabled = false;
+                    }
+                });
+            })();
+        </script>`;
+};
+
+module.exports = {
+    commentStyles,
+    renderCommentSection
+};
@@ -0,0 +1,291 @@
+// Shared chrome for server-rendered pages (profiles, playlists...) - matches the look of the /v/ view page
+const { escapeHtml, formatDuration } = require('../utils/helpers');
+
+const baseStyles = `
+    * {
+        margin: 0;
+        padding: 0;
+        box-sizing: border-box;
+    }
+
+    body {
+        font-family: 'Inter', sans-serif;
+        background: linear-gradient(135deg, #1a1a1a 0%, #2d2d2d 50%, #1a1a1a 100%);
+        color: #ffffff;
+        min-height: 100vh;
+        -webkit-font-smoothing: antialiased;
+        -moz-osx-font-smoothing: grayscale;
+    }
+
+    a {
+        color: inherit;
+        text-decoration: none;
+    }
+
+    ::-webkit-scrollbar {
+        width: 6px;
+        background: #1a1a1a;
+    }
+
+    ::-webkit-scrollbar-thumb {
+        background: #333333;
+        border-radius: 3px;
+    }
+
+    .header {
+        background: rgba(0, 0, 0, 0.6);
+        backdrop-filter: blur(12px);
+        border-bottom: 1px solid rgba(255, 255, 255, 0.15);
+        padding: 1rem 0;
+        position: sticky;
+        top: 0;
+        z-index: 100;
+    }
+
+    .header-content {
+        max-width: 1200px;
+        margin: 0 auto;
+        padding: 0 2rem;
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+    }
+
+    .logo {
+        display: flex;
+        align-items: center;
+        gap: 0.5rem;
+    }
+
+    .logo-image {
+        width: 40px;
+        height: 40px;
+        background: linear-gradient(135deg, #5865f2 0%, #4f46e5 100%);
+        border-radius: 8px;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        font-weight: 700;
+        font-size: 1rem;
+        color: white;
+    }
+
+    .logo-text {
+        font-size: 1.2rem;
+        font-weight: 600;
+    }
+
+    .back-btn {
+        background: rgba(255, 255, 255, 0.1);
+        border: 1px solid rgba(255, 255, 255, 0.2);
+        color: white;
+        padding: 0.5rem 1rem;
+        border-radius: 6px;
+        transition: all 0.3s ease;
+        font-weight: 500;
+        font-size: 0.9rem;
+    }
+
+    .back-btn:hover {
+        background: rgba(255, 255, 255, 0.2);
+        transform: translateY(-1px);
+    }
+
+    .main-content {
+        max-width: 1200px;
+        margin: 0 auto;
+        padding: 2rem;
+    }
+
+    .info-card {
+        background: rgba(0, 0, 0, 0.3);
+        backdrop-filter: blur(12px);
+        border: 1px solid rgba(255, 255, 255, 0.1);
+        border-radius: 12px;
+        padding: 1.5rem;
+        margin-bottom: 1.5rem;
+    }
+
+    .card-title {
+        font-size: 0.9rem;
+        font-weight: 500;
+        color: rgba(255, 255, 255, 0.7);
+        margin-bottom: 0.75rem;
+        text-transform: uppercase;
+        letter-spacing: 0.5px;
+    }
+
+    .btn {
+        background: linear-gradient(135deg, #5865f2, #4752c4);
+        color: white;
+        padding: 0.75rem 2rem;
+        border: none;
+        border-radius: 50px;
+        font-weight: 600;
+        font-size: 0.9rem;
+        display: inline-flex;
+        align-items: center;
+        gap: 0.5rem;
+        box-shadow: 0 4px 20px rgba(88, 101, 242, 0.4);
+    }
+
+    .empty-state {
+        text-align: center;
+        color: rgba(255, 255, 255, 0.6);
+        padding: 3rem 1rem;
+    }
+
+    /* Clip grid */
+    .clip-grid {
+        display: grid;
+        grid-template-columns: repeat(auto-fill, minmax(240px, 1fr));
+        gap: 1rem;
+    }
+
+    .clip-card {
+        background: rgba(0, 0, 0, 0.3);
+        border: 1px solid rgba(255, 255, 255, 0.1);
+        border-radius: 12px;
+        overflow: hidden;
+        transition: all 0.3s ease;
+    }
+
+    .clip-card:hover {
+        transform: translateY(-2px);
+        border-color: rgba(88, 101, 242, 0.6);
+    }
+
+    .clip-thumb {
+        position: relative;
+        aspect-ratio: 16 / 9;
+        background: #000000;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        color: rgba(255, 255, 255, 0.4);
+        font-size: 2rem;
+    }
+
+    .clip-thumb img {
+        width: 100%;
+        height: 100%;
+        object-fit: cover;
+    }
+
+    .clip-duration {
+        position: absolute;
+        right: 0.5rem;
+        bottom: 0.5rem;
+        background: rgba(0, 0, 0, 0.8);
+        border-radius: 4px;
+        padding: 0.1rem 0.4rem;
+        font-size: 0.75rem;
+        color: #ffffff;
+    }
+
+    .clip-info {
+        padding: 0.75rem 1rem;
+    }
+
+    .clip-name {
+        font-weight: 600;
+        font-size: 0.95rem;
+        white-space: nowrap;
+        overflow: hidden;
+        text-overflow: ellipsis;
+        margin-bottom: 0.25rem;
+    }
+
+    .clip-meta {
+        font-size: 0.8rem;
+        color: rgba(255, 255, 255, 0.6);
+    }
+
+    .pagination {
+        display: flex;
+        justify-content: center;
+        margin-top: 1.5rem;
+    }
+
+    @media (max-width: 768px) {
+        .main-content {
+            padding: 1rem;
+        }
+
+        .header-content {
+            padding: 0 1rem;
+        }
+    }
+`;
+
+/**
+ * Wrap page content in the shared document, header and styles.
+ * `title` must already be HTML-escaped; `head` and `styles` are extra markup/CSS for the page.
+ */
+const renderPage = ({ title, head = '', styles = '', body }) => `
+    <!DOCTYPE html>
+    <html>
+    <head>
+        <title>${title} - VillainArc</title>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        ${head}
+        <link href="https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&display=swap" rel="stylesheet">
+        <style>${baseStyles}${styles}</style>
+    </head>
+    <body>
+        <div class="header">
+            <div class="header-content">
+                <a href="${process.env.FRONTEND_URL || '/'}" class="logo">
+                    <div class="logo-image">VA</div>
+                    <div class="logo-text">VillainArc</div>
+                </a>
+                <a href="${process.env.FRONTEND_URL || '/'}" class="back-btn">← Back to Upload</a>
+            </div>
+        </div>
+        <div class="main-content">
+            ${body}
+        </div>
+    </body>
+    </html>
+`;
+
+// Simple "not found" page in the same style
+const renderNotFoundPage = (title, message) => renderPage({
+    title,
+    body: `
+        <div class="info-card empty-state">
+            <h1 style="color: #ff6b6b; margin-bottom: 1rem;">${title}</h1>
+            <p>${message}</p>
+        </div>
+    `
+});
+
+// Grid of clip cards linking to their /v/ pages. `clips` are clip summaries (see clipQueryService)
+const renderClipGrid = (clips, emptyMessage) => {
+    if (clips.length === 0) {
+        return `<div class="empty-state">${emptyMessage}</div>`;
+    }
+
+    return `
+        <div class="clip-grid">
+            ${clips.map(clip => `
+            <a class="clip-card" href="${clip.shareLink}">
+                <div class="clip-thumb">
+                    ${clip.thumbnailUrl ? `<img src="${clip.thumbnailUrl}" alt="" loading="lazy">` : '🎬'}
+                    ${clip.duration ? `<span class="clip-duration">${formatDuration(clip.duration)}</span>` : ''}
+                </div>
+                <div class="clip-info">
+                    <div class="clip-name">${escapeHtml(clip.title)}</div>
+                    <div class="clip-meta">${clip.views} views · ${new Date(clip.uploadDate).toLocaleDateString()}</div>
+                </div>
+            </a>`).join('')}
+        </div>
+    `;
+};
+
+module.exports = {
+    renderPage,
+    renderNotFoundPage,
+    renderClipGrid
+};
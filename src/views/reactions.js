@@ -0,0 +1,98 @@
+// Reaction bar for the /v/ page - counts for everyone, buttons for logged-in members
+const { escapeHtml } = require('../utils/helpers');
+
+const reactionStyles = `
+    .reaction-bar {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 0.5rem;
+        margin-top: 1rem;
+    }
+
+    .reaction-btn {
+        display: inline-flex;
+        align-items: center;
+        gap: 0.35rem;
+        background: rgba(255, 255, 255, 0.08);
+        border: 1px solid rgba(255, 255, 255, 0.15);
+        border-radius: 999px;
+        padding: 0.3rem 0.85rem;
+        color: #ffffff;
+        font-family: inherit;
+        font-size: 0.9rem;
+        cursor: pointer;
+        transition: all 0.2s ease;
+    }
+
+    .reaction-btn:hover:not(:disabled) {
+        background: rgba(255, 255, 255, 0.15);
+    }
+
+    .reaction-btn.active {
+        background: rgba(88, 101, 242, 0.3);
+        border-color: rgba(88, 101, 242, 0.8);
+    }
+
+    .reaction-btn:disabled {
+        cursor: default;
+    }
+
+    .reaction-count {
+        font-size: 0.8rem;
+        color: rgba(255, 255, 255, 0.8);
+    }
+`;
+
+const REACTION_LABELS = { like: '👍' };
+
+/**
+ * Buttons for each available reaction with its count. Logged-out viewers see the counts
+ * with disabled buttons; members toggle their (single) reaction on the clip.
+ */
+const renderReactionBar = ({ videoId, reactions, canReact }) => `
+    <div class="reaction-bar" id="reactionBar">
+        ${reactions.available.map(reaction => `
+        <button type="button" class="reaction-btn${reactions.userReaction === reaction ? ' active' : ''}"
+            data-reaction="${escapeHtml(reaction)}" ${canReact ? '' : 'disabled title="Log in to react"'}>
+            <span>${REACTION_LABELS[reaction] || escapeHtml(reaction)}</span>
+            <span class="reaction-count">${reactions.counts[reaction] || 0}</span>
+        </button>`).join('')}
+    </div>
+    ${canReact ? `
+    <script>
+        (function () {
+            const endpoint = '/api/clips/${videoId}/reactions';
+            const bar = document.getElementById('reactionBar');
+
+            const render = (data) => {
+                bar.querySelectorAll('.reaction-btn').forEach(button => {
+                    const reaction = button.dataset.reaction;
+                    button.classList.toggle('active', data.userReaction === reaction);
+                    button.querySelector('.reaction-count').textContent = data.counts[reaction] || 0;
+                });
+            };
+
+            bar.addEventListener('click', async (event) => {
+                const button = event.target.closest('.reaction-btn');
+                if (!button) return;
+
+                // Clicking your current reaction removes it, anything else replaces it
+                const removing = button.classList.contains('active');
+                const response = await fetch(endpoint, {
+                    method: removing ? 'DELETE' : 'PUT',
+                    credentials: 'same-origin',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: removing ? undefined : JSON.stringify({ reaction: button.dataset.reaction })
+                });
+                if (response.ok) {
+                    render(await response.json());
+                }
+            });
+        })();
+    </script>` : ''}
+`;
+
+module.exports = {
+    reactionStyles,
+    renderReactionBar
+};